@@ -0,0 +1,137 @@
+/**
+ * Tests for per-agent robots.txt, meta robots and X-Robots-Tag analysis
+ */
+
+const {
+  AI_CRAWLERS,
+  parseDirectives,
+  getMetaRobots,
+  parseXRobotsTag,
+  analyzeAgentAccess,
+  formatAgentAccess,
+} = require('../tools/validators/agent-access');
+
+const agents = [
+  {
+    id: 'basic',
+    name: 'Basic Web Agent',
+    userAgent: 'Mozilla/5.0 (compatible; BasicWebAgent/1.0)',
+  },
+  ...AI_CRAWLERS,
+];
+
+const robotsTxt = {
+  statusCode: 200,
+  body: `
+User-agent: *
+Disallow: /admin
+
+User-agent: GPTBot
+Disallow: /
+
+User-agent: Google-Extended
+Disallow: /products
+`,
+};
+
+const html = `<!DOCTYPE html>
+<html><head>
+  <meta name="description" content="Lamps and chairs">
+  <meta name="robots" content="index, follow">
+  <meta name='PerplexityBot' content='noindex'>
+</head><body><main>Products</main></body></html>`;
+
+const decisions = (report) =>
+  Object.fromEntries(report.agents.map((agent) => [agent.id, agent.decision]));
+
+describe('Agent Access', () => {
+  test('should parse robots directives', () => {
+    expect(parseDirectives(' NoIndex, none ,nofollow')).toEqual(['noindex', 'nofollow']);
+    expect(getMetaRobots(html)).toEqual([
+      { name: 'robots', content: 'index, follow', directives: ['index', 'follow'] },
+      { name: 'perplexitybot', content: 'noindex', directives: ['noindex'] },
+    ]);
+  });
+
+  test('should parse agent-scoped X-Robots-Tag values', () => {
+    expect(
+      parseXRobotsTag([
+        'noarchive',
+        'claudebot: noindex, nofollow',
+        'unavailable_after: 25 Jun 2030 15:00:00 PST',
+      ])
+    ).toEqual([
+      { agent: null, directives: ['noarchive'] },
+      { agent: 'claudebot', directives: ['noindex', 'nofollow'] },
+      { agent: null, directives: ['unavailable_after: 25 jun 2030 15:00:00 pst'] },
+    ]);
+  });
+
+  test('should decide access per agent', () => {
+    const report = analyzeAgentAccess({
+      url: 'https://shop.test/products/lamp',
+      robotsTxt,
+      html,
+      headers: { 'x-robots-tag': 'ClaudeBot: noindex' },
+      agents,
+    });
+
+    expect(decisions(report)).toEqual({
+      basic: 'allowed',
+      gptbot: 'blocked',
+      claudebot: 'noindex',
+      perplexitybot: 'noindex',
+      'google-extended': 'blocked',
+    });
+    expect(report.agents[1].reasons).toEqual([
+      { source: 'robots.txt', rule: 'User-agent: gptbot / Disallow: /', effect: 'blocked' },
+    ]);
+    expect(report.contradictions).toEqual([]);
+    expect(report.findings.map((finding) => finding.ruleId)).toEqual([
+      'robots/blocked',
+      'robots/noindex',
+      'robots/noindex',
+      'robots/blocked',
+    ]);
+  });
+
+  test('should flag rules that contradict an FR-1 pass', () => {
+    const report = analyzeAgentAccess({
+      url: 'https://shop.test/products/lamp',
+      robotsTxt,
+      html,
+      agents,
+      fr1: { passed: true, score: 0.92 },
+    });
+
+    expect(report.contradictions.map((entry) => [entry.agent, entry.source])).toEqual([
+      ['gptbot', 'robots.txt'],
+      ['perplexitybot', 'meta'],
+      ['google-extended', 'robots.txt'],
+    ]);
+    expect(report.findings[0]).toMatchObject({
+      ruleId: 'robots/contradicts-fr1',
+      severity: 'warning',
+      requirement: 'FR1',
+    });
+    expect(formatAgentAccess(report)).toContain(
+      '  ✗ PerplexityBot: <meta name="perplexitybot" content="noindex">'
+    );
+  });
+
+  test('should follow RFC 9309 for missing and failing robots.txt', () => {
+    const analyze = (statusCode) =>
+      decisions(
+        analyzeAgentAccess({
+          url: 'https://shop.test/',
+          robotsTxt: { statusCode, body: 'User-agent: *\nDisallow: /' },
+          html: '',
+          agents: agents.slice(0, 1),
+        })
+      ).basic;
+
+    expect(analyze(404)).toBe('allowed');
+    expect(analyze(503)).toBe('blocked');
+    expect(analyze(200)).toBe('blocked');
+  });
+});
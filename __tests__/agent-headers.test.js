@@ -0,0 +1,94 @@
+/**
+ * Tests for X-Agent-* response header and Vary validation
+ */
+
+const {
+  variesByUserAgent,
+  analyzeAgentHeaders,
+  describeAgentHeaders,
+} = require('../tools/validators/agent-headers');
+
+const codes = (report) => report.problems.map((problem) => [problem.code, problem.header]);
+
+describe('Agent Headers', () => {
+  test('should accept the documented headers', () => {
+    const report = analyzeAgentHeaders({
+      headers: {
+        'x-agent-optimized': 'true',
+        'x-agent-framework': 'agentux/2.1.0',
+        'x-agent-rendering': 'ssr',
+        vary: 'Accept-Encoding, User-Agent',
+      },
+      attributes: { 'data-agent-mode': 'ssr', 'data-agent-version': '2.1.0' },
+    });
+
+    expect(report.problems).toEqual([]);
+    expect(report.agentSpecific).toBe(true);
+    expect(report.variesByUserAgent).toBe(true);
+    expect(describeAgentHeaders(report)).toEqual([
+      'Agent headers: X-Agent-Optimized: true; X-Agent-Framework: agentux/2.1.0; X-Agent-Rendering: ssr',
+      'Vary: Accept-Encoding, User-Agent',
+    ]);
+  });
+
+  test('should report invalid values and headers missing from an optimized response', () => {
+    const report = analyzeAgentHeaders({
+      headers: { 'x-agent-optimized': 'true', 'x-agent-rendering': 'server', vary: '*' },
+    });
+
+    expect(codes(report)).toEqual([
+      ['invalid', 'X-Agent-Rendering'],
+      ['invalid', 'X-Agent-Framework'],
+    ]);
+    expect(report.problems[0].message).toBe(
+      'X-Agent-Rendering: "server" is not valid (expected ssr, ssg, csr, hybrid)'
+    );
+  });
+
+  test('should cross-check the headers with the <html> attributes', () => {
+    const report = analyzeAgentHeaders({
+      headers: {
+        'x-agent-optimized': 'false',
+        'x-agent-framework': 'agentux/2.1.0',
+        'x-agent-rendering': 'SSR',
+      },
+      attributes: { 'data-agent-mode': 'csr', 'data-agent-version': '2.0.0' },
+    });
+
+    expect(codes(report)).toEqual([
+      ['mismatch', 'X-Agent-Rendering'],
+      ['mismatch', 'X-Agent-Framework'],
+    ]);
+    expect(report.problems[0].message).toBe(
+      'X-Agent-Rendering is "SSR" but <html data-agent-mode> is "csr"'
+    );
+  });
+
+  test('should require Vary: User-Agent on agent-specific responses', () => {
+    const detected = analyzeAgentHeaders({
+      headers: { 'x-agent-detected': 'true', 'x-agent-category': 'crawler', vary: 'Accept' },
+    });
+    expect(codes(detected)).toEqual([
+      ['missing', null],
+      ['vary', 'Vary'],
+    ]);
+    expect(detected.problems[1].message).toBe(
+      'Agent-specific response has "Vary: Accept" without User-Agent'
+    );
+
+    const context = analyzeAgentHeaders({
+      headers: { 'x-agent-rendering': 'ssg' },
+      attributes: { 'data-agent-context': 'detected' },
+    });
+    expect(codes(context)).toEqual([['vary', 'Vary']]);
+
+    expect(codes(analyzeAgentHeaders({ headers: { 'x-agent-rendering': 'ssg' } }))).toEqual([]);
+  });
+
+  test('should read Vary field lists', () => {
+    expect(variesByUserAgent('accept-encoding,user-agent')).toBe(true);
+    expect(variesByUserAgent('*')).toBe(true);
+    expect(variesByUserAgent('Accept-Encoding')).toBe(false);
+    expect(variesByUserAgent(null)).toBe(false);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for the Markdown agent view of an initial payload
+ */
+
+const { toMarkdown } = require('../tools/validators/agent-view');
+
+/**
+ * Minimal DOM element: h('p', { class: 'lead' }, 'Text', h('a', { href: '/' }, 'Home'))
+ */
+const h = (tag, attributes = {}, ...children) => {
+  const childNodes = children.map((child) =>
+    typeof child === 'string' ? { nodeType: 3, textContent: child } : child
+  );
+  return {
+    nodeType: 1,
+    tagName: tag.toUpperCase(),
+    childNodes,
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+    hasAttribute: (name) => name in attributes,
+    get textContent() {
+      return childNodes.map((child) => child.textContent).join('');
+    },
+  };
+};
+
+const doc = (...body) => ({
+  head: h(
+    'head',
+    {},
+    h('title', {}, 'Acme lamps'),
+    h('meta', { name: 'description', content: 'Desk and floor lamps' })
+  ),
+  body: h('body', {}, ...body),
+});
+
+describe('Agent View', () => {
+  test('should render content as Markdown and strip scripts and chrome', () => {
+    const markdown = toMarkdown(
+      doc(
+        h('header', {}, h('a', { href: '/' }, 'Acme')),
+        h('nav', {}, h('a', { href: '/lamps' }, 'Lamps')),
+        h(
+          'main',
+          {},
+          h('h1', {}, 'Desk lamps'),
+          h('p', {}, 'Warm light, ', h('strong', {}, 'free'), ' delivery on *every* order.'),
+          h('script', {}, 'window.app = {}'),
+          h(
+            'ul',
+            {},
+            h('li', {}, h('a', { href: '/lamps/aurora' }, 'Aurora'), ' floor lamp'),
+            h('li', {}, 'Desk', h('ol', {}, h('li', {}, 'Mini'), h('li', {}, 'Pro')))
+          ),
+          h('img', { src: '/aurora.jpg', alt: 'Aurora lamp in a living room' }),
+          h('img', { src: '/spacer.gif', alt: '' }),
+          h('img', { src: '/hero.png' }),
+          h('div', { hidden: '' }, 'Cookie settings'),
+          h('article', {}, h('footer', {}, 'Posted in Lighting'))
+        ),
+        h('footer', {}, '© Acme')
+      ),
+      { url: 'https://acme.test/lamps' }
+    );
+
+    expect(markdown).toBe(
+      [
+        '---',
+        'url: https://acme.test/lamps',
+        'title: "Acme lamps"',
+        'description: "Desk and floor lamps"',
+        '---',
+        '',
+        '# Desk lamps',
+        '',
+        'Warm light, **free** delivery on \\*every\\* order.',
+        '',
+        '- [Aurora](/lamps/aurora) floor lamp',
+        '- Desk',
+        '  1. Mini',
+        '  2. Pro',
+        '',
+        '![Aurora lamp in a living room](/aurora.jpg) ![](/hero.png)',
+        '',
+        'Posted in Lighting',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('should keep site chrome when the full page is requested', () => {
+    const markdown = toMarkdown(
+      doc(h('nav', {}, h('a', { href: '/lamps' }, 'Lamps')), h('p', {}, 'Hello')),
+      { full: true }
+    );
+
+    expect(markdown).toBe(
+      '---\ntitle: "Acme lamps"\ndescription: "Desk and floor lamps"\n---\n\n[Lamps](/lamps)\n\nHello\n'
+    );
+  });
+
+  test('should render tables and summarize forms', () => {
+    const markdown = toMarkdown(
+      doc(
+        h(
+          'table',
+          {},
+          h('caption', {}, 'Sizes'),
+          h('thead', {}, h('tr', {}, h('th', {}, 'Model'), h('th', {}, 'Height'))),
+          h(
+            'tbody',
+            {},
+            h('tr', {}, h('td', {}, 'Aurora'), h('td', {}, '160 cm')),
+            h('tr', {}, h('td', {}, 'Mini | travel'))
+          )
+        ),
+        h(
+          'form',
+          { action: '/subscribe', method: 'post', 'aria-label': 'Newsletter' },
+          h('label', { for: 'email' }, 'Email address'),
+          h('input', { id: 'email', type: 'email', required: '' }),
+          h('label', {}, h('input', { type: 'checkbox', name: 'offers' }), ' Send offers'),
+          h('select', { name: 'topic' }, h('option', {}, 'Lamps'), h('option', {}, 'Chairs')),
+          h('input', { type: 'hidden', name: 'token', value: 'abc' }),
+          h('button', {}, 'Subscribe')
+        )
+      )
+    );
+
+    expect(markdown.split('---\n\n')[1]).toBe(
+      [
+        '*Sizes*',
+        '',
+        '| Model | Height |',
+        '| --- | --- |',
+        '| Aurora | 160 cm |',
+        '| Mini \\| travel |  |',
+        '',
+        '**Form: Newsletter** (POST /subscribe)',
+        '',
+        '- Email address: email input, required',
+        '- Send offers: checkbox',
+        '- topic: select (Lamps, Chairs)',
+        '- [Subscribe] submit button',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('should render code blocks, quotes and line breaks', () => {
+    const markdown = toMarkdown(
+      doc(
+        h('pre', {}, h('code', { class: 'language-js' }, 'const lamp = "on";\n')),
+        h('blockquote', {}, h('p', {}, 'Best lamp', h('br'), 'ever.')),
+        h('p', {}, '1. Not a list')
+      )
+    );
+
+    expect(markdown.split('---\n\n')[1]).toBe(
+      [
+        '```js',
+        'const lamp = "on";',
+        '```',
+        '',
+        '> Best lamp  ',
+        '> ever.',
+        '',
+        '1\\. Not a list',
+        '',
+      ].join('\n')
+    );
+  });
+});
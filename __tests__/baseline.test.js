@@ -0,0 +1,163 @@
+/**
+ * Tests for baseline snapshots and "new findings only" gating
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFinding } = require('../tools/validators/findings');
+const {
+  createBaseline,
+  compareToBaseline,
+  hasNewFailures,
+  loadBaseline,
+  loadBaselineIfExists,
+  saveBaseline,
+  formatBaselineComparison,
+} = require('../tools/validators/baseline');
+
+const finding = (ruleId, message, extra = {}) => createFinding({ ruleId, message, ...extra });
+
+describe('Baselines', () => {
+  const legacyPage = {
+    url: 'https://example.com/legacy',
+    findings: [
+      finding('fr3/image-alt', '2 images missing alt attributes', {
+        selector: 'main > img:nth-of-type(1)',
+      }),
+      finding('fr3/image-alt', '2 images missing alt attributes', {
+        selector: 'main > img:nth-of-type(2)',
+      }),
+      finding('fr4/no-skip-links', 'No skip links found'),
+    ],
+  };
+
+  test('should snapshot findings sorted by page, rule and element', () => {
+    const baseline = createBaseline([legacyPage], { tool: 'compliance-audit' });
+
+    expect(baseline).toMatchObject({ version: 1, tool: 'compliance-audit' });
+    expect(baseline.findings.map((entry) => [entry.ruleId, entry.selector])).toEqual([
+      ['fr3/image-alt', 'main > img:nth-of-type(1)'],
+      ['fr3/image-alt', 'main > img:nth-of-type(2)'],
+      ['fr4/no-skip-links', null],
+    ]);
+  });
+
+  test('should keep entries for pages that were not checked again', () => {
+    const other = {
+      url: 'https://example.com/other',
+      findings: [finding('fr1/no-main', 'No main')],
+    };
+    const previous = createBaseline([legacyPage, other], { tool: 'compliance-audit' });
+    const updated = createBaseline([{ url: legacyPage.url, findings: [] }], {
+      tool: 'compliance-audit',
+      previous,
+    });
+
+    expect(updated.findings).toEqual([
+      expect.objectContaining({ url: other.url, ruleId: 'fr1/no-main' }),
+    ]);
+  });
+
+  test('should fail only on new findings and report fixed ones', () => {
+    const baseline = createBaseline([legacyPage], { tool: 'compliance-audit' });
+    const current = {
+      url: legacyPage.url,
+      findings: [
+        // Message counts change as images are fixed; the element identifies the finding
+        finding('fr3/image-alt', '1 images missing alt attributes', {
+          selector: 'main > img:nth-of-type(2)',
+        }),
+        finding('fr4/no-skip-links', 'No skip links found'),
+        finding('fr6/missing-title', 'Missing or empty page title'),
+      ],
+    };
+
+    const comparison = compareToBaseline([current], baseline);
+
+    expect(comparison.newFindings.map((entry) => entry.ruleId)).toEqual(['fr6/missing-title']);
+    expect(comparison.fixedFindings.map((entry) => entry.selector)).toEqual([
+      'main > img:nth-of-type(1)',
+    ]);
+    expect(comparison.baselinedCount).toBe(2);
+    expect(hasNewFailures(comparison)).toBe(true);
+    expect(formatBaselineComparison(comparison)[0]).toBe('Baseline: 1 new, 1 fixed, 2 known');
+  });
+
+  test('should tell findings without an element apart by their target', () => {
+    const budget = (metric, value) =>
+      finding('fr7/payload-budget', `Payload budget exceeded: ${metric} ${value}`, {
+        severity: 'warning',
+        target: metric,
+      });
+    const baseline = createBaseline(
+      [{ url: legacyPage.url, findings: [budget('htmlBytes', 120000)] }],
+      { tool: 'compliance-audit' }
+    );
+
+    expect(baseline.findings[0]).toMatchObject({ selector: null, target: 'htmlBytes' });
+
+    const comparison = compareToBaseline(
+      [
+        {
+          url: legacyPage.url,
+          findings: [budget('htmlBytes', 110000), budget('inlineScriptBytes', 60000)],
+        },
+      ],
+      baseline
+    );
+
+    expect(comparison.newFindings.map((entry) => entry.target)).toEqual(['inlineScriptBytes']);
+    expect(comparison.baselinedCount).toBe(1);
+  });
+
+  test('should not fail on new info-level findings', () => {
+    const baseline = createBaseline([legacyPage], { tool: 'fr1-checker' });
+    const comparison = compareToBaseline(
+      [
+        {
+          ...legacyPage,
+          findings: [
+            ...legacyPage.findings,
+            finding('fr1/structured-data', 'Add JSON-LD', { severity: 'info' }),
+          ],
+        },
+      ],
+      baseline
+    );
+
+    expect(comparison.newFindings).toHaveLength(1);
+    expect(hasNewFailures(comparison)).toBe(false);
+  });
+
+  describe('files', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmd-baseline-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should save and load baselines', async () => {
+      const file = path.join(dir, 'baseline.json');
+      const baseline = createBaseline([legacyPage], { tool: 'fr1-validator' });
+
+      await saveBaseline(file, baseline);
+
+      await expect(loadBaseline(file, 'fr1-validator')).resolves.toEqual(baseline);
+      await expect(loadBaseline(file, 'compliance-audit')).rejects.toThrow(
+        'was created by fr1-validator'
+      );
+    });
+
+    test('should treat a missing baseline file as no baseline', async () => {
+      await expect(loadBaselineIfExists(path.join(dir, 'missing.json'))).resolves.toBeNull();
+      await expect(loadBaseline(path.join(dir, 'missing.json'))).rejects.toThrow(
+        'Cannot read baseline'
+      );
+    });
+  });
+});
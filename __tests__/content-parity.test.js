@@ -0,0 +1,111 @@
+/**
+ * Tests for initial payload vs rendered DOM content parity
+ */
+
+const {
+  compareContentInventories,
+  describeItem,
+  formatContentParity,
+} = require('../tools/validators/content-parity');
+
+const emptyInventory = { text: [], links: [], headings: [], formControls: [] };
+
+describe('Content Parity', () => {
+  const initial = {
+    text: ['Acme Store', 'Welcome to Acme', 'Loading…'],
+    links: [{ href: 'https://acme.test/about', text: 'About' }],
+    headings: [{ level: 1, text: 'Welcome to Acme' }],
+    formControls: [{ tag: 'input', type: 'search', name: 'q', label: 'Search' }],
+  };
+
+  const rendered = {
+    text: ['Acme Store Welcome to Acme', 'Our best sellers'],
+    links: [
+      { href: 'https://acme.test/about', text: 'About us' },
+      { href: 'https://acme.test/products', text: 'Products' },
+      { href: 'https://acme.test/products', text: 'Shop now' },
+    ],
+    headings: [
+      { level: 1, text: 'Welcome to Acme' },
+      { level: 2, text: 'Best sellers' },
+    ],
+    formControls: [
+      { tag: 'input', type: 'search', name: 'q', label: 'Search products' },
+      { tag: 'button', type: null, name: null, label: 'Add to cart' },
+    ],
+  };
+
+  test('should measure the share of rendered content present in the initial payload', () => {
+    const parity = compareContentInventories(initial, rendered);
+
+    // Text re-split into different blocks by hydration still counts as present
+    expect(parity.text).toEqual({
+      total: 42,
+      present: 26,
+      score: 62,
+      missing: ['Our best sellers'],
+      missingCount: 1,
+    });
+    expect(parity.links).toMatchObject({ total: 2, present: 1, score: 50 });
+    expect(parity.links.missing).toEqual([
+      { href: 'https://acme.test/products', text: 'Products' },
+    ]);
+    expect(parity.headings.missing).toEqual([{ level: 2, text: 'Best sellers' }]);
+    expect(parity.formControls.missing.map((item) => item.label)).toEqual(['Add to cart']);
+    expect(parity.score).toBe(53);
+  });
+
+  test('should report full parity for server-rendered pages', () => {
+    const parity = compareContentInventories(rendered, rendered);
+
+    expect(parity.score).toBe(100);
+    expect(parity.text.missing).toEqual([]);
+  });
+
+  test('should report no parity for client-side rendered shells', () => {
+    const parity = compareContentInventories(emptyInventory, rendered);
+
+    expect(parity.score).toBe(0);
+    expect(parity.headings.missingCount).toBe(2);
+  });
+
+  test('should ignore categories the rendered page has no content in', () => {
+    const parity = compareContentInventories(emptyInventory, {
+      ...emptyInventory,
+      text: ['Hello'],
+    });
+
+    expect(parity.score).toBe(0);
+    expect(parity.links.score).toBe(100);
+    expect(compareContentInventories(emptyInventory, emptyInventory).score).toBe(100);
+  });
+
+  test('should cap the listed missing items', () => {
+    const links = Array.from({ length: 5 }, (_, i) => ({
+      href: `https://acme.test/${i}`,
+      text: '',
+    }));
+    const parity = compareContentInventories(
+      emptyInventory,
+      { ...emptyInventory, links },
+      { maxMissing: 2 }
+    );
+
+    expect(parity.links.missing).toHaveLength(2);
+    expect(parity.links.missingCount).toBe(5);
+    expect(formatContentParity(parity)).toContain('  … and 3 more');
+  });
+
+  test('should describe missing items', () => {
+    expect(describeItem('formControls', rendered.formControls[0])).toBe(
+      'input[type=search] q "Search products"'
+    );
+    expect(describeItem('links', { href: 'https://acme.test/', text: '' })).toBe(
+      'https://acme.test/'
+    );
+    expect(formatContentParity(compareContentInventories(initial, rendered)).slice(0, 2)).toEqual([
+      'Content parity: 53% of the rendered content is in the initial payload',
+      '  Text: 62% (26/42 characters)',
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for differential serving (cloaking) detection across user agents
+ */
+
+const {
+  summarizeResponse,
+  wordSimilarity,
+  linkSimilarity,
+  analyzeDifferentialServing,
+  formatDifferentialServing,
+} = require('../tools/validators/differential-serving');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en"><head><title>Acme lamps</title>
+<script>window.analytics = { id: 'abc' };</script>
+<style>main { color: red; }</style></head>
+<body>
+  <!-- rendered by edge worker -->
+  <nav><a href="/">Home</a> <a href="/lamps#top">Lamps</a> <a href="mailto:hi@acme.test">Mail</a></nav>
+  <main>
+    <h1>Desk lamps &amp; floor lamps</h1>
+    <p>Warm light for reading, working and relaxing. Free delivery on every order.</p>
+    <a href='https://acme.test/lamps/aurora'>Aurora floor lamp</a>
+  </main>
+</body></html>`;
+
+const response = (body, overrides = {}) => ({
+  statusCode: 200,
+  headers: { 'content-type': 'text/html; charset=utf-8' },
+  body,
+  finalUrl: 'https://acme.test/lamps',
+  ...overrides,
+});
+
+const agent = (id) => ({ id, name: id, userAgent: `${id}/1.0` });
+
+describe('Differential Serving', () => {
+  test('should summarize the text and links agents read from the raw HTML', () => {
+    const summary = summarizeResponse(response(PAGE));
+
+    expect(summary.words.slice(0, 6)).toEqual(['acme', 'lamps', 'home', 'lamps', 'mail', 'desk']);
+    expect(summary.words).not.toContain('analytics');
+    expect(summary.words).not.toContain('worker');
+    expect(summary.links).toEqual([
+      'https://acme.test/',
+      'https://acme.test/lamps',
+      'https://acme.test/lamps/aurora',
+    ]);
+    expect(summary.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(summary.headers['x-robots-tag']).toBeNull();
+  });
+
+  test('should measure word and link similarity', () => {
+    expect(wordSimilarity(['a', 'b', 'b'], ['a', 'b', 'b'])).toBe(1);
+    expect(wordSimilarity(['a', 'b'], ['a', 'c'])).toBeCloseTo(1 / 3);
+    expect(wordSimilarity([], [])).toBe(1);
+    expect(linkSimilarity(['/a', '/b'], ['/a'])).toBe(0.5);
+  });
+
+  test('should flag blocked agents and cloaking', () => {
+    const report = analyzeDifferentialServing({
+      url: 'https://acme.test/lamps',
+      baseline: response(PAGE),
+      responses: [
+        { agent: agent('same'), response: response(PAGE) },
+        {
+          agent: agent('challenged'),
+          response: response('<html><body>Access denied</body></html>', { statusCode: 403 }),
+        },
+        {
+          agent: agent('cloaked'),
+          response: response(
+            PAGE.replace('Warm light for reading', 'Best cheap lamps buy lamps online lamps deals')
+          ),
+        },
+        {
+          agent: agent('noindexed'),
+          response: response(PAGE, {
+            headers: { 'content-type': 'text/html; charset=utf-8', 'x-robots-tag': 'noindex' },
+          }),
+        },
+        { agent: agent('offline'), error: 'ECONNRESET' },
+      ],
+    });
+
+    expect(report.agents.map((entry) => [entry.id, entry.verdict])).toEqual([
+      ['same', 'same'],
+      ['challenged', 'blocked'],
+      ['cloaked', 'different'],
+      ['noindexed', 'different'],
+      ['offline', 'blocked'],
+    ]);
+    expect(report.agents[1].reasons).toEqual([
+      'HTTP 403 instead of 200',
+      'Only 2 of 24 words',
+      'Links 0% similar (3 missing, 0 added)',
+    ]);
+    expect(report.agents[3].reasons).toEqual(['x-robots-tag: noindex instead of (none)']);
+    expect(report.findings.map((finding) => [finding.ruleId, finding.severity])).toEqual([
+      ['serving/agent-blocked', 'error'],
+      ['serving/cloaking-risk', 'warning'],
+      ['serving/cloaking-risk', 'warning'],
+      ['serving/agent-blocked', 'error'],
+    ]);
+  });
+
+  test('should allow for content that changes between browser fetches', () => {
+    const rotating = (deal) => PAGE.replace('Free delivery on every order', deal);
+    const analyze = (baselineRepeat) =>
+      analyzeDifferentialServing({
+        url: 'https://acme.test/lamps',
+        baseline: response(rotating('Today only twenty percent off')),
+        baselineRepeat,
+        responses: [
+          { agent: agent('bot'), response: response(rotating('Weekend sale on all shades')) },
+        ],
+      });
+
+    expect(analyze(undefined).agents[0].verdict).toBe('different');
+
+    const report = analyze(response(rotating('Spring offers for new customers')));
+    expect(report.noise).toBeGreaterThan(0);
+    expect(report.agents[0].verdict).toBe('same');
+  });
+
+  test('should describe the report', () => {
+    const report = analyzeDifferentialServing({
+      url: 'https://acme.test/lamps',
+      baseline: response(PAGE),
+      responses: [{ agent: agent('offline'), error: 'ECONNRESET' }],
+    });
+
+    expect(formatDifferentialServing(report)).toEqual([
+      'Differential serving: https://acme.test/lamps',
+      '  Browser: HTTP 200, 24 words, 3 links',
+      '',
+      '  ✗ offline: blocked',
+      '      Request failed: ECONNRESET',
+    ]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the structured findings shared by the checker, auditor and simulator
+ */
+
+const {
+  createFinding,
+  getSelectorPath,
+  getSnippet,
+  getSourceLocation,
+  formatSourceContext,
+  toLegacyLists,
+} = require('../tools/validators/findings');
+
+/**
+ * Minimal element stand-in with the DOM properties the helpers read
+ */
+function element(tagName, attributes = {}, children = [], outerHTML = '') {
+  const node = {
+    nodeType: 1,
+    tagName: tagName.toUpperCase(),
+    children,
+    parentElement: null,
+    outerHTML,
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+  };
+  children.forEach((child) => {
+    child.parentElement = node;
+  });
+  return node;
+}
+
+function document(root, ids = {}) {
+  const doc = { querySelectorAll: (selector) => ids[selector] || [] };
+  const assign = (node) => {
+    node.ownerDocument = doc;
+    node.children.forEach(assign);
+  };
+  assign(root);
+  return doc;
+}
+
+describe('Findings', () => {
+  test('should create findings with defaults', () => {
+    expect(createFinding({ ruleId: 'fr1/missing-title', message: 'Missing title' })).toEqual({
+      ruleId: 'fr1/missing-title',
+      severity: 'error',
+      requirement: 'FR1',
+      message: 'Missing title',
+      selector: null,
+      snippet: null,
+      help: '',
+      location: null,
+      target: null,
+    });
+  });
+
+  test('should reject unknown severities', () => {
+    expect(() => createFinding({ ruleId: 'x', severity: 'fatal', message: 'x' })).toThrow(
+      'Invalid finding severity'
+    );
+  });
+
+  test('should build nth-of-type selector paths', () => {
+    const second = element('input');
+    const form = element('form', {}, [element('input'), second]);
+    const html = element('html', {}, [element('body', {}, [form])]);
+    document(html);
+
+    expect(getSelectorPath(second)).toBe('html > body > form > input:nth-of-type(2)');
+  });
+
+  test('should anchor selector paths at a unique id', () => {
+    const input = element('input');
+    const form = element('form', { id: 'signup' }, [input]);
+    const html = element('html', {}, [element('body', {}, [form])]);
+    document(html, { '#signup': [form] });
+
+    expect(getSelectorPath(input)).toBe('form#signup > input');
+  });
+
+  test('should shorten long snippets to the opening tag', () => {
+    const short = element('img', {}, [], '<img  src="a.png">');
+    const long = element('p', {}, [], `<p class="intro">${'text '.repeat(100)}</p>`);
+
+    expect(getSnippet(short)).toBe('<img src="a.png">');
+    expect(getSnippet(long)).toBe('<p class="intro">…');
+  });
+
+  test('should derive legacy string lists by severity', () => {
+    const findings = [
+      createFinding({ ruleId: 'fr3/image-alt', message: 'Images missing alt', selector: 'img' }),
+      createFinding({
+        ruleId: 'fr3/image-alt',
+        message: 'Images missing alt',
+        selector: 'p > img',
+      }),
+      createFinding({ ruleId: 'fr6/meta', severity: 'warning', message: 'Missing meta' }),
+      createFinding({ ruleId: 'fr2/agent', severity: 'info', message: 'Add attributes' }),
+    ];
+
+    expect(toLegacyLists(findings)).toEqual({
+      issues: ['Images missing alt'],
+      warnings: ['Missing meta'],
+      recommendations: ['Add attributes'],
+    });
+  });
+
+  test('should map node locations to start tag ranges with context lines', () => {
+    const source = ['<body>', '  <form>', '    <input name="email">', '  </form>', '</body>'].join(
+      '\n'
+    );
+    const nodeLocation = {
+      startLine: 3,
+      startCol: 5,
+      endLine: 3,
+      endCol: 25,
+      startTag: { startLine: 3, startCol: 5, endLine: 3, endCol: 25 },
+    };
+
+    const location = getSourceLocation(source, nodeLocation, { contextLines: 1 });
+
+    expect(location).toEqual({
+      startLine: 3,
+      startColumn: 5,
+      endLine: 3,
+      endColumn: 25,
+      context: [
+        { line: 2, text: '  <form>' },
+        { line: 3, text: '    <input name="email">' },
+        { line: 4, text: '  </form>' },
+      ],
+    });
+    expect(formatSourceContext(location)).toBe(
+      ['  2 |   <form>', '> 3 |     <input name="email">', '  4 |   </form>'].join('\n')
+    );
+  });
+
+  test('should window long minified lines around the column', () => {
+    const source = `${'<div></div>'.repeat(50)}<img src="x.png">${'<p></p>'.repeat(50)}`;
+    const column = source.indexOf('<img') + 1;
+    const location = getSourceLocation(
+      source,
+      { startLine: 1, startCol: column, endLine: 1, endCol: column + 17 },
+      { maxWidth: 60 }
+    );
+
+    expect(location.context[0].text).toContain('<img src="x.png">');
+    expect(location.context[0].text.startsWith('…')).toBe(true);
+    expect(location.context[0].text.endsWith('…')).toBe(true);
+  });
+
+  test('should return null for elements implied by the parser', () => {
+    expect(getSourceLocation('<p>text</p>', null)).toBeNull();
+  });
+});
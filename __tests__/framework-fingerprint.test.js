@@ -0,0 +1,179 @@
+/**
+ * Tests for framework fingerprinting and framework-specific remediation
+ */
+
+const {
+  readAgentAttributes,
+  detectFramework,
+  analyzeFramework,
+  describeFramework,
+} = require('../tools/validators/framework-fingerprint');
+
+const CONTENT = `<main><h1>Desk lamps</h1><p>${'Our desk lamps use warm, dimmable LEDs and ship flat-packed within two days. '.repeat(3)}</p></main>`;
+
+const page = (body, { root = '', head = '' } = {}) =>
+  `<!DOCTYPE html><html lang="en"${root}><head><title>Lamps</title>${head}</head><body>${body}</body></html>`;
+
+describe('Framework Fingerprint', () => {
+  test.each([
+    [
+      'Next.js',
+      page(
+        `<div id="__next">${CONTENT}</div><script id="__NEXT_DATA__" type="application/json">{"props":{},"gsp":true}</script>`,
+        { head: '<script src="/_next/static/chunks/main.js"></script>' }
+      ),
+      { framework: 'next', mode: 'ssg', confidence: 'high' },
+    ],
+    [
+      'Nuxt',
+      page(
+        `<div id="__nuxt">${CONTENT}</div><script>window.__NUXT__={serverRendered:true}</script>`
+      ),
+      { framework: 'nuxt', mode: 'ssr' },
+    ],
+    [
+      'Astro',
+      page(`${CONTENT}<astro-island uid="1"></astro-island>`, {
+        head: '<meta name="generator" content="Astro v4.0.3">',
+      }),
+      { framework: 'astro', version: '4.0.3', mode: 'prerendered' },
+    ],
+    [
+      'Gatsby',
+      page(`<div id="___gatsby"><div id="gatsby-focus-wrapper">${CONTENT}</div></div>`, {
+        head: '<meta content="Gatsby 5.12.0" name="generator">',
+      }),
+      { framework: 'gatsby', version: '5.12.0', mode: 'ssg' },
+    ],
+    [
+      'Angular',
+      page(`<app-root ng-version="17.1.2" ng-server-context="ssr">${CONTENT}</app-root>`),
+      { framework: 'angular', version: '17.1.2', mode: 'ssr' },
+    ],
+    [
+      'Vue',
+      page(`<div id="app" data-server-rendered="true">${CONTENT}</div>`),
+      { framework: 'vue', mode: 'ssr' },
+    ],
+    [
+      'Create React App',
+      page(
+        '<noscript>You need to enable JavaScript to run this app.</noscript><div id="root"></div><script src="/static/js/main.1a2b3c4d.js"></script>'
+      ),
+      { framework: 'spa', mode: 'csr' },
+    ],
+    [
+      'Vite',
+      page(
+        '<div id="app"></div><script type="module" crossorigin src="/assets/index-D4x_9a.js"></script>'
+      ),
+      { framework: 'spa', mode: 'csr' },
+    ],
+  ])('should detect %s', (name, html, expected) => {
+    expect(detectFramework(html)).toMatchObject(expected);
+  });
+
+  test('should use response headers as evidence', () => {
+    const report = detectFramework(page(CONTENT), { 'x-powered-by': 'Next.js' });
+
+    expect(report).toMatchObject({ framework: 'next', confidence: 'medium' });
+    expect(report.evidence).toEqual(['X-Powered-By: Next.js']);
+  });
+
+  test('should not report a framework from weak hints alone', () => {
+    const report = detectFramework(page(`<div id="app">${CONTENT}</div>`));
+
+    expect(report.framework).toBeNull();
+    expect(report.mode).toBe('prerendered');
+    expect(report.candidates).toEqual([{ framework: 'vue', score: 1, evidence: ['#app root'] }]);
+    expect(describeFramework(report)).toBe('Framework: not detected (server-rendered)');
+  });
+
+  test('should read data-agent attributes from <html> or <body>', () => {
+    expect(
+      readAgentAttributes(
+        '<html lang="en" data-agent-mode=ssr><body data-agent-framework=\'nuxt\'></body></html>'
+      )
+    ).toEqual({ 'data-agent-framework': 'nuxt', 'data-agent-mode': 'ssr' });
+  });
+
+  test('should accept declared values that match the fingerprint', () => {
+    const html = page(`<div id="__next">${CONTENT}</div>`, {
+      root: ' data-agent-framework="next.js" data-agent-mode="hybrid"',
+      head: '<script src="/_next/static/chunks/main.js"></script>',
+    });
+    const report = analyzeFramework({ html });
+
+    expect(report.declared).toEqual({ framework: 'next.js', mode: 'hybrid' });
+    expect(report.problems).toEqual([]);
+    expect(report.recommendations).toEqual([]);
+    expect(describeFramework(report)).toBe(
+      'Framework: Next.js (medium confidence, server-rendered)'
+    );
+  });
+
+  test('should flag a declared framework and mode the payload contradicts', () => {
+    const html = page('<div id="root"></div><script src="/static/js/main.1a2b3c4d.js"></script>', {
+      root: ' data-agent-framework="next" data-agent-mode="ssr"',
+    });
+    const report = analyzeFramework({ html });
+
+    expect(report.problems).toEqual([
+      {
+        severity: 'warning',
+        code: 'framework-mismatch',
+        message:
+          'data-agent-framework="next" but the page looks like CRA/Vite SPA (Create React App bundle, #root mount)',
+      },
+      {
+        severity: 'warning',
+        code: 'mode-mismatch',
+        message: 'data-agent-mode="ssr" but the initial payload is an empty client-rendered shell',
+      },
+    ]);
+    expect(report.recommendations).toEqual([
+      {
+        requirement: 'FR6',
+        message: 'Set data-agent-framework="react" to match the CRA/Vite SPA build',
+        section: 'Server Configuration',
+        reference: 'examples/react-spa-example.md#server-configuration',
+      },
+      {
+        requirement: 'FR1',
+        message:
+          'Render CRA/Vite SPA pages on the server or at build time so agents get content without JavaScript',
+        section: '1. Skeleton Content Strategy',
+        reference: 'examples/csr-mitigation.md#1-skeleton-content-strategy',
+      },
+    ]);
+  });
+
+  test('should link the framework guide when attributes are missing', () => {
+    const html = page(`<div id="__nuxt">${CONTENT}</div><script src="/_nuxt/entry.js"></script>`);
+    const report = analyzeFramework({ html, attributes: {} });
+
+    expect(report.recommendations).toEqual([
+      {
+        requirement: 'FR6',
+        message: 'Declare the Nuxt stack with data-agent-framework="nuxt" on <html>',
+        section: 'Main App Structure',
+        reference: 'examples/nuxt-ssr-example.md#main-app-structure',
+      },
+    ]);
+  });
+
+  test('should flag a csr mode on a server-rendered page', () => {
+    const html = page(CONTENT, {
+      head: '<meta name="generator" content="Astro v4.0.3">',
+      root: ' data-agent-framework="astro" data-agent-mode="csr"',
+    });
+
+    expect(analyzeFramework({ html }).problems).toEqual([
+      {
+        severity: 'warning',
+        code: 'mode-mismatch',
+        message: 'data-agent-mode="csr" but the initial payload looks server-rendered',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the shared HTTP client used by the FR-1 Checker and Validator
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const { fetchPage, detectCharset } = require('../tools/validators/http-client');
+
+const PAGE = '<!DOCTYPE html><html lang="en"><body><main><h1>Café menu</h1></main></body></html>';
+
+describe('HTTP Client', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/gzip':
+          res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+          res.end(zlib.gzipSync(PAGE));
+          break;
+        case '/deflate':
+          res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'deflate' });
+          res.end(zlib.deflateSync(PAGE));
+          break;
+        case '/br':
+          res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'br' });
+          res.end(zlib.brotliCompressSync(PAGE));
+          break;
+        case '/latin1':
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=ISO-8859-1' });
+          res.end(Buffer.from(PAGE, 'latin1'));
+          break;
+        case '/meta-charset':
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(Buffer.from(`<meta charset="windows-1252">${PAGE}`, 'latin1'));
+          break;
+        case '/old':
+          res.writeHead(301, { Location: '/middle' });
+          res.end();
+          break;
+        case '/middle':
+          res.writeHead(302, { Location: `${baseUrl}/gzip` });
+          res.end();
+          break;
+        case '/loop':
+          res.writeHead(302, { Location: '/loop-back' });
+          res.end();
+          break;
+        case '/loop-back':
+          res.writeHead(302, { Location: '/loop' });
+          res.end();
+          break;
+        default:
+          res.writeHead(404);
+          res.end('Not found');
+      }
+    });
+
+    server.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test.each(['gzip', 'deflate', 'br'])('should decode %s responses', async (encoding) => {
+    const response = await fetchPage(`${baseUrl}/${encoding}`);
+
+    expect(response.contentEncoding).toBe(encoding);
+    expect(response.body).toBe(PAGE);
+  });
+
+  test('should decode the charset from Content-Type', async () => {
+    const response = await fetchPage(`${baseUrl}/latin1`);
+
+    expect(response.charset).toBe('iso-8859-1');
+    expect(response.body).toContain('Café menu');
+  });
+
+  test('should decode the charset from <meta charset>', async () => {
+    const response = await fetchPage(`${baseUrl}/meta-charset`);
+
+    expect(response.charset).toBe('windows-1252');
+    expect(response.body).toContain('Café menu');
+  });
+
+  test('should follow redirect chains and record them', async () => {
+    const response = await fetchPage(`${baseUrl}/old`);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.finalUrl).toBe(`${baseUrl}/gzip`);
+    expect(response.redirects.map((redirect) => redirect.statusCode)).toEqual([301, 302]);
+    expect(response.body).toBe(PAGE);
+  });
+
+  test('should stop at the redirect limit', async () => {
+    await expect(fetchPage(`${baseUrl}/old`, { maxRedirects: 1 })).rejects.toThrow(
+      /Too many redirects/
+    );
+  });
+
+  test('should detect redirect loops', async () => {
+    await expect(fetchPage(`${baseUrl}/loop`)).rejects.toThrow(/Redirect loop/);
+  });
+
+  test('should resolve non-2xx responses for the caller to handle', async () => {
+    const response = await fetchPage(`${baseUrl}/missing`);
+    expect(response.statusCode).toBe(404);
+  });
+});
+
+describe('Charset Detection', () => {
+  test('should default to utf-8', () => {
+    expect(detectCharset(Buffer.from('<html></html>'), 'text/html')).toBe('utf-8');
+  });
+
+  test('should read http-equiv content type declarations', () => {
+    const body = Buffer.from(
+      '<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS">'
+    );
+    expect(detectCharset(body, undefined)).toBe('shift_jis');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for content trapped in hydration data
+ */
+
+const { findHydrationBlobs, analyzeHydrationData } = require('../tools/validators/hydration-data');
+
+const BODY =
+  'Our desk lamps use warm, dimmable LEDs and ship flat-packed within two days. Each lamp carries a five-year warranty and replaceable parts.';
+
+const NEXT_DATA = JSON.stringify({
+  props: {
+    pageProps: {
+      product: {
+        title: 'Aurora desk lamp',
+        description: BODY,
+        slug: '/products/aurora',
+        className: 'flex items-center gap-2',
+        image: 'https://cdn.example.com/aurora.png',
+      },
+    },
+  },
+  page: '/products/[slug]',
+  buildId: 'a1b2c3',
+});
+
+const page = (body) =>
+  `<!DOCTYPE html><html lang="en"><head><title>Lamps</title></head><body>${body}</body></html>`;
+
+const nextPage = (content) =>
+  page(
+    `<div id="__next">${content}</div><script id="__NEXT_DATA__" type="application/json">${NEXT_DATA}</script>`
+  );
+
+describe('Hydration Data', () => {
+  test('should find Next.js and Nuxt hydration blobs', () => {
+    const blobs = findHydrationBlobs(
+      page(
+        '<script id="__NEXT_DATA__" type="application/json">{}</script>' +
+          '<script type="application/json" id="__NUXT_DATA__">[]</script>' +
+          '<script>window.__NUXT__=(function(a){return {}}("x"))</script>' +
+          '<script>self.__next_f.push([1,"x"])</script>' +
+          '<script>window.dataLayer = [];</script>' +
+          '<!-- <script>window.__NUXT__={}</script> -->'
+      )
+    );
+
+    expect(blobs.map(({ source, json }) => [source, json])).toEqual([
+      ['__NEXT_DATA__', true],
+      ['__NUXT_DATA__', true],
+      ['window.__NUXT__', false],
+      ['self.__next_f', false],
+    ]);
+  });
+
+  test('should report readable text an empty shell only ships as hydration data', () => {
+    const report = analyzeHydrationData(nextPage(''), { thresholds: { minMissingChars: 100 } });
+
+    expect(report.blobs).toEqual([
+      {
+        source: '__NEXT_DATA__',
+        bytes: Buffer.byteLength(NEXT_DATA),
+        parsed: true,
+        strings: 2,
+        textChars: 16 + BODY.length - 1,
+        missingChars: 16 + BODY.length - 1,
+      },
+    ]);
+    expect(report.missingShare).toBe(1);
+    expect(report.duplicatedBytes).toBe(0);
+    expect(report.missing).toEqual([
+      'Aurora desk lamp',
+      'Our desk lamps use warm, dimmable LEDs and ship flat-packed within two days. Ea…',
+    ]);
+    expect(report.warnings).toEqual([
+      {
+        code: 'trapped',
+        message:
+          '100% of the readable text in __NEXT_DATA__ (153 of 153 characters) is missing from the visible HTML, e.g. "Aurora desk lamp"',
+      },
+    ]);
+  });
+
+  test('should count rendered text as duplicated bytes', () => {
+    const report = analyzeHydrationData(
+      nextPage(`<h1>Aurora Desk Lamp</h1><p>${BODY.replace('LEDs', '<b>LEDs</b>')}</p>`),
+      { thresholds: { maxDuplicateBytes: 100 } }
+    );
+
+    expect(report.missingChars).toBe(0);
+    expect(report.missing).toEqual([]);
+    expect(report.duplicatedBytes).toBe(
+      Buffer.byteLength(JSON.stringify('Aurora desk lamp') + JSON.stringify(BODY))
+    );
+    expect(report.warnings.map((warning) => warning.code)).toEqual(['duplicate']);
+    expect(report.warnings[0].message).toMatch(
+      /^\d+ bytes of __NEXT_DATA__ repeat text already in the visible HTML \(\d+% of \d+ hydration bytes, limit 100\)$/
+    );
+  });
+
+  test('should count partly rendered bodies sentence by sentence', () => {
+    const report = analyzeHydrationData(
+      nextPage(`<h1>Aurora desk lamp</h1><p>${BODY.split('. ')[0]}.</p>`)
+    );
+
+    expect(report.missingChars).toBe(
+      'Each lamp carries a five-year warranty and replaceable parts.'.length
+    );
+    expect(report.missingShare).toBeLessThan(0.5);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('should scan string literals of Nuxt and React Server Component payloads', () => {
+    const report = analyzeHydrationData(
+      page(
+        '<div id="__nuxt"><p>Hello from the server</p></div>' +
+          '<script>window.__NUXT__=(function(a,b){return {data:[{title:a,body:b}]}}("Aurora desk lamp",\'It\\\'s bright and "warm" light.\'))</script>' +
+          '<script>self.__next_f.push([1,"1:[\\"$\\",\\"p\\",null,{\\"children\\":\\"Hello from the server\\"}]\\n"])</script>'
+      ),
+      { thresholds: { minMissingChars: 10 } }
+    );
+
+    expect(
+      report.blobs.map(({ source, parsed, strings, missingChars }) => [
+        source,
+        parsed,
+        strings,
+        missingChars,
+      ])
+    ).toEqual([
+      ['window.__NUXT__', false, 2, 45],
+      ['self.__next_f', false, 1, 0],
+    ]);
+    expect(report.missing).toEqual(['Aurora desk lamp', 'It\'s bright and "warm" light.']);
+    expect(report.warnings.map((warning) => warning.code)).toEqual(['trapped']);
+  });
+
+  test('should report nothing for pages without hydration data', () => {
+    expect(analyzeHydrationData(page(`<main><p>${BODY}</p></main>`))).toEqual({
+      bytes: 0,
+      textChars: 0,
+      missingChars: 0,
+      missingShare: 0,
+      duplicatedBytes: 0,
+      duplicatedShare: 0,
+      blobs: [],
+      missing: [],
+      warnings: [],
+    });
+  });
+});
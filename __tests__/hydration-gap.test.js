@@ -0,0 +1,122 @@
+/**
+ * Tests for the hydration gap report of JS-only content
+ */
+
+const {
+  getMitigationGuidance,
+  findJSOnlySubtrees,
+  formatHydrationGap,
+} = require('../tools/validators/hydration-gap');
+
+// Blocks as captureContentBlocks records them; ancestors are element indexes
+const text = (value, ancestors, landmark = 'main', extra = {}) => ({
+  kind: 'text',
+  key: value.toLowerCase(),
+  text: value,
+  tag: 'p',
+  landmark,
+  landmarkDepth: 0,
+  ancestors,
+  ...extra,
+});
+
+const control = (key, label, ancestors, landmark = 'main', extra = {}) => ({
+  kind: 'control',
+  key,
+  text: label,
+  tag: 'input',
+  landmark,
+  landmarkDepth: 0,
+  ancestors,
+  ...extra,
+});
+
+describe('Hydration Gap', () => {
+  // <main>(0) <h1>(1) <div id="app">(2) <section>(3) <h2>(4) <ul>(5) <li>(6-8)
+  const initial = [text('Shop', [0, 1]), text('Loading…', [0, 2])];
+  const rendered = [
+    text('Shop', [0, 1]),
+    text('Best sellers', [0, 2, 3, 4]),
+    text('Lamp', [0, 2, 3, 5, 6], 'main', { tag: 'li' }),
+    text('Chair', [0, 2, 3, 5, 7], 'main', { tag: 'li' }),
+    text('Desk', [0, 2, 3, 5, 8], 'main', { tag: 'li' }),
+    text('Home Deals', [10, 11], 'navigation "Primary"'),
+  ];
+
+  test('should collapse JS-only blocks into their outermost JS-only subtree', () => {
+    const report = findJSOnlySubtrees(initial, rendered);
+
+    expect(report.totals).toEqual({
+      subtrees: 2,
+      blocks: 5,
+      renderedBlocks: 6,
+      characters: 35,
+    });
+    expect(report.landmarks.map((group) => group.landmark)).toEqual([
+      'main',
+      'navigation "Primary"',
+    ]);
+
+    const [subtree] = report.landmarks[0].subtrees;
+    expect(subtree).toMatchObject({
+      index: 2,
+      blocks: 4,
+      texts: ['Best sellers', 'Lamp', 'Chair', 'Desk'],
+    });
+    expect(subtree.guidance).toEqual({
+      title: '5. Enhanced Product List Component',
+      reference: 'examples/csr-mitigation.md#5-enhanced-product-list-component',
+    });
+  });
+
+  test('should not collapse past a landmark nested in JS-only content', () => {
+    // <main>(0) <div>(1) <p>(2) <form role="search">(3) <input>(4)
+    const report = findJSOnlySubtrees(
+      [control('input  q', 'Search', [0, 1, 3, 4], 'search', { landmarkDepth: 2 })],
+      [
+        text('New arrivals', [0, 1, 2]),
+        control('input  q', 'Search', [0, 1, 3, 4], 'search', { landmarkDepth: 2 }),
+      ]
+    );
+
+    expect(report.landmarks).toHaveLength(1);
+    expect(report.landmarks[0].subtrees.map((subtree) => subtree.index)).toEqual([2]);
+  });
+
+  test('should find no gap for server-rendered pages', () => {
+    const report = findJSOnlySubtrees(rendered, rendered);
+
+    expect(report.landmarks).toEqual([]);
+    expect(formatHydrationGap(report)).toEqual([
+      'Hydration gap: all rendered content is in the initial payload',
+    ]);
+  });
+
+  test('should point each subtree at a CSR mitigation technique', () => {
+    const guidance = (landmark, blocks) => getMitigationGuidance({ landmark, blocks }).title;
+
+    expect(guidance('main', [control('input email', 'Email', [0])])).toBe(
+      '6. Progressive Enhancement Form'
+    );
+    expect(guidance('banner', [text('Acme', [0])])).toBe('1. Skeleton Content Strategy');
+    expect(guidance('main', [text('Welcome', [0])])).toBe('7. Pre-rendering Strategy');
+    expect(guidance('page (outside landmarks)', [text('Cookie banner', [0])])).toBe(
+      '3. React CSR with BiModal Design Patterns'
+    );
+  });
+
+  test('should describe located subtrees by landmark', () => {
+    const report = findJSOnlySubtrees(initial, rendered);
+    report.landmarks[0].subtrees[0].selector = 'div#app';
+
+    const lines = formatHydrationGap(report);
+
+    expect(lines[0]).toBe(
+      'Hydration gap: 5 of 6 content blocks (35 characters) in 2 subtree(s) only appear after JavaScript runs'
+    );
+    expect(lines).toContain('  ✗ div#app (4 block(s))');
+    expect(lines).toContain(
+      '    → 5. Enhanced Product List Component (examples/csr-mitigation.md#5-enhanced-product-list-component)'
+    );
+  });
+});
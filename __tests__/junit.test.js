@@ -0,0 +1,141 @@
+/**
+ * Tests for JUnit XML output of checker and auditor results
+ */
+
+const {
+  escapeXML,
+  toJUnitXML,
+  suiteFromCheckResult,
+  suiteFromAuditResult,
+} = require('../tools/validators/junit');
+
+describe('JUnit XML Output', () => {
+  test('should escape XML special and control characters', () => {
+    expect(escapeXML('<a href="x">Tom & Jerry\'s\u0007</a>')).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+    );
+  });
+
+  test('should report one testcase per checker rule', () => {
+    const suite = suiteFromCheckResult({
+      url: '/about/',
+      file: 'dist/about/index.html',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      loadTime: 250,
+      score: 0.5,
+      ruleResults: {
+        structure: {
+          category: 'structure',
+          severity: 'error',
+          score: 1,
+          passed: true,
+          messages: [],
+        },
+        forms: {
+          category: 'forms',
+          severity: 'error',
+          score: 0.2,
+          passed: false,
+          messages: ['Many form fields lack proper labels (0/2 labeled)'],
+        },
+        'acme/broken': {
+          category: 'custom',
+          severity: 'warning',
+          score: null,
+          passed: false,
+          error: 'boom',
+        },
+      },
+    });
+
+    expect(suite).toMatchObject({ name: 'dist/about/index.html', time: 0.25 });
+    expect(suite.testcases).toEqual([
+      { name: 'structure', classname: 'fr1-checker.structure' },
+      {
+        name: 'forms',
+        classname: 'fr1-checker.forms',
+        failure: {
+          message: 'forms scored 20% (needs 70%)',
+          type: 'error',
+          text: 'Many form fields lack proper labels (0/2 labeled)',
+        },
+      },
+      {
+        name: 'acme/broken',
+        classname: 'fr1-checker.custom',
+        error: { message: 'boom', type: 'rule-error' },
+      },
+    ]);
+  });
+
+  test('should report one testcase per audited FR requirement', () => {
+    const suite = suiteFromAuditResult({
+      url: 'https://example.com/',
+      overallScore: 64,
+      requirements: {
+        FR1: { name: 'Initial Payload Accessibility', score: 100, passed: true, issues: [] },
+        FR3: {
+          name: 'ARIA Implementation',
+          score: 40,
+          passed: false,
+          issues: ['2 images missing alt attributes'],
+        },
+      },
+    });
+
+    expect(suite.testcases.map((testcase) => testcase.name)).toEqual([
+      'FR1 Initial Payload Accessibility',
+      'FR3 ARIA Implementation',
+    ]);
+    expect(suite.testcases[1].failure).toEqual({
+      message: 'FR3 scored 40/100 (needs 70)',
+      type: 'FR3',
+      text: '2 images missing alt attributes',
+    });
+  });
+
+  test('should report pages that failed to load as errors', () => {
+    const suite = suiteFromAuditResult({
+      url: 'https://down.example/',
+      error: 'net::ERR',
+      overallScore: 0,
+    });
+
+    expect(suite.testcases).toEqual([
+      {
+        name: 'audit',
+        classname: 'compliance-audit',
+        error: { message: 'net::ERR', type: 'page-error' },
+      },
+    ]);
+  });
+
+  test('should render suites with totals', () => {
+    const xml = toJUnitXML({
+      name: 'BiModal Design',
+      suites: [
+        {
+          name: 'https://example.com/',
+          time: 1.5,
+          properties: { score: 0.5 },
+          testcases: [
+            { name: 'FR1', classname: 'compliance-audit.FR1' },
+            {
+              name: 'FR3',
+              classname: 'compliance-audit.FR3',
+              failure: { message: 'x < y', text: 'a & b' },
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(xml).toContain(
+      '<testsuites name="BiModal Design" tests="2" failures="1" errors="0" skipped="0" time="1.500">'
+    );
+    expect(xml).toContain('<property name="score" value="0.5"/>');
+    expect(xml).toContain('<testcase name="FR1" classname="compliance-audit.FR1" time="0.000"/>');
+    expect(xml).toContain('<failure message="x &lt; y">a &amp; b</failure>');
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n')).toBe(true);
+  });
+});
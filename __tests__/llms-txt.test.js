@@ -0,0 +1,157 @@
+/**
+ * Tests for llms.txt discovery and validation
+ */
+
+const {
+  parseLlmsTxt,
+  isTextFile,
+  checkLlmsTxt,
+  describeLlmsTxt,
+} = require('../tools/validators/llms-txt');
+
+const LLMS_TXT = `# Acme Store
+
+> Lamps, chairs and desks, shipped across Europe.
+
+Prices are in EUR and include VAT.
+
+## Docs
+
+- [Shipping](/docs/shipping.md): Delivery times and costs
+- [Returns](https://acme.test/docs/returns.md)
+
+## Optional
+
+- [Company history](/about/history.md)
+`;
+
+const text = (body) => ({ statusCode: 200, body, headers: { 'content-type': 'text/plain' } });
+const notFound = { statusCode: 404, body: 'Not found', headers: { 'content-type': 'text/plain' } };
+
+/**
+ * Fake fetch serving a map of URL → response; unknown URLs are 404s
+ */
+const fakeFetch = (responses) => (url) => {
+  const response = responses[url];
+  return response instanceof Error
+    ? Promise.reject(response)
+    : Promise.resolve(response || notFound);
+};
+
+describe('llms.txt Parser', () => {
+  test('should parse the title, summary, details and link sections', () => {
+    const parsed = parseLlmsTxt(LLMS_TXT);
+
+    expect(parsed.title).toBe('Acme Store');
+    expect(parsed.summary).toBe('Lamps, chairs and desks, shipped across Europe.');
+    expect(parsed.details).toBe('Prices are in EUR and include VAT.');
+    expect(parsed.sections.map((section) => [section.name, section.optional])).toEqual([
+      ['Docs', false],
+      ['Optional', true],
+    ]);
+    expect(parsed.sections[0].links[0]).toEqual({
+      title: 'Shipping',
+      url: '/docs/shipping.md',
+      notes: 'Delivery times and costs',
+      line: 9,
+    });
+    expect(parsed.problems).toEqual([]);
+  });
+
+  test('should report structure problems', () => {
+    const parsed = parseLlmsTxt(`Welcome!
+# Acme
+# Acme again
+
+## Docs
+- Shipping information
+`);
+
+    expect(parsed.problems.map((problem) => problem.code)).toEqual([
+      'title-not-first',
+      'multiple-titles',
+      'invalid-link-item',
+      'missing-summary',
+      'no-links',
+      'empty-section',
+    ]);
+    expect(parseLlmsTxt('').problems[0].code).toBe('missing-title');
+  });
+
+  test('should not read headings or links inside code blocks', () => {
+    const parsed = parseLlmsTxt('# Acme\n\n> Store\n\n```\n## Not a section\n```\n');
+
+    expect(parsed.sections).toEqual([]);
+    expect(parsed.details).toBe('```\n## Not a section\n```');
+  });
+
+  test('should treat HTML fallbacks as missing files', () => {
+    expect(isTextFile(text(LLMS_TXT))).toBe(true);
+    expect(isTextFile({ statusCode: 200, body: '<!DOCTYPE html><html></html>', headers: {} })).toBe(
+      false
+    );
+    expect(
+      isTextFile({ statusCode: 200, body: '', headers: { 'content-type': 'text/html' } })
+    ).toBe(false);
+    expect(isTextFile(notFound)).toBe(false);
+  });
+});
+
+describe('llms.txt Check', () => {
+  test('should resolve linked URLs and score a complete llms.txt', async () => {
+    const report = await checkLlmsTxt('https://acme.test/products/lamp', {
+      fetch: fakeFetch({
+        'https://acme.test/llms.txt': text(LLMS_TXT),
+        'https://acme.test/llms-full.txt': text('# Acme Store\n\nEverything.'),
+        'https://acme.test/docs/shipping.md': text('Shipping'),
+        'https://acme.test/docs/returns.md': text('Returns'),
+        'https://acme.test/about/history.md': new Error('ECONNRESET'),
+      }),
+    });
+
+    expect(report.found).toBe(true);
+    expect(report.links).toEqual({
+      total: 3,
+      checked: 3,
+      broken: [
+        {
+          title: 'Company history',
+          url: 'https://acme.test/about/history.md',
+          statusCode: null,
+          error: 'ECONNRESET',
+        },
+      ],
+    });
+    expect(report.full).toMatchObject({ found: true, bytes: 25 });
+    expect(report.score).toBe(0.93);
+    expect(describeLlmsTxt(report)).toEqual([
+      'llms.txt: "Acme Store", 2 section(s), 3 link(s)',
+      'llms.txt links: 2/3 resolve',
+      'llms-full.txt: 25 bytes',
+    ]);
+  });
+
+  test('should limit the number of links requested', async () => {
+    const requested = [];
+    const links = Array.from({ length: 5 }, (_, i) => `- [Page ${i}](/p/${i})`).join('\n');
+    const report = await checkLlmsTxt('https://acme.test/', {
+      maxLinks: 2,
+      fetch: (url) => {
+        requested.push(url);
+        return Promise.resolve(
+          url.endsWith('/llms.txt') ? text(`# Acme\n\n> Store\n\n## Pages\n${links}`) : notFound
+        );
+      },
+    });
+
+    expect(report.links).toMatchObject({ total: 5, checked: 2 });
+    expect(requested).toHaveLength(4);
+  });
+
+  test('should score a missing llms.txt as zero', async () => {
+    const report = await checkLlmsTxt('https://acme.test/', { fetch: fakeFetch({}) });
+
+    expect(report).toMatchObject({ found: false, statusCode: 404, score: 0 });
+    expect(describeLlmsTxt(report)).toEqual(['No llms.txt at https://acme.test/llms.txt']);
+  });
+});
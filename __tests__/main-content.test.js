@@ -0,0 +1,136 @@
+/**
+ * Tests for main-content extraction and the boilerplate ratio
+ */
+
+const {
+  findMainContent,
+  analyzeMainContent,
+  describeMainMismatch,
+} = require('../tools/validators/main-content');
+
+/**
+ * Captured element, as returned by captureDocumentTree
+ */
+const el = (selector, text = '', children = [], attributes = {}) => ({
+  tag: selector.split(' > ').pop().split(/[#:.]/)[0],
+  role: attributes.role || null,
+  hint: attributes.hint || '',
+  selector,
+  text,
+  children,
+});
+
+const PARAGRAPH =
+  'Our desk lamps use warm, dimmable LEDs, weigh under two kilograms, and ship flat-packed within two days.';
+
+const navigation = () =>
+  el('body > nav', '', [
+    el('body > nav > a', 'Home'),
+    el('body > nav > a', 'Desk lamps'),
+    el('body > nav > a', 'Floor lamps'),
+    el('body > nav > a', 'Contact us'),
+  ]);
+
+const footer = () =>
+  el('body > footer', '', [
+    el('body > footer > p', '© Acme Lighting, Rotterdam, Netherlands. All rights reserved.'),
+  ]);
+
+const article = (selector, paragraphs) =>
+  el(
+    selector,
+    '',
+    [el(`${selector} > h1`, 'Desk lamps')].concat(
+      Array.from({ length: paragraphs }, () => el(`${selector} > p`, PARAGRAPH))
+    )
+  );
+
+const page = (...children) => el('body', '', children);
+
+describe('Main Content', () => {
+  test('should extract the article and agree with its <main>', () => {
+    const tree = page(
+      navigation(),
+      el('body > main', '', [article('body > main > article', 3)]),
+      footer()
+    );
+    const report = analyzeMainContent(tree);
+
+    expect(report.extracted.selector).toBe('body > main > article');
+    expect(report.declared.selector).toBe('body > main');
+    expect(report.relation).toBe('within');
+    expect(report.contentRatio).toBeGreaterThan(0.7);
+    expect(report.boilerplateHeavy).toBe(false);
+    expect(report.mismatch).toBe(false);
+    expect(describeMainMismatch(report)).toBeNull();
+  });
+
+  test('should measure boilerplate-heavy pages', () => {
+    const links = Array.from({ length: 30 }, (_, i) => el('body > nav > a', `Category ${i + 1}`));
+    const tree = page(
+      el('body > nav', '', links),
+      el('body > div', '', [el('body > div > p', PARAGRAPH)], { hint: 'content' }),
+      el('body > footer', '', [
+        el('body > footer > p', PARAGRAPH),
+        el('body > footer > p', PARAGRAPH),
+      ])
+    );
+    const report = analyzeMainContent(tree);
+
+    expect(report.extracted.selector).toBe('body > div');
+    expect(report.relation).toBe('missing');
+    expect(report.contentRatio).toBeLessThan(0.3);
+    expect(report.boilerplateRatio).toBeGreaterThan(0.7);
+    expect(report.boilerplateHeavy).toBe(true);
+  });
+
+  test('should report a <main> that misses the primary content', () => {
+    const tree = page(
+      el('body > main', '', [el('body > main > h1', 'Welcome')]),
+      article('body > article', 2)
+    );
+    const report = analyzeMainContent(tree);
+
+    expect(report.relation).toBe('disjoint');
+    expect(report.mismatch).toBe(true);
+    expect(describeMainMismatch(report)).toBe(
+      '<main> (body > main) does not contain the primary content, found in body > article'
+    );
+  });
+
+  test('should report a <main> wrapping mostly boilerplate', () => {
+    const tree = page(
+      el('body > main', '', [
+        article('body > main > article', 2),
+        el('body > main > aside', '', [
+          el('body > main > aside > p', PARAGRAPH),
+          el('body > main > aside > p', PARAGRAPH),
+        ]),
+        el('body > main > div', '', [el('body > main > div > p', PARAGRAPH)], {
+          hint: 'related-products',
+        }),
+      ])
+    );
+    const report = analyzeMainContent(tree);
+
+    expect(report.extracted.selector).toBe('body > main > article');
+    expect(report.relation).toBe('within');
+    expect(report.mismatch).toBe(true);
+    expect(describeMainMismatch(report)).toMatch(
+      /^Only \d+% of <main> \(body > main\) is primary content/
+    );
+  });
+
+  test('should find nothing on pages without text blocks', () => {
+    const tree = page(navigation());
+
+    expect(findMainContent(tree).node).toBeNull();
+    expect(analyzeMainContent(tree)).toMatchObject({
+      extracted: null,
+      contentRatio: 0,
+      boilerplateHeavy: true,
+      relation: 'missing',
+      mismatch: false,
+    });
+  });
+});
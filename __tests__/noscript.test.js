@@ -0,0 +1,103 @@
+/**
+ * Tests for <noscript> fallback analysis
+ */
+
+const {
+  resolveLinkTarget,
+  analyzeNoscript,
+  scoreNoscript,
+} = require('../tools/validators/noscript');
+
+const ARTICLE = `<main><h1>Desk lamps</h1><p>${'Our desk lamps use warm, dimmable LEDs and ship flat-packed within two days. '.repeat(2)}</p></main>`;
+const NAG = '<noscript>You need to enable JavaScript to run this app.</noscript>';
+
+const page = (body) =>
+  `<!DOCTYPE html><html lang="en"><head><title>Lamps</title><noscript><img src="/pixel.gif"></noscript></head><body>${body}</body></html>`;
+
+describe('Noscript Fallbacks', () => {
+  test('should resolve links against URLs, routes and paths', () => {
+    expect(resolveLinkTarget('/lite/#top', 'https://example.com/shop/')).toBe(
+      'https://example.com/lite/'
+    );
+    expect(resolveLinkTarget('lite/', '/about/')).toBe('http://localhost/about/lite/');
+    expect(resolveLinkTarget('/lite/', 'about/index.html')).toBe('http://localhost/lite/');
+    expect(resolveLinkTarget('http://[bad', '/')).toBeNull();
+  });
+
+  test('should fail a page whose only no-JS content is an enable-JavaScript notice', () => {
+    const details = analyzeNoscript(page(`${NAG}<div id="root"></div>`), 'https://example.com/');
+
+    expect(details).toMatchObject({
+      count: 2,
+      fallbacks: 1,
+      substantive: 0,
+      textOutside: 0,
+      nagOnly: true,
+    });
+    expect(details.blocks.map((block) => block.kind)).toEqual(['tracking', 'nag']);
+    expect(scoreNoscript(details)).toBe(0);
+  });
+
+  test('should accept a notice on a page that has content without JavaScript', () => {
+    const details = analyzeNoscript(page(`${NAG}${ARTICLE}`), 'https://example.com/');
+
+    expect(details.nagOnly).toBe(false);
+    expect(details.textOutside).toBeGreaterThan(100);
+    expect(scoreNoscript(details)).toBe(1);
+  });
+
+  test('should not take fallback prose that mentions JavaScript for a notice', () => {
+    const details = analyzeNoscript(
+      page(
+        '<noscript>This page works without JavaScript: browse the catalogue below. ' +
+          'Every lamp is listed with its price, size, warranty and delivery time, and you ' +
+          'can order by phone.</noscript><div id="root"></div>'
+      ),
+      'https://example.com/'
+    );
+
+    expect(details.blocks[1]).toMatchObject({ kind: 'content', nag: false });
+    expect(details.blocks[1].words).toBeGreaterThanOrEqual(20);
+    expect(details.nagOnly).toBe(false);
+  });
+
+  test('should flag links that do not lead to a no-JS alternative', () => {
+    const details = analyzeNoscript(
+      page(
+        '<noscript>Enable JavaScript, or use the <a href="/lite/">lite version</a>, ' +
+          '<a href="#">this</a>, <a href="javascript:void(0)">that</a> or ' +
+          '<a href="https://example.com/shop/?a=1&amp;b=2#x">here</a>.' +
+          '<meta http-equiv="Refresh" content="0; url=/lite/"></noscript>'
+      ),
+      'https://example.com/shop/?a=1&b=2'
+    );
+
+    expect(details.blocks[1]).toEqual({
+      kind: 'content',
+      nag: true,
+      words: 0,
+      links: 5,
+      goodLinks: 2,
+      badTargets: ['#', 'javascript:void(0)', 'https://example.com/shop/?a=1&b=2#x'],
+    });
+    expect(scoreNoscript(details)).toBeCloseTo(0.7);
+  });
+
+  test('should resolve relative links against the route in directory checks', () => {
+    const details = analyzeNoscript(
+      page('<noscript><a href="/lite/">Lite</a> or <a href="./">reload</a></noscript>'),
+      '/about/'
+    );
+
+    expect(details.links).toBe(2);
+    expect(details.blocks[1].badTargets).toEqual(['./']);
+  });
+
+  test('should not score pages without fallback blocks', () => {
+    const details = analyzeNoscript(page(ARTICLE), 'https://example.com/');
+
+    expect(details.count).toBe(1);
+    expect(details.fallbacks).toBe(0);
+    expect(scoreNoscript(details)).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for configurable payload size budgets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  resolveBudgets,
+  measurePayload,
+  checkBudgets,
+  formatBudgetResult,
+} = require('../tools/validators/payload-budget');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Lamps</title>
+  <link rel="stylesheet" href="/site.css">
+  <link rel="preload stylesheet" href="/fonts.css">
+  <link rel="icon" href="/favicon.ico">
+  <style>body { margin: 0 }</style>
+</head>
+<body>
+  <!-- <div>commented out</div> -->
+  <main><h1>Desk lamps</h1><p style="color: red">Warm light.</p></main>
+  <script src="/app.js"></script>
+  <script>window.dataLayer = [];</script>
+</body>
+</html>`;
+
+describe('Payload Budget', () => {
+  test('should measure bytes, DOM nodes and external resources', () => {
+    expect(measurePayload(PAGE)).toEqual({
+      htmlBytes: Buffer.byteLength(PAGE),
+      inlineScriptBytes: 'window.dataLayer = [];'.length,
+      inlineStyleBytes: 'body { margin: 0 }\ncolor: red'.length,
+      domNodes: 13,
+      externalStylesheets: 2,
+      externalScripts: 1,
+    });
+  });
+
+  test('should default to the limits the tools used to hard-code', () => {
+    expect(resolveBudgets()).toEqual({
+      htmlBytes: { min: 1000 },
+      domNodes: { max: 1500 },
+      externalStylesheets: { max: 3 },
+      externalScripts: { max: 5 },
+    });
+    expect(resolveBudgets({}, 'https://example.com/')).toEqual(DEFAULT_BUDGETS);
+  });
+
+  test('should apply project budgets and per-route overrides', () => {
+    const budgets = {
+      inlineScriptBytes: 50000,
+      htmlBytes: { min: 500, max: 150000 },
+      externalScripts: null,
+      routes: {
+        '/blog/*': { domNodes: 3000 },
+        '/blog/archive*': { domNodes: { max: 5000 }, inlineScriptBytes: {} },
+      },
+    };
+
+    expect(resolveBudgets(budgets, 'https://example.com/products')).toEqual({
+      htmlBytes: { min: 500, max: 150000 },
+      domNodes: { max: 1500 },
+      externalStylesheets: { max: 3 },
+      inlineScriptBytes: { max: 50000 },
+    });
+    expect(resolveBudgets(budgets, 'https://example.com/blog/post').domNodes).toEqual({
+      max: 3000,
+    });
+
+    const archive = resolveBudgets(budgets, '/blog/archive/2024');
+    expect(archive.domNodes).toEqual({ max: 5000 });
+    expect(archive.inlineScriptBytes).toBeUndefined();
+  });
+
+  test('should reject unknown budgets', () => {
+    expect(() => resolveBudgets({ domElements: 100 })).toThrow('Unknown budget "domElements"');
+    expect(() => resolveBudgets({ domNodes: 'many' })).toThrow(
+      'Budget "domNodes" must be a number, { min, max } or null'
+    );
+  });
+
+  test('should report each budget as over, under or within with deltas', () => {
+    const results = checkBudgets(
+      { htmlBytes: 800, domNodes: 1620, externalStylesheets: 2 },
+      resolveBudgets({ htmlBytes: { min: 1000, max: 2000 } })
+    );
+
+    expect(results).toEqual([
+      {
+        metric: 'htmlBytes',
+        label: 'HTML bytes',
+        value: 800,
+        min: 1000,
+        max: 2000,
+        status: 'under',
+        delta: -200,
+      },
+      {
+        metric: 'domNodes',
+        label: 'DOM nodes',
+        value: 1620,
+        min: null,
+        max: 1500,
+        status: 'over',
+        delta: 120,
+      },
+      {
+        metric: 'externalStylesheets',
+        label: 'External stylesheets',
+        value: 2,
+        min: null,
+        max: 3,
+        status: 'within',
+        delta: -1,
+      },
+    ]);
+    expect(results.map(formatBudgetResult)).toEqual([
+      'HTML bytes: 800 (minimum 1000, 200 under minimum)',
+      'DOM nodes: 1620 (budget 1500, 120 over)',
+      'External stylesheets: 2 (budget 3, 1 under)',
+    ]);
+    expect(formatBudgetResult(checkBudgets({ htmlBytes: 4000 }, resolveBudgets())[0])).toBe(
+      'HTML bytes: 4000 (minimum 1000, 3000 above minimum)'
+    );
+  });
+
+  describe('config files', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmd-budgets-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should load the budgets section of bimodal-design.config.json', async () => {
+      const file = path.join(dir, 'bimodal-design.config.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ framework: 'next', budgets: { domNodes: 2000, routes: { '/': {} } } })
+      );
+
+      await expect(loadBudgets(file)).resolves.toEqual({ domNodes: 2000, routes: { '/': {} } });
+    });
+
+    test('should fail on invalid or unreadable config files', async () => {
+      const file = path.join(dir, 'invalid.json');
+      fs.writeFileSync(file, JSON.stringify({ budgets: { routes: { '/x': { nodes: 1 } } } }));
+
+      await expect(loadBudgets(file)).rejects.toThrow('Unknown budget "nodes"');
+      await expect(loadBudgets(path.join(dir, 'missing.json'))).rejects.toThrow(
+        'Cannot read budget config'
+      );
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the request scheduler used by FR1Checker.checkMultiple
+ */
+
+const { HostRateLimiter, mapWithConcurrency } = require('../tools/validators/request-scheduler');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('should keep results in input order', async () => {
+    const delays = [30, 5, 15, 0];
+    const results = await mapWithConcurrency(delays, 4, async (delay, index) => {
+      await sleep(delay);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(new Array(10).fill(5), 3, async (delay) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(delay);
+      active--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  test('should handle an empty list', async () => {
+    await expect(mapWithConcurrency([], 4, (item) => item)).resolves.toEqual([]);
+  });
+});
+
+describe('HostRateLimiter', () => {
+  test('should space requests to the same host', async () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 20 });
+    const start = Date.now();
+
+    await Promise.all([limiter.wait('a.test'), limiter.wait('a.test'), limiter.wait('a.test')]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(95);
+  });
+
+  test('should not delay requests to different hosts', async () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 1 });
+    const start = Date.now();
+
+    await Promise.all([limiter.wait('a.test'), limiter.wait('b.test')]);
+
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+
+  test('should use a crawl delay when it is longer than the rate interval', () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 10 });
+    limiter.setDelay('a.test', 2000);
+
+    expect(limiter.getInterval('a.test')).toBe(2000);
+    expect(limiter.getInterval('b.test')).toBe(100);
+  });
+});
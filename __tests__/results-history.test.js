@@ -0,0 +1,113 @@
+/**
+ * Tests for the local results history store behind `bimodal-design trend`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createHistoryRecord,
+  appendHistory,
+  readHistory,
+  analyzeTrend,
+} = require('../tools/validators/results-history');
+
+const auditResult = (url, timestamp, overallScore, scores) => ({
+  url,
+  timestamp,
+  overallScore,
+  passed: overallScore >= 70,
+  requirements: Object.fromEntries(
+    Object.entries(scores).map(([key, score]) => [key, { requirement: key, score, issues: [] }])
+  ),
+});
+
+describe('Results History', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmd-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record per-requirement scores keyed by URL, commit and timestamp', () => {
+    const record = createHistoryRecord(
+      auditResult('https://example.com/', '2025-01-01T00:00:00.000Z', 64, { FR1: 100, FR3: 40 }),
+      { source: 'score', commit: 'abc123', extra: { bimodalScore: 61 } }
+    );
+
+    expect(record).toEqual({
+      url: 'https://example.com/',
+      commit: 'abc123',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      source: 'score',
+      overallScore: 64,
+      passed: false,
+      requirements: { FR1: 100, FR3: 40 },
+      bimodalScore: 61,
+    });
+  });
+
+  test('should skip audits that failed to run', () => {
+    expect(createHistoryRecord({ url: 'https://down.example/', error: 'timeout' })).toBeNull();
+  });
+
+  test('should append to and read from a JSON-lines store', async () => {
+    const later = createHistoryRecord(
+      auditResult('https://example.com/', '2025-02-01T00:00:00.000Z', 80, { FR1: 100 })
+    );
+    const earlier = createHistoryRecord(
+      auditResult('https://example.com/', '2025-01-01T00:00:00.000Z', 70, { FR1: 90 })
+    );
+    const other = createHistoryRecord(
+      auditResult('https://example.com/about', '2025-01-15T00:00:00.000Z', 50, { FR1: 50 })
+    );
+
+    const file = await appendHistory([later], { dir });
+    await appendHistory([earlier, other], { dir });
+    fs.appendFileSync(file, '{"truncated":\n');
+
+    expect(file).toBe(path.join(dir, 'history.jsonl'));
+    expect((await readHistory({ dir })).map((record) => record.timestamp)).toEqual([
+      '2025-01-01T00:00:00.000Z',
+      '2025-01-15T00:00:00.000Z',
+      '2025-02-01T00:00:00.000Z',
+    ]);
+    expect(await readHistory({ dir, url: 'https://example.com/about' })).toHaveLength(1);
+  });
+
+  test('should return no records before the first run', async () => {
+    await expect(readHistory({ dir: path.join(dir, 'missing') })).resolves.toEqual([]);
+  });
+
+  test('should report regressions and improvements between runs per URL', () => {
+    const records = [
+      auditResult('https://example.com/', '2025-01-01T00:00:00.000Z', 60, { FR1: 100, FR3: 40 }),
+      auditResult('https://example.com/', '2025-01-02T00:00:00.000Z', 72, { FR1: 80, FR3: 70 }),
+      auditResult('https://example.com/', '2025-01-03T00:00:00.000Z', 72, { FR1: 80, FR3: 70 }),
+    ].map((result, i) => createHistoryRecord(result, { commit: `c${i}` }));
+
+    const [trend] = analyzeTrend(records);
+
+    expect(trend.url).toBe('https://example.com/');
+    expect(trend.runs).toHaveLength(3);
+    expect(trend.regressions).toEqual([
+      {
+        requirement: 'FR1',
+        from: 100,
+        to: 80,
+        delta: -20,
+        commit: 'c1',
+        timestamp: '2025-01-02T00:00:00.000Z',
+      },
+    ]);
+    expect(trend.improvements.map((change) => [change.requirement, change.delta])).toEqual([
+      ['overall', 12],
+      ['FR3', 30],
+    ]);
+    expect(analyzeTrend(records, { limit: 2 })[0].regressions).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the robots.txt parser
+ */
+
+const {
+  parseRobotsTxt,
+  findGroup,
+  matchesPath,
+  isAllowed,
+  getCrawlDelay,
+} = require('../tools/validators/robots-txt');
+
+const robotsTxt = `
+# Example robots.txt
+User-agent: *
+Disallow: /admin
+Crawl-delay: 1
+
+User-agent: GPTBot
+User-agent: ClaudeBot
+Disallow: /
+Crawl-delay: 5
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('robots.txt Parser', () => {
+  test('should group consecutive user-agent lines', () => {
+    const groups = parseRobotsTxt(robotsTxt);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[1].userAgents).toEqual(['gptbot', 'claudebot']);
+    expect(groups[1].rules).toEqual([{ type: 'disallow', path: '/' }]);
+  });
+
+  test('should match the most specific group for a user agent', () => {
+    const groups = parseRobotsTxt(robotsTxt);
+
+    expect(findGroup(groups, 'Mozilla/5.0 (compatible; ClaudeBot/1.0)')).toBe(groups[1]);
+    expect(findGroup(groups, 'BiModal Design-FR1-Checker/1.0')).toBe(groups[0]);
+  });
+
+  test('should return crawl delay in milliseconds', () => {
+    expect(getCrawlDelay(robotsTxt, 'GPTBot/1.0')).toBe(5000);
+    expect(getCrawlDelay(robotsTxt, 'SomeOtherBot')).toBe(1000);
+    expect(getCrawlDelay('User-agent: *\nDisallow:', 'SomeOtherBot')).toBe(0);
+  });
+
+  test('should match wildcards and end anchors', () => {
+    expect(matchesPath('/admin', '/admin/users')).toBe(true);
+    expect(matchesPath('/*.pdf$', '/docs/guide.pdf')).toBe(true);
+    expect(matchesPath('/*.pdf$', '/docs/guide.pdf?download=1')).toBe(false);
+    expect(matchesPath('/search?q=*', '/search?q=lamps')).toBe(true);
+    expect(matchesPath('/blog', '/about')).toBe(false);
+  });
+
+  test('should decide access by the longest matching rule', () => {
+    const groups = parseRobotsTxt(`
+User-agent: *
+Disallow: /shop
+Allow: /shop/products
+Disallow: /*.json$
+Disallow:
+`);
+
+    expect(isAllowed(groups, 'AnyBot', '/shop/cart').allowed).toBe(false);
+    expect(isAllowed(groups, 'AnyBot', '/shop/products/lamp')).toMatchObject({
+      allowed: true,
+      rule: { type: 'allow', path: '/shop/products' },
+    });
+    expect(isAllowed(groups, 'AnyBot', '/api/data.json').allowed).toBe(false);
+    expect(isAllowed(groups, 'AnyBot', '/about')).toMatchObject({ allowed: true, rule: null });
+  });
+
+  test('should prefer Allow on equally specific rules and always allow robots.txt', () => {
+    const groups = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page\nDisallow: /');
+
+    expect(isAllowed(groups, 'AnyBot', '/page').allowed).toBe(true);
+    expect(isAllowed(groups, 'AnyBot', '/robots.txt').allowed).toBe(true);
+    expect(isAllowed([], 'AnyBot', '/').allowed).toBe(true);
+  });
+});
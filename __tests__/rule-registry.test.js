@@ -0,0 +1,121 @@
+/**
+ * Tests for the FR-1 Checker rule registry
+ */
+
+const {
+  RuleRegistry,
+  normalizeOutcome,
+  calculateWeightedScore,
+} = require('../tools/validators/rule-registry');
+
+const check = () => true;
+
+describe('Rule Registry', () => {
+  test('should register rules with defaults, in execution order', () => {
+    const registry = new RuleRegistry()
+      .register({ id: 'structure', weight: 0.2, category: 'structure', check })
+      .register({ id: 'acme/skip-link', check });
+
+    expect(registry.list().map((rule) => rule.id)).toEqual(['structure', 'acme/skip-link']);
+    expect(registry.list()[1]).toEqual({
+      id: 'acme/skip-link',
+      category: 'custom',
+      severity: 'error',
+      weight: 0,
+      description: 'acme/skip-link',
+      enabled: true,
+      check,
+    });
+  });
+
+  test('should reject invalid and duplicate rules', () => {
+    const registry = new RuleRegistry().register({ id: 'structure', check });
+
+    expect(() => registry.register({ check })).toThrow('Rule must have a string id');
+    expect(() => registry.register({ id: 'acme/x' })).toThrow(
+      'Rule acme/x must have a check function'
+    );
+    expect(() => registry.register({ id: 'structure', check })).toThrow(
+      'Rule structure is already registered; use overrideRule() to change it'
+    );
+    expect(() => registry.register({ id: 'acme/y', severity: 'fatal', check })).toThrow(
+      'Rule acme/y has invalid severity "fatal"'
+    );
+  });
+
+  test('should override, disable and re-enable rules in place', () => {
+    const registry = new RuleRegistry()
+      .register({ id: 'structure', weight: 0.2, check })
+      .register({ id: 'forms', weight: 0.1, check });
+
+    registry.override('structure', { weight: 0.4, id: 'renamed' });
+    expect(registry.list().map(({ id, weight }) => [id, weight])).toEqual([
+      ['structure', 0.4],
+      ['forms', 0.1],
+    ]);
+    expect(() => registry.override('missing', { weight: 1 })).toThrow('Unknown rule: missing');
+
+    registry.override('forms', { enabled: false });
+    expect(registry.list()[1].enabled).toBe(false);
+    registry.override('forms', { enabled: true });
+    expect(registry.list()[1].enabled).toBe(true);
+  });
+
+  test('should apply rules, overrides and disabled rules from checker options', () => {
+    const registry = new RuleRegistry().register({ id: 'forms', weight: 0.1, check });
+
+    registry.configure({
+      rules: [{ id: 'acme/skip-link', weight: 0.1, check }],
+      ruleOverrides: { 'acme/skip-link': { severity: 'warning' } },
+      disabledRules: ['forms'],
+    });
+
+    expect(registry.list().map(({ id, severity, enabled }) => [id, severity, enabled])).toEqual([
+      ['forms', 'error', false],
+      ['acme/skip-link', 'warning', true],
+    ]);
+    expect(() => registry.configure({ disabledRules: ['nope'] })).toThrow('Unknown rule: nope');
+  });
+});
+
+describe('Rule Outcomes', () => {
+  test('should normalize booleans, scores and result objects', () => {
+    expect(normalizeOutcome(true)).toEqual({
+      score: 1,
+      passed: true,
+      messages: [],
+      details: undefined,
+    });
+    expect(normalizeOutcome(false)).toMatchObject({ score: 0, passed: false });
+    expect(normalizeOutcome(1.4)).toMatchObject({ score: 1, passed: true });
+    expect(normalizeOutcome(0.69)).toMatchObject({ score: 0.69, passed: false });
+    expect(
+      normalizeOutcome({ score: -1, messages: 'Missing skip link', details: { n: 1 } })
+    ).toEqual({
+      score: 0,
+      passed: false,
+      messages: ['Missing skip link'],
+      details: { n: 1 },
+    });
+  });
+
+  test('should leave rules without a score unscored', () => {
+    expect(normalizeOutcome(null)).toMatchObject({ score: null, passed: true });
+    expect(normalizeOutcome(undefined)).toMatchObject({ score: null, passed: true });
+    expect(normalizeOutcome({ messages: ['note'] })).toMatchObject({ score: null, passed: true });
+  });
+
+  test('should weight scored rules and count crashed weighted rules as 0', () => {
+    const { score, componentScores } = calculateWeightedScore({
+      structure: { weight: 0.2, score: 1 },
+      semantic: { weight: 0.2, score: 0.5 },
+      noscript: { weight: 0.15, score: null },
+      'token-budget': { weight: 0, score: 0 },
+      forms: { weight: 0.1, score: null, error: 'boom' },
+    });
+
+    expect(score).toBeCloseTo(0.3 / 0.5);
+    expect(componentScores).toEqual({ structure: 1, semantic: 0.5, forms: 0 });
+    expect(calculateWeightedScore({})).toEqual({ score: 0, componentScores: {} });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for SARIF output of checker and auditor findings
+ */
+
+const path = require('path');
+const { createFinding } = require('../tools/validators/findings');
+const { toSARIF } = require('../tools/validators/sarif');
+
+describe('SARIF Output', () => {
+  const imageAlt = createFinding({
+    ruleId: 'fr1/image-alt',
+    requirement: 'FR3',
+    message: 'Images missing alt text (0/1 have alt)',
+    selector: 'html > body > img',
+    snippet: '<img src="hero.png">',
+    help: 'Add alt text to every <img>.',
+    location: {
+      startLine: 9,
+      startColumn: 5,
+      endLine: 9,
+      endColumn: 25,
+      context: [
+        { line: 8, text: '  <main>' },
+        { line: 9, text: '    <img src="hero.png">' },
+        { line: 10, text: '  </main>' },
+      ],
+    },
+  });
+  const metaDescription = createFinding({
+    ruleId: 'fr1/missing-meta-description',
+    severity: 'warning',
+    requirement: 'FR6',
+    message: 'Missing meta description',
+  });
+
+  test('should describe the tool and known rules', () => {
+    const log = toSARIF([], {
+      name: 'FR-1 Checker',
+      version: '1.0.0',
+      rules: { 'fr1/missing-title': { requirement: 'FR6', help: 'Add a <title>.' } },
+    });
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].tool.driver).toMatchObject({ name: 'FR-1 Checker', version: '1.0.0' });
+    expect(log.runs[0].tool.driver.rules).toEqual([
+      expect.objectContaining({
+        id: 'fr1/missing-title',
+        help: { text: 'Add a <title>.' },
+        properties: expect.objectContaining({
+          requirement: 'FR6',
+          requirementName: 'Content Discovery',
+        }),
+      }),
+    ]);
+    expect(log.runs[0].results).toEqual([]);
+  });
+
+  test('should map findings to results with levels and regions', () => {
+    const log = toSARIF(
+      [
+        {
+          url: 'https://example.com/',
+          finalUrl: 'https://example.com/home',
+          findings: [imageAlt, metaDescription],
+        },
+      ],
+      { name: 'FR-1 Checker' }
+    );
+    const [run] = log.runs;
+    const [image, meta] = run.results;
+
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+      'fr1/image-alt',
+      'fr1/missing-meta-description',
+    ]);
+    expect(image).toMatchObject({ ruleId: 'fr1/image-alt', ruleIndex: 0, level: 'error' });
+    expect(image.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'https://example.com/home' },
+      region: {
+        startLine: 9,
+        startColumn: 5,
+        endLine: 9,
+        endColumn: 25,
+        snippet: { text: '<img src="hero.png">' },
+      },
+      contextRegion: {
+        startLine: 8,
+        endLine: 10,
+        snippet: { text: '  <main>\n    <img src="hero.png">\n  </main>' },
+      },
+    });
+    expect(image.locations[0].logicalLocations[0].fullyQualifiedName).toBe('html > body > img');
+    expect(meta.level).toBe('warning');
+    expect(meta.locations[0].physicalLocation.region).toBeUndefined();
+  });
+
+  test('should use paths relative to the working directory for build files', () => {
+    const cwd = path.resolve('/project');
+    const log = toSARIF(
+      [
+        {
+          url: '/about/',
+          file: path.join(cwd, 'dist', 'about', 'index.html'),
+          findings: [imageAlt],
+        },
+      ],
+      { name: 'FR-1 Checker', cwd }
+    );
+
+    expect(log.runs[0].artifacts).toEqual([{ location: { uri: 'dist/about/index.html' } }]);
+  });
+
+  test('should report info findings as notes', () => {
+    const log = toSARIF(
+      [
+        {
+          url: 'https://example.com/',
+          findings: [
+            createFinding({
+              ruleId: 'fr1/structured-data',
+              severity: 'info',
+              message: 'Add JSON-LD',
+            }),
+          ],
+        },
+      ],
+      { name: 'FR-1 Checker' }
+    );
+
+    expect(log.runs[0].results[0].level).toBe('note');
+    expect(log.runs[0].tool.driver.rules[0].defaultConfiguration.level).toBe('note');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the sitemap parser used by the FR-1 Checker's --sitemap mode
+ */
+
+const zlib = require('zlib');
+const {
+  parseSitemap,
+  decodeSitemapBody,
+  filterSitemapURLs,
+} = require('../tools/validators/sitemap-parser');
+
+describe('Sitemap Parser', () => {
+  test('should extract page URLs from a urlset', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://example.com/</loc><lastmod>2024-01-01</lastmod></url>
+        <url><loc> https://example.com/products?page=1&amp;sort=asc </loc></url>
+        <url><loc><![CDATA[https://example.com/contact]]></loc></url>
+      </urlset>`;
+
+    const sitemap = parseSitemap(xml);
+
+    expect(sitemap.type).toBe('urlset');
+    expect(sitemap.urls).toEqual([
+      'https://example.com/',
+      'https://example.com/products?page=1&sort=asc',
+      'https://example.com/contact',
+    ]);
+  });
+
+  test('should extract child sitemaps from a sitemap index', () => {
+    const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+        <sitemap><loc>https://example.com/sitemap-blog.xml.gz</loc></sitemap>
+      </sitemapindex>`;
+
+    const sitemap = parseSitemap(xml);
+
+    expect(sitemap.type).toBe('sitemapindex');
+    expect(sitemap.sitemaps).toHaveLength(2);
+    expect(sitemap.urls).toHaveLength(0);
+  });
+
+  test('should reject documents that are not sitemaps', () => {
+    expect(() => parseSitemap('<html><body>Not found</body></html>')).toThrow(/Not a sitemap/);
+  });
+
+  test('should gunzip compressed sitemap bodies', () => {
+    const xml = '<urlset><url><loc>https://example.com/</loc></url></urlset>';
+
+    expect(decodeSitemapBody(zlib.gzipSync(xml))).toBe(xml);
+    expect(decodeSitemapBody(Buffer.from(xml))).toBe(xml);
+  });
+});
+
+describe('Sitemap URL Filtering', () => {
+  const urls = [
+    'https://example.com/',
+    'https://example.com/blog/first-post',
+    'https://example.com/blog/tag/news',
+    'https://example.com/blog/second-post',
+    'https://example.com/about',
+  ];
+
+  test('should keep only URLs matching include patterns', () => {
+    expect(filterSitemapURLs(urls, { include: ['/blog/*'] })).toEqual([
+      'https://example.com/blog/first-post',
+      'https://example.com/blog/tag/news',
+      'https://example.com/blog/second-post',
+    ]);
+  });
+
+  test('should drop URLs matching exclude patterns', () => {
+    const filtered = filterSitemapURLs(urls, { include: ['/blog/*'], exclude: ['*/tag/*'] });
+    expect(filtered).not.toContain('https://example.com/blog/tag/news');
+    expect(filtered).toHaveLength(2);
+  });
+
+  test('should accept regular expressions as patterns', () => {
+    expect(filterSitemapURLs(urls, { include: [/about$/] })).toEqual(['https://example.com/about']);
+  });
+
+  test('should apply the max URL limit after filtering', () => {
+    expect(filterSitemapURLs(urls, { exclude: ['/'], maxUrls: 2 })).toEqual([
+      'https://example.com/blog/first-post',
+      'https://example.com/blog/tag/news',
+    ]);
+  });
+
+  test('should de-duplicate URLs', () => {
+    expect(filterSitemapURLs(['https://example.com/a', 'https://example.com/a'])).toHaveLength(1);
+  });
+});
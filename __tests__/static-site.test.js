@@ -0,0 +1,55 @@
+/**
+ * Tests for the static build walker used by `fr1-checker --dir` and `bmd check --dir`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findHTMLFiles, fileToRoute } = require('../tools/validators/static-site');
+
+describe('Static Site Walker', () => {
+  let buildDir;
+
+  beforeAll(() => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmd-dist-'));
+    const files = [
+      'index.html',
+      '404.html',
+      'about/index.html',
+      'blog/first-post/index.html',
+      'legacy/page.htm',
+      '_astro/client.js',
+      '.cache/stale.html',
+    ];
+
+    files.forEach((file) => {
+      const filePath = path.join(buildDir, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '<!DOCTYPE html><html lang="en"></html>');
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+
+  test('should find HTML files and skip assets and dot-directories', async () => {
+    const files = await findHTMLFiles(buildDir);
+
+    expect(files).toEqual([
+      '404.html',
+      'about/index.html',
+      'blog/first-post/index.html',
+      'index.html',
+      'legacy/page.htm',
+    ]);
+  });
+
+  test('should map files to route paths', () => {
+    expect(fileToRoute('index.html')).toBe('/');
+    expect(fileToRoute('about/index.html')).toBe('/about/');
+    expect(fileToRoute('blog/first-post/index.html')).toBe('/blog/first-post/');
+    expect(fileToRoute('404.html')).toBe('/404');
+    expect(fileToRoute('legacy/page.htm')).toBe('/legacy/page');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the payload token budget estimate
+ */
+
+const {
+  estimateTokens,
+  splitPayload,
+  analyzeTokenBudget,
+} = require('../tools/validators/token-budget');
+
+const ARTICLE =
+  '<main><h1>Desk lamps</h1><p>Our desk lamps use warm, dimmable LEDs, weigh under two kilograms, and ship flat-packed within two days.</p></main>';
+
+const page = (body, head = '') =>
+  `<!DOCTYPE html><html lang="en"><head><title>Lamps</title>${head}</head><body>${body}</body></html>`;
+
+describe('Token Budget', () => {
+  test('should approximate tokens for words, numbers, symbols and CJK text', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('the lamp is on')).toBe(4);
+    expect(estimateTokens('internationalization')).toBe(3);
+    expect(estimateTokens('2024')).toBe(2);
+    expect(estimateTokens('{"a":1}')).toBe(5);
+    expect(estimateTokens('台灯')).toBe(2);
+  });
+
+  test('should split scripts, hydration data, styles and text', () => {
+    const parts = splitPayload(
+      page(
+        `<div style="color:red">${ARTICLE}</div>` +
+          '<script src="/app.js"></script>' +
+          '<script>window.dataLayer = [];</script>' +
+          '<script id="__NEXT_DATA__" type="application/json">{"props":{}}</script>' +
+          '<script>window.__NUXT__={state:{}}</script>' +
+          '<script type="application/ld+json">{"@type":"Product"}</script>' +
+          '<!-- <script>ignored()</script> -->',
+        '<style>body { margin: 0 }</style>'
+      )
+    );
+
+    expect(parts.scripts).toBe('window.dataLayer = [];');
+    expect(parts.hydration).toBe('{"props":{}}\nwindow.__NUXT__={state:{}}');
+    expect(parts.structuredData).toBe('{"@type":"Product"}');
+    expect(parts.styles).toBe('body { margin: 0 }\ncolor:red');
+    expect(parts.text).toBe(
+      'Lamps Desk lamps Our desk lamps use warm, dimmable LEDs, weigh under two kilograms, and ship flat-packed within two days.'
+    );
+  });
+
+  test('should report token counts and shares of a text-heavy page without warnings', () => {
+    const report = analyzeTokenBudget(page(ARTICLE), { mainText: 'Desk lamps' });
+
+    expect(report.bytes).toBe(Buffer.byteLength(page(ARTICLE)));
+    expect(report.tokens.html).toBe(estimateTokens(page(ARTICLE)));
+    expect(report.tokens.text).toBeGreaterThan(20);
+    expect(report.tokens.mainContent).toBe(2);
+    expect(report.breakdown.text.share).toBeGreaterThan(0.3);
+    expect(report.breakdown.scripts).toEqual({ tokens: 0, share: 0 });
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('should warn when hydration JSON dominates the payload', () => {
+    const state = JSON.stringify({
+      items: Array.from({ length: 100 }, (_, id) => ({ id, name: `Lamp ${id}` })),
+    });
+    const html = page(
+      `${ARTICLE}<script id="__NEXT_DATA__" type="application/json">${state}</script>`
+    );
+    const report = analyzeTokenBudget(html);
+
+    expect(report.tokens.mainContent).toBeNull();
+    expect(report.breakdown.hydration.share).toBeGreaterThan(0.8);
+    expect(report.warnings.map((warning) => warning.code)).toEqual(['hydration', 'text']);
+    expect(report.warnings[0].message).toMatch(
+      /^\d+% of the payload tokens \(\d+\) are hydration JSON \(limit 30%\)$/
+    );
+  });
+
+  test('should apply configured thresholds', () => {
+    const report = analyzeTokenBudget(page(ARTICLE), {
+      thresholds: { maxHtmlTokens: 10, minTextShare: 0.9 },
+    });
+
+    expect(report.warnings.map((warning) => warning.code)).toEqual(['html', 'text']);
+    expect(report.warnings[0].message).toBe(
+      `Initial HTML is about ${report.tokens.html} tokens (budget 10)`
+    );
+  });
+});
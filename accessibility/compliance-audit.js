@@ -13,6 +13,74 @@ const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const { URL } = require('url');
+const { createFinding, getSelectorPath, getSnippet } = require('../tools/validators/findings');
+const { toSARIF } = require('../tools/validators/sarif');
+const { escapeXML, toJUnitXML, suiteFromAuditResult } = require('../tools/validators/junit');
+const {
+    DEFAULT_BASELINE_FILE,
+    createBaseline,
+    compareToBaseline,
+    hasNewFailures,
+    loadBaseline,
+    loadBaselineIfExists,
+    saveBaseline,
+    formatBaselineComparison
+} = require('../tools/validators/baseline');
+const {
+    extractContentInventory,
+    compareContentInventories,
+    formatContentParity
+} = require('../tools/validators/content-parity');
+const { loadAuth, applyAuthToPage, redactSecrets } = require('../tools/validators/auth');
+const { fetchPage } = require('../tools/validators/http-client');
+const { checkLlmsTxt, describeLlmsTxt } = require('../tools/validators/llms-txt');
+const { analyzeAgentHeaders, describeAgentHeaders } = require('../tools/validators/agent-headers');
+const { analyzeFramework, describeFramework } = require('../tools/validators/framework-fingerprint');
+const {
+    loadBudgets,
+    resolveBudgets,
+    measurePayload,
+    checkBudgets,
+    formatBudgetResult
+} = require('../tools/validators/payload-budget');
+
+// Help text for each audit rule ID; the requirement is the ID prefix
+const AUDIT_FINDINGS = {
+    'fr1/text-content': 'Server-render the main text so it is present without JavaScript.',
+    'fr1/no-headings': 'Render headings in the initial HTML.',
+    'fr1/no-navigation': 'Render navigation in a <nav> element without relying on JavaScript.',
+    'fr1/no-main': 'Wrap the primary content in <main> in the initial HTML.',
+    'fr2/no-headings': 'Structure the page with h1-h6 headings.',
+    'fr2/heading-hierarchy': 'Do not skip heading levels; nest h2 under h1, h3 under h2 and so on.',
+    'fr2/missing-landmarks': 'Use <header>, <nav>, <main> and <footer> landmarks.',
+    'fr3/image-alt': 'Add alt text to every <img>; use alt="" for decorative images.',
+    'fr3/accessible-name': 'Give interactive elements visible text, aria-label or aria-labelledby.',
+    'fr4/no-breadcrumbs': 'Add breadcrumb navigation, e.g. <nav aria-label="Breadcrumb"><ol>...</ol></nav>.',
+    'fr4/no-skip-links': 'Add a "Skip to main content" link as the first focusable element.',
+    'fr4/negative-tabindex': 'Remove tabindex="-1" from elements agents and keyboard users need to reach.',
+    'fr5/control-label': 'Associate every form control with a <label>, aria-label or aria-labelledby.',
+    'fr5/fieldset-legend': 'Give every <fieldset> a <legend> describing the group.',
+    'fr6/missing-meta-description': 'Add <meta name="description" content="..."> summarizing the page.',
+    'fr6/missing-title': 'Add a descriptive <title>.',
+    'fr6/no-structured-data': 'Describe the page with JSON-LD or microdata (schema.org).',
+    'fr6/no-content-sections': 'Group content in <article> and <section> elements.',
+    'fr6/link-text': 'Use link text that describes the destination instead of "click here" or "read more".',
+    'fr6/llms-txt-missing': 'Publish /llms.txt: an H1 title, a "> summary" and H2 sections listing "- [name](url): notes" links (https://llmstxt.org).',
+    'fr6/llms-txt-structure': 'Follow the llms.txt structure: one H1 title first, a blockquote summary, then H2 sections of link lists.',
+    'fr6/llms-txt-broken-link': 'Fix or remove llms.txt links that do not resolve.',
+    'fr6/agent-headers-missing': 'Send X-Agent-Optimized, X-Agent-Framework and X-Agent-Rendering response headers (see docs/api-reference.md).',
+    'fr6/agent-headers-invalid': 'Use documented values: X-Agent-Optimized true|false, X-Agent-Framework name/version, X-Agent-Rendering ssr|ssg|csr|hybrid.',
+    'fr6/agent-headers-mismatch': 'Keep X-Agent-Rendering and X-Agent-Framework consistent with data-agent-mode and data-agent-version on <html>.',
+    'fr6/agent-headers-vary': 'Send Vary: User-Agent with agent-specific responses so caches do not serve them to other clients.',
+    'fr6/framework-mismatch': 'Set data-agent-framework to the framework that renders the page (react, vue, angular, astro, next, nuxt or custom).',
+    'fr6/mode-mismatch': 'Set data-agent-mode to how the initial payload is actually rendered (ssr, ssg, csr or hybrid).',
+    'fr7/oversized-images': 'Serve images sized for their display dimensions.',
+    'fr7/dom-size': 'Reduce the number of DOM elements below the domNodes budget (default 1500).',
+    'fr7/payload-budget': 'Keep the page within the payload budgets in bimodal-design.config.json: HTML, inline script and style bytes, DOM nodes and external resources.'
+};
+
+// Maximum number of offending elements recorded per finding
+const MAX_LOCATED_ELEMENTS = 20;
 
 class BiModal DesignComplianceAuditor {
     constructor(options = {}) {
@@ -45,6 +113,7 @@ class BiModal DesignComplianceAuditor {
             const page = await browser.newPage();
             await page.setUserAgent(this.options.userAgent);
             await page.setViewport(this.options.viewport);
+            await applyAuthToPage(page, this.options.auth, url);
             
             const result = {
                 url,
@@ -53,27 +122,47 @@ class BiModal DesignComplianceAuditor {
                 overallScore: 0,
                 passed: false,
                 recommendations: [],
+                findings: [],
                 errors: []
             };
 
-            // Load page
-            await page.goto(url, { waitUntil: 'networkidle0', timeout: this.options.timeout });
+            // Load page, keeping the response headers (cookies set by the site are left out)
+            const response = await page.goto(url, { waitUntil: 'networkidle0', timeout: this.options.timeout });
+            const { 'set-cookie': setCookie, ...headers } = response ? response.headers() : {};
+            result.headers = headers;
+            const html = response ? await response.text().catch(() => null) : null;
+            result.framework = html !== null ? analyzeFramework({ html, headers }) : null;
+            
+            // Inventory the rendered DOM; FR1 compares it with its reload without JS
+            const rendered = await page.evaluate(extractContentInventory);
             
             // Run all requirement tests
-            result.requirements.FR1 = await this.testFR1(page);
+            const { parity = null, ...fr1 } = await this.testFR1(page, rendered);
+            result.parity = parity;
+            result.requirements.FR1 = fr1;
             result.requirements.FR2 = await this.testFR2(page);
             result.requirements.FR3 = await this.testFR3(page);
             result.requirements.FR4 = await this.testFR4(page);
             result.requirements.FR5 = await this.testFR5(page);
-            result.requirements.FR6 = await this.testFR6(page);
-            result.requirements.FR7 = await this.testFR7(page);
+            result.requirements.FR6 = await this.testFR6(page, result.headers, result.framework);
+            result.requirements.FR7 = await this.testFR7(page, resolveBudgets(this.options.budgets, url), html);
+            result.findings = Object.values(result.requirements).flatMap(req => req.findings);
             
             // Calculate overall score
             result.overallScore = this.calculateOverallScore(result.requirements);
             result.passed = result.overallScore >= 70;
             
-            // Generate recommendations
+            // Generate recommendations, then the framework-specific guide sections
             result.recommendations = this.generateRecommendations(result.requirements);
+            (result.framework ? result.framework.recommendations : []).forEach(rec => {
+                result.recommendations.push({
+                    requirement: rec.requirement,
+                    priority: rec.requirement === 'FR1' ? 'high' : 'medium',
+                    issue: `${rec.message} (see ${rec.reference})`,
+                    category: `${result.framework.name || 'Framework'} guide: ${rec.section}`,
+                    reference: rec.reference
+                });
+            });
             
             // Capture screenshot if requested
             if (this.options.includeScreenshots) {
@@ -88,22 +177,142 @@ class BiModal DesignComplianceAuditor {
                 timestamp: new Date().toISOString(),
                 error: error.message,
                 passed: false,
-                overallScore: 0
+                overallScore: 0,
+                findings: [createFinding({
+                    ruleId: 'fr1/page-unreachable',
+                    requirement: 'FR1',
+                    message: `Failed to audit page: ${error.message}`,
+                    help: 'The page must load in a headless browser within the audit timeout.'
+                })]
+            };
+        } finally {
+            await browser.close();
+        }
+    }
+
+    /**
+     * Content parity of a single URL, without running the full audit
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} Result of compareContentInventories, plus url and timestamp
+     */
+    async analyzeParity(url) {
+        const browser = await puppeteer.launch({ 
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        
+        try {
+            const page = await browser.newPage();
+            await page.setUserAgent(this.options.userAgent);
+            await page.setViewport(this.options.viewport);
+            await applyAuthToPage(page, this.options.auth, url);
+            await page.goto(url, { waitUntil: 'networkidle0', timeout: this.options.timeout });
+            
+            return {
+                url,
+                timestamp: new Date().toISOString(),
+                ...await this.measureContentParity(browser, page, url)
             };
         } finally {
             await browser.close();
         }
     }
 
-    // FR-1: Initial Payload Accessibility
-    async testFR1(page) {
+    /**
+     * Share of the rendered page's visible text, links, headings and form controls
+     * that is already in the initial payload. The payload is loaded in a second
+     * tab with JavaScript disabled; full audits reuse the FR1 reload instead.
+     * @param {Browser} browser - Puppeteer browser
+     * @param {Page} page - Page already loaded with JavaScript enabled
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} Result of compareContentInventories
+     */
+    async measureContentParity(browser, page, url) {
+        const rendered = await page.evaluate(extractContentInventory);
+        const initialPage = await browser.newPage();
+        
+        try {
+            await initialPage.setUserAgent(this.options.userAgent);
+            await initialPage.setViewport(this.options.viewport);
+            await initialPage.setJavaScriptEnabled(false);
+            await applyAuthToPage(initialPage, this.options.auth, url);
+            await initialPage.goto(url, { waitUntil: 'networkidle0', timeout: this.options.timeout });
+            
+            const initial = await initialPage.evaluate(extractContentInventory);
+            return compareContentInventories(initial, rendered);
+        } finally {
+            await initialPage.close();
+        }
+    }
+
+    /**
+     * Record a finding on a requirement result. Error messages are added to the
+     * legacy issues list once; located elements each get their own finding.
+     * @param {Object} result - Requirement result
+     * @param {string} ruleId - Rule ID, prefixed with the requirement (e.g. 'fr3/image-alt')
+     * @param {string} message - Issue message
+     * @param {Object[]} [locations] - { selector, snippet } of offending elements, or
+     *   { target } for what a finding without an element is about
+     * @param {string} [severity] - 'error', or 'warning'/'info' for advisory findings
+     *   that stay out of the issues list
+     */
+    addFinding(result, ruleId, message, locations = [], severity = 'error') {
+        const base = {
+            ruleId,
+            severity,
+            requirement: result.requirement,
+            message,
+            help: AUDIT_FINDINGS[ruleId] || ''
+        };
+        
+        if (locations.length === 0) {
+            result.findings.push(createFinding(base));
+        } else {
+            locations.forEach(location => result.findings.push(createFinding({ ...base, ...location })));
+        }
+        
+        if (severity === 'error' && !result.issues.includes(message)) {
+            result.issues.push(message);
+        }
+    }
+
+    /**
+     * Selector paths and snippets of the elements returned by a page function
+     * @param {Page} page - Puppeteer page
+     * @param {Function} pageFunction - Runs in the page and returns an array of elements
+     * @returns {Promise<Object[]>} { selector, snippet } for up to MAX_LOCATED_ELEMENTS elements
+     */
+    async locateElements(page, pageFunction) {
+        const arrayHandle = await page.evaluateHandle(pageFunction);
+        const properties = await arrayHandle.getProperties();
+        const locations = [];
+        
+        for (const handle of properties.values()) {
+            const element = handle.asElement();
+            if (element && locations.length < MAX_LOCATED_ELEMENTS) {
+                locations.push({
+                    selector: await element.evaluate(getSelectorPath),
+                    snippet: await element.evaluate(getSnippet)
+                });
+            }
+            await handle.dispose();
+        }
+        
+        await arrayHandle.dispose();
+        return locations;
+    }
+
+    // FR-1: Initial Payload Accessibility. Given the rendered page's content
+    // inventory, the result also carries its content parity with the no-JS load.
+    async testFR1(page, rendered = null) {
         const result = {
             requirement: 'FR1',
             name: 'Initial Payload Accessibility',
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -111,13 +320,17 @@ class BiModal DesignComplianceAuditor {
             await page.setJavaScriptEnabled(false);
             await page.reload({ waitUntil: 'networkidle0' });
             
+            if (rendered) {
+                result.parity = compareContentInventories(await page.evaluate(extractContentInventory), rendered);
+            }
+            
             // Test content accessibility without JS
             const content = await page.content();
             const textContent = await page.evaluate(() => document.body.textContent.trim());
             
             // Check for meaningful content
             if (textContent.length < 100) {
-                result.issues.push('Page contains less than 100 characters of text content without JavaScript');
+                this.addFinding(result, 'fr1/text-content', 'Page contains less than 100 characters of text content without JavaScript');
             } else {
                 result.details.push(`Found ${textContent.length} characters of text content`);
             }
@@ -125,7 +338,7 @@ class BiModal DesignComplianceAuditor {
             // Check for semantic structure
             const headings = await page.$$eval('h1, h2, h3, h4, h5, h6', els => els.length);
             if (headings === 0) {
-                result.issues.push('No heading elements found');
+                this.addFinding(result, 'fr1/no-headings', 'No heading elements found');
             } else {
                 result.details.push(`Found ${headings} heading elements`);
             }
@@ -133,7 +346,7 @@ class BiModal DesignComplianceAuditor {
             // Check for navigation
             const navElements = await page.$$eval('nav, [role="navigation"]', els => els.length);
             if (navElements === 0) {
-                result.issues.push('No navigation elements found');
+                this.addFinding(result, 'fr1/no-navigation', 'No navigation elements found');
             } else {
                 result.details.push(`Found ${navElements} navigation elements`);
             }
@@ -141,7 +354,7 @@ class BiModal DesignComplianceAuditor {
             // Check for main content area
             const mainElements = await page.$$eval('main, [role="main"]', els => els.length);
             if (mainElements === 0) {
-                result.issues.push('No main content area identified');
+                this.addFinding(result, 'fr1/no-main', 'No main content area identified');
             } else {
                 result.details.push(`Found ${mainElements} main content areas`);
             }
@@ -156,7 +369,7 @@ class BiModal DesignComplianceAuditor {
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-1 test error: ${error.message}`);
+            this.addFinding(result, 'fr1/test-error', `FR-1 test error: ${error.message}`);
         }
         
         return result;
@@ -170,7 +383,8 @@ class BiModal DesignComplianceAuditor {
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -184,7 +398,7 @@ class BiModal DesignComplianceAuditor {
             });
             
             if (headingStructure.length === 0) {
-                result.issues.push('No heading structure found');
+                this.addFinding(result, 'fr2/no-headings', 'No heading structure found');
             } else {
                 result.details.push(`Document outline with ${headingStructure.length} headings`);
                 
@@ -200,7 +414,16 @@ class BiModal DesignComplianceAuditor {
                 }
                 
                 if (!hierarchyValid) {
-                    result.issues.push('Heading hierarchy has gaps (e.g., h1 directly to h3)');
+                    const gaps = await this.locateElements(page, () => {
+                        let prev = 0;
+                        return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(h => {
+                            const level = parseInt(h.tagName.charAt(1));
+                            const skips = prev > 0 && level > prev + 1;
+                            prev = level;
+                            return skips;
+                        });
+                    });
+                    this.addFinding(result, 'fr2/heading-hierarchy', 'Heading hierarchy has gaps (e.g., h1 directly to h3)', gaps);
                 } else {
                     result.details.push('Proper heading hierarchy maintained');
                 }
@@ -218,7 +441,7 @@ class BiModal DesignComplianceAuditor {
             );
             
             if (missingLandmarks.length > 0) {
-                result.issues.push(`Missing landmarks: ${missingLandmarks.join(', ')}`);
+                this.addFinding(result, 'fr2/missing-landmarks', `Missing landmarks: ${missingLandmarks.join(', ')}`);
             } else {
                 result.details.push('All required landmarks present');
             }
@@ -236,7 +459,7 @@ class BiModal DesignComplianceAuditor {
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-2 test error: ${error.message}`);
+            this.addFinding(result, 'fr2/test-error', `FR-2 test error: ${error.message}`);
         }
         
         return result;
@@ -250,7 +473,8 @@ class BiModal DesignComplianceAuditor {
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -289,7 +513,8 @@ class BiModal DesignComplianceAuditor {
             // Check for images without alt text
             const imagesWithoutAlt = await page.$$eval('img:not([alt])', els => els.length);
             if (imagesWithoutAlt > 0) {
-                result.issues.push(`${imagesWithoutAlt} images missing alt attributes`);
+                const images = await this.locateElements(page, () => Array.from(document.querySelectorAll('img:not([alt])')));
+                this.addFinding(result, 'fr3/image-alt', `${imagesWithoutAlt} images missing alt attributes`, images);
             }
             
             // Check for interactive elements without accessible names
@@ -308,7 +533,16 @@ class BiModal DesignComplianceAuditor {
             });
             
             if (interactiveWithoutNames > 0) {
-                result.issues.push(`${interactiveWithoutNames} interactive elements lack accessible names`);
+                const unnamed = await this.locateElements(page, () =>
+                    Array.from(document.querySelectorAll('button, a, input, select, textarea')).filter(el =>
+                        !(el.getAttribute('aria-label') ||
+                          el.getAttribute('aria-labelledby') ||
+                          el.textContent.trim() ||
+                          el.getAttribute('title') ||
+                          (el.tagName === 'INPUT' && el.getAttribute('placeholder')))
+                    )
+                );
+                this.addFinding(result, 'fr3/accessible-name', `${interactiveWithoutNames} interactive elements lack accessible names`, unnamed);
             }
             
             // Calculate score
@@ -325,7 +559,7 @@ class BiModal DesignComplianceAuditor {
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-3 test error: ${error.message}`);
+            this.addFinding(result, 'fr3/test-error', `FR-3 test error: ${error.message}`);
         }
         
         return result;
@@ -339,7 +573,8 @@ class BiModal DesignComplianceAuditor {
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -348,7 +583,7 @@ class BiModal DesignComplianceAuditor {
             if (breadcrumbs > 0) {
                 result.details.push('Breadcrumb navigation found');
             } else {
-                result.issues.push('No breadcrumb navigation detected');
+                this.addFinding(result, 'fr4/no-breadcrumbs', 'No breadcrumb navigation detected');
             }
             
             // Check for skip links
@@ -356,7 +591,7 @@ class BiModal DesignComplianceAuditor {
             if (skipLinks > 0) {
                 result.details.push('Skip links found');
             } else {
-                result.issues.push('No skip links found');
+                this.addFinding(result, 'fr4/no-skip-links', 'No skip links found');
             }
             
             // Check for table of contents or page outline
@@ -383,7 +618,10 @@ class BiModal DesignComplianceAuditor {
             
             const negativeTabIndex = focusableElements.filter(el => el.tabIndex < 0).length;
             if (negativeTabIndex > 0) {
-                result.issues.push(`${negativeTabIndex} elements with negative tabindex may break navigation`);
+                const unreachable = await this.locateElements(page, () =>
+                    Array.from(document.querySelectorAll('a, button, input, select, textarea, [tabindex]')).filter(el => el.tabIndex < 0)
+                );
+                this.addFinding(result, 'fr4/negative-tabindex', `${negativeTabIndex} elements with negative tabindex may break navigation`, unreachable);
             }
             
             // Calculate score
@@ -393,7 +631,7 @@ class BiModal DesignComplianceAuditor {
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-4 test error: ${error.message}`);
+            this.addFinding(result, 'fr4/test-error', `FR-4 test error: ${error.message}`);
         }
         
         return result;
@@ -407,7 +645,8 @@ class BiModal DesignComplianceAuditor {
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -453,7 +692,16 @@ class BiModal DesignComplianceAuditor {
                 result.details.push(`${formControls.labeledControls}/${formControls.totalControls} form controls have labels (${Math.round(labelPercentage)}%)`);
                 
                 if (labelPercentage < 100) {
-                    result.issues.push(`${formControls.totalControls - formControls.labeledControls} form controls missing labels`);
+                    const unlabeled = await this.locateElements(page, () =>
+                        Array.from(document.querySelectorAll('input, select, textarea')).filter(control =>
+                            !['hidden', 'submit', 'button'].includes(control.type) &&
+                            !((control.labels && control.labels.length > 0) ||
+                              control.getAttribute('aria-label') ||
+                              control.getAttribute('aria-labelledby') ||
+                              control.getAttribute('title'))
+                        )
+                    );
+                    this.addFinding(result, 'fr5/control-label', `${formControls.totalControls - formControls.labeledControls} form controls missing labels`, unlabeled);
                 }
             }
             
@@ -464,7 +712,10 @@ class BiModal DesignComplianceAuditor {
             if (fieldsets > 0) {
                 result.details.push(`Found ${fieldsets} fieldset(s) with ${legends} legend(s)`);
                 if (fieldsets !== legends) {
-                    result.issues.push('Some fieldsets missing legends');
+                    const withoutLegend = await this.locateElements(page, () =>
+                        Array.from(document.querySelectorAll('fieldset')).filter(fieldset => !fieldset.querySelector('legend'))
+                    );
+                    this.addFinding(result, 'fr5/fieldset-legend', 'Some fieldsets missing legends', withoutLegend);
                 }
             }
             
@@ -490,21 +741,22 @@ class BiModal DesignComplianceAuditor {
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-5 test error: ${error.message}`);
+            this.addFinding(result, 'fr5/test-error', `FR-5 test error: ${error.message}`);
         }
         
         return result;
     }
 
     // FR-6: Content Discovery
-    async testFR6(page) {
+    async testFR6(page, headers = null, framework = null) {
         const result = {
             requirement: 'FR6',
             name: 'Content Discovery',
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -513,7 +765,7 @@ class BiModal DesignComplianceAuditor {
             if (metaDescription) {
                 result.details.push(`Meta description: ${metaDescription.substring(0, 100)}...`);
             } else {
-                result.issues.push('Missing meta description');
+                this.addFinding(result, 'fr6/missing-meta-description', 'Missing meta description');
             }
             
             // Check for page title
@@ -521,7 +773,7 @@ class BiModal DesignComplianceAuditor {
             if (title && title.trim()) {
                 result.details.push(`Page title: ${title}`);
             } else {
-                result.issues.push('Missing or empty page title');
+                this.addFinding(result, 'fr6/missing-title', 'Missing or empty page title');
             }
             
             // Check for structured data
@@ -537,7 +789,7 @@ class BiModal DesignComplianceAuditor {
             if (structuredData.jsonLd > 0 || structuredData.microdata > 0) {
                 result.details.push(`Structured data found: ${structuredData.jsonLd} JSON-LD, ${structuredData.microdata} microdata`);
             } else {
-                result.issues.push('No structured data detected');
+                this.addFinding(result, 'fr6/no-structured-data', 'No structured data detected');
             }
             
             // Check for content sections
@@ -545,7 +797,7 @@ class BiModal DesignComplianceAuditor {
             if (contentSections > 0) {
                 result.details.push(`Found ${contentSections} content sections`);
             } else {
-                result.issues.push('No clear content sections identified');
+                this.addFinding(result, 'fr6/no-content-sections', 'No clear content sections identified');
             }
             
             // Check for links with meaningful text
@@ -572,32 +824,94 @@ class BiModal DesignComplianceAuditor {
                 result.details.push(`${links.meaningfulLinks}/${links.totalLinks} links have meaningful text (${Math.round(meaningfulPercentage)}%)`);
                 
                 if (meaningfulPercentage < 80) {
-                    result.issues.push('Some links have non-descriptive text');
+                    const vagueLinks = await this.locateElements(page, () => {
+                        const meaninglessTexts = ['click here', 'read more', 'learn more', 'here', 'more'];
+                        return Array.from(document.querySelectorAll('a[href]')).filter(link => {
+                            const text = link.textContent.trim().toLowerCase();
+                            return text.length <= 4 || meaninglessTexts.includes(text);
+                        });
+                    });
+                    this.addFinding(result, 'fr6/link-text', 'Some links have non-descriptive text', vagueLinks);
                 }
             }
             
-            // Calculate score
-            const totalChecks = 5;
-            const passedChecks = totalChecks - result.issues.length;
-            result.score = Math.round((passedChecks / totalChecks) * 100);
+            const passedPageChecks = 5 - result.issues.length;
+            
+            // Check the site's llms.txt and llms-full.txt; presence and quality earn partial credit
+            const llmsTxt = await checkLlmsTxt(page.url(), {
+                fetch: fileUrl => fetchPage(fileUrl, {
+                    userAgent: this.options.userAgent,
+                    accept: 'text/plain, text/markdown;q=0.9, */*;q=0.8',
+                    timeout: this.options.timeout,
+                    auth: this.options.auth
+                })
+            });
+            result.llmsTxt = llmsTxt;
+            result.details.push(...describeLlmsTxt(llmsTxt));
+            
+            if (!llmsTxt.found) {
+                this.addFinding(result, 'fr6/llms-txt-missing', `No llms.txt found at ${llmsTxt.url}`, [], 'info');
+            } else {
+                llmsTxt.problems.forEach(problem => {
+                    this.addFinding(result, 'fr6/llms-txt-structure', `llms.txt: ${problem.message}`, [{ target: problem.code }], problem.severity);
+                });
+                llmsTxt.links.broken.forEach(link => {
+                    this.addFinding(result, 'fr6/llms-txt-broken-link',
+                        `llms.txt link "${link.title}" does not resolve (${link.statusCode ? `HTTP ${link.statusCode}` : link.error}): ${link.url}`,
+                        [{ target: link.url }]);
+                });
+            }
+            
+            // Validate the X-Agent-* response headers; reported without affecting the score
+            if (headers) {
+                const attributes = await page.evaluate(() => {
+                    const root = document.documentElement;
+                    return {
+                        'data-agent-mode': root.getAttribute('data-agent-mode'),
+                        'data-agent-version': root.getAttribute('data-agent-version'),
+                        'data-agent-context': root.getAttribute('data-agent-context')
+                    };
+                });
+                const agentHeaders = analyzeAgentHeaders({ headers, attributes });
+                result.agentHeaders = agentHeaders;
+                result.details.push(...describeAgentHeaders(agentHeaders));
+                agentHeaders.problems.forEach(problem => {
+                    this.addFinding(result, `fr6/agent-headers-${problem.code}`, problem.message, [{ target: problem.header }], problem.severity);
+                });
+            }
+            
+            // Compare the fingerprinted framework with data-agent-framework/-mode; not scored either
+            if (framework) {
+                result.details.push(describeFramework(framework));
+                framework.problems.forEach(problem => {
+                    this.addFinding(result, `fr6/${problem.code}`, problem.message, [], problem.severity);
+                });
+            }
+            
+            // Calculate score; a missing llms.txt is not scored, so the page checks stand alone
+            const totalChecks = llmsTxt.found ? 6 : 5;
+            const llmsTxtScore = llmsTxt.found ? llmsTxt.score : 0;
+            result.score = Math.round(((passedPageChecks + llmsTxtScore) / totalChecks) * 100);
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-6 test error: ${error.message}`);
+            this.addFinding(result, 'fr6/test-error', `FR-6 test error: ${error.message}`);
         }
         
         return result;
     }
 
-    // FR-7: Performance Optimization
-    async testFR7(page) {
+    // FR-7: Performance Optimization, with payload size checked against the
+    // configured budgets (html is the initial payload, when the response had one)
+    async testFR7(page, budgets = resolveBudgets(), html = null) {
         const result = {
             requirement: 'FR7',
             name: 'Performance Optimization',
             passed: false,
             score: 0,
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -630,7 +944,10 @@ class BiModal DesignComplianceAuditor {
             });
             
             if (images.largeImages > 0) {
-                result.issues.push(`${images.largeImages} potentially oversized images detected`);
+                const oversized = await this.locateElements(page, () =>
+                    Array.from(document.querySelectorAll('img')).filter(img => img.naturalWidth > 2000 || img.naturalHeight > 2000)
+                );
+                this.addFinding(result, 'fr7/oversized-images', `${images.largeImages} potentially oversized images detected`, oversized);
             } else if (images.totalImages > 0) {
                 result.details.push('Image sizes appear optimized');
             }
@@ -639,10 +956,6 @@ class BiModal DesignComplianceAuditor {
             const domSize = await page.evaluate(() => document.querySelectorAll('*').length);
             result.details.push(`DOM elements: ${domSize}`);
             
-            if (domSize > 1500) {
-                result.issues.push('Large DOM size may impact performance');
-            }
-            
             // Check for render-blocking resources
             const resources = await page.evaluate(() => {
                 const links = document.querySelectorAll('link[rel="stylesheet"]');
@@ -655,22 +968,44 @@ class BiModal DesignComplianceAuditor {
             
             result.details.push(`External resources: ${resources.stylesheets} CSS, ${resources.externalScripts} JS`);
             
+            // Payload budgets: bytes come from the initial HTML, counts from the rendered page
+            result.budgets = checkBudgets({
+                ...(html !== null ? measurePayload(html) : {}),
+                domNodes: domSize,
+                externalStylesheets: resources.stylesheets,
+                externalScripts: resources.externalScripts
+            }, budgets);
+            const over = metric => result.budgets.some(entry => entry.metric === metric && entry.status === 'over');
+            
+            result.budgets.forEach(entry => {
+                result.details.push(`Budget ${formatBudgetResult(entry)}`);
+                if (entry.status === 'within') {
+                    return;
+                }
+                if (entry.metric === 'domNodes') {
+                    this.addFinding(result, 'fr7/dom-size', `Large DOM size may impact performance: ${formatBudgetResult(entry)}`);
+                } else {
+                    this.addFinding(result, 'fr7/payload-budget', `Payload budget ${entry.status === 'over' ? 'exceeded' : 'not met'}: ${formatBudgetResult(entry)}`,
+                        [{ target: entry.metric }]);
+                }
+            });
+            
             // Calculate score based on performance metrics
             let score = 100;
             
             if (metrics.totalLoadTime > 3000) score -= 30;
             else if (metrics.totalLoadTime > 2000) score -= 15;
             
-            if (domSize > 1500) score -= 20;
+            if (over('domNodes')) score -= 20;
             if (images.largeImages > 0) score -= 25;
-            if (resources.stylesheets > 3) score -= 10;
-            if (resources.externalScripts > 5) score -= 15;
+            if (over('externalStylesheets')) score -= 10;
+            if (over('externalScripts')) score -= 15;
             
             result.score = Math.max(0, score);
             result.passed = result.score >= 70;
             
         } catch (error) {
-            result.issues.push(`FR-7 test error: ${error.message}`);
+            this.addFinding(result, 'fr7/test-error', `FR-7 test error: ${error.message}`);
         }
         
         return result;
@@ -713,6 +1048,9 @@ class BiModal DesignComplianceAuditor {
     }
 
     async generateReport(results, format = 'json') {
+        // Keep credentials out of every report format
+        results = redactSecrets(results, this.options.auth);
+        
         switch (format) {
             case 'html':
                 return this.generateHTMLReport(results);
@@ -720,11 +1058,45 @@ class BiModal DesignComplianceAuditor {
                 return this.generateMarkdownReport(results);
             case 'csv':
                 return this.generateCSVReport(results);
+            case 'sarif':
+                return JSON.stringify(this.generateSARIFReport(results), null, 2);
+            case 'junit':
+                return this.generateJUnitReport(results);
             default:
                 return JSON.stringify(results, null, 2);
         }
     }
 
+    generateSARIFReport(results) {
+        const pages = Array.isArray(results) ? results : [results];
+        const rules = {};
+        
+        // Rules default to the severity they were reported with (advisory FR-6 findings are not errors)
+        const severities = {};
+        pages.flatMap(page => page.findings || []).forEach(finding => {
+            severities[finding.ruleId] = severities[finding.ruleId] || finding.severity;
+        });
+        
+        Object.entries(AUDIT_FINDINGS).forEach(([ruleId, help]) => {
+            rules[ruleId] = { requirement: ruleId.slice(0, 3).toUpperCase(), help, severity: severities[ruleId] || 'error' };
+        });
+        
+        return toSARIF(pages, {
+            name: 'BiModal Design Compliance Auditor',
+            version: '1.0.0',
+            informationUri: 'https://github.com/jgoldfoot/BiModalDesign',
+            rules
+        });
+    }
+
+    generateJUnitReport(results) {
+        const pages = Array.isArray(results) ? results : [results];
+        return toJUnitXML({
+            name: 'BiModal Design Compliance Audit',
+            suites: pages.map(suiteFromAuditResult)
+        });
+    }
+
     generateHTMLReport(results) {
         const isArray = Array.isArray(results);
         const pages = isArray ? results : [results];
@@ -825,6 +1197,14 @@ class BiModal DesignComplianceAuditor {
                 
                 html += `</div>`;
                 
+                if (result.parity) {
+                    html += `
+                    <div class="details">
+                        <h3>Initial Payload Parity</h3>
+                        ${formatContentParity(result.parity).map(escapeXML).join('<br>')}
+                    </div>`;
+                }
+                
                 if (result.recommendations && result.recommendations.length > 0) {
                     html += `
                     <div class="recommendations">
@@ -888,6 +1268,11 @@ class BiModal DesignComplianceAuditor {
                 }
             });
             
+            if (result.parity) {
+                markdown += `### Initial Payload Parity\n\n`;
+                markdown += '```\n' + formatContentParity(result.parity).join('\n') + '\n```\n\n';
+            }
+            
             if (result.recommendations && result.recommendations.length > 0) {
                 markdown += `### Recommendations\n\n`;
                 result.recommendations.forEach(rec => {
@@ -938,14 +1323,22 @@ BiModal Design Compliance Audit Tool
 Usage:
   bmd-audit <url> [options]
   bmd-audit --config <config.json>
+  bmd-audit baseline <url> [--batch <file>] [--baseline <file>]
 
 Options:
   --output, -o      Output file path
-  --format, -f      Output format (json, html, markdown, csv) [default: json]
+  --format, -f      Output format (json, html, markdown, csv, sarif, junit) [default: json]
   --timeout, -t     Timeout in milliseconds [default: 30000]
   --screenshots     Include screenshots in report
   --config, -c      Path to configuration file
   --batch, -b       Batch process multiple URLs from file
+  --baseline        Fail only on findings missing from this baseline file
+                    (the baseline command writes it) [default: ${DEFAULT_BASELINE_FILE}]
+  --header          Extra request header "Name: value" (repeatable)
+  --cookie-jar      Cookie jar file (Netscape cookies.txt or JSON export)
+  --basic-auth      HTTP basic-auth credentials as user:password
+  --auth-config     JSON file with headers, cookieJar and basicAuth
+  --budget-config   Project config with payload budgets [default: bimodal-design.config.json]
   --help, -h        Show this help message
 
 Examples:
@@ -953,13 +1346,20 @@ Examples:
   bmd-audit https://example.com --format html --output report.html
   bmd-audit --config audit-config.json
   bmd-audit --batch urls.txt --format csv --output results.csv
+  bmd-audit https://example.com --format sarif --output audit.sarif
+  bmd-audit --batch urls.txt --format junit --output audit-junit.xml
+  bmd-audit baseline --batch urls.txt --baseline audit-baseline.json
+  bmd-audit --batch urls.txt --baseline audit-baseline.json
+  bmd-audit https://staging.example.com --basic-auth staging:secret --cookie-jar cookies.txt
 
 Configuration File Format:
 {
   "urls": ["https://example.com", "https://test.com"],
   "options": {
     "timeout": 30000,
-    "includeScreenshots": false
+    "includeScreenshots": false,
+    "auth": { "headers": { "X-Preview-Token": "..." }, "cookieJar": "cookies.txt" },
+    "budgets": { "domNodes": 2000, "routes": { "/blog/*": { "domNodes": 3000 } } }
   }
 }
 
@@ -971,8 +1371,11 @@ https://another-site.com
         process.exit(0);
     }
 
+    const authOptions = { headers: [] };
+    let auth = null;
+    
     try {
-        const auditor = new BiModal DesignComplianceAuditor();
+        const command = args[0] === 'baseline' ? args.shift() : 'audit';
         
         // Parse command line arguments
         const options = {
@@ -982,7 +1385,9 @@ https://another-site.com
             timeout: 30000,
             screenshots: false,
             config: null,
-            batch: null
+            batch: null,
+            baseline: null,
+            budgetConfig: null
         };
         
         for (let i = 0; i < args.length; i++) {
@@ -1002,22 +1407,46 @@ https://another-site.com
                 options.config = args[++i];
             } else if (arg === '--batch' || arg === '-b') {
                 options.batch = args[++i];
+            } else if (arg === '--baseline') {
+                options.baseline = args[++i];
+            } else if (arg === '--header') {
+                authOptions.headers.push(args[++i]);
+            } else if (arg === '--cookie-jar') {
+                authOptions.cookieJar = args[++i];
+            } else if (arg === '--basic-auth') {
+                authOptions.basicAuth = args[++i];
+            } else if (arg === '--auth-config') {
+                authOptions.config = args[++i];
+            } else if (arg === '--budget-config') {
+                options.budgetConfig = args[++i];
             }
         }
         
+        auth = await loadAuth(authOptions);
+        const budgets = await loadBudgets(options.budgetConfig);
+        let auditor = new BiModal DesignComplianceAuditor({ auth, budgets });
         let results;
         
+        // Progress goes to stderr when the report itself is printed on stdout
+        const log = options.output ? console.log : console.error;
+        
         if (options.config) {
             // Load configuration file
             const configData = JSON.parse(await fs.readFile(options.config, 'utf8'));
-            const configuredAuditor = new BiModal DesignComplianceAuditor(configData.options || {});
+            const configOptions = configData.options || {};
+            
+            // Credentials from flags take precedence over the config file's auth settings
+            if (!auth && configOptions.auth) {
+                auth = await loadAuth(configOptions.auth);
+            }
+            auditor = new BiModal DesignComplianceAuditor({ budgets, ...configOptions, auth });
             
             results = [];
             for (const url of configData.urls) {
-                console.log(`Auditing: ${url}`);
-                const result = await configuredAuditor.auditPage(url);
+                log(`Auditing: ${url}`);
+                const result = await auditor.auditPage(url);
                 results.push(result);
-                console.log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
+                log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
             }
         } else if (options.batch) {
             // Batch process URLs from file
@@ -1026,21 +1455,33 @@ https://another-site.com
             
             results = [];
             for (const url of urls) {
-                console.log(`Auditing: ${url}`);
+                log(`Auditing: ${url}`);
                 const result = await auditor.auditPage(url.trim());
                 results.push(result);
-                console.log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
+                log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
             }
         } else if (options.url) {
             // Single URL audit
-            console.log(`Auditing: ${options.url}`);
+            log(`Auditing: ${options.url}`);
             results = await auditor.auditPage(options.url);
-            console.log(`Score: ${results.overallScore}% ${results.passed ? '✅' : '❌'}`);
+            log(`Score: ${results.overallScore}% ${results.passed ? '✅' : '❌'}`);
         } else {
             console.error('Error: Please provide a URL, config file, or batch file');
             process.exit(1);
         }
         
+        const pages = redactSecrets([].concat(results), auth);
+        
+        if (command === 'baseline') {
+            // Snapshot current findings; entries for URLs not audited this run are kept
+            const file = options.baseline || DEFAULT_BASELINE_FILE;
+            const previous = await loadBaselineIfExists(file, 'compliance-audit');
+            const baseline = createBaseline(pages, { tool: 'compliance-audit', previous });
+            await saveBaseline(file, baseline);
+            console.error(`Baseline with ${baseline.findings.length} finding(s) saved to ${file}`);
+            process.exit(0);
+        }
+        
         // Generate report
         const report = await auditor.generateReport(results, options.format);
         
@@ -1051,6 +1492,15 @@ https://another-site.com
             console.log(report);
         }
         
+        // With a baseline, only new findings fail the run; fixed ones are progress
+        if (options.baseline) {
+            const baseline = await loadBaseline(options.baseline, 'compliance-audit');
+            const comparison = compareToBaseline(pages, baseline);
+            // On stderr, after a report that may have gone to stdout
+            formatBaselineComparison(comparison).forEach(line => console.error(line));
+            process.exit(hasNewFailures(comparison) ? 1 : 0);
+        }
+        
         // Exit with appropriate code for CI/CD
         const hasFailures = Array.isArray(results) 
             ? results.some(r => !r.passed)
@@ -1059,7 +1509,7 @@ https://another-site.com
         process.exit(hasFailures ? 1 : 0);
         
     } catch (error) {
-        console.error('Error:', error.message);
+        console.error('Error:', redactSecrets(error.message, auth));
         process.exit(1);
     }
 }
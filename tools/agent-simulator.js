@@ -14,6 +14,25 @@ const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const { URL } = require('url');
+const { createFinding, getSelectorPath, getSnippet } = require('./validators/findings');
+const {
+    captureContentBlocks,
+    findJSOnlySubtrees,
+    formatHydrationGap
+} = require('./validators/hydration-gap');
+const { loadAuth, applyAuthToPage, redactSecrets } = require('./validators/auth');
+const { fetchPage } = require('./validators/http-client');
+const {
+    AI_CRAWLERS,
+    analyzeAgentAccess,
+    formatAgentAccess
+} = require('./validators/agent-access');
+const {
+    BROWSER_AGENT,
+    GOOGLEBOT_AGENT,
+    analyzeDifferentialServing,
+    formatDifferentialServing
+} = require('./validators/differential-serving');
 
 class AgentSimulator {
     constructor(options = {}) {
@@ -164,7 +183,7 @@ class AgentSimulator {
             const page = await browser.newPage();
             
             // Configure page based on agent capabilities
-            await this.configurePageForAgent(page, profile);
+            await this.configurePageForAgent(page, profile, url);
             
             const result = {
                 url,
@@ -181,16 +200,7 @@ class AgentSimulator {
             const startTime = Date.now();
             
             try {
-                await page.goto(url, { 
-                    waitUntil: profile.capabilities.javascript ? 'networkidle0' : 'domcontentloaded',
-                    timeout: this.options.timeout 
-                });
-                
-                // Wait for JavaScript if agent supports it
-                if (profile.capabilities.javascript && profile.capabilities.maxJSWaitTime) {
-                    await page.waitForTimeout(Math.min(profile.capabilities.maxJSWaitTime, 5000));
-                }
-                
+                await this.navigateAsAgent(page, url, profile);
             } catch (error) {
                 result.errors.push(`Navigation failed: ${error.message}`);
                 return result;
@@ -227,25 +237,224 @@ class AgentSimulator {
         }
     }
 
-    async configurePageForAgent(page, profile) {
+    /**
+     * Load a URL the way an agent with the given profile would
+     * @param {Page} page - Page configured with configurePageForAgent
+     * @param {string} url - Page URL
+     * @param {Object} profile - Agent profile
+     */
+    async navigateAsAgent(page, url, profile) {
+        await page.goto(url, { 
+            waitUntil: profile.capabilities.javascript ? 'networkidle0' : 'domcontentloaded',
+            timeout: this.options.timeout 
+        });
+        
+        // Wait for JavaScript if agent supports it
+        if (profile.capabilities.javascript && profile.capabilities.maxJSWaitTime) {
+            const wait = Math.min(profile.capabilities.maxJSWaitTime, 5000);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
+    /**
+     * Hydration gap: the DOM subtrees and text blocks the advanced agent sees
+     * that the basic agent does not, grouped by landmark, each with a finding
+     * pointing at the matching technique in examples/csr-mitigation.md
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} Result of findJSOnlySubtrees with located subtrees and findings
+     */
+    async analyzeHydrationGap(url) {
+        const browser = await puppeteer.launch({
+            headless: this.options.headless,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+
+        try {
+            const snapshots = {};
+            let renderedPage;
+            
+            for (const agentType of ['basic', 'advanced']) {
+                const profile = this.agentProfiles[agentType];
+                const page = await browser.newPage();
+                await this.configurePageForAgent(page, profile, url);
+                await this.navigateAsAgent(page, url, profile);
+                
+                // Basic agents read hidden text too; only count what advanced agents can see
+                snapshots[agentType] = await page.evaluate(captureContentBlocks, {
+                    visibleOnly: profile.capabilities.css
+                });
+                renderedPage = page;
+            }
+            
+            const report = findJSOnlySubtrees(snapshots.basic, snapshots.advanced);
+            const findings = [];
+            
+            for (const group of report.landmarks) {
+                for (const subtree of group.subtrees) {
+                    const handle = await renderedPage.evaluateHandle(
+                        index => document.body.querySelectorAll('*')[index],
+                        subtree.index
+                    );
+                    // The element may be gone if the page changed since the snapshot
+                    const element = handle.asElement();
+                    subtree.selector = element ? await element.evaluate(getSelectorPath) : null;
+                    subtree.snippet = element ? await element.evaluate(getSnippet) : null;
+                    await handle.dispose();
+                    
+                    findings.push(createFinding({
+                        ruleId: 'sim/js-only-content',
+                        severity: 'warning',
+                        requirement: 'FR1',
+                        message: `${subtree.blocks} content block(s) in ${group.landmark} only appear after JavaScript runs`,
+                        selector: subtree.selector,
+                        snippet: subtree.snippet,
+                        help: `Server-render this component. See ${subtree.guidance.title} in ${subtree.guidance.reference}.`
+                    }));
+                }
+            }
+            
+            return {
+                url,
+                timestamp: new Date().toISOString(),
+                agents: { initial: 'basic', rendered: 'advanced' },
+                ...report,
+                findings
+            };
+        } finally {
+            await browser.close();
+        }
+    }
+
+    /**
+     * Whether each agent profile and the known AI crawlers may read a page:
+     * robots.txt, <meta name="robots"> and X-Robots-Tag are evaluated per user
+     * agent. Pass an FR-1 result to flag rules that keep agents away from a
+     * page whose initial payload passes FR-1.
+     * @param {string} url - Page URL
+     * @param {Object} [options] - fr1 ({ passed, score } from an FR-1 check)
+     * @returns {Promise<Object>} Result of analyzeAgentAccess
+     */
+    async analyzeAgentAccess(url, options = {}) {
+        const fetchOptions = {
+            userAgent: this.agentProfiles.basic.userAgent,
+            timeout: this.options.timeout,
+            auth: this.options.auth
+        };
+        
+        let robotsTxt = null;
+        try {
+            const response = await fetchPage(new URL('/robots.txt', url).href, {
+                ...fetchOptions,
+                accept: 'text/plain'
+            });
+            robotsTxt = { statusCode: response.statusCode, body: response.body };
+        } catch (error) {
+            // Unreachable robots.txt is reported as such
+        }
+        
+        const page = await fetchPage(url, fetchOptions);
+        const agents = [
+            ...Object.entries(this.agentProfiles).map(([id, profile]) => ({
+                id,
+                name: profile.name,
+                userAgent: profile.userAgent
+            })),
+            ...AI_CRAWLERS
+        ];
+        
+        return {
+            timestamp: new Date().toISOString(),
+            ...analyzeAgentAccess({
+                url,
+                robotsTxt,
+                html: page.body,
+                headers: page.headers,
+                agents,
+                fr1: options.fr1 || null
+            })
+        };
+    }
+
+    /**
+     * Detect differential serving: fetch the URL as a browser (twice, to
+     * measure how much the page changes anyway), Googlebot, each agent profile
+     * and the known AI crawlers, and compare status, headers, text and links
+     * with the browser's response
+     * @param {string} url - Page URL
+     * @param {Object} [options] - thresholds (see analyzeDifferentialServing)
+     * @returns {Promise<Object>} Result of analyzeDifferentialServing
+     */
+    async detectDifferentialServing(url, options = {}) {
+        const fetchAs = agent => fetchPage(url, {
+            userAgent: agent.userAgent,
+            timeout: this.options.timeout,
+            auth: this.options.auth
+        });
+        
+        const agents = [];
+        [
+            GOOGLEBOT_AGENT,
+            ...Object.entries(this.agentProfiles).map(([id, profile]) => ({
+                id,
+                name: profile.name,
+                userAgent: profile.userAgent
+            })),
+            ...AI_CRAWLERS.filter(crawler => !crawler.tokenOnly)
+        ].forEach(agent => {
+            // The crawler profile already uses Googlebot's user agent
+            if (!agents.some(other => other.userAgent === agent.userAgent)) {
+                agents.push(agent);
+            }
+        });
+        
+        const baseline = await fetchAs(BROWSER_AGENT);
+        const baselineRepeat = await fetchAs(BROWSER_AGENT);
+        
+        // One request at a time, like a polite crawler
+        const responses = [];
+        for (const agent of agents) {
+            try {
+                responses.push({ agent, response: await fetchAs(agent) });
+            } catch (error) {
+                responses.push({ agent, error: error.message });
+            }
+        }
+        
+        return {
+            timestamp: new Date().toISOString(),
+            ...analyzeDifferentialServing({
+                url,
+                baseline,
+                baselineRepeat,
+                responses,
+                thresholds: options.thresholds
+            })
+        };
+    }
+
+    async configurePageForAgent(page, profile, url) {
         // Set user agent
         await page.setUserAgent(profile.userAgent);
         
         // Set viewport
         await page.setViewport(this.options.viewport);
         
+        // Credentials for staging sites and account areas
+        await applyAuthToPage(page, this.options.auth, url);
+        
         // Configure capabilities
         if (!profile.capabilities.javascript) {
             await page.setJavaScriptEnabled(false);
         }
         
+        // Cooperative interception (priority 0) alongside the credential handler
         if (!profile.capabilities.images) {
             await page.setRequestInterception(true);
             page.on('request', (req) => {
                 if (req.resourceType() === 'image') {
-                    req.abort();
+                    req.abort('failed', 0);
                 } else {
-                    req.continue();
+                    req.continue(req.continueRequestOverrides(), 0);
                 }
             });
         }
@@ -254,9 +463,9 @@ class AgentSimulator {
             await page.setRequestInterception(true);
             page.on('request', (req) => {
                 if (req.resourceType() === 'stylesheet') {
-                    req.abort();
+                    req.abort('failed', 0);
                 } else {
-                    req.continue();
+                    req.continue(req.continueRequestOverrides(), 0);
                 }
             });
         }
@@ -275,7 +484,8 @@ class AgentSimulator {
             elementsFound: [],
             textMatches: [],
             details: [],
-            issues: []
+            issues: [],
+            findings: []
         };
 
         try {
@@ -309,7 +519,14 @@ class AgentSimulator {
                             });
                         }
                     } catch (error) {
-                        result.issues.push(`Selector "${selector}" failed: ${error.message}`);
+                        result.findings.push(createFinding({
+                            ruleId: 'sim/selector-error',
+                            severity: 'warning',
+                            requirement: 'FR2',
+                            message: `Selector "${selector}" failed: ${error.message}`,
+                            selector,
+                            help: 'The task selector could not be evaluated against this page.'
+                        }));
                     }
                 }
             }
@@ -342,9 +559,16 @@ class AgentSimulator {
             }
 
         } catch (error) {
-            result.issues.push(`Task execution failed: ${error.message}`);
+            result.findings.push(createFinding({
+                ruleId: 'sim/task-error',
+                severity: 'error',
+                requirement: 'FR1',
+                message: `Task execution failed: ${error.message}`,
+                help: 'The simulated agent could not complete the task on this page.'
+            }));
         }
 
+        result.issues = result.findings.map(finding => finding.message);
         return result;
     }
 
@@ -570,7 +794,8 @@ class AgentSimulator {
             taskSuccessRates: {},
             accessibilityScores: {},
             performanceComparison: {},
-            recommendations: []
+            recommendations: [],
+            findings: []
         };
 
         // Compare task success rates
@@ -602,11 +827,23 @@ class AgentSimulator {
 
         if (basicAgent && advancedAgent) {
             if (basicAgent.accessibility?.score < 70) {
-                comparison.recommendations.push('Basic agents struggling - implement FR-1 (Initial Payload Accessibility)');
+                comparison.findings.push(createFinding({
+                    ruleId: 'sim/basic-agent-struggling',
+                    severity: 'error',
+                    requirement: 'FR1',
+                    message: 'Basic agents struggling - implement FR-1 (Initial Payload Accessibility)',
+                    help: 'Server-render content and navigation so agents without JavaScript can use the page.'
+                }));
             }
             
             if (advancedAgent.accessibility?.score > basicAgent.accessibility?.score + 30) {
-                comparison.recommendations.push('Large gap between basic and advanced agents - consider progressive enhancement');
+                comparison.findings.push(createFinding({
+                    ruleId: 'sim/agent-capability-gap',
+                    severity: 'warning',
+                    requirement: 'FR1',
+                    message: 'Large gap between basic and advanced agents - consider progressive enhancement',
+                    help: 'Deliver the core experience in HTML and layer JavaScript on top of it.'
+                }));
             }
 
             Object.keys(comparison.taskSuccessRates).forEach(taskName => {
@@ -614,15 +851,25 @@ class AgentSimulator {
                 const advancedSuccess = comparison.taskSuccessRates[taskName].advanced;
                 
                 if (!basicSuccess && advancedSuccess) {
-                    comparison.recommendations.push(`Task "${taskName}" only works for advanced agents - improve semantic markup`);
+                    comparison.findings.push(createFinding({
+                        ruleId: 'sim/task-advanced-only',
+                        severity: 'warning',
+                        requirement: 'FR2',
+                        message: `Task "${taskName}" only works for advanced agents - improve semantic markup`,
+                        help: 'Expose the elements this task needs with semantic HTML in the initial payload.'
+                    }));
                 }
             });
         }
 
+        comparison.recommendations = comparison.findings.map(finding => finding.message);
         return comparison;
     }
 
     async generateReport(results, format = 'json') {
+        // Keep credentials out of every report format
+        results = redactSecrets(results, this.options.auth);
+        
         switch (format) {
             case 'html':
                 return this.generateHTMLReport(results);
@@ -637,7 +884,19 @@ class AgentSimulator {
         let markdown = `# Agent Simulation Report\n\n`;
         markdown += `Generated on ${new Date().toISOString()}\n\n`;
 
-        if (results.comparison) {
+        if (results.noise !== undefined) {
+            // Differential serving report
+            markdown += `## Differential Serving: ${results.url}\n\n`;
+            markdown += '```\n' + formatDifferentialServing(results).join('\n') + '\n```\n';
+        } else if (results.contradictions) {
+            // Agent access report
+            markdown += `## Agent Access: ${results.url}\n\n`;
+            markdown += '```\n' + formatAgentAccess(results).join('\n') + '\n```\n';
+        } else if (results.landmarks) {
+            // Hydration gap report
+            markdown += `## Hydration Gap: ${results.url}\n\n`;
+            markdown += '```\n' + formatHydrationGap(results).join('\n') + '\n```\n';
+        } else if (results.comparison) {
             // Multi-agent report
             markdown += `## Multi-Agent Test Results\n\n`;
             
@@ -723,10 +982,22 @@ Options:
   --agent-type, -a      Agent type (basic, intermediate, advanced, crawler) [default: basic]
   --tasks, -t           Comma-separated tasks to test [default: extract-content]
   --multi-agent, -m     Test with multiple agent types
+  --hydration-gap       List content that only appears after JavaScript runs
+                        (basic vs advanced agent), grouped by landmark
+  --robots              Check robots.txt, meta robots and X-Robots-Tag for each
+                        agent type and known AI crawlers (GPTBot, ClaudeBot, ...).
+                        Runs without an FR-1 result; use bimodal-design simulate
+                        --robots to also flag rules that block a page passing FR-1
+  --differential        Fetch the page as a browser, Googlebot, each agent type and
+                        AI crawlers and flag blocked or different responses
   --output, -o          Output file path
   --format, -f          Output format (json, markdown, html) [default: json]
   --headless           Run in headless mode [default: true]
   --timeout            Timeout in milliseconds [default: 30000]
+  --header             Extra request header "Name: value" (repeatable)
+  --cookie-jar         Cookie jar file (Netscape cookies.txt or JSON export)
+  --basic-auth         HTTP basic-auth credentials as user:password
+  --auth-config        JSON file with headers, cookieJar and basicAuth
   --help, -h           Show this help message
 
 Available Tasks:
@@ -747,10 +1018,17 @@ Examples:
   agent-simulator https://example.com --agent-type advanced --tasks extract-content,find-contact
   agent-simulator https://example.com --multi-agent --format markdown --output report.md
   agent-simulator https://example.com --tasks form-interaction --format html --output report.html
+  agent-simulator https://example.com --hydration-gap --format markdown --output gap.md
+  agent-simulator https://example.com --robots --format markdown
+  agent-simulator https://example.com --differential
+  agent-simulator https://staging.example.com --basic-auth staging:secret --multi-agent
         `);
         process.exit(0);
     }
 
+    const authOptions = { headers: [] };
+    let auth = null;
+    
     try {
         const simulator = new AgentSimulator();
         
@@ -765,6 +1043,9 @@ Examples:
             agentType: 'basic',
             tasks: ['extract-content'],
             multiAgent: false,
+            hydrationGap: false,
+            robots: false,
+            differential: false,
             output: null,
             format: 'json',
             headless: true,
@@ -780,6 +1061,12 @@ Examples:
                 options.tasks = args[++i].split(',');
             } else if (arg === '--multi-agent' || arg === '-m') {
                 options.multiAgent = true;
+            } else if (arg === '--hydration-gap') {
+                options.hydrationGap = true;
+            } else if (arg === '--robots') {
+                options.robots = true;
+            } else if (arg === '--differential') {
+                options.differential = true;
             } else if (arg === '--output' || arg === '-o') {
                 options.output = args[++i];
             } else if (arg === '--format' || arg === '-f') {
@@ -788,16 +1075,37 @@ Examples:
                 options.headless = args[++i] !== 'false';
             } else if (arg === '--timeout') {
                 options.timeout = parseInt(args[++i]);
+            } else if (arg === '--header') {
+                authOptions.headers.push(args[++i]);
+            } else if (arg === '--cookie-jar') {
+                authOptions.cookieJar = args[++i];
+            } else if (arg === '--basic-auth') {
+                authOptions.basicAuth = args[++i];
+            } else if (arg === '--auth-config') {
+                authOptions.config = args[++i];
             }
         }
 
         // Configure simulator
+        auth = await loadAuth(authOptions);
         simulator.options.headless = options.headless;
         simulator.options.timeout = options.timeout;
+        simulator.options.auth = auth;
 
         // Run simulation
         let results;
-        if (options.multiAgent) {
+        if (options.differential) {
+            console.log(`Running differential serving check for: ${url}`);
+            results = await simulator.detectDifferentialServing(url);
+        } else if (options.robots) {
+            console.log(`Running agent access analysis for: ${url}`);
+            // Without an FR-1 result no denial is reported as a contradiction;
+            // callers that ran the check pass it in (see bimodal-design simulate)
+            results = await simulator.analyzeAgentAccess(url);
+        } else if (options.hydrationGap) {
+            console.log(`Running hydration gap analysis for: ${url}`);
+            results = await simulator.analyzeHydrationGap(url);
+        } else if (options.multiAgent) {
             console.log(`Running multi-agent test for: ${url}`);
             results = await simulator.runMultiAgentTest(url, { tasks: options.tasks });
         } else {
@@ -819,7 +1127,7 @@ Examples:
         process.exit(0);
 
     } catch (error) {
-        console.error('Error:', error.message);
+        console.error('Error:', redactSecrets(error.message, auth));
         process.exit(1);
     }
 }
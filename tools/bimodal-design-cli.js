@@ -17,13 +17,44 @@ const path = require('path');
 const { URL: _URL } = require('url');
 
 // Import our tools
-const FR1Checker = require('./validators/fr1-checker');
+const { FR1Checker } = require('./validators/fr1-checker');
+const { formatSourceContext } = require('./validators/findings');
+const { toSARIF } = require('./validators/sarif');
+const { toJUnitXML, suiteFromCheckResult, suiteFromAuditResult } = require('./validators/junit');
+const {
+  REQUIREMENTS,
+  getCurrentCommit,
+  createHistoryRecord,
+  appendHistory,
+  readHistory,
+  analyzeTrend,
+} = require('./validators/results-history');
+const { formatContentParity } = require('./validators/content-parity');
+const { formatHydrationGap } = require('./validators/hydration-gap');
+const { formatAgentAccess } = require('./validators/agent-access');
+const { formatDifferentialServing } = require('./validators/differential-serving');
+const { loadAuth, redactSecrets } = require('./validators/auth');
+const { loadBudgets, formatBudgetResult } = require('./validators/payload-budget');
 const ComplianceAuditor = require('./validators/compliance-audit');
 const AgentSimulator = require('./testing/agent-simulator');
 
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 class BiModalDesignCLI {
   constructor() {
     this.version = '1.0.0';
+    this.auth = null;
     this.commands = {
       audit: {
         description: 'Run comprehensive BiModal Design compliance audit',
@@ -37,6 +68,24 @@ class BiModalDesignCLI {
         examples: [
           'bimodal-design check https://example.com',
           'bimodal-design check --output report.json',
+          'bimodal-design check --dir dist --format json',
+          'bimodal-design check --dir dist --format sarif --output fr1.sarif',
+          'bimodal-design check --dir dist --format junit --output fr1-junit.xml',
+        ],
+      },
+      parity: {
+        description: 'Compare initial payload content with the JavaScript-rendered page',
+        examples: [
+          'bimodal-design parity https://example.com',
+          'bimodal-design parity https://example.com --format json --output parity.json',
+        ],
+      },
+      view: {
+        description: 'Print the initial payload as Markdown, as a no-JS agent reads it',
+        examples: [
+          'bimodal-design view https://example.com',
+          'bimodal-design view dist/index.html --full',
+          'bimodal-design view https://example.com --output agent-view.md',
         ],
       },
       simulate: {
@@ -44,6 +93,9 @@ class BiModalDesignCLI {
         examples: [
           'bimodal-design simulate https://example.com',
           'bimodal-design simulate --multi-agent --tasks extract-content,find-contact',
+          'bimodal-design simulate --hydration-gap https://example.com',
+          'bimodal-design simulate --robots https://example.com',
+          'bimodal-design simulate --differential https://example.com',
         ],
       },
       init: {
@@ -67,6 +119,14 @@ class BiModalDesignCLI {
           'bimodal-design score --detailed --benchmark',
         ],
       },
+      trend: {
+        description: 'Show score history, regressions and improvements per URL',
+        examples: [
+          'bimodal-design trend',
+          'bimodal-design trend https://example.com --limit 10',
+          'bimodal-design trend --format json',
+        ],
+      },
       doctor: {
         description: 'Diagnose common BiModal Design issues',
         examples: [
@@ -114,9 +174,13 @@ class BiModalDesignCLI {
     }
 
     const command = args[0];
-    const commandArgs = args.slice(1);
+    const { authOptions, rest } = this.parseAuthOptions(args.slice(1));
+    const { budgetConfig, rest: commandArgs } = this.parseBudgetOptions(rest);
 
     try {
+      this.auth = await loadAuth(authOptions);
+      this.budgets = await loadBudgets(budgetConfig);
+
       switch (command) {
         case 'audit':
           await this.runAudit(commandArgs);
@@ -124,6 +188,12 @@ class BiModalDesignCLI {
         case 'check':
           await this.runCheck(commandArgs);
           break;
+        case 'parity':
+          await this.runParity(commandArgs);
+          break;
+        case 'view':
+          await this.runView(commandArgs);
+          break;
         case 'simulate':
           await this.runSimulate(commandArgs);
           break;
@@ -136,6 +206,9 @@ class BiModalDesignCLI {
         case 'score':
           await this.runScore(commandArgs);
           break;
+        case 'trend':
+          await this.runTrend(commandArgs);
+          break;
         case 'doctor':
           await this.runDoctor(commandArgs);
           break;
@@ -145,7 +218,7 @@ class BiModalDesignCLI {
           process.exit(1);
       }
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      console.error(`Error: ${redactSecrets(error.message, this.auth)}`);
       process.exit(1);
     }
   }
@@ -162,11 +235,14 @@ USAGE
 
 COMMANDS
   audit       Run comprehensive BiModal Design compliance audit
-  check       Quick FR-1 (Initial Payload) accessibility check  
+  check       Quick FR-1 (Initial Payload) accessibility check (URL or --dir build)
+  parity      Share of rendered text, links, headings and forms present without JS
+  view        Print the initial payload (URL or HTML file) as Markdown, as a no-JS agent reads it
   simulate    Simulate different AI agent interactions
   init        Initialize BiModal Design in a new or existing project
   validate    Validate current BiModal Design implementation
   score       Generate detailed compliance score and benchmarks
+  trend       Show score history from past audit and score runs
   doctor      Diagnose and suggest fixes for BiModal Design issues
 
 GLOBAL OPTIONS
@@ -174,12 +250,21 @@ GLOBAL OPTIONS
   --version, -v  Show CLI version
   --verbose      Enable verbose logging
   --quiet        Suppress non-essential output
+  --header "Name: value"       Send a request header (repeatable)
+  --cookie-jar <file>          Send cookies from a Netscape or JSON cookie jar
+  --basic-auth <user:pass>     Send HTTP basic-auth credentials
+  --auth-config <file>         Load headers, cookieJar and basicAuth from JSON
+  --budget-config <file>       Payload budgets config (default: bimodal-design.config.json)
 
 EXAMPLES
   bimodal-design audit https://example.com --format html --output report.html
+  bimodal-design parity https://example.com
+  bimodal-design view https://example.com > agent-view.md
   bimodal-design simulate --multi-agent https://example.com
   bimodal-design init --framework react --template ecommerce
   bimodal-design score https://example.com --benchmark --detailed
+  bimodal-design trend https://example.com
+  bimodal-design check https://staging.example.com --cookie-jar cookies.txt
 
 Get started:
   bimodal-design init                    # Initialize BiModal Design in current directory
@@ -194,10 +279,11 @@ Repository: https://github.com/jgoldfoot/BiModal Design
   }
 
   async runAudit(args) {
-    console.log('🔍 Running BiModal Design Compliance Audit...\n');
-
-    const auditor = new ComplianceAuditor();
     const options = this.parseAuditOptions(args);
+    const log = this.getProgressLogger(options);
+    log('🔍 Running BiModal Design Compliance Audit...\n');
+
+    const auditor = new ComplianceAuditor({ auth: this.auth, budgets: this.budgets });
 
     let results;
     if (options.batch) {
@@ -206,60 +292,178 @@ Repository: https://github.com/jgoldfoot/BiModal Design
       results = [];
 
       for (const url of urls) {
-        console.log(`Auditing: ${url}`);
+        log(`Auditing: ${url}`);
         const result = await auditor.auditPage(url);
         results.push(result);
-        console.log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
+        log(`  Score: ${result.overallScore}% ${result.passed ? '✅' : '❌'}`);
       }
     } else if (options.url) {
       // Single URL audit
-      console.log(`Auditing: ${options.url}`);
+      log(`Auditing: ${options.url}`);
       results = await auditor.auditPage(options.url);
-      console.log(`Score: ${results.overallScore}% ${results.passed ? '✅' : '❌'}`);
+      log(`Score: ${results.overallScore}% ${results.passed ? '✅' : '❌'}`);
     } else {
       throw new Error('Please provide a URL or batch file');
     }
 
+    await this.recordHistory([].concat(results), 'audit', options);
     await this.outputResults(results, options);
   }
 
   async runCheck(args) {
-    console.log('⚡ Running FR-1 Quick Check...\n');
-
-    const checker = new FR1Checker();
     const options = this.parseCheckOptions(args);
+    const log = this.getProgressLogger(options);
+    log('⚡ Running FR-1 Quick Check...\n');
+
+    const checker = new FR1Checker({ auth: this.auth, budgets: this.budgets });
+
+    if (options.dir) {
+      await this.runDirectoryCheck(checker, options);
+      return;
+    }
 
     if (!options.url) {
-      throw new Error('Please provide a URL to check');
+      throw new Error('Please provide a URL or --dir to check');
     }
 
-    console.log(`Checking: ${options.url}`);
-    const result = await checker.checkFR1(options.url);
+    log(`Checking: ${options.url}`);
+    const result = await checker.checkURL(options.url);
 
-    console.log(`\nFR-1 Compliance: ${result.passed ? '✅ PASS' : '❌ FAIL'}`);
-    console.log(`Score: ${result.score}%\n`);
+    log(`\nFR-1 Compliance: ${result.passed ? '✅ PASS' : '❌ FAIL'}`);
+    log(`Score: ${(result.score * 100).toFixed(1)}%\n`);
 
     if (result.issues.length > 0) {
-      console.log('Issues found:');
-      result.issues.forEach((issue) => console.log(`  • ${issue}`));
+      log('Issues found:');
+      result.issues.forEach((issue) => log(`  • ${issue}`));
     }
 
+    const budgets = (result.details || {}).budgets || [];
+    if (budgets.length > 0) {
+      log('Payload budgets:');
+      budgets.forEach((entry) =>
+        log(`  ${entry.status === 'within' ? '✓' : '⚠'} ${formatBudgetResult(entry)}`)
+      );
+    }
+
+    (result.findings || [])
+      .filter((finding) => finding.location && finding.severity === 'error')
+      .forEach((finding) => {
+        const { startLine, startColumn } = finding.location;
+        log(`\n  ${startLine}:${startColumn} [${finding.ruleId}] ${finding.message}`);
+        log(formatSourceContext(finding.location, '    '));
+      });
+
     await this.outputResults(result, options);
   }
 
-  async runSimulate(args) {
-    console.log('🤖 Running Agent Simulation...\n');
+  async runDirectoryCheck(checker, options) {
+    const log = this.getProgressLogger(options);
+    log(`Checking static build: ${options.dir}\n`);
+    const results = await checker.checkDirectory(options.dir);
+    const summary = checker.generateSummary(results);
+
+    log(`\nFR-1 Compliance: ${summary.passed}/${summary.total} pages passed`);
+    log(`Average Score: ${(summary.averageScore * 100).toFixed(1)}%\n`);
 
-    const simulator = new AgentSimulator();
+    if (summary.commonIssues.length > 0) {
+      log('Most common issues:');
+      summary.commonIssues.forEach((issue) => {
+        log(`  • ${issue.issue} (${issue.percentage}% of pages)`);
+      });
+    }
+
+    await this.outputResults({ summary, results }, options);
+
+    // Fail the run so the build can be gated before deployment
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Logger for human-readable progress: stdout for console output, stderr
+   * when stdout carries a report in another format (JSON, SARIF, JUnit, ...)
+   * @param {Object} options - Command options
+   * @returns {Function} console.log or console.error
+   */
+  getProgressLogger(options) {
+    return options.format === 'console' || options.output ? console.log : console.error;
+  }
+
+  async runParity(args) {
+    const options = this.parseParityOptions(args);
+    const log = this.getProgressLogger(options);
+    log('⚖️  Measuring Initial Payload Parity...\n');
+
+    const auditor = new ComplianceAuditor({ auth: this.auth });
+
+    if (!options.url) {
+      throw new Error('Please provide a URL to compare');
+    }
+
+    log(`Comparing: ${options.url}\n`);
+    const result = await auditor.analyzeParity(options.url);
+
+    formatContentParity(result).forEach((line) => log(line));
+
+    await this.outputResults(result, options);
+  }
+
+  /**
+   * Print what a no-JS agent gets from a URL or HTML file as Markdown. Only the
+   * Markdown goes to stdout so the output can be redirected into snapshots.
+   */
+  async runView(args) {
+    const options = this.parseViewOptions(args);
+
+    if (!options.target) {
+      throw new Error('Please provide a URL or HTML file to view');
+    }
+
+    const checker = new FR1Checker({ auth: this.auth });
+    const markdown = redactSecrets(
+      await checker.renderMarkdown(options.target, { full: options.full }),
+      this.auth
+    );
+
+    if (options.output) {
+      await fs.writeFile(options.output, markdown);
+      console.log(`Agent view saved to: ${options.output}`);
+    } else {
+      process.stdout.write(markdown);
+    }
+  }
+
+  async runSimulate(args) {
     const options = this.parseSimulateOptions(args);
+    const log = this.getProgressLogger(options);
+    log('🤖 Running Agent Simulation...\n');
+
+    const simulator = new AgentSimulator({ auth: this.auth });
 
     if (!options.url) {
       throw new Error('Please provide a URL to simulate');
     }
 
     let results;
-    if (options.multiAgent) {
-      console.log(`Running multi-agent test for: ${options.url}`);
+    if (options.differential) {
+      log(`Fetching as browser, crawlers and agents: ${options.url}\n`);
+      results = await simulator.detectDifferentialServing(options.url);
+      formatDifferentialServing(results).forEach((line) => log(line));
+    } else if (options.robots) {
+      log(`Checking agent access for: ${options.url}\n`);
+      // An FR-1 pass turns rules that keep agents out into contradictions
+      const check = await new FR1Checker({ auth: this.auth }).checkURL(options.url);
+      results = await simulator.analyzeAgentAccess(options.url, {
+        fr1: { passed: check.passed, score: check.score },
+      });
+      formatAgentAccess(results).forEach((line) => log(line));
+    } else if (options.hydrationGap) {
+      log(`Comparing basic and advanced agents for: ${options.url}\n`);
+      results = await simulator.analyzeHydrationGap(options.url);
+      formatHydrationGap(results).forEach((line) => log(line));
+    } else if (options.multiAgent) {
+      log(`Running multi-agent test for: ${options.url}`);
       results = await simulator.runMultiAgentTest(options.url, {
         tasks: options.tasks,
         agents: options.agents,
@@ -267,15 +471,15 @@ Repository: https://github.com/jgoldfoot/BiModal Design
 
       // Show quick summary
       if (results.comparison) {
-        console.log('\n📊 Quick Summary:');
+        log('\n📊 Quick Summary:');
         Object.entries(results.comparison.accessibilityScores).forEach(([agent, score]) => {
-          console.log(`  ${agent}: ${score}%`);
+          log(`  ${agent}: ${score}%`);
         });
       }
     } else {
-      console.log(`Running ${options.agentType} agent test for: ${options.url}`);
+      log(`Running ${options.agentType} agent test for: ${options.url}`);
       results = await simulator.simulateAgent(options.url, options.agentType, options.tasks);
-      console.log(`Accessibility Score: ${results.accessibility.score}%`);
+      log(`Accessibility Score: ${results.accessibility.score}%`);
     }
 
     await this.outputResults(results, options);
@@ -335,8 +539,8 @@ Repository: https://github.com/jgoldfoot/BiModal Design
     }
 
     // Run comprehensive scoring
-    const auditor = new ComplianceAuditor();
-    const simulator = new AgentSimulator();
+    const auditor = new ComplianceAuditor({ auth: this.auth, budgets: this.budgets });
+    const simulator = new AgentSimulator({ auth: this.auth });
 
     console.log('Running compliance audit...');
     const auditResult = await auditor.auditPage(options.url);
@@ -355,10 +559,99 @@ Repository: https://github.com/jgoldfoot/BiModal Design
       await this.showBenchmarkComparison(score);
     }
 
+    await this.recordHistory([auditResult], 'score', options, { bimodalScore: score.overall });
+
     const results = { score, audit: auditResult, simulation: simResult };
     await this.outputResults(results, options);
   }
 
+  /**
+   * Persist audit results to the local history store for `trend`
+   * @param {Object[]} auditResults - Results from auditPage
+   * @param {string} source - Command that produced them ('audit' or 'score')
+   * @param {Object} options - Command options (history: false skips recording)
+   * @param {Object} [extra] - Additional fields stored with each record
+   */
+  async recordHistory(auditResults, source, options, extra = {}) {
+    if (options.history === false) {
+      return;
+    }
+
+    const commit = getCurrentCommit();
+    const records = auditResults
+      .map((result) => createHistoryRecord(result, { source, commit, extra }))
+      .filter(Boolean);
+
+    if (records.length > 0) {
+      const file = await appendHistory(records, { dir: options.historyDir });
+      // stderr, so JSON and SARIF written to stdout stay parseable
+      console.error(`Recorded ${records.length} result(s) in ${file}`);
+    }
+  }
+
+  async runTrend(args) {
+    const options = this.parseTrendOptions(args);
+    const records = await readHistory({ dir: options.historyDir, url: options.url });
+
+    if (records.length === 0) {
+      console.log(
+        'No history yet. Run "bimodal-design audit <url>" or "bimodal-design score <url>" first.'
+      );
+      return;
+    }
+
+    const trends = analyzeTrend(records, { limit: options.limit });
+
+    if (options.format === 'json') {
+      await this.outputResults(trends, options);
+      return;
+    }
+
+    console.log('📈 BiModal Design Score Trends\n');
+
+    trends.forEach((trend) => {
+      console.log(`${trend.url} (${trend.runs.length} run${trend.runs.length === 1 ? '' : 's'})`);
+
+      const header = [
+        'Date      ',
+        'Commit ',
+        'Overall',
+        ...REQUIREMENTS.map((key) => key.padStart(4)),
+      ];
+      console.log(`  ${header.join('  ')}`);
+      trend.runs.forEach((run) => {
+        const row = [
+          run.timestamp.slice(0, 10),
+          (run.commit || '-').slice(0, 7).padEnd(7),
+          String(run.overallScore).padStart(7),
+          ...REQUIREMENTS.map((key) => String(run.requirements[key] ?? '-').padStart(4)),
+        ];
+        console.log(`  ${row.join('  ')}`);
+      });
+
+      const describe = (change) =>
+        `${change.requirement} ${change.from} → ${change.to} (${change.delta > 0 ? '+' : ''}${change.delta})` +
+        ` at ${(change.commit || 'unknown commit').slice(0, 7)} on ${change.timestamp.slice(0, 10)}`;
+
+      if (trend.regressions.length > 0) {
+        console.log('  Regressions:');
+        trend.regressions.forEach((change) => console.log(`    ↓ ${describe(change)}`));
+      }
+      if (trend.improvements.length > 0) {
+        console.log('  Improvements:');
+        trend.improvements.forEach((change) => console.log(`    ↑ ${describe(change)}`));
+      }
+
+      if (trend.runs.length > 1) {
+        const delta = trend.latest.overallScore - trend.first.overallScore;
+        console.log(
+          `  Overall: ${trend.first.overallScore}% → ${trend.latest.overallScore}% (${delta >= 0 ? '+' : ''}${delta})`
+        );
+      }
+      console.log();
+    });
+  }
+
   async runDoctor(args) {
     console.log('🩺 Running BiModal Design Health Check...\n');
 
@@ -391,6 +684,50 @@ Repository: https://github.com/jgoldfoot/BiModal Design
   }
 
   // Parsing methods for command options
+
+  /**
+   * Split the credential flags shared by every command off the command's arguments
+   * @param {string[]} args - Command arguments
+   * @returns {Object} { authOptions, rest } for loadAuth and the command's own parser
+   */
+  parseAuthOptions(args) {
+    const authOptions = { headers: [] };
+    const rest = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--header') {
+        authOptions.headers.push(args[++i]);
+      } else if (arg === '--cookie-jar') {
+        authOptions.cookieJar = args[++i];
+      } else if (arg === '--basic-auth') {
+        authOptions.basicAuth = args[++i];
+      } else if (arg === '--auth-config') {
+        authOptions.config = args[++i];
+      } else {
+        rest.push(arg);
+      }
+    }
+
+    return { authOptions, rest };
+  }
+
+  parseBudgetOptions(args) {
+    const rest = [];
+    let budgetConfig = null;
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--budget-config') {
+        budgetConfig = args[++i];
+      } else {
+        rest.push(args[i]);
+      }
+    }
+
+    return { budgetConfig, rest };
+  }
+
   parseAuditOptions(args) {
     const options = { format: 'json' };
 
@@ -407,6 +744,8 @@ Repository: https://github.com/jgoldfoot/BiModal Design
         options.output = args[++i];
       } else if (arg === '--timeout') {
         options.timeout = parseInt(args[++i]);
+      } else if (arg === '--no-history') {
+        options.history = false;
       }
     }
 
@@ -421,6 +760,8 @@ Repository: https://github.com/jgoldfoot/BiModal Design
 
       if (arg.startsWith('http')) {
         options.url = arg;
+      } else if (arg === '--dir' || arg === '-d') {
+        options.dir = args[++i];
       } else if (arg === '--output' || arg === '-o') {
         options.output = args[++i];
       } else if (arg === '--format' || arg === '-f') {
@@ -431,6 +772,42 @@ Repository: https://github.com/jgoldfoot/BiModal Design
     return options;
   }
 
+  parseParityOptions(args) {
+    const options = { format: 'console' };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg.startsWith('http')) {
+        options.url = arg;
+      } else if (arg === '--output' || arg === '-o') {
+        options.output = args[++i];
+      } else if (arg === '--format' || arg === '-f') {
+        options.format = args[++i];
+      }
+    }
+
+    return options;
+  }
+
+  parseViewOptions(args) {
+    const options = { full: false };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--output' || arg === '-o') {
+        options.output = args[++i];
+      } else if (arg === '--full') {
+        options.full = true;
+      } else if (!arg.startsWith('-')) {
+        options.target = arg;
+      }
+    }
+
+    return options;
+  }
+
   parseSimulateOptions(args) {
     const options = {
       agentType: 'basic',
@@ -451,6 +828,12 @@ Repository: https://github.com/jgoldfoot/BiModal Design
         options.tasks = args[++i].split(',');
       } else if (arg === '--multi-agent' || arg === '-m') {
         options.multiAgent = true;
+      } else if (arg === '--hydration-gap') {
+        options.hydrationGap = true;
+      } else if (arg === '--robots') {
+        options.robots = true;
+      } else if (arg === '--differential') {
+        options.differential = true;
       } else if (arg === '--agents') {
         options.agents = args[++i].split(',');
       } else if (arg === '--output' || arg === '-o') {
@@ -517,6 +900,30 @@ Repository: https://github.com/jgoldfoot/BiModal Design
         options.output = args[++i];
       } else if (arg === '--format' || arg === '-f') {
         options.format = args[++i];
+      } else if (arg === '--no-history') {
+        options.history = false;
+      }
+    }
+
+    return options;
+  }
+
+  parseTrendOptions(args) {
+    const options = { format: 'console' };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg.startsWith('http')) {
+        options.url = arg;
+      } else if (arg === '--limit' || arg === '-n') {
+        options.limit = parseInt(args[++i]);
+      } else if (arg === '--history-dir') {
+        options.historyDir = args[++i];
+      } else if (arg === '--output' || arg === '-o') {
+        options.output = args[++i];
+      } else if (arg === '--format' || arg === '-f') {
+        options.format = args[++i];
       }
     }
 
@@ -554,6 +961,7 @@ Repository: https://github.com/jgoldfoot/BiModal Design
 
   async outputResults(results, options) {
     let output;
+    results = redactSecrets(results, this.auth);
 
     if (options.format === 'console') {
       return; // Already displayed to console
@@ -563,6 +971,18 @@ Repository: https://github.com/jgoldfoot/BiModal Design
       output = this.generateMarkdownOutput(results);
     } else if (options.format === 'html') {
       output = this.generateHTMLOutput(results);
+    } else if (options.format === 'sarif') {
+      output = JSON.stringify(
+        toSARIF(this.collectFindingPages(results), {
+          name: 'BiModal Design CLI',
+          version: this.version,
+          informationUri: 'https://github.com/jgoldfoot/BiModalDesign',
+        }),
+        null,
+        2
+      );
+    } else if (options.format === 'junit') {
+      output = this.generateJUnitOutput(results);
     } else {
       throw new Error(`Unsupported format: ${options.format}`);
     }
@@ -575,6 +995,166 @@ Repository: https://github.com/jgoldfoot/BiModal Design
     }
   }
 
+  /**
+   * JUnit XML for check or audit results: audits report one testcase per FR
+   * requirement, checks one per rule, simulations one per agent task,
+   * hydration gap reports one per landmark with JS-only content, and agent
+   * access and differential serving reports one per agent
+   * @param {Object|Object[]} results - Command results
+   * @returns {string} JUnit XML
+   */
+  generateJUnitOutput(results) {
+    const pages = Array.isArray(results.results) ? results.results : [].concat(results);
+    const suites = pages.flatMap((page) => {
+      if (page.requirements || page.overallScore !== undefined) {
+        return [suiteFromAuditResult(page)];
+      }
+      if (page.noise !== undefined) {
+        return [this.differentialServingSuite(page)];
+      }
+      if (page.contradictions) {
+        return [this.agentAccessSuite(page)];
+      }
+      if (page.landmarks) {
+        return [this.hydrationGapSuite(page)];
+      }
+      if (page.ruleResults || page.findings) {
+        return [suiteFromCheckResult(page)];
+      }
+      return this.simulationSuites(page);
+    });
+
+    return toJUnitXML({ name: 'BiModal Design', suites });
+  }
+
+  /**
+   * Test suite for a hydration gap report
+   * @param {Object} report - Result of AgentSimulator.analyzeHydrationGap
+   * @returns {Object} One failing testcase per landmark with JS-only content
+   */
+  hydrationGapSuite(report) {
+    return {
+      name: `${report.url} (hydration gap)`,
+      timestamp: report.timestamp,
+      testcases: report.landmarks.map((group) => ({
+        name: group.landmark,
+        classname: 'agent-simulator.hydration-gap',
+        failure: {
+          message: `${group.subtrees.length} subtree(s) only appear after JavaScript runs`,
+          type: 'sim/js-only-content',
+          text: group.subtrees
+            .map((subtree) => `${subtree.selector} → ${subtree.guidance.reference}`)
+            .join('\n'),
+        },
+      })),
+    };
+  }
+
+  /**
+   * Test suite for an agent access report
+   * @param {Object} report - Result of AgentSimulator.analyzeAgentAccess
+   * @returns {Object} One testcase per agent, failing when its rules contradict an FR-1 pass
+   */
+  agentAccessSuite(report) {
+    return {
+      name: `${report.url} (agent access)`,
+      timestamp: report.timestamp,
+      testcases: report.agents.map((agent) => {
+        const contradictions = report.contradictions.filter((entry) => entry.agent === agent.id);
+        const testcase = { name: agent.name, classname: 'agent-simulator.agent-access' };
+        if (contradictions.length > 0) {
+          testcase.failure = {
+            message: `${agent.name} is ${agent.decision} on a page that passes FR-1`,
+            type: 'robots/contradicts-fr1',
+            text: contradictions.map((entry) => entry.rule).join('\n'),
+          };
+        }
+        return testcase;
+      }),
+    };
+  }
+
+  /**
+   * Test suite for a differential serving report
+   * @param {Object} report - Result of AgentSimulator.detectDifferentialServing
+   * @returns {Object} One testcase per agent, failing when it is blocked or served different content
+   */
+  differentialServingSuite(report) {
+    return {
+      name: `${report.url} (differential serving)`,
+      timestamp: report.timestamp,
+      testcases: report.agents.map((agent) => {
+        const testcase = { name: agent.name, classname: 'agent-simulator.differential-serving' };
+        if (agent.verdict !== 'same') {
+          testcase.failure = {
+            message: agent.reasons.join('; '),
+            type: agent.verdict === 'blocked' ? 'serving/agent-blocked' : 'serving/cloaking-risk',
+            text: agent.userAgent,
+          };
+        }
+        return testcase;
+      }),
+    };
+  }
+
+  /**
+   * Test suites for single- or multi-agent simulation results
+   * @param {Object} results - Simulation results
+   * @returns {Object[]} One suite per agent, one testcase per task
+   */
+  simulationSuites(results) {
+    const agents = results.tasks
+      ? [results]
+      : Object.keys(results)
+          .filter((key) => key !== 'comparison')
+          .map((key) => results[key]);
+
+    return agents
+      .filter((agent) => agent && agent.tasks)
+      .map((agent) => ({
+        name: `${agent.url} (${agent.agentType})`,
+        timestamp: agent.timestamp,
+        testcases: Object.entries(agent.tasks).map(([taskName, task]) => ({
+          name: taskName,
+          classname: `agent-simulator.${agent.agentType}`,
+          failure: task.success
+            ? null
+            : {
+                message: `${task.taskDescription || taskName} failed`,
+                type: 'task',
+                text: (task.issues || []).join('\n'),
+              },
+        })),
+      }));
+  }
+
+  /**
+   * Flatten check, audit and simulation results into pages with findings
+   * @param {Object|Object[]} results - Command results
+   * @returns {Object[]} Pages: { url, file, findings }
+   */
+  collectFindingPages(results) {
+    if (Array.isArray(results)) {
+      return results.flatMap((result) => this.collectFindingPages(result));
+    }
+    if (Array.isArray(results.results)) {
+      return this.collectFindingPages(results.results);
+    }
+    if (results.tasks) {
+      // Single-agent simulation: findings live on each task
+      const findings = Object.values(results.tasks).flatMap((task) => task.findings || []);
+      return [{ url: results.url, findings }];
+    }
+    if (results.comparison) {
+      // Multi-agent simulation: per-agent results plus the comparison
+      const agents = Object.keys(results).filter((key) => key !== 'comparison');
+      const pages = agents.flatMap((agent) => this.collectFindingPages(results[agent]));
+      const url = pages.length > 0 ? pages[0].url : undefined;
+      return [...pages, { url, findings: results.comparison.findings || [] }];
+    }
+    return [results];
+  }
+
   generateMarkdownOutput(results) {
     return `# BiModal Design Results\n\n${JSON.stringify(results, null, 2)}`;
   }
@@ -588,15 +1168,64 @@ Repository: https://github.com/jgoldfoot/BiModal Design
     <style>
         body { font-family: system-ui, sans-serif; margin: 40px; }
         pre { background: #f5f5f5; padding: 20px; border-radius: 8px; overflow-x: auto; }
+        .finding { margin: 20px 0; }
+        .finding pre { padding: 12px; margin: 8px 0; }
+        .finding mark { background: #ffe0e0; display: block; }
+        .severity-error { color: #b00020; }
+        .severity-warning { color: #8a6d00; }
     </style>
 </head>
 <body>
     <h1>BiModal Design Results</h1>
-    <pre>${JSON.stringify(results, null, 2)}</pre>
+    ${this.generateHTMLFindings(results)}
+    <pre>${escapeHTML(JSON.stringify(results, null, 2))}</pre>
 </body>
 </html>`;
   }
 
+  /**
+   * Render located findings with the offending markup and its context lines
+   * @param {Object} results - Single check result or { summary, results }
+   * @returns {string} HTML section, empty when no finding has a source location
+   */
+  generateHTMLFindings(results) {
+    const pages = Array.isArray(results.results) ? results.results : [results];
+    const sections = pages
+      .map((page) => {
+        const located = (page.findings || []).filter((finding) => finding.location);
+        if (located.length === 0) {
+          return '';
+        }
+
+        const items = located.map((finding) => {
+          const { location } = finding;
+          const lines = location.context.map(({ line, text }) => {
+            const content = `${String(line).padStart(5)} | ${escapeHTML(text)}`;
+            return line >= location.startLine && line <= location.endLine
+              ? `<mark>${content}</mark>`
+              : content;
+          });
+
+          return `
+        <div class="finding">
+            <strong class="severity-${finding.severity}">${finding.severity}</strong>
+            <code>${escapeHTML(finding.ruleId)}</code> line ${location.startLine}, column ${location.startColumn}:
+            ${escapeHTML(finding.message)}
+            <pre>${lines.join('\n')}</pre>
+            ${finding.help ? `<p>${escapeHTML(finding.help)}</p>` : ''}
+        </div>`;
+        });
+
+        return `
+    <section>
+        <h2>${escapeHTML(page.file || page.finalUrl || page.url || 'Findings')}</h2>${items.join('')}
+    </section>`;
+      })
+      .filter(Boolean);
+
+    return sections.length > 0 ? `<h2>Findings</h2>${sections.join('')}` : '';
+  }
+
   promptFramework() {
     // In a real implementation, this would use a proper CLI prompt library
     console.log('Available frameworks:');
@@ -823,8 +1452,8 @@ Documentation: https://bimodal-design.design/docs
     // Quick checks that would be implemented
     // This is a simplified version
     try {
-      const checker = new FR1Checker();
-      const result = await checker.checkFR1(url);
+      const checker = new FR1Checker({ auth: this.auth });
+      const result = await checker.checkURL(url);
 
       if (!result.passed) {
         issues.push({
@@ -834,6 +1463,25 @@ Documentation: https://bimodal-design.design/docs
         });
       }
 
+      // Framework-specific remediation from the payload fingerprint
+      const framework = (result.details || {}).framework;
+      if (framework) {
+        framework.problems.forEach((problem) => {
+          issues.push({
+            type: 'Agent Attribute Mismatch',
+            description: problem.message,
+            fix: `Detected ${framework.name || 'no known framework'}; update data-agent-framework and data-agent-mode to match`,
+          });
+        });
+        framework.recommendations.forEach((recommendation) => {
+          issues.push({
+            type: `${framework.name || 'Framework'} Remediation`,
+            description: recommendation.message,
+            fix: `See ${recommendation.reference} (${recommendation.section})`,
+          });
+        });
+      }
+
       // Add more diagnostic checks here
     } catch (error) {
       issues.push({
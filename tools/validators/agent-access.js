@@ -0,0 +1,324 @@
+/**
+ * BiModal Design Agent Access
+ * Decides, per agent, whether a page may be crawled and used: robots.txt,
+ * <meta name="robots"> (and agent-specific meta names) and X-Robots-Tag
+ * headers are evaluated for each Agent Simulator profile and the known AI
+ * crawlers. Rules that keep agents away from a page passing FR-1 are flagged,
+ * since that content is agent-ready but will never be read.
+ */
+
+const { URL } = require('url');
+const { parseRobotsTxt, isAllowed } = require('./robots-txt');
+const { createFinding } = require('./findings');
+
+// AI crawlers checked in addition to the Agent Simulator profiles
+const AI_CRAWLERS = [
+  {
+    id: 'gptbot',
+    name: 'GPTBot (OpenAI)',
+    userAgent:
+      'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.1; +https://openai.com/gptbot)',
+  },
+  {
+    id: 'claudebot',
+    name: 'ClaudeBot (Anthropic)',
+    userAgent:
+      'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+  },
+  {
+    id: 'perplexitybot',
+    name: 'PerplexityBot',
+    userAgent:
+      'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+  },
+  {
+    // A robots.txt product token only: Googlebot fetches, this controls use in Gemini
+    id: 'google-extended',
+    name: 'Google-Extended',
+    userAgent: 'Google-Extended',
+    tokenOnly: true,
+  },
+];
+
+// X-Robots-Tag directives that carry a value after a colon
+const VALUE_DIRECTIVES = [
+  'unavailable_after',
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+];
+
+// Directives reported as restrictions on what an agent may do with the page
+const RESTRICTIVE_DIRECTIVES = ['noindex', 'nofollow', 'nosnippet', 'noarchive', 'noai'];
+
+// Directives that mark a crawler-specific meta tag such as <meta name="GPTBot">
+const ROBOTS_DIRECTIVES = [...RESTRICTIVE_DIRECTIVES, 'index', 'follow', 'all', 'noimageai'];
+
+/**
+ * Parse a robots directive list such as "noindex, nofollow"
+ * @param {string} content - Comma-separated directives
+ * @returns {string[]} Lower-case directives; `none` expands to noindex and nofollow
+ */
+function parseDirectives(content) {
+  const directives = [];
+  String(content || '')
+    .split(',')
+    .map((directive) => directive.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((directive) => {
+      directives.push(...(directive === 'none' ? ['noindex', 'nofollow'] : [directive]));
+    });
+  return [...new Set(directives)];
+}
+
+/**
+ * Robots meta tags of a page, e.g. <meta name="robots"> or <meta name="GPTBot">
+ * @param {string} html - Page HTML
+ * @returns {Object[]} { name, content, directives } with lower-case names
+ */
+function getMetaRobots(html) {
+  const tags = [];
+  (String(html).match(/<meta\b[^>]*>/gi) || []).forEach((tag) => {
+    const attributes = {};
+    const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    for (let match = pattern.exec(tag); match; match = pattern.exec(tag)) {
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+
+    if (!attributes.name || attributes.content === undefined) {
+      return;
+    }
+    const name = attributes.name.trim().toLowerCase();
+    const directives = parseDirectives(attributes.content);
+    if (name === 'robots' || directives.some((d) => ROBOTS_DIRECTIVES.includes(d))) {
+      tags.push({ name, content: attributes.content, directives });
+    }
+  });
+  return tags;
+}
+
+/**
+ * Parse X-Robots-Tag headers. A value may be scoped to one crawler with a
+ * "<user-agent>: " prefix, which applies to the directives that follow it.
+ * @param {string|string[]} values - Header value(s)
+ * @returns {Object[]} { agent, directives }, agent null for unscoped directives
+ */
+function parseXRobotsTag(values) {
+  const entries = [];
+
+  [].concat(values || []).forEach((value) => {
+    let current = null;
+    String(value)
+      .split(',')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .forEach((part) => {
+        const scoped = part.match(/^([\w.-]+)\s*:\s*(.*)$/);
+        let directive = part;
+        if (scoped && !VALUE_DIRECTIVES.includes(scoped[1].toLowerCase())) {
+          current = { agent: scoped[1].toLowerCase(), directives: [] };
+          entries.push(current);
+          directive = scoped[2];
+        } else if (!current) {
+          current = { agent: null, directives: [] };
+          entries.push(current);
+        }
+        current.directives.push(...parseDirectives(directive));
+      });
+  });
+
+  return entries.filter((entry) => entry.directives.length > 0);
+}
+
+/**
+ * Whether a meta name or X-Robots-Tag scope addresses an agent
+ * @param {string|null} name - Meta name or header scope (null and "robots" address all)
+ * @param {string} userAgent - Agent user agent string or product token
+ * @returns {boolean} True when it applies
+ */
+function appliesTo(name, userAgent) {
+  return !name || name === 'robots' || String(userAgent).toLowerCase().includes(name);
+}
+
+/**
+ * Evaluate the access rules of a page for each agent
+ * @param {Object} page - Page and rules
+ * @param {string} page.url - Page URL
+ * @param {Object|null} page.robotsTxt - { statusCode, body } of /robots.txt, null when unreachable
+ * @param {string} page.html - Page HTML as served without JavaScript
+ * @param {Object} [page.headers] - Response headers (X-Robots-Tag)
+ * @param {Object[]} page.agents - Agents: { id, name, userAgent }
+ * @param {Object} [page.fr1] - FR-1 result ({ passed, score }); a pass makes denials contradictions
+ * @returns {Object} { url, robotsTxt, fr1, agents, contradictions, findings }
+ */
+function analyzeAgentAccess({ url, robotsTxt, html, headers = {}, agents, fr1 = null }) {
+  const { pathname, search } = new URL(url);
+  const urlPath = `${pathname}${search}`;
+
+  // RFC 9309: a missing robots.txt allows everything; a server error disallows everything
+  const robotsStatus = robotsTxt ? robotsTxt.statusCode : null;
+  const unreachable = robotsStatus !== null && robotsStatus >= 500;
+  const groups =
+    robotsStatus !== null && robotsStatus >= 200 && robotsStatus < 300
+      ? parseRobotsTxt(robotsTxt.body)
+      : [];
+
+  const metaTags = getMetaRobots(html);
+  const headerEntries = parseXRobotsTag(headers['x-robots-tag']);
+
+  const results = agents.map((agent) => {
+    const reasons = [];
+
+    const crawl = unreachable
+      ? { allowed: false, group: null, rule: null }
+      : isAllowed(groups, agent.userAgent, urlPath);
+    if (unreachable) {
+      reasons.push({
+        source: 'robots.txt',
+        rule: `robots.txt returned ${robotsStatus}`,
+        effect: 'blocked',
+      });
+    } else if (!crawl.allowed) {
+      reasons.push({
+        source: 'robots.txt',
+        rule: `User-agent: ${crawl.group.userAgents.join(', ')} / Disallow: ${crawl.rule.path}`,
+        effect: 'blocked',
+      });
+    }
+
+    const directives = new Set();
+    metaTags
+      .filter((tag) => appliesTo(tag.name, agent.userAgent))
+      .forEach((tag) => {
+        tag.directives.forEach((directive) => directives.add(directive));
+        tag.directives
+          .filter((directive) => RESTRICTIVE_DIRECTIVES.includes(directive))
+          .forEach((directive) => {
+            reasons.push({
+              source: 'meta',
+              rule: `<meta name="${tag.name}" content="${tag.content}">`,
+              effect: directive,
+            });
+          });
+      });
+    headerEntries
+      .filter((entry) => appliesTo(entry.agent, agent.userAgent))
+      .forEach((entry) => {
+        entry.directives.forEach((directive) => directives.add(directive));
+        entry.directives
+          .filter((directive) => RESTRICTIVE_DIRECTIVES.includes(directive))
+          .forEach((directive) => {
+            reasons.push({
+              source: 'X-Robots-Tag',
+              rule: `X-Robots-Tag: ${entry.agent ? `${entry.agent}: ` : ''}${entry.directives.join(', ')}`,
+              effect: directive,
+            });
+          });
+      });
+
+    let decision = 'allowed';
+    if (!crawl.allowed) {
+      decision = 'blocked';
+    } else if (directives.has('noindex')) {
+      decision = 'noindex';
+    }
+
+    return {
+      id: agent.id,
+      name: agent.name,
+      userAgent: agent.userAgent,
+      crawlAllowed: crawl.allowed,
+      directives: [...directives],
+      decision,
+      reasons,
+    };
+  });
+
+  // Rules denying agents a page whose initial payload is agent-ready
+  const contradictions = [];
+  if (fr1 && fr1.passed) {
+    results.forEach((agent) => {
+      agent.reasons
+        .filter((reason) => ['blocked', 'noindex'].includes(reason.effect))
+        .forEach((reason) => contradictions.push({ agent: agent.id, name: agent.name, ...reason }));
+    });
+  }
+
+  const findings = results
+    .filter((agent) => agent.decision !== 'allowed')
+    .map((agent) => {
+      const contradicts = contradictions.some((entry) => entry.agent === agent.id);
+      const rules = agent.reasons
+        .filter((reason) => ['blocked', 'noindex'].includes(reason.effect))
+        .map((reason) => reason.rule)
+        .join('; ');
+      return createFinding({
+        ruleId: contradicts ? 'robots/contradicts-fr1' : `robots/${agent.decision}`,
+        severity: contradicts ? 'warning' : 'info',
+        requirement: 'FR1',
+        message: contradicts
+          ? `${agent.name} is ${agent.decision === 'blocked' ? 'blocked from' : 'told not to index'} a page that passes FR-1 (${rules})`
+          : `${agent.name} is ${agent.decision === 'blocked' ? 'blocked from' : 'told not to index'} this page (${rules})`,
+        help: contradicts
+          ? 'Allow this agent in robots.txt and drop noindex if the page should be read by agents; otherwise the FR-1 work on it is unused.'
+          : 'Confirm that this agent should not read the page.',
+      });
+    });
+
+  return {
+    url,
+    robotsTxt: {
+      url: new URL('/robots.txt', url).href,
+      statusCode: robotsStatus,
+      groups: groups.length,
+    },
+    fr1,
+    agents: results,
+    contradictions,
+    findings,
+  };
+}
+
+/**
+ * Human-readable lines describing an agent access report
+ * @param {Object} report - Result of analyzeAgentAccess
+ * @returns {string[]} Report lines
+ */
+function formatAgentAccess(report) {
+  const { statusCode } = report.robotsTxt;
+  const lines = [
+    `Agent access: ${report.url}`,
+    `  robots.txt: ${statusCode === null ? 'unreachable' : `${statusCode} (${report.robotsTxt.groups} group(s))`}`,
+  ];
+  if (report.fr1) {
+    lines.push(`  FR-1: ${report.fr1.passed ? 'pass' : 'fail'}`);
+  }
+  lines.push('');
+
+  const symbols = { allowed: '✓', noindex: '!', blocked: '✗' };
+  report.agents.forEach((agent) => {
+    lines.push(`  ${symbols[agent.decision]} ${agent.name}: ${agent.decision}`);
+    agent.reasons.forEach((reason) => {
+      lines.push(`      ${reason.effect} - ${reason.rule}`);
+    });
+  });
+
+  if (report.contradictions.length > 0) {
+    lines.push('');
+    lines.push(`Rules contradicting the FR-1 pass (${report.contradictions.length}):`);
+    report.contradictions.forEach((entry) => {
+      lines.push(`  ✗ ${entry.name}: ${entry.rule}`);
+    });
+  }
+
+  return lines;
+}
+
+module.exports = {
+  AI_CRAWLERS,
+  parseDirectives,
+  getMetaRobots,
+  parseXRobotsTag,
+  analyzeAgentAccess,
+  formatAgentAccess,
+};
@@ -0,0 +1,198 @@
+/**
+ * BiModal Design Agent Response Headers
+ * Validates the outgoing headers documented in the API reference
+ * (X-Agent-Optimized, X-Agent-Framework, X-Agent-Rendering and
+ * Vary: User-Agent), cross-checks them with the data-agent-* attributes on
+ * <html> and warns when agent-specific responses can be cached for the wrong
+ * user agent. Shared by the FR-1 Checker and the Compliance Auditor.
+ */
+
+const RENDERING_MODES = ['ssr', 'ssg', 'csr', 'hybrid'];
+
+// Documented headers and the values they accept
+const AGENT_HEADERS = {
+  'x-agent-optimized': {
+    name: 'X-Agent-Optimized',
+    expected: 'true or false',
+    valid: (value) => /^(true|false)$/i.test(value),
+  },
+  'x-agent-framework': {
+    name: 'X-Agent-Framework',
+    expected: 'name/version, e.g. agentux/2.1.0',
+    valid: (value) => /^[a-z0-9][\w.-]*\/\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/i.test(value),
+  },
+  'x-agent-rendering': {
+    name: 'X-Agent-Rendering',
+    expected: RENDERING_MODES.join(', '),
+    valid: (value) => RENDERING_MODES.includes(value.toLowerCase()),
+  },
+};
+
+// <html> attributes compared with the headers
+const ROOT_ATTRIBUTES = ['data-agent-mode', 'data-agent-version', 'data-agent-context'];
+
+/**
+ * Single header value as a string; repeated headers are joined like on the wire
+ * @param {Object} headers - Response headers with lowercase names
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} Value, or null when absent
+ */
+function getHeader(headers, name) {
+  const value = headers && headers[name];
+  return value === undefined || value === null ? null : [].concat(value).join(', ').trim();
+}
+
+/**
+ * Whether a Vary header keys the cache on the user agent
+ * @param {string|null} vary - Vary header value
+ * @returns {boolean} True for "User-Agent" or "*"
+ */
+function variesByUserAgent(vary) {
+  return (vary || '')
+    .split(',')
+    .map((field) => field.trim().toLowerCase())
+    .some((field) => field === 'user-agent' || field === '*');
+}
+
+/**
+ * Validate a response's agent headers against the page's <html> attributes
+ * @param {Object} options - Options
+ * @param {Object} options.headers - Response headers with lowercase names
+ * @param {Object} [options.attributes] - data-agent-mode, data-agent-version and
+ *   data-agent-context of the <html> element (missing attributes null or absent)
+ * @returns {Object} { headers, attributes, agentSpecific, variesByUserAgent, problems }
+ *   where problems are { severity, code, header, message } and code is 'missing',
+ *   'invalid', 'mismatch' or 'vary'
+ */
+function analyzeAgentHeaders({ headers, attributes = {} }) {
+  const problems = [];
+  const problem = (severity, code, header, message) =>
+    problems.push({ severity, code, header, message });
+
+  const values = {};
+  Object.keys(AGENT_HEADERS).forEach((name) => {
+    values[name] = getHeader(headers, name);
+  });
+  values.vary = getHeader(headers, 'vary');
+
+  // Other X-Agent-* headers, such as the X-Agent-Detected and X-Agent-Category
+  // set by the detection middleware, also mark the response as agent-specific
+  const extra = Object.keys(headers || {})
+    .map((name) => name.toLowerCase())
+    .filter((name) => name.startsWith('x-agent-') && !AGENT_HEADERS[name]);
+  extra.forEach((name) => {
+    values[name] = getHeader(headers, name);
+  });
+
+  const root = {};
+  ROOT_ATTRIBUTES.forEach((name) => {
+    const value = attributes[name];
+    root[name] = value === undefined || value === null ? null : String(value).trim();
+  });
+
+  const documented = Object.keys(AGENT_HEADERS).filter((name) => values[name] !== null);
+  if (documented.length === 0) {
+    problem(
+      'info',
+      'missing',
+      null,
+      'Response has no X-Agent-Optimized, X-Agent-Framework or X-Agent-Rendering headers'
+    );
+  }
+
+  documented.forEach((name) => {
+    const spec = AGENT_HEADERS[name];
+    if (!spec.valid(values[name])) {
+      problem(
+        'warning',
+        'invalid',
+        spec.name,
+        `${spec.name}: "${values[name]}" is not valid (expected ${spec.expected})`
+      );
+    }
+  });
+
+  const optimized = (values['x-agent-optimized'] || '').toLowerCase() === 'true';
+  if (optimized) {
+    ['x-agent-framework', 'x-agent-rendering']
+      .filter((name) => values[name] === null)
+      .forEach((name) => {
+        problem(
+          'warning',
+          'invalid',
+          AGENT_HEADERS[name].name,
+          `X-Agent-Optimized is true but ${AGENT_HEADERS[name].name} is missing`
+        );
+      });
+  }
+
+  const rendering = values['x-agent-rendering'];
+  const mode = root['data-agent-mode'];
+  if (rendering && mode && rendering.toLowerCase() !== mode.toLowerCase()) {
+    problem(
+      'warning',
+      'mismatch',
+      'X-Agent-Rendering',
+      `X-Agent-Rendering is "${rendering}" but <html data-agent-mode> is "${mode}"`
+    );
+  }
+
+  const frameworkVersion = (values['x-agent-framework'] || '').split('/')[1];
+  const version = root['data-agent-version'];
+  if (frameworkVersion && version && frameworkVersion !== version) {
+    problem(
+      'warning',
+      'mismatch',
+      'X-Agent-Framework',
+      `X-Agent-Framework is version ${frameworkVersion} but <html data-agent-version> is "${version}"`
+    );
+  }
+
+  const agentSpecific =
+    optimized ||
+    extra.length > 0 ||
+    (root['data-agent-context'] || '').toLowerCase() === 'detected';
+  const varies = variesByUserAgent(values.vary);
+  if (agentSpecific && !varies) {
+    problem(
+      'warning',
+      'vary',
+      'Vary',
+      values.vary
+        ? `Agent-specific response has "Vary: ${values.vary}" without User-Agent`
+        : 'Agent-specific response has no Vary: User-Agent header'
+    );
+  }
+
+  return {
+    headers: values,
+    attributes: root,
+    agentSpecific,
+    variesByUserAgent: varies,
+    problems,
+  };
+}
+
+/**
+ * One-line summaries of an agent header report, for report details
+ * @param {Object} report - Result of analyzeAgentHeaders
+ * @returns {string[]} Lines
+ */
+function describeAgentHeaders(report) {
+  const present = Object.entries(report.headers)
+    .filter(([name, value]) => name.startsWith('x-agent-') && value !== null)
+    .map(([name, value]) => `${AGENT_HEADERS[name] ? AGENT_HEADERS[name].name : name}: ${value}`);
+
+  return [
+    present.length > 0 ? `Agent headers: ${present.join('; ')}` : 'No X-Agent-* response headers',
+    `Vary: ${report.headers.vary || '(none)'}`,
+  ];
+}
+
+module.exports = {
+  RENDERING_MODES,
+  AGENT_HEADERS,
+  variesByUserAgent,
+  analyzeAgentHeaders,
+  describeAgentHeaders,
+};
@@ -0,0 +1,583 @@
+/**
+ * BiModal Design Agent View
+ * Renders a parsed initial payload as Markdown: what an agent that does not
+ * run JavaScript actually gets. Headings, paragraphs, lists, tables, links,
+ * image alt text and code blocks are kept, forms are summarized field by
+ * field, and scripts, styles, hidden elements and site chrome (header, nav,
+ * footer and sidebars outside the main content) are stripped. Works on any
+ * DOM document (jsdom or a browser).
+ */
+
+// Elements never rendered
+const SKIPPED_TAGS = [
+  'script',
+  'style',
+  'template',
+  'svg',
+  'canvas',
+  'object',
+  'embed',
+  'link',
+  'meta',
+  'base',
+  'dialog',
+];
+
+// Site chrome, stripped outside <main> and <article> unless the full page is requested
+const CHROME_TAGS = ['header', 'nav', 'footer', 'aside'];
+const CHROME_ROLES = ['banner', 'navigation', 'contentinfo', 'complementary', 'search'];
+
+// Elements that start a new block; everything else is rendered inline
+const BLOCK_TAGS = [
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'body',
+  'center',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hgroup',
+  'hr',
+  'iframe',
+  'legend',
+  'li',
+  'main',
+  'menu',
+  'nav',
+  'noscript',
+  'ol',
+  'p',
+  'pre',
+  'search',
+  'section',
+  'summary',
+  'table',
+  'ul',
+];
+
+// Options listed per <select> in form summaries
+const MAX_SELECT_OPTIONS = 10;
+
+/**
+ * Lowercase tag name of an element node
+ * @param {Node} node - DOM node
+ * @returns {string} Tag name, '' for other nodes
+ */
+function tagOf(node) {
+  return node.nodeType === 1 ? node.tagName.toLowerCase() : '';
+}
+
+/**
+ * Element children of a node
+ * @param {Node} node - DOM node
+ * @returns {Element[]} Child elements
+ */
+function elementChildren(node) {
+  return Array.from(node.childNodes).filter((child) => child.nodeType === 1);
+}
+
+/**
+ * Descendant elements with a tag name, in document order
+ * @param {Node} node - DOM node
+ * @param {string} tag - Lowercase tag name
+ * @returns {Element[]} Elements
+ */
+function descendants(node, tag) {
+  return elementChildren(node).flatMap((child) =>
+    (tagOf(child) === tag ? [child] : []).concat(descendants(child, tag))
+  );
+}
+
+/**
+ * Whether an element is hidden from every reader
+ * @param {Element} element - Element
+ * @returns {boolean} True for hidden, aria-hidden and display:none elements
+ */
+function isHidden(element) {
+  return (
+    element.hasAttribute('hidden') ||
+    element.getAttribute('aria-hidden') === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute('style') || '') ||
+    (tagOf(element) === 'input' && (element.getAttribute('type') || '').toLowerCase() === 'hidden')
+  );
+}
+
+/**
+ * Escape Markdown syntax characters in text
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Escape a paragraph that would otherwise start a heading, list or quote
+ * @param {string} text - Paragraph
+ * @returns {string} Paragraph
+ */
+function escapeBlockStart(text) {
+  return text.replace(/^(\d+)\.(\s)/, '$1\\.$2').replace(/^(#{1,6}\s|[-+*]\s|>)/, '\\$1');
+}
+
+/**
+ * Collapse the whitespace of rendered inline text, keeping hard line breaks
+ * @param {string} text - Inline Markdown
+ * @returns {string} Text
+ */
+function tidyInline(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .filter((line) => line.length > 0)
+    .join('  \n');
+}
+
+/**
+ * URL usable in a Markdown link
+ * @param {string} href - Attribute value
+ * @returns {string} URL with spaces and parentheses encoded
+ */
+function linkTarget(href) {
+  return href.trim().replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Visible text of a node as a single line, for labels and table cells
+ * @param {Node} node - DOM node
+ * @returns {string} Text
+ */
+function plainText(node) {
+  return renderInline(node)
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Render a node as inline Markdown
+ * @param {Node} node - DOM node
+ * @returns {string} Inline Markdown (whitespace not yet collapsed)
+ */
+function renderInline(node) {
+  if (node.nodeType === 3) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== 1 || SKIPPED_TAGS.includes(tagOf(node)) || isHidden(node)) {
+    return '';
+  }
+
+  const tag = tagOf(node);
+  const children = () =>
+    Array.from(node.childNodes)
+      .map((child) => renderInline(child))
+      .join('');
+  // Markers hug the text; whitespace at the element's edges stays outside them
+  const wrap = (open, text, close = open) => {
+    const raw = text === undefined ? children() : text;
+    const inner = raw.replace(/\s+/g, ' ').trim();
+    if (!inner) {
+      return raw.replace(/\S/g, '');
+    }
+    return `${/^\s/.test(raw) ? ' ' : ''}${open}${inner}${close}${/\s$/.test(raw) ? ' ' : ''}`;
+  };
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'img': {
+      const alt = node.getAttribute('alt');
+      if (alt !== null && alt.trim() === '') {
+        return ''; // Decorative
+      }
+      return ` ![${escapeMarkdown((alt || '').trim())}](${linkTarget(node.getAttribute('src') || '')}) `;
+    }
+    case 'a': {
+      const raw = children();
+      const label =
+        raw.trim() ||
+        escapeMarkdown(node.getAttribute('aria-label') || node.getAttribute('title') || '');
+      const href = (node.getAttribute('href') || '').trim();
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+        return raw.trim() ? raw : label;
+      }
+      return wrap('[', raw.trim() ? raw : label || escapeMarkdown(href), `](${linkTarget(href)})`);
+    }
+    case 'strong':
+    case 'b':
+      return wrap('**');
+    case 'em':
+    case 'i':
+      return wrap('*');
+    case 's':
+    case 'del':
+      return wrap('~~');
+    case 'code':
+    case 'kbd':
+    case 'samp':
+      return wrap('`', node.textContent);
+    case 'button':
+      return wrap('[', children(), ']');
+    case 'input':
+    case 'select':
+    case 'textarea':
+      return '';
+    default:
+      return BLOCK_TAGS.includes(tag) ? ` ${children()} ` : children();
+  }
+}
+
+/**
+ * Summarize a form: method, action and each field with its label, type and
+ * whether it is required
+ * @param {Element} form - <form> element
+ * @returns {string[]} Blocks
+ */
+function renderForm(form) {
+  const labels = new Map();
+  const controls = [];
+
+  const walk = (node, wrappingLabel) => {
+    elementChildren(node).forEach((child) => {
+      const tag = tagOf(child);
+      if (SKIPPED_TAGS.includes(tag) || isHidden(child)) {
+        return;
+      }
+      if (tag === 'label') {
+        const text = plainText(child);
+        if (child.getAttribute('for')) {
+          labels.set(child.getAttribute('for'), text);
+        }
+        walk(child, text);
+      } else if (tag === 'legend') {
+        controls.push({ legend: plainText(child) });
+      } else if (['input', 'select', 'textarea', 'button'].includes(tag)) {
+        controls.push({ element: child, tag, wrappingLabel });
+      } else {
+        walk(child, wrappingLabel);
+      }
+    });
+  };
+  walk(form, null);
+
+  const lines = controls.map(({ legend, element, tag, wrappingLabel }) => {
+    if (legend !== undefined) {
+      return `- **${legend}**`;
+    }
+
+    const type = (element.getAttribute('type') || (tag === 'button' ? 'submit' : 'text'))
+      .toLowerCase()
+      .trim();
+    const required = element.hasAttribute('required') ? ', required' : '';
+
+    if (tag === 'button' || ['submit', 'button', 'reset', 'image'].includes(type)) {
+      const text =
+        (tag === 'button' ? element.textContent.replace(/\s+/g, ' ').trim() : '') ||
+        element.getAttribute('value') ||
+        element.getAttribute('alt') ||
+        element.getAttribute('aria-label') ||
+        (type === 'reset' ? 'Reset' : 'Submit');
+      return `- [${text}] ${type === 'image' ? 'submit' : type} button`;
+    }
+
+    const id = element.getAttribute('id');
+    const label =
+      (id && labels.get(id)) ||
+      wrappingLabel ||
+      element.getAttribute('aria-label') ||
+      element.getAttribute('placeholder') ||
+      element.getAttribute('name') ||
+      '(unlabeled)';
+
+    if (tag === 'select') {
+      const options = descendants(element, 'option')
+        .map((option) => option.textContent.replace(/\s+/g, ' ').trim())
+        .filter((text) => text.length > 0);
+      const listed = options.slice(0, MAX_SELECT_OPTIONS).join(', ');
+      const more =
+        options.length > MAX_SELECT_OPTIONS ? `, +${options.length - MAX_SELECT_OPTIONS} more` : '';
+      return `- ${label}: select (${listed}${more})${required}`;
+    }
+    if (tag === 'textarea') {
+      return `- ${label}: textarea${required}`;
+    }
+    return `- ${label}: ${['checkbox', 'radio'].includes(type) ? type : `${type} input`}${required}`;
+  });
+
+  const name = form.getAttribute('aria-label') || form.getAttribute('name');
+  const method = (form.getAttribute('method') || 'get').toUpperCase();
+  const action = form.getAttribute('action') || '(this page)';
+  const heading = `**Form${name ? `: ${escapeMarkdown(name)}` : ''}** (${method} ${action})`;
+
+  return lines.length > 0 ? [heading, lines.join('\n')] : [heading];
+}
+
+/**
+ * Render a table as a GitHub-flavored Markdown table; the first row is the header
+ * @param {Element} table - <table> element
+ * @returns {string[]} Blocks
+ */
+function renderTable(table) {
+  const rows = [];
+  const collect = (node) => {
+    elementChildren(node).forEach((child) => {
+      const tag = tagOf(child);
+      if (tag === 'tr') {
+        rows.push(
+          elementChildren(child)
+            .filter((cell) => ['td', 'th'].includes(tagOf(cell)) && !isHidden(cell))
+            .map((cell) => plainText(cell).replace(/\|/g, '\\|'))
+        );
+      } else if (['thead', 'tbody', 'tfoot'].includes(tag)) {
+        collect(child);
+      }
+    });
+  };
+  collect(table);
+
+  const blocks = [];
+  const caption = elementChildren(table).find((child) => tagOf(child) === 'caption');
+  if (caption && plainText(caption)) {
+    blocks.push(`*${plainText(caption)}*`);
+  }
+  if (rows.length === 0) {
+    return blocks;
+  }
+
+  const columns = Math.max(...rows.map((row) => row.length), 1);
+  const line = (cells) =>
+    `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  blocks.push(
+    [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n')
+  );
+  return blocks;
+}
+
+/**
+ * Render a list, indenting continuation lines under each marker
+ * @param {Element} list - <ul>, <ol> or <menu> element
+ * @param {Object} context - Render context
+ * @returns {string[]} Blocks
+ */
+function renderList(list, context) {
+  const ordered = tagOf(list) === 'ol';
+  const start = Number(list.getAttribute('start')) || 1;
+
+  const items = elementChildren(list)
+    .filter((child) => tagOf(child) === 'li' && !isHidden(child))
+    .map((item, index) => {
+      const marker = ordered ? `${start + index}. ` : '- ';
+      const content = renderChildren(item, context).join('\n');
+      return content
+        .split('\n')
+        .map((line, lineIndex) => {
+          if (lineIndex === 0) {
+            return marker + line;
+          }
+          return line ? ' '.repeat(marker.length) + line : line;
+        })
+        .join('\n');
+    })
+    .filter((item) => item.trim() !== '-' && !/^\d+\.\s*$/.test(item.trim()));
+
+  return items.length > 0 ? [items.join('\n')] : [];
+}
+
+/**
+ * Render a block element
+ * @param {Element} element - Element
+ * @param {Object} context - Render context
+ * @returns {string[]} Blocks
+ */
+function renderBlock(element, context) {
+  const tag = tagOf(element);
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = plainText(element);
+    return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+  }
+
+  switch (tag) {
+    case 'p': {
+      const text = tidyInline(renderInline(element));
+      return text ? [escapeBlockStart(text)] : [];
+    }
+    case 'ul':
+    case 'ol':
+    case 'menu':
+      return renderList(element, context);
+    case 'dl': {
+      const lines = [];
+      elementChildren(element).forEach((child) => {
+        const text = plainText(child);
+        if (!text) {
+          return;
+        }
+        if (tagOf(child) === 'dt') {
+          lines.push(`- **${text}**`);
+        } else if (tagOf(child) === 'dd') {
+          lines.push(lines.length > 0 ? `  ${text}` : `- ${text}`);
+        }
+      });
+      return lines.length > 0 ? [lines.join('\n')] : [];
+    }
+    case 'table':
+      return renderTable(element);
+    case 'form':
+      return renderForm(element);
+    case 'pre': {
+      const code = element.textContent.replace(/^\n|\n\s*$/g, '');
+      const source = elementChildren(element).find((child) => tagOf(child) === 'code') || element;
+      const language = ((source.getAttribute('class') || '').match(/(?:lang|language)-(\S+)/) ||
+        [])[1];
+      const fence = code.includes('```') ? '````' : '```';
+      return code.trim() ? [`${fence}${language || ''}\n${code}\n${fence}`] : [];
+    }
+    case 'blockquote': {
+      const inner = renderChildren(element, context).join('\n\n');
+      return inner
+        ? [
+            inner
+              .split('\n')
+              .map((line) => (line ? `> ${line}` : '>'))
+              .join('\n'),
+          ]
+        : [];
+    }
+    case 'hr':
+      return ['---'];
+    case 'iframe': {
+      const src = element.getAttribute('src');
+      return src
+        ? [
+            `[${escapeMarkdown(element.getAttribute('title') || 'Embedded frame')}](${linkTarget(src)})`,
+          ]
+        : [];
+    }
+    case 'figcaption':
+    case 'caption': {
+      const text = plainText(element);
+      return text ? [`*${text}*`] : [];
+    }
+    case 'summary':
+    case 'legend': {
+      const text = plainText(element);
+      return text ? [`**${text}**`] : [];
+    }
+    default:
+      return renderChildren(element, {
+        ...context,
+        inContent:
+          context.inContent ||
+          ['main', 'article'].includes(tag) ||
+          element.getAttribute('role') === 'main',
+      });
+  }
+}
+
+/**
+ * Render the children of a node as blocks, grouping runs of inline content
+ * into paragraphs
+ * @param {Node} node - DOM node
+ * @param {Object} context - { full, inContent }
+ * @returns {string[]} Blocks
+ */
+function renderChildren(node, context) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = tidyInline(inline);
+    if (text) {
+      blocks.push(escapeBlockStart(text));
+    }
+    inline = '';
+  };
+
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === 3) {
+      inline += renderInline(child);
+      return;
+    }
+    if (child.nodeType !== 1) {
+      return;
+    }
+
+    const tag = tagOf(child);
+    if (SKIPPED_TAGS.includes(tag) || isHidden(child)) {
+      return;
+    }
+    const chrome =
+      CHROME_TAGS.includes(tag) || CHROME_ROLES.includes(child.getAttribute('role') || '');
+    if (chrome && !context.full && !context.inContent) {
+      return;
+    }
+
+    if (BLOCK_TAGS.includes(tag)) {
+      flush();
+      blocks.push(...renderBlock(child, context));
+    } else {
+      inline += renderInline(child);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Render a document's initial payload as Markdown
+ * @param {Document} document - Parsed document (scripts not run)
+ * @param {Object} [options] - Options
+ * @param {string} [options.url] - Page URL or file, recorded in the front matter
+ * @param {boolean} [options.full] - Keep header, navigation, footer and sidebars
+ * @returns {string} Markdown with a front matter block (url, title, description)
+ */
+function toMarkdown(document, options = {}) {
+  const head = document.head ? elementChildren(document.head) : [];
+  const titleElement = head.find((child) => tagOf(child) === 'title');
+  const description = head.find(
+    (child) =>
+      tagOf(child) === 'meta' && (child.getAttribute('name') || '').toLowerCase() === 'description'
+  );
+
+  const quote = (value) => JSON.stringify(value.replace(/\s+/g, ' ').trim());
+  const frontMatter = ['---'];
+  if (options.url) {
+    frontMatter.push(`url: ${options.url}`);
+  }
+  if (titleElement && titleElement.textContent.trim()) {
+    frontMatter.push(`title: ${quote(titleElement.textContent)}`);
+  }
+  if (description && (description.getAttribute('content') || '').trim()) {
+    frontMatter.push(`description: ${quote(description.getAttribute('content'))}`);
+  }
+  frontMatter.push('---');
+
+  const blocks = document.body
+    ? renderChildren(document.body, { full: Boolean(options.full), inContent: false })
+    : [];
+
+  return `${[frontMatter.join('\n'), ...blocks].join('\n\n').replace(/\n{3,}/g, '\n\n')}\n`;
+}
+
+module.exports = {
+  escapeMarkdown,
+  toMarkdown,
+};
@@ -0,0 +1,402 @@
+/**
+ * BiModal Design Authentication
+ * Credentials for checking pages behind basic auth or a login: extra request
+ * headers, a cookie jar (Netscape cookies.txt or JSON export) and basic-auth
+ * credentials, shared by the HTTP client and the Puppeteer-based tools, plus
+ * redaction of those secrets from reports.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { URL } = require('url');
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always redacted from reports
+const SENSITIVE_KEYS = [
+  'auth',
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'password',
+];
+
+// Extra headers whose values are credentials, besides those in SENSITIVE_KEYS
+const SECRET_HEADER_NAME = /token|key|auth|session/i;
+
+// Shorter secret values are only redacted by key, so reports are not garbled
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * Parse a "Name: value" header
+ * @param {string} header - Header line
+ * @returns {Object} { name, value }
+ */
+function parseHeader(header) {
+  const separator = header.indexOf(':');
+  if (separator <= 0) {
+    throw new Error(`Invalid header "${header}": expected "Name: value"`);
+  }
+
+  return {
+    name: header.slice(0, separator).trim(),
+    value: header.slice(separator + 1).trim(),
+  };
+}
+
+/**
+ * Parse "username:password" basic-auth credentials
+ * @param {string|Object} credentials - "username:password" or { username, password }
+ * @returns {Object} { username, password }
+ */
+function parseBasicAuth(credentials) {
+  if (typeof credentials === 'object') {
+    return { username: credentials.username || '', password: credentials.password || '' };
+  }
+
+  const separator = credentials.indexOf(':');
+  if (separator < 0) {
+    throw new Error('Invalid basic-auth credentials: expected "username:password"');
+  }
+
+  return { username: credentials.slice(0, separator), password: credentials.slice(separator + 1) };
+}
+
+/**
+ * Parse a cookie jar: Netscape cookies.txt (as written by curl, wget and
+ * browser extensions) or a JSON array of cookies (Puppeteer, Playwright
+ * storage state and browser extension exports)
+ * @param {string} content - Cookie jar contents
+ * @returns {Object[]} Cookies: { name, value, domain, path, secure, httpOnly, expires }
+ */
+function parseCookieJar(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const cookies = Array.isArray(parsed) ? parsed : parsed.cookies || [];
+
+    return cookies.map((cookie) => ({
+      name: cookie.name,
+      value: String(cookie.value),
+      domain: cookie.domain || null,
+      path: cookie.path || '/',
+      secure: Boolean(cookie.secure),
+      httpOnly: Boolean(cookie.httpOnly),
+      // Puppeteer and Playwright use -1 for session cookies
+      expires: [cookie.expires, cookie.expirationDate].find((expires) => expires > 0) || null,
+    }));
+  }
+
+  const cookies = [];
+  trimmed.split(/\r?\n/).forEach((line) => {
+    let entry = line;
+    let httpOnly = false;
+
+    // curl marks HttpOnly cookies with a prefix on the otherwise commented-out line
+    if (entry.startsWith('#HttpOnly_')) {
+      entry = entry.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    } else if (!entry.trim() || entry.startsWith('#')) {
+      return;
+    }
+
+    const fields = entry.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Invalid cookie jar line "${line}": expected 7 tab-separated fields`);
+    }
+
+    const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: Number(expires) > 0 ? Number(expires) : null,
+    });
+  });
+
+  return cookies;
+}
+
+/**
+ * Build credentials from CLI flags and/or a config file
+ * @param {Object} options - Options
+ * @param {string[]|Object} [options.headers] - "Name: value" strings or a { name: value } map
+ * @param {string} [options.cookieJar] - Cookie jar file
+ * @param {string|Object} [options.basicAuth] - "username:password" or { username, password }
+ * @param {string} [options.config] - JSON file with headers, cookieJar and basicAuth;
+ *   flags take precedence and a relative cookieJar is resolved against the file
+ * @returns {Promise<Object|null>} Credentials { headers, cookies, basicAuth }, or null when none are set
+ */
+async function loadAuth(options = {}) {
+  let config = {};
+  let baseDir = process.cwd();
+
+  if (options.config) {
+    try {
+      config = JSON.parse(await fs.readFile(options.config, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read auth config ${options.config}: ${error.message}`);
+    }
+    baseDir = path.dirname(path.resolve(options.config));
+  }
+
+  const headers = {};
+  [config.headers, options.headers].forEach((source) => {
+    if (Array.isArray(source)) {
+      source.map(parseHeader).forEach(({ name, value }) => {
+        headers[name] = value;
+      });
+    } else if (source) {
+      Object.assign(headers, source);
+    }
+  });
+
+  const cookieJar =
+    options.cookieJar || (config.cookieJar && path.resolve(baseDir, config.cookieJar));
+  let cookies = [];
+  if (cookieJar) {
+    try {
+      cookies = parseCookieJar(await fs.readFile(cookieJar, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read cookie jar ${cookieJar}: ${error.message}`);
+    }
+  }
+
+  const basicAuth = options.basicAuth || config.basicAuth;
+
+  if (Object.keys(headers).length === 0 && cookies.length === 0 && !basicAuth) {
+    return null;
+  }
+
+  return {
+    headers,
+    cookies,
+    basicAuth: basicAuth ? parseBasicAuth(basicAuth) : null,
+  };
+}
+
+/**
+ * Whether a cookie should be sent to a URL (domain, path, secure and expiry)
+ * @param {Object} cookie - Cookie
+ * @param {URL} url - Request URL
+ * @returns {boolean} True when the cookie applies
+ */
+function cookieMatches(cookie, url) {
+  if (cookie.expires && cookie.expires * 1000 < Date.now()) {
+    return false;
+  }
+  if (cookie.secure && url.protocol !== 'https:') {
+    return false;
+  }
+
+  const domain = (cookie.domain || url.hostname).replace(/^\./, '').toLowerCase();
+  const host = url.hostname.toLowerCase();
+  if (host !== domain && !host.endsWith(`.${domain}`)) {
+    return false;
+  }
+
+  const cookiePath = cookie.path || '/';
+  return (
+    url.pathname === cookiePath ||
+    url.pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`)
+  );
+}
+
+/**
+ * Extra headers and the basic-auth Authorization header, for the checked origin
+ * @param {Object} auth - Credentials from loadAuth
+ * @returns {Object} Headers
+ */
+function getOriginHeaders(auth) {
+  const headers = { ...auth.headers };
+  if (auth.basicAuth) {
+    const { username, password } = auth.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  return headers;
+}
+
+/**
+ * Request headers carrying the credentials for a URL. Extra headers and basic
+ * auth are only sent to the origin being checked, so they do not leak to other
+ * hosts through redirects; cookies follow their own domain and path.
+ * @param {Object|null} auth - Credentials from loadAuth
+ * @param {string} url - Request URL
+ * @param {string} [scopeUrl] - URL whose origin receives headers and basic auth (default: url)
+ * @returns {Object} Headers
+ */
+function getRequestHeaders(auth, url, scopeUrl = url) {
+  if (!auth) {
+    return {};
+  }
+
+  const target = new URL(url);
+  const headers = {};
+
+  if (target.origin === new URL(scopeUrl).origin) {
+    Object.assign(headers, getOriginHeaders(auth));
+  }
+
+  const cookies = auth.cookies
+    .filter((cookie) => cookieMatches(cookie, target))
+    .map((cookie) => `${cookie.name}=${cookie.value}`);
+  if (cookies.length > 0) {
+    // Merge with a Cookie header given explicitly
+    const existing = Object.keys(headers).find((name) => name.toLowerCase() === 'cookie');
+    if (existing) {
+      cookies.unshift(headers[existing]);
+      delete headers[existing];
+    }
+    headers.Cookie = cookies.join('; ');
+  }
+
+  return headers;
+}
+
+/**
+ * Apply credentials to a Puppeteer page before it navigates. Extra headers and
+ * basic auth are added, through request interception, only to requests for the
+ * origin of url, so third-party CDNs, analytics and embeds never see them;
+ * cookies are set for their own domains. Interception is cooperative (priority
+ * 0): other request handlers on the page must pass a priority too and keep
+ * request.continueRequestOverrides() when they continue.
+ * @param {Page} page - Puppeteer page
+ * @param {Object|null} auth - Credentials from loadAuth
+ * @param {string} url - URL the page will load (domain for cookies without one)
+ * @returns {Promise<void>}
+ */
+async function applyAuthToPage(page, auth, url) {
+  if (!auth) {
+    return;
+  }
+
+  const headers = getOriginHeaders(auth);
+  if (Object.keys(headers).length > 0) {
+    const { origin } = new URL(url);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) {
+        return;
+      }
+      const overrides = request.continueRequestOverrides();
+      let requestOrigin = null;
+      try {
+        requestOrigin = new URL(request.url()).origin;
+      } catch (error) {
+        // data: and other URLs without an origin get no credentials
+      }
+      if (requestOrigin === origin) {
+        request.continue(
+          { ...overrides, headers: { ...request.headers(), ...overrides.headers, ...headers } },
+          0
+        );
+      } else {
+        request.continue(overrides, 0);
+      }
+    });
+  }
+
+  const cookies = auth.cookies.filter(
+    (cookie) => !cookie.expires || cookie.expires * 1000 > Date.now()
+  );
+  if (cookies.length > 0) {
+    await page.setCookie(
+      ...cookies.map((cookie) => ({
+        name: cookie.name,
+        value: cookie.value,
+        ...(cookie.domain ? { domain: cookie.domain } : { url }),
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        ...(cookie.expires ? { expires: cookie.expires } : {}),
+      }))
+    );
+  }
+}
+
+/**
+ * Secret strings to scrub from reports: values of credential headers (see
+ * SECRET_HEADER_NAME), cookie values and the basic-auth password
+ * @param {Object|null} auth - Credentials from loadAuth
+ * @returns {string[]} Secrets, longest first
+ */
+function getSecrets(auth) {
+  if (!auth) {
+    return [];
+  }
+
+  const secrets = [
+    ...Object.entries(auth.headers)
+      .filter(
+        ([name]) => SENSITIVE_KEYS.includes(name.toLowerCase()) || SECRET_HEADER_NAME.test(name)
+      )
+      .map(([, value]) => value),
+    ...auth.cookies.map((cookie) => cookie.value),
+  ];
+  if (auth.basicAuth) {
+    const { username, password } = auth.basicAuth;
+    secrets.push(password, Buffer.from(`${username}:${password}`).toString('base64'));
+  }
+
+  return [...new Set(secrets.map(String))]
+    .filter((secret) => secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Copy of a report with credentials removed: values of sensitive keys
+ * (Authorization, Cookie, Set-Cookie, ...), user:password in URLs and any
+ * occurrence of a credential header value, cookie value or password
+ * @param {*} value - Report or part of it
+ * @param {Object|null} auth - Credentials from loadAuth
+ * @returns {*} Redacted copy
+ */
+function redactSecrets(value, auth) {
+  const secrets = getSecrets(auth);
+
+  const redactString = (text) => {
+    let redacted = text.replace(/(\/\/)[^/@\s:]+:[^/@\s]+@/g, `$1${REDACTED}@`);
+    secrets.forEach((secret) => {
+      redacted = redacted.split(secret).join(REDACTED);
+    });
+    return redacted;
+  };
+
+  const walk = (node) => {
+    if (typeof node === 'string') {
+      return redactString(node);
+    }
+    if (Array.isArray(node)) {
+      return node.map(walk);
+    }
+    if (node && typeof node === 'object' && node.constructor === Object) {
+      const copy = {};
+      Object.entries(node).forEach(([key, child]) => {
+        copy[key] =
+          SENSITIVE_KEYS.includes(key.toLowerCase()) && child !== null && child !== undefined
+            ? REDACTED
+            : walk(child);
+      });
+      return copy;
+    }
+    return node;
+  };
+
+  return walk(value);
+}
+
+module.exports = {
+  REDACTED,
+  parseHeader,
+  parseBasicAuth,
+  parseCookieJar,
+  loadAuth,
+  getRequestHeaders,
+  applyAuthToPage,
+  redactSecrets,
+};
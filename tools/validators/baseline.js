@@ -0,0 +1,202 @@
+/**
+ * BiModal Design Baselines
+ * Snapshots the current findings of a site to a file that can be committed,
+ * so CI can fail only on findings that are not in the baseline while
+ * reporting baselined findings that have since been fixed as progress.
+ */
+
+const fs = require('fs').promises;
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_FILE = 'bimodal-design.baseline.json';
+
+/**
+ * Key identifying a finding across runs: page, rule and element, or for findings
+ * without an element what they are about (budget metric, link URL, header).
+ * Messages are left out because they often embed counts that change as pages are fixed.
+ * @param {Object} entry - { url, ruleId, selector, target }
+ * @returns {string} Key
+ */
+function getBaselineKey(entry) {
+  return [entry.url, entry.ruleId, entry.selector || entry.target || ''].join('\n');
+}
+
+/**
+ * Flatten pages into baseline entries, one per distinct key
+ * @param {Object[]} pages - Results with url and findings
+ * @returns {Object[]} Entries: { url, ruleId, severity, selector, target, message }
+ */
+function toBaselineEntries(pages) {
+  const entries = new Map();
+
+  pages.forEach((page) => {
+    (page.findings || []).forEach((finding) => {
+      const entry = {
+        url: page.url,
+        ruleId: finding.ruleId,
+        severity: finding.severity,
+        selector: finding.selector || null,
+        target: finding.target || null,
+        message: finding.message,
+      };
+      const key = getBaselineKey(entry);
+      if (!entries.has(key)) {
+        entries.set(key, entry);
+      }
+    });
+  });
+
+  return [...entries.values()];
+}
+
+/**
+ * Sort entries so committed baselines produce stable diffs
+ * @param {Object[]} entries - Baseline entries
+ * @returns {Object[]} Sorted entries
+ */
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => getBaselineKey(a).localeCompare(getBaselineKey(b)));
+}
+
+/**
+ * Create or update a baseline from checked pages. Entries for pages that were
+ * not checked this time are kept, so a baseline can be built up one URL at a time.
+ * @param {Object[]} pages - Results with url and findings
+ * @param {Object} options - Options
+ * @param {string} options.tool - Tool that produced the findings
+ * @param {Object} [options.previous] - Existing baseline to update
+ * @returns {Object} Baseline: { version, tool, createdAt, findings }
+ */
+function createBaseline(pages, { tool, previous = null }) {
+  const checkedUrls = new Set(pages.map((page) => page.url));
+  const kept = previous ? previous.findings.filter((entry) => !checkedUrls.has(entry.url)) : [];
+
+  return {
+    version: BASELINE_VERSION,
+    tool,
+    createdAt: new Date().toISOString(),
+    findings: sortEntries([...kept, ...toBaselineEntries(pages)]),
+  };
+}
+
+/**
+ * Compare checked pages against a baseline. Only baselined entries for the
+ * pages that were checked can count as fixed.
+ * @param {Object[]} pages - Results with url and findings
+ * @param {Object} baseline - Baseline
+ * @returns {Object} { newFindings, fixedFindings, baselinedCount }
+ */
+function compareToBaseline(pages, baseline) {
+  const current = toBaselineEntries(pages);
+  const currentKeys = new Set(current.map(getBaselineKey));
+  const checkedUrls = new Set(pages.map((page) => page.url));
+  const baselineEntries = baseline.findings.filter((entry) => checkedUrls.has(entry.url));
+  const baselineKeys = new Set(baselineEntries.map(getBaselineKey));
+
+  const newFindings = current.filter((entry) => !baselineKeys.has(getBaselineKey(entry)));
+
+  return {
+    newFindings,
+    fixedFindings: baselineEntries.filter((entry) => !currentKeys.has(getBaselineKey(entry))),
+    baselinedCount: current.length - newFindings.length,
+  };
+}
+
+/**
+ * Whether a comparison should fail the run: any new error or warning
+ * (info-level recommendations never fail)
+ * @param {Object} comparison - Result of compareToBaseline
+ * @returns {boolean} True when there are blocking new findings
+ */
+function hasNewFailures(comparison) {
+  return comparison.newFindings.some((entry) => entry.severity !== 'info');
+}
+
+/**
+ * Read a baseline file
+ * @param {string} file - Baseline path
+ * @param {string} [tool] - Expected tool; baselines from other tools are rejected
+ * @returns {Promise<Object>} Baseline
+ */
+async function loadBaseline(file, tool) {
+  let baseline;
+  try {
+    baseline = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${file}: ${error.message}`);
+  }
+
+  if (!baseline || !Array.isArray(baseline.findings)) {
+    throw new Error(`Invalid baseline ${file}: missing findings`);
+  }
+  if (tool && baseline.tool && baseline.tool !== tool) {
+    throw new Error(`Baseline ${file} was created by ${baseline.tool}, not ${tool}`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Read a baseline file if it exists
+ * @param {string} file - Baseline path
+ * @param {string} [tool] - Expected tool
+ * @returns {Promise<Object|null>} Baseline, or null when the file does not exist
+ */
+async function loadBaselineIfExists(file, tool) {
+  try {
+    await fs.access(file);
+  } catch (error) {
+    return null;
+  }
+  return loadBaseline(file, tool);
+}
+
+/**
+ * Write a baseline file
+ * @param {string} file - Baseline path
+ * @param {Object} baseline - Baseline
+ * @returns {Promise<void>}
+ */
+async function saveBaseline(file, baseline) {
+  await fs.writeFile(file, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Human-readable lines describing a baseline comparison
+ * @param {Object} comparison - Result of compareToBaseline
+ * @returns {string[]} Report lines
+ */
+function formatBaselineComparison(comparison) {
+  const { newFindings, fixedFindings, baselinedCount } = comparison;
+  const lines = [
+    `Baseline: ${newFindings.length} new, ${fixedFindings.length} fixed, ${baselinedCount} known`,
+  ];
+
+  if (fixedFindings.length > 0) {
+    lines.push('Fixed since baseline:');
+    fixedFindings.forEach((entry) => {
+      lines.push(`  ✓ ${entry.url} [${entry.ruleId}] ${entry.message}`);
+    });
+  }
+  if (newFindings.length > 0) {
+    lines.push('New findings:');
+    newFindings.forEach((entry) => {
+      const where = entry.selector ? ` (${entry.selector})` : '';
+      lines.push(`  ✗ ${entry.url} [${entry.ruleId}] ${entry.message}${where}`);
+    });
+  }
+
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  getBaselineKey,
+  createBaseline,
+  compareToBaseline,
+  hasNewFailures,
+  loadBaseline,
+  loadBaselineIfExists,
+  saveBaseline,
+  formatBaselineComparison,
+};
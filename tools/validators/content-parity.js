@@ -0,0 +1,237 @@
+/**
+ * BiModal Design Content Parity
+ * Measures how much of what a JavaScript-enabled browser shows is already in
+ * the initial payload: visible text, links, headings and form controls of the
+ * no-JS page are compared against the rendered DOM of the same URL.
+ */
+
+/* global window, document, NodeFilter -- extractContentInventory runs in the page */
+
+const CATEGORIES = ['text', 'links', 'headings', 'formControls'];
+
+const CATEGORY_LABELS = {
+  text: 'Text',
+  links: 'Links',
+  headings: 'Headings',
+  formControls: 'Form controls',
+};
+
+// Missing items listed per category
+const DEFAULT_MAX_MISSING = 50;
+
+/**
+ * Inventory of the content of the current document. Self-contained so it can
+ * run in a browser page through Puppeteer's page.evaluate; visibility relies
+ * on layout, so it needs a rendering engine.
+ * @returns {Object} { text: string[], links, headings, formControls }
+ */
+function extractContentInventory() {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const isVisible = (el) => {
+    const style = window.getComputedStyle(el);
+    return (
+      style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0
+    );
+  };
+  const isBlock = (el) => !window.getComputedStyle(el).display.startsWith('inline');
+
+  // Visible text, one segment per block-level element
+  const blocks = new Map();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!normalize(node.textContent) || !parent || parent.closest('script, style, template')) {
+      continue;
+    }
+    if (!isVisible(parent)) {
+      continue;
+    }
+
+    let block = parent;
+    while (block.parentElement && block !== document.body && !isBlock(block)) {
+      block = block.parentElement;
+    }
+    if (!blocks.has(block)) {
+      blocks.set(block, []);
+    }
+    blocks.get(block).push(node.textContent);
+  }
+
+  const labelOf = (el) =>
+    normalize(
+      el.getAttribute('aria-label') ||
+        (el.labels && el.labels[0] && el.labels[0].textContent) ||
+        el.getAttribute('placeholder') ||
+        el.getAttribute('title') ||
+        (el.tagName === 'BUTTON' ? el.textContent : el.value)
+    );
+
+  return {
+    text: [...blocks.values()].map((parts) => normalize(parts.join(' '))).filter(Boolean),
+    links: [...document.querySelectorAll('a[href]')].map((a) => ({
+      href: a.href,
+      text: normalize(a.textContent || a.getAttribute('aria-label')),
+    })),
+    headings: [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].map((h) => ({
+      level: Number(h.tagName[1]),
+      text: normalize(h.textContent),
+    })),
+    formControls: [
+      ...document.querySelectorAll('input:not([type="hidden"]), select, textarea, button'),
+    ].map((el) => ({
+      tag: el.tagName.toLowerCase(),
+      type: el.getAttribute('type') || null,
+      name: el.getAttribute('name') || el.id || null,
+      label: labelOf(el),
+    })),
+  };
+}
+
+/**
+ * Key identifying an inventory item in both the initial and rendered page
+ * @param {string} category - Inventory category
+ * @param {Object|string} item - Inventory item
+ * @returns {string} Key
+ */
+function getItemKey(category, item) {
+  switch (category) {
+    case 'links':
+      return item.href;
+    case 'headings':
+      return `h${item.level} ${item.text.toLowerCase()}`;
+    case 'formControls':
+      return [item.tag, item.type || '', item.name || item.label].join(' ');
+    default:
+      return item;
+  }
+}
+
+/**
+ * Compare the initial payload's inventory against the rendered DOM's
+ * @param {Object} initial - Inventory of the page loaded without JavaScript
+ * @param {Object} rendered - Inventory of the page loaded with JavaScript
+ * @param {Object} [options] - maxMissing (items listed per category)
+ * @returns {Object} { score, text, links, headings, formControls }; each category
+ *   has { total, present, score, missing, missingCount }. Text is measured in characters.
+ */
+function compareContentInventories(initial, rendered, options = {}) {
+  const maxMissing = options.maxMissing || DEFAULT_MAX_MISSING;
+  const parity = {};
+
+  // Hydration often re-splits text into different blocks, so a rendered
+  // segment counts as present when it appears anywhere in the initial text
+  const initialText = ` ${initial.text.join(' ')} `.toLowerCase();
+  const segments = [...new Set(rendered.text)];
+  const missingText = segments.filter(
+    (segment) => !initialText.includes(` ${segment.toLowerCase()} `)
+  );
+  const totalChars = segments.reduce((total, segment) => total + segment.length, 0);
+  const missingChars = missingText.reduce((total, segment) => total + segment.length, 0);
+  parity.text = {
+    total: totalChars,
+    present: totalChars - missingChars,
+    missing: missingText,
+  };
+
+  CATEGORIES.filter((category) => category !== 'text').forEach((category) => {
+    const initialKeys = new Set(initial[category].map((item) => getItemKey(category, item)));
+    const items = new Map();
+    rendered[category].forEach((item) => {
+      const key = getItemKey(category, item);
+      if (!items.has(key)) {
+        items.set(key, item);
+      }
+    });
+    const missing = [...items.entries()]
+      .filter(([key]) => !initialKeys.has(key))
+      .map(([, item]) => item);
+
+    parity[category] = {
+      total: items.size,
+      present: items.size - missing.length,
+      missing,
+    };
+  });
+
+  CATEGORIES.forEach((category) => {
+    const result = parity[category];
+    result.score = result.total === 0 ? 100 : Math.round((result.present / result.total) * 100);
+    result.missingCount = result.missing.length;
+    result.missing = result.missing.slice(0, maxMissing);
+  });
+
+  // Categories the rendered page has no content in do not count
+  const measured = CATEGORIES.filter((category) => parity[category].total > 0);
+  const score =
+    measured.length === 0
+      ? 100
+      : Math.round(
+          measured.reduce((total, category) => total + parity[category].score, 0) / measured.length
+        );
+
+  return { score, ...parity };
+}
+
+/**
+ * One-line description of a missing item
+ * @param {string} category - Inventory category
+ * @param {Object|string} item - Inventory item
+ * @returns {string} Description
+ */
+function describeItem(category, item) {
+  const truncate = (text) => (text.length > 100 ? `${text.slice(0, 99)}…` : text);
+
+  switch (category) {
+    case 'links':
+      return `${item.text ? `"${truncate(item.text)}" → ` : ''}${item.href}`;
+    case 'headings':
+      return `h${item.level} "${truncate(item.text)}"`;
+    case 'formControls':
+      return [
+        item.type ? `${item.tag}[type=${item.type}]` : item.tag,
+        item.name,
+        item.label && `"${truncate(item.label)}"`,
+      ]
+        .filter(Boolean)
+        .join(' ');
+    default:
+      return `"${truncate(item)}"`;
+  }
+}
+
+/**
+ * Human-readable lines describing a parity result
+ * @param {Object} parity - Result of compareContentInventories
+ * @returns {string[]} Report lines
+ */
+function formatContentParity(parity) {
+  const lines = [
+    `Content parity: ${parity.score}% of the rendered content is in the initial payload`,
+  ];
+
+  CATEGORIES.forEach((category) => {
+    const { score, present, total } = parity[category];
+    const unit = category === 'text' ? ' characters' : '';
+    lines.push(`  ${CATEGORY_LABELS[category]}: ${score}% (${present}/${total}${unit})`);
+  });
+
+  CATEGORIES.filter((category) => parity[category].missingCount > 0).forEach((category) => {
+    const { missing, missingCount } = parity[category];
+    lines.push(`Missing without JavaScript - ${CATEGORY_LABELS[category]} (${missingCount}):`);
+    missing.forEach((item) => lines.push(`  ✗ ${describeItem(category, item)}`));
+    if (missingCount > missing.length) {
+      lines.push(`  … and ${missingCount - missing.length} more`);
+    }
+  });
+
+  return lines;
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_LABELS,
+  extractContentInventory,
+  compareContentInventories,
+  describeItem,
+  formatContentParity,
+};
@@ -0,0 +1,337 @@
+/**
+ * BiModal Design Differential Serving
+ * Detects pages served differently depending on the user agent: the same URL
+ * is fetched as a browser, Googlebot, the Agent Simulator profiles and AI
+ * crawlers, and each response's status, headers, text and links are compared
+ * with the browser's. Agents refused or given an empty page point to
+ * unintended blocking; agents given different content point to cloaking.
+ */
+
+const { URL } = require('url');
+const { createFinding } = require('./findings');
+
+const BROWSER_AGENT = {
+  id: 'browser',
+  name: 'Desktop browser',
+  userAgent:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+};
+
+const GOOGLEBOT_AGENT = {
+  id: 'googlebot',
+  name: 'Googlebot',
+  userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+};
+
+// Headers compared between responses; differences in the material ones are flagged
+const COMPARED_HEADERS = [
+  'content-type',
+  'content-language',
+  'x-robots-tag',
+  'vary',
+  'cache-control',
+  'location',
+];
+const MATERIAL_HEADERS = ['content-type', 'content-language', 'x-robots-tag'];
+
+const DEFAULT_THRESHOLDS = {
+  // Share of the browser's words and links a response must share with it
+  textSimilarity: 0.9,
+  linkSimilarity: 0.9,
+  // Responses with less than this share of the browser's words count as blocked
+  minTextRatio: 0.5,
+};
+
+const VERDICT_LABELS = {
+  same: 'same content',
+  different: 'different content (cloaking risk)',
+  blocked: 'blocked',
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Text and links of an HTTP response, as an agent reading the raw HTML sees them
+ * @param {Object} response - { statusCode, headers, body, finalUrl }
+ * @returns {Object} { statusCode, finalUrl, headers, words, links }
+ */
+function summarizeResponse(response) {
+  const html = String(response.body || '');
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code =
+          name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .toLowerCase();
+
+  const links = new Set();
+  (html.match(/<a\b[^>]*\bhref\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi) || []).forEach((tag) => {
+    const href = tag
+      .replace(/^[\s\S]*\bhref\s*=\s*/i, '')
+      .replace(/^["']|["']$/g, '')
+      .trim();
+    if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) {
+      return;
+    }
+    try {
+      const link = new URL(href, response.finalUrl);
+      link.hash = '';
+      links.add(link.href);
+    } catch (error) {
+      // Malformed hrefs are not links an agent can follow
+    }
+  });
+
+  const headers = {};
+  COMPARED_HEADERS.forEach((name) => {
+    const value = response.headers && response.headers[name];
+    headers[name] = value === undefined ? null : [].concat(value).join(', ');
+  });
+
+  return {
+    statusCode: response.statusCode,
+    finalUrl: response.finalUrl,
+    headers,
+    words: text.match(/[\p{L}\p{N}]+/gu) || [],
+    links: [...links],
+  };
+}
+
+/**
+ * Similarity of two word lists: shared words over all words, counting repeats
+ * @param {string[]} a - Words
+ * @param {string[]} b - Words
+ * @returns {number} 0-1, 1 for identical (or two empty) lists
+ */
+function wordSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+
+  const counts = new Map();
+  a.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+  let shared = 0;
+  b.forEach((word) => {
+    const count = counts.get(word) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(word, count - 1);
+    }
+  });
+
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Similarity of two link sets (Jaccard index)
+ * @param {string[]} a - Links
+ * @param {string[]} b - Links
+ * @returns {number} 0-1, 1 for identical (or two empty) sets
+ */
+function linkSimilarity(a, b) {
+  const setA = new Set(a);
+  const shared = b.filter((link) => setA.has(link)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 1 : shared / union;
+}
+
+/**
+ * Compare an agent's response with the browser's
+ * @param {Object} baseline - summarizeResponse of the browser's response
+ * @param {Object} variant - summarizeResponse of the agent's response
+ * @param {Object} [thresholds] - textSimilarity, linkSimilarity, minTextRatio and
+ *   noise (similarity lost between two browser fetches, subtracted from the thresholds)
+ * @returns {Object} { verdict, reasons, statusCode, text, links, headers }
+ *   with verdict 'same', 'different' (cloaking risk) or 'blocked'
+ */
+function compareResponses(baseline, variant, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const noise = limits.noise || 0;
+  const reasons = [];
+
+  const text = {
+    similarity: round(wordSimilarity(baseline.words, variant.words)),
+    words: variant.words.length,
+    baselineWords: baseline.words.length,
+  };
+  const linkSet = new Set(variant.links);
+  const baselineLinks = new Set(baseline.links);
+  const links = {
+    similarity: round(linkSimilarity(baseline.links, variant.links)),
+    missing: baseline.links.filter((link) => !linkSet.has(link)),
+    added: variant.links.filter((link) => !baselineLinks.has(link)),
+  };
+  const headers = COMPARED_HEADERS.filter(
+    (name) => baseline.headers[name] !== variant.headers[name]
+  ).map((name) => ({
+    name,
+    baseline: baseline.headers[name],
+    value: variant.headers[name],
+    material: MATERIAL_HEADERS.includes(name),
+  }));
+
+  let blocked = false;
+  let different = false;
+
+  const statusClass = (code) => Math.floor(code / 100);
+  if (statusClass(variant.statusCode) !== statusClass(baseline.statusCode)) {
+    reasons.push(`HTTP ${variant.statusCode} instead of ${baseline.statusCode}`);
+    if (variant.statusCode >= 400 && baseline.statusCode < 400) {
+      blocked = true;
+    } else {
+      different = true;
+    }
+  }
+  if (variant.finalUrl !== baseline.finalUrl) {
+    reasons.push(`Redirected to ${variant.finalUrl} instead of ${baseline.finalUrl}`);
+    different = true;
+  }
+  if (
+    baseline.words.length > 0 &&
+    variant.words.length < baseline.words.length * limits.minTextRatio
+  ) {
+    reasons.push(`Only ${variant.words.length} of ${baseline.words.length} words`);
+    blocked = true;
+  } else if (text.similarity < limits.textSimilarity - noise) {
+    reasons.push(`Text ${Math.round(text.similarity * 100)}% similar`);
+    different = true;
+  }
+  if (links.similarity < limits.linkSimilarity - noise) {
+    reasons.push(
+      `Links ${Math.round(links.similarity * 100)}% similar (${links.missing.length} missing, ${links.added.length} added)`
+    );
+    different = true;
+  }
+  headers
+    .filter((header) => header.material)
+    .forEach((header) => {
+      reasons.push(
+        `${header.name}: ${header.value ?? '(none)'} instead of ${header.baseline ?? '(none)'}`
+      );
+      different = true;
+    });
+
+  let verdict = 'same';
+  if (blocked) {
+    verdict = 'blocked';
+  } else if (different) {
+    verdict = 'different';
+  }
+
+  return { verdict, reasons, statusCode: variant.statusCode, text, links, headers };
+}
+
+/**
+ * Compare the responses one URL gave to several user agents with a browser's
+ * @param {Object} options - Options
+ * @param {string} options.url - Page URL
+ * @param {Object} options.baseline - Browser response ({ statusCode, headers, body, finalUrl })
+ * @param {Object} [options.baselineRepeat] - Second browser response, to measure how much
+ *   the page changes between fetches anyway (timestamps, tokens, rotating content)
+ * @param {Object[]} options.responses - { agent: { id, name, userAgent }, response } or
+ *   { agent, error } for agents whose request failed
+ * @param {Object} [options.thresholds] - textSimilarity, linkSimilarity, minTextRatio
+ * @returns {Object} { url, baseline, noise, agents, findings }
+ */
+function analyzeDifferentialServing({ url, baseline, baselineRepeat, responses, thresholds = {} }) {
+  const reference = summarizeResponse(baseline);
+  const noise = baselineRepeat
+    ? round(1 - wordSimilarity(reference.words, summarizeResponse(baselineRepeat).words))
+    : 0;
+
+  const agents = responses.map(({ agent, response, error }) => {
+    const entry = { id: agent.id, name: agent.name, userAgent: agent.userAgent };
+    if (error) {
+      return {
+        ...entry,
+        verdict: 'blocked',
+        reasons: [`Request failed: ${error}`],
+        statusCode: null,
+      };
+    }
+    return {
+      ...entry,
+      ...compareResponses(reference, summarizeResponse(response), { ...thresholds, noise }),
+    };
+  });
+
+  const findings = agents
+    .filter((agent) => agent.verdict !== 'same')
+    .map((agent) =>
+      createFinding({
+        ruleId: agent.verdict === 'blocked' ? 'serving/agent-blocked' : 'serving/cloaking-risk',
+        severity: agent.verdict === 'blocked' ? 'error' : 'warning',
+        requirement: 'FR1',
+        message: `${agent.name} ${agent.verdict === 'blocked' ? 'is refused the page' : 'gets a different page'} than a browser: ${agent.reasons.join('; ')}`,
+        help:
+          agent.verdict === 'blocked'
+            ? 'Check CDN, WAF and bot-management rules for this user agent; agents need the same initial payload as browsers.'
+            : 'Serve every user agent the same content; differences by user agent read as cloaking to search engines and AI crawlers.',
+      })
+    );
+
+  return {
+    url,
+    baseline: {
+      id: BROWSER_AGENT.id,
+      statusCode: reference.statusCode,
+      finalUrl: reference.finalUrl,
+      words: reference.words.length,
+      links: reference.links.length,
+    },
+    noise,
+    agents,
+    findings,
+  };
+}
+
+/**
+ * Human-readable lines describing a differential serving report
+ * @param {Object} report - Result of analyzeDifferentialServing
+ * @returns {string[]} Report lines
+ */
+function formatDifferentialServing(report) {
+  const { baseline } = report;
+  const lines = [
+    `Differential serving: ${report.url}`,
+    `  Browser: HTTP ${baseline.statusCode}, ${baseline.words} words, ${baseline.links} links` +
+      (report.noise > 0 ? ` (${Math.round(report.noise * 100)}% changes between fetches)` : ''),
+    '',
+  ];
+
+  const symbols = { same: '✓', different: '!', blocked: '✗' };
+  report.agents.forEach((agent) => {
+    lines.push(`  ${symbols[agent.verdict]} ${agent.name}: ${VERDICT_LABELS[agent.verdict]}`);
+    agent.reasons.forEach((reason) => lines.push(`      ${reason}`));
+  });
+
+  return lines;
+}
+
+module.exports = {
+  BROWSER_AGENT,
+  GOOGLEBOT_AGENT,
+  DEFAULT_THRESHOLDS,
+  summarizeResponse,
+  wordSimilarity,
+  linkSimilarity,
+  compareResponses,
+  analyzeDifferentialServing,
+  formatDifferentialServing,
+};
@@ -0,0 +1,221 @@
+/**
+ * BiModal Design Findings
+ * Structured results shared by the FR-1 Checker, Compliance Auditor and
+ * Agent Simulator. A finding carries a stable rule ID, severity, the FR
+ * requirement it belongs to, where it occurred and how to fix it, so results
+ * can be tracked, de-duplicated and suppressed across runs.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Legacy string list each severity is reported in
+const LEGACY_LISTS = {
+  error: 'issues',
+  warning: 'warnings',
+  info: 'recommendations',
+};
+
+/**
+ * Create a finding
+ * @param {Object} finding - Finding properties
+ * @param {string} finding.ruleId - Stable rule ID (e.g. 'fr1/missing-title')
+ * @param {string} finding.severity - 'error', 'warning' or 'info'
+ * @param {string} finding.requirement - Requirement ID, FR1 to FR7
+ * @param {string} finding.message - Human-readable message
+ * @param {string} [finding.selector] - CSS selector path of the offending element
+ * @param {string} [finding.snippet] - HTML snippet of the offending element
+ * @param {string} [finding.help] - How to fix it
+ * @param {Object} [finding.location] - Source location (see getSourceLocation)
+ * @param {string} [finding.target] - What a finding without an element is about, such as
+ *   a budget metric, link URL or header name, to tell findings of one rule apart
+ * @returns {Object} Finding
+ */
+function createFinding({
+  ruleId,
+  severity = 'error',
+  requirement = 'FR1',
+  message,
+  selector = null,
+  snippet = null,
+  help = '',
+  location = null,
+  target = null,
+}) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid finding severity "${severity}" for ${ruleId}`);
+  }
+
+  return { ruleId, severity, requirement, message, selector, snippet, help, location, target };
+}
+
+/**
+ * Build a CSS selector path for an element, e.g. `main > form:nth-of-type(2) > input#email`.
+ * Self-contained so it can also run inside a browser page via Puppeteer's evaluate().
+ * @param {Element} element - DOM element
+ * @returns {string} Selector path
+ */
+function getSelectorPath(element) {
+  const parts = [];
+  let node = element;
+
+  while (node && node.nodeType === 1) {
+    const tag = node.tagName.toLowerCase();
+    const id = node.getAttribute('id');
+
+    if (
+      id &&
+      /^[A-Za-z][\w-]*$/.test(id) &&
+      node.ownerDocument.querySelectorAll(`#${id}`).length === 1
+    ) {
+      parts.unshift(`${tag}#${id}`);
+      break;
+    }
+
+    let part = tag;
+    const parent = node.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+
+    parts.unshift(part);
+    node = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * HTML snippet of an element: the whole element when short, otherwise its
+ * opening tag. Self-contained so it can also run inside a browser page.
+ * @param {Element} element - DOM element
+ * @param {number} [maxLength] - Maximum snippet length
+ * @returns {string} Snippet
+ */
+function getSnippet(element, maxLength = 200) {
+  const html = element.outerHTML.replace(/\s+/g, ' ').trim();
+  if (html.length <= maxLength) {
+    return html;
+  }
+
+  const openTag = html.match(/^<[^>]*>/);
+  const head = openTag && openTag[0].length <= maxLength ? openTag[0] : html.slice(0, maxLength);
+  return `${head}…`;
+}
+
+/**
+ * Selector path and snippet for an element
+ * @param {Element} element - DOM element
+ * @returns {{selector: string, snippet: string}} Location fields for a finding
+ */
+function describeElement(element) {
+  return { selector: getSelectorPath(element), snippet: getSnippet(element) };
+}
+
+/**
+ * Trim a long (e.g. minified) source line to a window around a column
+ * @param {string} text - Source line
+ * @param {number} column - 1-based column to keep in view
+ * @param {number} maxWidth - Maximum width
+ * @returns {string} Trimmed line
+ */
+function trimLine(text, column, maxWidth) {
+  if (text.length <= maxWidth) {
+    return text;
+  }
+
+  const start = Math.max(
+    0,
+    Math.min(column - 1 - Math.floor(maxWidth / 4), text.length - maxWidth)
+  );
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + maxWidth < text.length ? '…' : '';
+  return `${prefix}${text.slice(start, start + maxWidth)}${suffix}`;
+}
+
+/**
+ * Source location of an element from a parse5/JSDOM node location
+ * (JSDOM `includeNodeLocations`), with the surrounding lines of markup.
+ * Elements use their start tag so a finding on <body> points at one line.
+ * @param {string} source - Original HTML
+ * @param {Object} nodeLocation - Location from `dom.nodeLocation(element)`
+ * @param {Object} [options] - contextLines (default 2), maxWidth (default 160)
+ * @returns {Object|null} { startLine, startColumn, endLine, endColumn, context: [{ line, text }] },
+ *   1-based with an exclusive end column, or null for elements implied by the parser
+ */
+function getSourceLocation(source, nodeLocation, options = {}) {
+  if (!nodeLocation) {
+    return null;
+  }
+
+  const { contextLines = 2, maxWidth = 160 } = options;
+  const range = nodeLocation.startTag || nodeLocation;
+  const lines = String(source).split(/\r\n|\r|\n/);
+  const first = Math.max(1, range.startLine - contextLines);
+  const last = Math.min(lines.length, range.endLine + contextLines);
+  const context = [];
+
+  for (let line = first; line <= last; line++) {
+    context.push({ line, text: trimLine(lines[line - 1], range.startCol, maxWidth) });
+  }
+
+  return {
+    startLine: range.startLine,
+    startColumn: range.startCol,
+    endLine: range.endLine,
+    endColumn: range.endCol,
+    context,
+  };
+}
+
+/**
+ * Format a finding's source context as numbered lines, marking the offending ones
+ * @param {Object} location - Finding location
+ * @param {string} [indent] - Prefix for every line
+ * @returns {string} Excerpt, e.g. "  11 | <form>\n> 12 |   <input name=\"email\">"
+ */
+function formatSourceContext(location, indent = '') {
+  if (!location || !location.context) {
+    return '';
+  }
+
+  const width = String(location.context[location.context.length - 1].line).length;
+  return location.context
+    .map(({ line, text }) => {
+      const marker = line >= location.startLine && line <= location.endLine ? '>' : ' ';
+      return `${indent}${marker} ${String(line).padStart(width)} | ${text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Derive the legacy string lists from findings. Findings that share a message
+ * (one per offending element) collapse into a single string.
+ * @param {Object[]} findings - Findings
+ * @returns {{issues: string[], warnings: string[], recommendations: string[]}} String lists
+ */
+function toLegacyLists(findings) {
+  const lists = { issues: [], warnings: [], recommendations: [] };
+
+  findings.forEach((finding) => {
+    const list = lists[LEGACY_LISTS[finding.severity]];
+    if (!list.includes(finding.message)) {
+      list.push(finding.message);
+    }
+  });
+
+  return lists;
+}
+
+module.exports = {
+  SEVERITIES,
+  createFinding,
+  getSelectorPath,
+  getSnippet,
+  describeElement,
+  getSourceLocation,
+  formatSourceContext,
+  toLegacyLists,
+};
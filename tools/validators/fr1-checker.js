@@ -300,7 +300,7 @@ Recommendations:
 
 ## Key Features
 
-1. **Comprehensive Testing**: Checks 6 key areas of FR-1 compliance
+1. **Comprehensive Testing**: Checks 14 key areas of FR-1 compliance, including the main-content-to-boilerplate ratio, `<noscript>` fallbacks, the payload's estimated token cost and size budgets, content trapped in hydration data, the rendering framework, the site's `/llms.txt` and `X-Agent-*` response headers
 2. **Detailed Scoring**: Component-based scoring system with weights
 3. **Multiple Output Formats**: Text and JSON output options
 4. **Batch Processing**: Test multiple URLs efficiently
@@ -372,10 +372,46 @@ fr1-checker --format json --output report.json https://example.com
 # Check entire sitemap
 fr1-checker --sitemap https://example.com/sitemap.xml
 
+# Check part of a sitemap (index files and .xml.gz sitemaps are followed)
+fr1-checker --sitemap https://example.com/sitemap_index.xml --include "/blog/*" --exclude "*/tag/*" --max-urls 100
+
 # Check with timeout
 fr1-checker --timeout 10000 https://example.com
+
+# Check a static build before deploying (no server needed)
+fr1-checker --dir dist
+
+# Write SARIF for code-scanning UIs (e.g. github/codeql-action/upload-sarif)
+fr1-checker --dir dist --format sarif --output fr1.sarif
+
+# Write JUnit XML for CI test dashboards (one testsuite per page, one testcase per rule)
+fr1-checker --dir dist --format junit --output fr1-junit.xml
+
+# Check a large sitemap politely: 8 pages in parallel, at most 2 requests/second per host
+fr1-checker --sitemap https://example.com/sitemap.xml --concurrency 8 --rate-limit 2 --respect-crawl-delay
+
+# Check pages behind basic auth or a login session
+fr1-checker --basic-auth staging:secret https://staging.example.com
+fr1-checker --cookie-jar cookies.txt --header "X-Preview-Token: abc123" https://example.com/account
+fr1-checker --auth-config auth.json https://example.com/account
 ```
 
+Credentials are sent only to the origin being checked (cookies follow their
+own domain and path) and are redacted from every report format. The auth
+config file takes the same settings as the flags:
+
+```json
+{
+  "headers": { "X-Preview-Token": "abc123" },
+  "cookieJar": "cookies.txt",
+  "basicAuth": "staging:secret"
+}
+```
+
+The same flags work for `bmd-validate`, `bmd-audit`, `agent-simulator` and
+`bimodal-design`; the browser-based tools also accept an `auth` object in
+their options (e.g. `"options": { "auth": { ... } }` in a `bmd-audit --config` file).
+
 ### Programmatic API
 
 ```javascript
@@ -389,6 +425,191 @@ async function testSite() {
 }
 ```
 
+`checker.renderMarkdown(urlOrFile)` returns the initial payload as Markdown, as
+a no-JS agent reads it (headings, lists, tables, links, image alt text and form
+summaries, without scripts and site chrome). It backs `bimodal-design view`.
+
+### Custom Rules
+
+The fourteen built-in checks (`structure`, `semantic`, `navigation`, `forms`,
+`content`, `main-content`, `noscript`, `agent`, `llms-txt`, `agent-headers`,
+`framework`, `token-budget`, `hydration-data`, `payload-budget`) are
+registered as rules. Add your own, re-weight or
+disable built-ins without forking the checker:
+
+```javascript
+const { FR1Checker } = require('@agentux/fr1-checker');
+
+const checker = new FR1Checker({ disabledRules: ['forms'] });
+
+checker.registerRule({
+  id: 'acme/skip-link',
+  category: 'navigation',
+  severity: 'warning', // error → issues, warning → warnings, info → recommendations
+  weight: 0.1,         // share of the weighted score; 0 reports without scoring
+  description: 'Pages must start with a skip link',
+  check: (document) => document.querySelector('a[href="#main"]') !== null
+});
+
+checker.overrideRule('semantic', { weight: 0.4 });
+```
+
+A rule's `check(document, { url, headers, analysis, checker })` may return a boolean,
+a 0-1 score, or `{ score, messages, details }`, and may be async. Messages
+may be strings or `{ message, element }` objects; set `requirement` and `help`
+on the rule to describe its findings. The same rules can be loaded on the
+command line with `--rules ./acme-rules.js`.
+
+### Findings
+
+Every result carries a `findings` array alongside the `issues`, `warnings`
+and `recommendations` string lists, which are derived from it:
+
+```json
+{
+  "ruleId": "fr1/image-alt",
+  "severity": "error",
+  "requirement": "FR3",
+  "message": "Images missing alt text (2/3 have alt)",
+  "selector": "html > body > main > img:nth-of-type(2)",
+  "snippet": "<img src=\"/hero.png\">",
+  "help": "Add alt text to every <img>; use alt=\"\" for decorative images."
+}
+```
+
+Element-level checks report one finding per offending element, so the same
+message can appear several times with different selectors.
+
+Findings on elements present in the served HTML also carry a `location` with
+1-based `startLine`/`startColumn`/`endLine`/`endColumn` of the start tag and a
+few `context` lines. The text report prints them as excerpts:
+
+```
+  7:7 error [fr1/form-field-label] Many form fields lack proper labels (0/1 labeled)
+      5 |   <main>
+      6 |     <form>
+    > 7 |       <input name="email">
+      8 |     </form>
+      9 |     <img src="hero.png">
+```
+
+Elements the parser inserts (such as a missing `<head>`) have `location: null`.
+
+The `main-content` rule extracts the primary content block readability-style
+(text blocks scored by length, commas and link density, with id/class hints)
+and reports `details.mainContent.contentRatio`, the share of page text that is
+primary content rather than navigation, header, footer and sidebar boilerplate.
+Pages below `mainContent.minContentRatio` (default 0.3) get
+`fr1/boilerplate-heavy`, and a declared `<main>` that misses most of the
+extracted content, or is mostly boilerplate itself, gets `fr1/main-mismatch`.
+
+`<noscript>` blocks are classified as real fallbacks, tracking pixels or
+"please enable JavaScript" notices. A page whose only content without
+JavaScript is such a notice fails with `fr1/noscript-nag-only` and a `noscript`
+score of 0, and noscript links to `#`, `javascript:` URLs or the page itself are
+reported as `fr1/noscript-link` (in `--dir` checks, links resolve against the
+page's route). Pages without noscript blocks are not scored on this rule.
+
+The `token-budget` rule estimates what an agent pays to read the page with a
+built-in tokenizer approximation (close to, but not exactly, any one model's
+tokenizer). `details.tokens` holds the estimated tokens of the raw HTML, its
+text-only view and the extracted main content, and a `breakdown` of the raw
+HTML into markup, inline scripts, inline styles (including `style`
+attributes), hydration JSON (`__NEXT_DATA__`, `window.__NUXT__`,
+`application/json` scripts and similar) and structured data, each with its
+share of the total. Thresholds are set with the `tokenBudget` option:
+
+```javascript
+const checker = new FR1Checker({
+  tokenBudget: {
+    maxHtmlTokens: 50000,   // default 100000; also --max-tokens
+    maxScriptShare: 0.4,    // default 0.5
+    maxStyleShare: 0.2,     // default 0.2
+    maxHydrationShare: 0.3, // default 0.3
+    minTextShare: 0.1       // default 0.1
+  }
+});
+```
+
+Exceeding one produces a `fr1/token-budget`, `fr1/token-scripts`,
+`fr1/token-styles`, `fr1/token-hydration` or `fr1/token-text` warning. The rule
+is not scored.
+
+The `hydration-data` rule looks inside the hydration blobs Next.js
+(`__NEXT_DATA__`, App Router `self.__next_f` pushes) and Nuxt
+(`window.__NUXT__`, `__NUXT_DATA__`) ship with the page. JSON blobs are parsed
+and script assignments scanned for string literals; identifiers, URLs and class
+lists are skipped and the remaining readable text is matched sentence by
+sentence against the visible HTML. `details.hydration` holds the hydration
+bytes, the readable and missing characters per blob, sample missing strings and
+`duplicatedBytes`, the bytes spent serializing text the HTML already shows.
+A page that renders an empty shell around its data gets `fr1/hydration-trapped`
+when more than `maxMissingShare` of that text (and at least `minMissingChars`
+characters) is missing, and heavy duplication gets `fr1/hydration-duplicate`:
+
+```javascript
+const checker = new FR1Checker({
+  hydration: {
+    minMissingChars: 200,     // default 200
+    maxMissingShare: 0.5,     // default 0.5
+    maxDuplicateBytes: 20000  // default 20000
+  }
+});
+```
+
+The rule is not scored.
+
+The `payload-budget` rule compares HTML bytes, inline script and style bytes,
+DOM nodes and external stylesheets and scripts with the budgets in the
+`budgets` section of `bimodal-design.config.json` (the CLI reads it from the
+working directory, or `--budget-config <file>`; pass `budgets` to the
+constructor programmatically). Routes can override them:
+
+```json
+{
+  "budgets": {
+    "htmlBytes": { "min": 1000, "max": 150000 },
+    "inlineScriptBytes": 50000,
+    "domNodes": 1500,
+    "routes": { "/blog/*": { "domNodes": 3000 } }
+  }
+}
+```
+
+Without a config the defaults are a 1000-byte HTML minimum, 1500 DOM nodes,
+3 stylesheets and 5 external scripts, the limits `bmd-validate` and the
+Compliance Auditor used before. `details.budgets` lists every budget with its
+`status` (`within`, `over` or `under`) and `delta` from the limit, and each
+budget that is not met is a `fr1/payload-budget` warning. `bmd-validate` and the
+Compliance Auditor's FR-7 test report the same budgets.
+
+Checked URLs also validate the response headers documented in the API
+reference: `X-Agent-Optimized`, `X-Agent-Framework` and `X-Agent-Rendering`
+must carry documented values, `X-Agent-Rendering` must match
+`<html data-agent-mode>`, and agent-specific responses (`X-Agent-Optimized: true`,
+other `X-Agent-*` headers or `data-agent-context="detected"`) must send
+`Vary: User-Agent` (`fr1/agent-headers-*`). Local files have no headers and skip
+these findings.
+
+The `framework` rule fingerprints the rendering stack from markers in the
+initial payload and response headers: Next.js (`__NEXT_DATA__`, `/_next/`),
+Nuxt (`window.__NUXT__`, `/_nuxt/`), Astro (generator meta, `<astro-island>`),
+Gatsby (`#___gatsby`), Angular (`ng-version`), Vue (`data-v-app`,
+`data-server-rendered`) and CRA/Vite single-page apps (bundle names, an empty
+`#root`). `details.framework` holds the framework, version, confidence,
+evidence and rendering mode (`csr` for an empty shell, `ssr`, `ssg`, or
+`prerendered` when the payload does not say which). A `data-agent-framework`
+or `data-agent-mode` that contradicts the fingerprint is reported as
+`fr1/framework-mismatch` or `fr1/mode-mismatch`, and `fr1/framework-guide`
+recommendations link the matching section of the Next.js, Nuxt, Astro, React
+SPA or CSR mitigation example guides. The Compliance Auditor reports the same
+fingerprint under FR-6 and adds the guide links to its recommendations.
+
+`--format sarif` (or `checker.toSARIF(results)`) emits the same findings as a
+SARIF 2.1.0 log: one rule per finding ID tagged with its FR requirement,
+`error`/`warning`/`note` levels, and locations pointing at the page URL or
+build file with the line and column range.
+
 ## Implementation
 
 ### Core Module (tools/validators/fr1-checker.js)
@@ -396,10 +617,90 @@ async function testSite() {
 ```javascript
 #!/usr/bin/env node
 
-const https = require('https');
-const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
 const { URL } = require('url');
 const { JSDOM } = require('jsdom');
+const { fetchPage } = require('./http-client');
+const { parseSitemap, decodeSitemapBody, filterSitemapURLs } = require('./sitemap-parser');
+const { HostRateLimiter, mapWithConcurrency } = require('./request-scheduler');
+const { toSARIF } = require('./sarif');
+const { toJUnitXML, suiteFromCheckResult } = require('./junit');
+const { getCrawlDelay } = require('./robots-txt');
+const { checkLlmsTxt } = require('./llms-txt');
+const { analyzeAgentHeaders } = require('./agent-headers');
+const { analyzeFramework } = require('./framework-fingerprint');
+const { toMarkdown } = require('./agent-view');
+const { captureDocumentTree, analyzeMainContent, describeMainMismatch, DEFAULT_OPTIONS: MAIN_CONTENT_OPTIONS } = require('./main-content');
+const { analyzeTokenBudget } = require('./token-budget');
+const { analyzeNoscript, scoreNoscript, MIN_TEXT_OUTSIDE } = require('./noscript');
+const { analyzeHydrationData } = require('./hydration-data');
+const { loadBudgets, resolveBudgets, measurePayload, checkBudgets, formatBudgetResult } = require('./payload-budget');
+const { loadAuth, redactSecrets } = require('./auth');
+const { RuleRegistry, normalizeOutcome, calculateWeightedScore } = require('./rule-registry');
+const { findHTMLFiles, fileToRoute } = require('./static-site');
+const {
+  createFinding,
+  describeElement,
+  getSourceLocation,
+  formatSourceContext,
+  toLegacyLists
+} = require('./findings');
+
+// Parsed documents → { dom, html }, so findings can be mapped back to source lines
+const documentSources = new WeakMap();
+
+/**
+ * Catalog of FR-1 Checker findings: the requirement each rule ID belongs to
+ * and the help text shown alongside it
+ */
+const FR1_FINDINGS = {
+  'fr1/page-unreachable': { requirement: 'FR1', help: 'The page must return a 2xx HTML response to simple HTTP clients.' },
+  'fr1/rule-error': { requirement: 'FR1', help: 'A custom rule threw an error; fix the rule so it can report results.' },
+  'fr1/missing-doctype': { requirement: 'FR2', help: 'Start the document with <!DOCTYPE html> so parsers use standards mode.' },
+  'fr1/missing-lang': { requirement: 'FR2', help: 'Add a lang attribute to <html>, e.g. <html lang="en">.' },
+  'fr1/missing-title': { requirement: 'FR6', help: 'Add a descriptive <title> in the server-rendered <head>.' },
+  'fr1/missing-meta-description': { requirement: 'FR6', help: 'Add <meta name="description" content="..."> summarizing the page.' },
+  'fr1/missing-viewport': { requirement: 'FR2', help: 'Add <meta name="viewport" content="width=device-width, initial-scale=1">.' },
+  'fr1/semantic-structure': { requirement: 'FR2', help: 'Use <header>, <nav>, <main>, <article>, <section> and <footer> instead of generic <div>s.' },
+  'fr1/no-headings': { requirement: 'FR2', help: 'Structure content with h1-h6 headings in the initial HTML.' },
+  'fr1/missing-h1': { requirement: 'FR2', help: 'Give the page a single <h1> describing its main topic.' },
+  'fr1/multiple-h1': { requirement: 'FR2', help: 'Use one <h1> per page and h2-h6 for subsections.' },
+  'fr1/no-navigation': { requirement: 'FR4', help: 'Render site navigation in a <nav> element on the server.' },
+  'fr1/navigation-unlabeled': { requirement: 'FR3', help: 'Label navigation regions with aria-label or aria-labelledby.' },
+  'fr1/navigation-links': { requirement: 'FR4', help: 'Include real <a href> links in <nav> so agents can discover pages.' },
+  'fr1/form-field-label': { requirement: 'FR5', help: 'Associate every field with a <label for>, aria-label or aria-labelledby.' },
+  'fr1/form-structure': { requirement: 'FR5', help: 'Group related fields in <fieldset> with a <legend>.' },
+  'fr1/text-content': { requirement: 'FR1', help: 'Server-render the page\'s main text instead of loading it with JavaScript.' },
+  'fr1/content-structure': { requirement: 'FR1', help: 'Use paragraphs, lists, tables and sections to structure content.' },
+  'fr1/image-alt': { requirement: 'FR3', help: 'Add alt text to every <img>; use alt="" for decorative images.' },
+  'fr1/agent-attributes': { requirement: 'FR2', help: 'Add data-agent-component, data-agent-action or data-agent-content attributes to key elements.' },
+  'fr1/structured-data': { requirement: 'FR6', help: 'Describe the page with JSON-LD or microdata (schema.org).' },
+  'fr1/aria-landmarks': { requirement: 'FR3', help: 'Mark page regions with landmark roles (banner, navigation, main, contentinfo).' },
+  'fr1/llms-txt-missing': { requirement: 'FR6', help: 'Publish /llms.txt: an H1 title, a "> summary" and H2 sections listing "- [name](url): notes" links (https://llmstxt.org).' },
+  'fr1/llms-txt-structure': { requirement: 'FR6', help: 'Follow the llms.txt structure: one H1 title first, a blockquote summary, then H2 sections of link lists.' },
+  'fr1/llms-txt-broken-link': { requirement: 'FR6', help: 'Fix or remove llms.txt links that do not resolve.' },
+  'fr1/boilerplate-heavy': { requirement: 'FR1', help: 'Make the page\'s own content the bulk of the initial HTML; trim repeated navigation, footer and sidebar text.' },
+  'fr1/main-mismatch': { requirement: 'FR2', help: 'Wrap the primary content, and only it, in <main> so agents can skip navigation and other boilerplate.' },
+  'fr1/noscript-nag-only': { requirement: 'FR1', help: 'Server-render the page content, or put a real fallback (text and links to no-JS pages) in <noscript> instead of only asking to enable JavaScript.' },
+  'fr1/noscript-nag': { requirement: 'FR1', help: 'Replace "enable JavaScript" notices with a summary of the page and links to pages that work without JavaScript.' },
+  'fr1/noscript-link': { requirement: 'FR4', help: 'Point <noscript> links at pages that work without JavaScript, not at "#", javascript: URLs or the current page.' },
+  'fr1/agent-headers-missing': { requirement: 'FR6', help: 'Send X-Agent-Optimized, X-Agent-Framework and X-Agent-Rendering response headers (see docs/api-reference.md).' },
+  'fr1/agent-headers-invalid': { requirement: 'FR6', help: 'Use documented values: X-Agent-Optimized true|false, X-Agent-Framework name/version, X-Agent-Rendering ssr|ssg|csr|hybrid.' },
+  'fr1/agent-headers-mismatch': { requirement: 'FR6', help: 'Keep X-Agent-Rendering and X-Agent-Framework consistent with data-agent-mode and data-agent-version on <html>.' },
+  'fr1/agent-headers-vary': { requirement: 'FR1', help: 'Send Vary: User-Agent with agent-specific responses so caches do not serve them to other clients.' },
+  'fr1/framework-mismatch': { requirement: 'FR6', help: 'Set data-agent-framework to the framework that renders the page (react, vue, angular, astro, next, nuxt or custom).' },
+  'fr1/mode-mismatch': { requirement: 'FR6', help: 'Set data-agent-mode to how the initial payload is actually rendered (ssr, ssg, csr or hybrid).' },
+  'fr1/framework-guide': { requirement: 'FR1', help: 'Follow the example guide section for the detected framework.' },
+  'fr1/token-budget': { requirement: 'FR1', help: 'Keep the initial HTML small enough for an agent to read whole; paginate or move secondary content to linked pages.' },
+  'fr1/token-scripts': { requirement: 'FR1', help: 'Move large inline scripts to external files so agents reading the HTML do not pay for them.' },
+  'fr1/token-styles': { requirement: 'FR1', help: 'Move inline <style> blocks and style attributes to stylesheets.' },
+  'fr1/token-hydration': { requirement: 'FR1', help: 'Trim serialized hydration state to what the client needs, or load it separately from the HTML.' },
+  'fr1/token-text': { requirement: 'FR1', help: 'Make readable text a larger share of the initial payload; markup and inline code dominate it.' },
+  'fr1/hydration-trapped': { requirement: 'FR1', help: 'Render the content carried in __NEXT_DATA__ / window.__NUXT__ into the server HTML instead of only shipping it as hydration data.' },
+  'fr1/hydration-duplicate': { requirement: 'FR7', help: 'Stop serializing content the HTML already renders into hydration data; pass only the state the client needs.' },
+  'fr1/payload-budget': { requirement: 'FR7', help: 'Keep the page within the payload budgets in bimodal-design.config.json: HTML, inline script and style bytes, DOM nodes and external resources.' }
+};
 
 /**
  * FR-1 Checker - Test Initial Payload Accessibility
@@ -414,8 +715,336 @@ class FR1Checker {
       timeout: options.timeout || 10000,
       userAgent: options.userAgent || 'BiModal Design-FR1-Checker/1.0 (+https://github.com/jgoldfoot/BiModal Design)',
       verbose: options.verbose || false,
+      include: options.include || [],
+      exclude: options.exclude || [],
+      maxUrls: options.maxUrls || 0,
+      maxSitemapDepth: options.maxSitemapDepth || 3,
+      maxRedirects: options.maxRedirects !== undefined ? options.maxRedirects : 5,
+      concurrency: options.concurrency || 4,
+      rateLimit: options.rateLimit || 0,
+      respectCrawlDelay: options.respectCrawlDelay || false,
       ...options
     };
+    
+    // llms.txt checks by origin, shared by the pages of a site
+    this.llmsTxtChecks = new Map();
+    
+    // Rule registry: built-in checks first, then any custom rules from options
+    this.rules = new RuleRegistry();
+    this.getBuiltInRules().forEach(rule => this.rules.register(rule));
+    this.rules.configure(this.options);
+  }
+
+  /**
+   * Built-in FR-1 rules. Each wraps one of the check methods below; the
+   * check methods record details, issues and warnings on the analysis and
+   * the rule returns the component score.
+   * @returns {Object[]} Rule definitions
+   */
+  getBuiltInRules() {
+    return [
+      {
+        id: 'structure',
+        category: 'structure',
+        builtIn: true,
+        severity: 'error',
+        weight: 0.2,
+        description: 'Document has DOCTYPE, lang, title, meta description and viewport',
+        check: (document, { analysis }) => {
+          this.checkBasicStructure(document, analysis);
+          return this.scoreStructure(analysis.details.structure);
+        }
+      },
+      {
+        id: 'semantic',
+        category: 'semantic',
+        builtIn: true,
+        severity: 'error',
+        weight: 0.25,
+        description: 'Content uses semantic HTML5 elements and headings',
+        check: (document, { analysis }) => {
+          this.checkSemanticContent(document, analysis);
+          return analysis.details.semantic.semanticScore || 0;
+        }
+      },
+      {
+        id: 'navigation',
+        category: 'navigation',
+        builtIn: true,
+        severity: 'error',
+        weight: 0.2,
+        description: 'Navigation is present and accessible in the initial payload',
+        check: (document, { analysis }) => {
+          this.checkNavigation(document, analysis);
+          return this.scoreNavigation(analysis.details.navigation);
+        }
+      },
+      {
+        id: 'forms',
+        category: 'forms',
+        builtIn: true,
+        severity: 'error',
+        weight: 0.1,
+        description: 'Form fields are labeled',
+        check: (document, { analysis }) => {
+          this.checkForms(document, analysis);
+          return this.scoreForms(analysis.details.forms);
+        }
+      },
+      {
+        id: 'content',
+        category: 'content',
+        builtIn: true,
+        severity: 'error',
+        weight: 0.25,
+        description: 'Page carries meaningful text content without JavaScript',
+        check: (document, { analysis }) => {
+          this.checkContentMeaning(document, analysis);
+          return this.scoreContent(analysis.details.content);
+        }
+      },
+      {
+        id: 'main-content',
+        category: 'content',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0.1,
+        description: 'Primary content outweighs boilerplate and matches the declared <main>',
+        check: (document, { analysis }) => {
+          this.checkMainContent(document, analysis);
+          return this.scoreMainContent(analysis.details.mainContent);
+        }
+      },
+      {
+        id: 'noscript',
+        category: 'content',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0.15,
+        description: '<noscript> blocks offer real content and links to no-JS alternatives, not just a warning',
+        check: (document, { url, analysis }) => {
+          this.checkNoscript(document, url, analysis);
+          return scoreNoscript(analysis.details.noscript);
+        }
+      },
+      {
+        id: 'agent',
+        category: 'agent',
+        builtIn: true,
+        severity: 'info',
+        weight: 0,
+        description: 'Page exposes agent attributes, structured data and landmarks',
+        check: (document, { analysis }) => {
+          this.checkAgentFeatures(document, analysis);
+          return null;
+        }
+      },
+      {
+        id: 'llms-txt',
+        category: 'agent',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0.05,
+        description: 'Site publishes a valid /llms.txt whose links resolve, and /llms-full.txt',
+        check: (document, { url, analysis }) => this.checkLlmsTxt(url, analysis)
+      },
+      {
+        id: 'agent-headers',
+        category: 'agent',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0,
+        description: 'Response sends valid X-Agent-* headers matching <html> and Vary: User-Agent when agent-specific',
+        check: (document, { headers, analysis }) => {
+          this.checkAgentHeaders(document, headers, analysis);
+          return null;
+        }
+      },
+      {
+        id: 'framework',
+        category: 'agent',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0,
+        description: 'Detected framework and rendering mode match data-agent-framework and data-agent-mode',
+        check: (document, { headers, analysis }) => {
+          this.checkFramework(document, headers, analysis);
+          return null;
+        }
+      },
+      {
+        id: 'token-budget',
+        category: 'content',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0,
+        description: 'Initial payload fits the token budget and is mostly text rather than scripts, styles and hydration JSON',
+        check: (document, { analysis }) => {
+          this.checkTokenBudget(document, analysis);
+          return null;
+        }
+      },
+      {
+        id: 'hydration-data',
+        category: 'content',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0,
+        description: 'Readable text in __NEXT_DATA__ / window.__NUXT__ hydration data is rendered in the HTML, without excessive duplication',
+        check: (document, { analysis }) => {
+          this.checkHydrationData(document, analysis);
+          return null;
+        }
+      },
+      {
+        id: 'payload-budget',
+        category: 'content',
+        builtIn: true,
+        severity: 'warning',
+        weight: 0,
+        description: 'Payload bytes, DOM nodes and external resources stay within the configured budgets',
+        check: (document, { url, analysis }) => {
+          this.checkPayloadBudget(document, url, analysis);
+          return null;
+        }
+      }
+    ];
+  }
+
+  /**
+   * Register a custom analysis rule
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Unique rule id (e.g. 'acme/skip-link')
+   * @param {string} [rule.category] - Grouping used in reports (defaults to 'custom')
+   * @param {string} [rule.severity] - 'error' (issues), 'warning' or 'info' (recommendations)
+   * @param {number} [rule.weight] - Weight in the overall score; 0 reports without scoring
+   * @param {string} [rule.description] - Message reported when the rule fails without its own messages
+   * @param {string} [rule.requirement] - Requirement its findings belong to (FR1-FR7, default FR1)
+   * @param {string} [rule.help] - Help text attached to its findings (defaults to the description)
+   * @param {Function} rule.check - (document, { url, headers, analysis, checker }) returning a boolean,
+   *   a 0-1 score, or { score, messages, details }; may be async. Messages are strings or
+   *   { message, element } objects, reported as findings under the rule id
+   * @returns {FR1Checker} The checker, for chaining
+   */
+  registerRule(rule) {
+    this.rules.register(rule);
+    return this;
+  }
+
+  /**
+   * Override parts of a registered rule (weight, severity, check, ...)
+   * @param {string} id - Rule id
+   * @param {Object} changes - Properties to replace
+   * @returns {FR1Checker} The checker, for chaining
+   */
+  overrideRule(id, changes) {
+    this.rules.override(id, changes);
+    return this;
+  }
+
+  /**
+   * Disable a rule so it neither runs nor counts towards the score
+   */
+  disableRule(id) {
+    return this.overrideRule(id, { enabled: false });
+  }
+
+  /**
+   * Re-enable a previously disabled rule
+   */
+  enableRule(id) {
+    return this.overrideRule(id, { enabled: true });
+  }
+
+  /**
+   * List registered rules in execution order
+   * @returns {Object[]} Rule definitions
+   */
+  getRules() {
+    return this.rules.list();
+  }
+
+  /**
+   * Record a structured finding on the analysis
+   * @param {Object} analysis - Analysis being built
+   * @param {string} ruleId - Finding rule ID (see FR1_FINDINGS)
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {string} message - Message, shared by findings for the same check
+   * @param {Element} [element] - Offending element, for selector, snippet and source location
+   * @param {Object} [extra] - Overrides such as requirement or help for custom rules
+   */
+  addFinding(analysis, ruleId, severity, message, element = null, extra = {}) {
+    const entry = FR1_FINDINGS[ruleId] || {};
+    const source = element && documentSources.get(element.ownerDocument);
+    
+    analysis.findings.push(createFinding({
+      ruleId,
+      severity,
+      requirement: entry.requirement,
+      help: entry.help,
+      message,
+      ...(element ? describeElement(element) : {}),
+      ...(source ? { location: getSourceLocation(source.html, source.dom.nodeLocation(element)) } : {}),
+      ...extra
+    }));
+  }
+
+  /**
+   * Run one rule and record its outcome on the analysis
+   */
+  async runRule(rule, document, context) {
+    const { analysis } = context;
+    const firstFinding = analysis.findings.length;
+    let outcome;
+    
+    try {
+      outcome = await rule.check(document, context);
+    } catch (error) {
+      this.addFinding(analysis, 'fr1/rule-error', 'warning', `Rule ${rule.id} failed to run: ${error.message}`);
+      analysis.ruleResults[rule.id] = {
+        category: rule.category,
+        severity: rule.severity,
+        weight: rule.weight,
+        score: null,
+        passed: false,
+        error: error.message,
+        messages: []
+      };
+      return;
+    }
+    
+    // Normalize boolean, numeric and object results
+    const result = normalizeOutcome(outcome);
+    const { passed, messages } = result;
+    
+    // Built-in checks report their own messages; custom rules fall back to the description
+    if (!passed && messages.length === 0 && !rule.builtIn) {
+      messages.push(rule.description);
+    }
+    
+    // Messages may be strings or { message, element, selector, snippet, help }
+    messages.forEach(entry => {
+      const { message, element, ...extra } = typeof entry === 'string' ? { message: entry } : entry;
+      this.addFinding(analysis, rule.id, rule.severity, message, element, {
+        requirement: rule.requirement || 'FR1',
+        help: rule.help || rule.description,
+        ...extra
+      });
+    });
+    
+    if (result.details && !analysis.details[rule.id]) {
+      analysis.details[rule.id] = result.details;
+    }
+    
+    analysis.ruleResults[rule.id] = {
+      category: rule.category,
+      severity: rule.severity,
+      weight: rule.weight,
+      score: result.score,
+      passed,
+      // Messages of the findings this rule reported
+      messages: [...new Set(analysis.findings.slice(firstFinding).map(finding => finding.message))]
+    };
   }
 
   /**
@@ -427,11 +1056,18 @@ class FR1Checker {
     const startTime = Date.now();
     
     try {
-      const html = await this.fetchHTML(url);
-      const analysis = await this.analyzeHTML(html, url);
+      const response = await this.fetchHTML(url);
+      
+      if (this.options.verbose && response.redirects.length > 0) {
+        console.error(`Followed ${response.redirects.length} redirect(s): ${url} → ${response.finalUrl}`);
+      }
+      
+      const analysis = await this.analyzeHTML(response.html, response.finalUrl, { headers: response.headers });
       
       return {
         url,
+        finalUrl: response.finalUrl,
+        redirects: response.redirects,
         timestamp: new Date().toISOString(),
         loadTime: Date.now() - startTime,
         ...analysis
@@ -444,71 +1080,60 @@ class FR1Checker {
         passed: false,
         score: 0,
         error: error.message,
-        issues: [`Failed to load page: ${error.message}`]
+        issues: [`Failed to load page: ${error.message}`],
+        findings: [createFinding({
+          ruleId: 'fr1/page-unreachable',
+          severity: 'error',
+          requirement: 'FR1',
+          message: `Failed to load page: ${error.message}`,
+          help: FR1_FINDINGS['fr1/page-unreachable'].help
+        })]
       };
     }
   }
 
   /**
-   * Fetch HTML content without executing JavaScript
+   * Fetch HTML content without executing JavaScript.
+   * Follows redirects up to options.maxRedirects and decodes gzip, deflate
+   * and brotli responses using the charset from Content-Type or <meta charset>.
    * @param {string} url - URL to fetch
-   * @returns {Promise<string>} HTML content
+   * @returns {Promise<Object>} { html, finalUrl, redirects, statusCode, headers, charset, contentEncoding }
    */
   async fetchHTML(url) {
-    return new Promise((resolve, reject) => {
-      const urlObj = new URL(url);
-      const client = urlObj.protocol === 'https:' ? https : http;
-      
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port,
-        path: urlObj.pathname + urlObj.search,
-        method: 'GET',
-        headers: {
-          'User-Agent': this.options.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'close'
-        },
-        timeout: this.options.timeout
-      };
-
-      const req = client.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(data);
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-
-      req.end();
+    const response = await fetchPage(url, {
+      userAgent: this.options.userAgent,
+      timeout: this.options.timeout,
+      maxRedirects: this.options.maxRedirects,
+      auth: this.options.auth
     });
+    
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+    }
+    
+    return {
+      html: response.body,
+      finalUrl: response.finalUrl,
+      redirects: response.redirects,
+      statusCode: response.statusCode,
+      headers: response.headers,
+      charset: response.charset,
+      contentEncoding: response.contentEncoding
+    };
   }
 
   /**
    * Analyze HTML content for FR-1 compliance
    * @param {string} html - HTML content
    * @param {string} url - Original URL
+   * @param {Object} [options] - Options
+   * @param {Object} [options.headers] - Response headers; header rules are skipped without them
    * @returns {Object} Analysis result
    */
-  async analyzeHTML(html, url) {
-    const dom = new JSDOM(html);
+  async analyzeHTML(html, url, options = {}) {
+    const dom = new JSDOM(html, { includeNodeLocations: true });
     const document = dom.window.document;
+    documentSources.set(document, { dom, html });
     
     const analysis = {
       passed: false,
@@ -516,26 +1141,26 @@ class FR1Checker {
       issues: [],
       warnings: [],
       recommendations: [],
-      details: {}
+      details: {},
+      ruleResults: {},
+      findings: []
     };
 
-    // Test 1: Basic HTML structure
-    this.checkBasicStructure(document, analysis);
-    
-    // Test 2: Semantic content
-    this.checkSemanticContent(document, analysis);
-    
-    // Test 3: Navigation accessibility
-    this.checkNavigation(document, analysis);
-    
-    // Test 4: Form accessibility
-    this.checkForms(document, analysis);
-    
-    // Test 5: Content meaningfulness
-    this.checkContentMeaning(document, analysis);
+    // Run enabled rules: built-in structure, semantic, navigation, forms,
+    // content, main-content, noscript, agent, framework, token-budget, hydration-data
+    // and payload-budget checks, followed by any custom rules
+    const context = { url, headers: options.headers || null, analysis, checker: this };
+    for (const rule of this.getRules()) {
+      if (rule.enabled) {
+        await this.runRule(rule, document, context);
+      }
+    }
     
-    // Test 6: Agent-specific features
-    this.checkAgentFeatures(document, analysis);
+    // Derive the legacy string lists from the structured findings
+    const lists = toLegacyLists(analysis.findings);
+    analysis.issues.push(...lists.issues);
+    analysis.warnings.push(...lists.warnings);
+    analysis.recommendations.push(...lists.recommendations);
     
     // Calculate overall score
     this.calculateScore(analysis);
@@ -544,18 +1169,27 @@ class FR1Checker {
     analysis.passed = analysis.score >= 0.7; // 70% threshold
     
     if (this.options.verbose) {
-      console.log(`\nFR-1 Analysis for ${url}:`);
-      console.log(`Score: ${(analysis.score * 100).toFixed(1)}%`);
-      console.log(`Status: ${analysis.passed ? 'PASS' : 'FAIL'}`);
+      console.error(`\nFR-1 Analysis for ${url}:`);
+      console.error(`Score: ${(analysis.score * 100).toFixed(1)}%`);
+      console.error(`Status: ${analysis.passed ? 'PASS' : 'FAIL'}`);
       
       if (analysis.issues.length > 0) {
-        console.log('\nIssues:');
-        analysis.issues.forEach(issue => console.log(`  ❌ ${issue}`));
+        console.error('\nIssues:');
+        analysis.issues.forEach(issue => console.error(`  ❌ ${issue}`));
       }
       
       if (analysis.warnings.length > 0) {
-        console.log('\nWarnings:');
-        analysis.warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+        console.error('\nWarnings:');
+        analysis.warnings.forEach(warning => console.error(`  ⚠️ ${warning}`));
+      }
+      
+      const located = analysis.findings.filter(finding => finding.location && finding.severity !== 'info');
+      if (located.length > 0) {
+        console.error('\nSource:');
+        located.forEach(finding => {
+          console.error(`  ${url}:${finding.location.startLine}:${finding.location.startColumn} [${finding.ruleId}] ${finding.message}`);
+          console.error(formatSourceContext(finding.location, '    '));
+        });
       }
     }
     
@@ -571,34 +1205,34 @@ class FR1Checker {
     // Check for DOCTYPE
     details.hasDoctype = document.doctype !== null;
     if (!details.hasDoctype) {
-      analysis.issues.push('Missing DOCTYPE declaration');
+      this.addFinding(analysis, 'fr1/missing-doctype', 'error', 'Missing DOCTYPE declaration');
     }
     
     // Check for lang attribute
     details.hasLang = document.documentElement.hasAttribute('lang');
     if (!details.hasLang) {
-      analysis.issues.push('Missing lang attribute on html element');
+      this.addFinding(analysis, 'fr1/missing-lang', 'error', 'Missing lang attribute on html element', document.documentElement);
     }
     
     // Check for title
     const titleElement = document.querySelector('title');
     details.hasTitle = titleElement && titleElement.textContent.trim().length > 0;
     if (!details.hasTitle) {
-      analysis.issues.push('Missing or empty page title');
+      this.addFinding(analysis, 'fr1/missing-title', 'error', 'Missing or empty page title', titleElement || document.head);
     }
     
     // Check for meta description
     const metaDesc = document.querySelector('meta[name="description"]');
     details.hasMetaDescription = metaDesc && metaDesc.getAttribute('content').trim().length > 0;
     if (!details.hasMetaDescription) {
-      analysis.warnings.push('Missing meta description');
+      this.addFinding(analysis, 'fr1/missing-meta-description', 'warning', 'Missing meta description', metaDesc || document.head);
     }
     
     // Check for viewport meta
     const viewport = document.querySelector('meta[name="viewport"]');
     details.hasViewport = viewport !== null;
     if (!details.hasViewport) {
-      analysis.warnings.push('Missing viewport meta tag');
+      this.addFinding(analysis, 'fr1/missing-viewport', 'warning', 'Missing viewport meta tag', document.head);
     }
   }
 
@@ -621,9 +1255,9 @@ class FR1Checker {
     details.semanticScore = Math.min(1, semanticCount / 4); // Expect at least 4 semantic elements
     
     if (semanticCount < 2) {
-      analysis.issues.push('Insufficient semantic HTML structure (found ' + semanticCount + ' elements)');
+      this.addFinding(analysis, 'fr1/semantic-structure', 'error', 'Insufficient semantic HTML structure (found ' + semanticCount + ' elements)', document.body);
     } else if (semanticCount < 4) {
-      analysis.warnings.push('Limited semantic HTML structure (found ' + semanticCount + ' elements)');
+      this.addFinding(analysis, 'fr1/semantic-structure', 'warning', 'Limited semantic HTML structure (found ' + semanticCount + ' elements)', document.body);
     }
     
     // Check heading hierarchy
@@ -631,14 +1265,17 @@ class FR1Checker {
     details.headingCount = headings.length;
     
     if (details.headingCount === 0) {
-      analysis.issues.push('No headings found - content structure unclear');
+      this.addFinding(analysis, 'fr1/no-headings', 'error', 'No headings found - content structure unclear', document.body);
     } else {
       // Check for h1
-      const h1Count = document.querySelectorAll('h1').length;
+      const h1Elements = document.querySelectorAll('h1');
+      const h1Count = h1Elements.length;
       if (h1Count === 0) {
-        analysis.issues.push('No h1 heading found');
+        this.addFinding(analysis, 'fr1/missing-h1', 'error', 'No h1 heading found', headings[0]);
       } else if (h1Count > 1) {
-        analysis.warnings.push('Multiple h1 headings found (' + h1Count + ')');
+        h1Elements.forEach(h1 => {
+          this.addFinding(analysis, 'fr1/multiple-h1', 'warning', 'Multiple h1 headings found (' + h1Count + ')', h1);
+        });
       }
     }
   }
@@ -654,7 +1291,7 @@ class FR1Checker {
     details.navCount = navElements.length;
     
     if (details.navCount === 0) {
-      analysis.issues.push('No navigation elements found');
+      this.addFinding(analysis, 'fr1/no-navigation', 'error', 'No navigation elements found', document.body);
       return;
     }
     
@@ -671,7 +1308,9 @@ class FR1Checker {
     
     details.accessibleNavs = accessibleNavs;
     if (accessibleNavs === 0) {
-      analysis.warnings.push('Navigation elements lack accessibility attributes');
+      navElements.forEach(nav => {
+        this.addFinding(analysis, 'fr1/navigation-unlabeled', 'warning', 'Navigation elements lack accessibility attributes', nav);
+      });
     }
     
     // Check for navigation links
@@ -679,9 +1318,9 @@ class FR1Checker {
     details.navLinkCount = navLinks.length;
     
     if (details.navLinkCount === 0) {
-      analysis.issues.push('No navigation links found');
+      this.addFinding(analysis, 'fr1/navigation-links', 'error', 'No navigation links found', navElements[0]);
     } else if (details.navLinkCount < 3) {
-      analysis.warnings.push('Very few navigation links (' + details.navLinkCount + ')');
+      this.addFinding(analysis, 'fr1/navigation-links', 'warning', 'Very few navigation links (' + details.navLinkCount + ')', navElements[0]);
     }
   }
 
@@ -702,6 +1341,8 @@ class FR1Checker {
     let accessibleForms = 0;
     let totalFields = 0;
     let labeledFields = 0;
+    const unlabeledFields = [];
+    const unstructuredForms = [];
     
     forms.forEach(form => {
       const fieldsets = form.querySelectorAll('fieldset');
@@ -717,11 +1358,15 @@ class FR1Checker {
         
         if (hasLabel || hasAriaLabel) {
           labeledFields++;
+        } else {
+          unlabeledFields.push(field);
         }
       });
       
       if (hasFieldsets && fields.length > 0) {
         accessibleForms++;
+      } else {
+        unstructuredForms.push(form);
       }
     });
     
@@ -732,14 +1377,18 @@ class FR1Checker {
     if (totalFields > 0) {
       const labelRatio = labeledFields / totalFields;
       if (labelRatio < 0.8) {
-        analysis.issues.push(`Many form fields lack proper labels (${labeledFields}/${totalFields} labeled)`);
+        const message = `Many form fields lack proper labels (${labeledFields}/${totalFields} labeled)`;
+        unlabeledFields.forEach(field => this.addFinding(analysis, 'fr1/form-field-label', 'error', message, field));
       } else if (labelRatio < 1.0) {
-        analysis.warnings.push(`Some form fields lack labels (${labeledFields}/${totalFields} labeled)`);
+        const message = `Some form fields lack labels (${labeledFields}/${totalFields} labeled)`;
+        unlabeledFields.forEach(field => this.addFinding(analysis, 'fr1/form-field-label', 'warning', message, field));
       }
     }
     
     if (accessibleForms < details.formCount) {
-      analysis.warnings.push('Some forms lack fieldsets or proper structure');
+      unstructuredForms.forEach(form => {
+        this.addFinding(analysis, 'fr1/form-structure', 'warning', 'Some forms lack fieldsets or proper structure', form);
+      });
     }
   }
 
@@ -758,9 +1407,9 @@ class FR1Checker {
     
     // Check for minimum content
     if (details.textLength < 100) {
-      analysis.issues.push('Very little text content found (' + details.textLength + ' characters)');
+      this.addFinding(analysis, 'fr1/text-content', 'error', 'Very little text content found (' + details.textLength + ' characters)', main);
     } else if (details.textLength < 300) {
-      analysis.warnings.push('Limited text content (' + details.textLength + ' characters)');
+      this.addFinding(analysis, 'fr1/text-content', 'warning', 'Limited text content (' + details.textLength + ' characters)', main);
     }
     
     // Check for meaningful content indicators
@@ -768,7 +1417,7 @@ class FR1Checker {
     details.meaningfulElements = meaningfulElements.length;
     
     if (details.meaningfulElements < 3) {
-      analysis.warnings.push('Limited content structure elements');
+      this.addFinding(analysis, 'fr1/content-structure', 'warning', 'Limited content structure elements', main);
     }
     
     // Check for images with alt text
@@ -778,10 +1427,122 @@ class FR1Checker {
     details.imagesWithAlt = imagesWithAlt.length;
     
     if (images.length > 0 && imagesWithAlt.length < images.length) {
-      analysis.issues.push(`Images missing alt text (${imagesWithAlt.length}/${images.length} have alt)`);
+      const message = `Images missing alt text (${imagesWithAlt.length}/${images.length} have alt)`;
+      document.querySelectorAll('img:not([alt])').forEach(image => {
+        this.addFinding(analysis, 'fr1/image-alt', 'error', message, image);
+      });
     }
   }
 
+  /**
+   * Extract the primary content block readability-style, measure the share of
+   * page text that is boilerplate and compare the block with the declared <main>
+   */
+  checkMainContent(document, analysis) {
+    const tree = captureDocumentTree(document);
+    const details = analysis.details.mainContent = tree
+      ? analyzeMainContent(tree, this.options.mainContent)
+      : { textLength: 0, extracted: null, declared: null, contentRatio: 0, boilerplateRatio: 0, boilerplateHeavy: false, relation: 'missing', mismatch: false };
+    
+    if (details.boilerplateHeavy) {
+      const extracted = details.extracted && document.querySelector(details.extracted.selector);
+      this.addFinding(analysis, 'fr1/boilerplate-heavy', 'warning',
+        `Only ${Math.round(details.contentRatio * 100)}% of the page text is primary content; the rest is navigation, header, footer and other boilerplate`,
+        extracted || document.body);
+    }
+    
+    if (details.mismatch) {
+      this.addFinding(analysis, 'fr1/main-mismatch', 'warning', describeMainMismatch(details),
+        document.querySelector(details.declared.selector));
+    }
+  }
+
+  /**
+   * Estimate the tokens an agent spends on the initial payload (raw HTML, its
+   * text and the main content) and the share taken by markup, inline scripts,
+   * inline styles and hydration JSON. Runs after main-content to reuse its block.
+   */
+  checkTokenBudget(document, analysis) {
+    const source = documentSources.get(document);
+    const extracted = analysis.details.mainContent && analysis.details.mainContent.extracted;
+    const main = extracted ? document.querySelector(extracted.selector) : null;
+    let mainText;
+    if (main) {
+      const copy = main.cloneNode(true);
+      copy.querySelectorAll('script, style, template, noscript').forEach(element => element.remove());
+      mainText = copy.textContent.replace(/\s+/g, ' ').trim();
+    }
+    
+    const details = analysis.details.tokens = analyzeTokenBudget(source ? source.html : document.documentElement.outerHTML, {
+      mainText,
+      thresholds: this.options.tokenBudget
+    });
+    
+    details.warnings.forEach(warning => {
+      this.addFinding(analysis, warning.code === 'html' ? 'fr1/token-budget' : `fr1/token-${warning.code}`, 'warning', warning.message);
+    });
+  }
+
+  /**
+   * Measure the readable text in Next.js and Nuxt hydration data that the
+   * visible HTML lacks, and the bytes spent duplicating text it already has
+   */
+  checkHydrationData(document, analysis) {
+    const source = documentSources.get(document);
+    const details = analysis.details.hydration = analyzeHydrationData(source ? source.html : document.documentElement.outerHTML, {
+      thresholds: this.options.hydration
+    });
+    
+    details.warnings.forEach(warning => {
+      this.addFinding(analysis, `fr1/hydration-${warning.code}`, 'warning', warning.message);
+    });
+  }
+
+  /**
+   * Compare HTML, inline script and style bytes, DOM nodes and external
+   * resources with the budgets configured for the page's route
+   */
+  checkPayloadBudget(document, url, analysis) {
+    const source = documentSources.get(document);
+    const metrics = {
+      ...measurePayload(source ? source.html : document.documentElement.outerHTML),
+      domNodes: document.querySelectorAll('*').length
+    };
+    
+    const details = analysis.details.budgets = checkBudgets(metrics, resolveBudgets(this.options.budgets, url));
+    details.filter(entry => entry.status !== 'within').forEach(entry => {
+      this.addFinding(analysis, 'fr1/payload-budget', 'warning', formatBudgetResult(entry), null, { target: entry.metric });
+    });
+  }
+
+  /**
+   * Check <noscript> fallbacks: whether each block carries content or only asks
+   * to enable JavaScript, and whether its links lead somewhere usable without it
+   */
+  checkNoscript(document, url, analysis) {
+    const source = documentSources.get(document);
+    const details = analysis.details.noscript = analyzeNoscript(source ? source.html : document.documentElement.outerHTML, url);
+    const elements = document.querySelectorAll('noscript');
+    
+    details.blocks.forEach((block, index) => {
+      const noscript = elements[index] || null;
+      block.badTargets.forEach(href => {
+        this.addFinding(analysis, 'fr1/noscript-link', 'warning',
+          `Link in <noscript> does not lead to a no-JS alternative: ${href || '(empty)'}`, noscript);
+      });
+      
+      if (block.kind === 'nag') {
+        if (details.textOutside < MIN_TEXT_OUTSIDE) {
+          this.addFinding(analysis, 'fr1/noscript-nag-only', 'error',
+            'The only content without JavaScript is a <noscript> notice asking to enable it', noscript);
+        } else {
+          this.addFinding(analysis, 'fr1/noscript-nag', 'info',
+            '<noscript> only asks to enable JavaScript; offer a summary or no-JS links instead', noscript);
+        }
+      }
+    });
+  }
+
   /**
    * Check agent-specific features
    */
@@ -800,7 +1561,7 @@ class FR1Checker {
     const hasAgentFeatures = agentComponents.length > 0 || agentActions.length > 0 || agentContent.length > 0;
     
     if (!hasAgentFeatures) {
-      analysis.recommendations.push('Consider adding BiModal Design attributes for better agent understanding');
+      this.addFinding(analysis, 'fr1/agent-attributes', 'info', 'Consider adding BiModal Design attributes for better agent understanding');
     }
     
     // Check for structured data
@@ -811,7 +1572,7 @@ class FR1Checker {
     details.microdataElements = microdata.length;
     
     if (structuredData.length === 0 && microdata.length === 0) {
-      analysis.recommendations.push('Add structured data (JSON-LD or microdata) for better agent understanding');
+      this.addFinding(analysis, 'fr1/structured-data', 'info', 'Add structured data (JSON-LD or microdata) for better agent understanding', document.head);
     }
     
     // Check for ARIA landmarks
@@ -819,110 +1580,487 @@ class FR1Checker {
     details.landmarks = landmarks.length;
     
     if (details.landmarks === 0) {
-      analysis.warnings.push('No ARIA landmarks found - consider adding for better accessibility');
+      this.addFinding(analysis, 'fr1/aria-landmarks', 'warning', 'No ARIA landmarks found - consider adding for better accessibility', document.body);
     }
   }
 
   /**
-   * Calculate overall compliance score
+   * Check the X-Agent-* response headers and Vary against the <html> attributes
+   * @param {Document} document - Parsed page
+   * @param {Object|null} headers - Response headers, null for files and raw HTML
+   * @param {Object} analysis - Analysis being built
    */
-  calculateScore(analysis) {
-    const weights = {
-      structure: 0.2,
-      semantic: 0.25,
-      navigation: 0.2,
-      forms: 0.1,
-      content: 0.25
-    };
+  checkAgentHeaders(document, headers, analysis) {
+    if (!headers) {
+      return;
+    }
+    
+    const root = document.documentElement;
+    const report = analyzeAgentHeaders({
+      headers,
+      attributes: {
+        'data-agent-mode': root.getAttribute('data-agent-mode'),
+        'data-agent-version': root.getAttribute('data-agent-version'),
+        'data-agent-context': root.getAttribute('data-agent-context')
+      }
+    });
+    analysis.details.agentHeaders = report;
+    
+    report.problems.forEach(problem => {
+      const element = problem.code === 'mismatch' ? root : null;
+      this.addFinding(analysis, `fr1/agent-headers-${problem.code}`, problem.severity, problem.message, element, { target: problem.header });
+    });
+  }
+
+  /**
+   * Fingerprint the framework and rendering mode from the initial payload,
+   * compare them with data-agent-framework and data-agent-mode, and point to
+   * the example guide section for the detected framework
+   */
+  checkFramework(document, headers, analysis) {
+    const source = documentSources.get(document);
+    const root = document.documentElement;
+    const read = name => root.getAttribute(name) ?? (document.body ? document.body.getAttribute(name) : null);
+    
+    const report = analysis.details.framework = analyzeFramework({
+      html: source ? source.html : root.outerHTML,
+      headers: headers || {},
+      attributes: {
+        'data-agent-framework': read('data-agent-framework'),
+        'data-agent-mode': read('data-agent-mode')
+      }
+    });
+    
+    report.problems.forEach(problem => {
+      this.addFinding(analysis, `fr1/${problem.code}`, problem.severity, problem.message, root);
+    });
+    report.recommendations.forEach(recommendation => {
+      this.addFinding(analysis, 'fr1/framework-guide', 'info',
+        `${recommendation.message} (see ${recommendation.reference})`, null, { requirement: recommendation.requirement });
+    });
+  }
+
+  /**
+   * Check the site's /llms.txt and /llms-full.txt: presence, markdown
+   * structure and whether the linked URLs resolve. Fetched once per origin.
+   * @param {string} url - Page URL
+   * @param {Object} analysis - Analysis being built
+   * @returns {Promise<number|null>} llms.txt score (0-1), or null (not scored) for pages not
+   *   served over HTTP and sites without a reachable /llms.txt
+   */
+  async checkLlmsTxt(url, analysis) {
+    if (!/^https?:\/\//.test(url || '')) {
+      return null;
+    }
+    
+    const { origin } = new URL(url);
+    if (!this.llmsTxtChecks.has(origin)) {
+      this.llmsTxtChecks.set(origin, checkLlmsTxt(origin, {
+        fetch: fileUrl => fetchPage(fileUrl, {
+          userAgent: this.options.userAgent,
+          accept: 'text/plain, text/markdown;q=0.9, */*;q=0.8',
+          timeout: this.options.timeout,
+          maxRedirects: this.options.maxRedirects,
+          auth: this.options.auth
+        })
+      }));
+    }
+    
+    const report = await this.llmsTxtChecks.get(origin);
+    analysis.details.llmsTxt = report;
     
+    if (!report.found) {
+      // Most sites have none yet, and an unreachable host says nothing about the page
+      this.addFinding(analysis, 'fr1/llms-txt-missing', 'info', `No llms.txt found at ${report.url}`);
+      return null;
+    }
+    
+    report.problems.forEach(problem => {
+      this.addFinding(analysis, 'fr1/llms-txt-structure', problem.severity, `llms.txt: ${problem.message}`, null, { target: problem.code });
+    });
+    report.links.broken.forEach(link => {
+      this.addFinding(analysis, 'fr1/llms-txt-broken-link', 'warning',
+        `llms.txt link "${link.title}" does not resolve (${link.statusCode ? `HTTP ${link.statusCode}` : link.error}): ${link.url}`,
+        null, { target: link.url });
+    });
+    
+    return report.score;
+  }
+
+  /**
+   * Structure component score (0-1)
+   */
+  scoreStructure(details) {
+    let score = 0;
+    if (details.hasDoctype) score += 0.2;
+    if (details.hasLang) score += 0.2;
+    if (details.hasTitle) score += 0.3;
+    if (details.hasMetaDescription) score += 0.15;
+    if (details.hasViewport) score += 0.15;
+    return score;
+  }
+
+  /**
+   * Navigation component score (0-1)
+   */
+  scoreNavigation(details) {
+    let score = 0;
+    if (details.navCount > 0) {
+      score += 0.4;
+      if (details.accessibleNavs > 0) score += 0.3;
+      if (details.navLinkCount >= 3) score += 0.3;
+    }
+    return score;
+  }
+
+  /**
+   * Forms component score (0-1, or 1 if no forms)
+   */
+  scoreForms(details) {
+    if (details.formCount === 0) {
+      return 1;
+    }
+    return details.totalFields > 0 ? details.labeledFields / details.totalFields : 0;
+  }
+
+  /**
+   * Content component score (0-1)
+   */
+  scoreContent(details) {
     let score = 0;
-    const details = analysis.details;
-    
-    // Structure score (0-1)
-    let structureScore = 0;
-    if (details.structure.hasDoctype) structureScore += 0.2;
-    if (details.structure.hasLang) structureScore += 0.2;
-    if (details.structure.hasTitle) structureScore += 0.3;
-    if (details.structure.hasMetaDescription) structureScore += 0.15;
-    if (details.structure.hasViewport) structureScore += 0.15;
-    
-    // Semantic score (already calculated)
-    const semanticScore = details.semantic.semanticScore || 0;
-    
-    // Navigation score (0-1)
-    let navigationScore = 0;
-    if (details.navigation.navCount > 0) {
-      navigationScore += 0.4;
-      if (details.navigation.accessibleNavs > 0) navigationScore += 0.3;
-      if (details.navigation.navLinkCount >= 3) navigationScore += 0.3;
+    if (details.textLength >= 100) score += 0.4;
+    if (details.textLength >= 300) score += 0.2;
+    if (details.meaningfulElements >= 3) score += 0.2;
+    if (details.imageCount === 0 || details.imagesWithAlt === details.imageCount) {
+      score += 0.2;
+    }
+    return score;
+  }
+
+  /**
+   * Main content component score (0-1, or null for pages without text): the
+   * content share up to the minimum ratio, less 0.3 when <main> is misplaced
+   */
+  scoreMainContent(details) {
+    if (details.textLength === 0) {
+      return null;
     }
     
-    // Forms score (0-1, or 1 if no forms)
-    let formsScore = 1; // Default to 1 if no forms
-    if (details.forms.formCount > 0) {
-      formsScore = 0;
-      if (details.forms.totalFields > 0) {
-        formsScore = details.forms.labeledFields / details.forms.totalFields;
+    const minRatio = (this.options.mainContent || {}).minContentRatio || MAIN_CONTENT_OPTIONS.minContentRatio;
+    return Math.min(1, details.contentRatio / minRatio) - (details.mismatch ? 0.3 : 0);
+  }
+
+  /**
+   * Calculate overall compliance score as the weighted average of the
+   * scores of all enabled, weighted rules
+   */
+  calculateScore(analysis) {
+    // Component scores are kept for detailed reporting
+    const { score, componentScores } = calculateWeightedScore(analysis.ruleResults);
+    analysis.componentScores = componentScores;
+    analysis.score = score;
+  }
+
+  /**
+   * Check multiple URLs with bounded concurrency and per-host rate limiting
+   * @param {string[]} urls - Array of URLs to check
+   * @returns {Promise<Object[]>} Array of compliance results, in input order
+   */
+  async checkMultiple(urls) {
+    const limiter = new HostRateLimiter({ requestsPerSecond: this.options.rateLimit });
+    
+    if (this.options.respectCrawlDelay) {
+      await this.applyCrawlDelays(urls, limiter);
+    }
+    
+    return mapWithConcurrency(urls, this.options.concurrency, async (url) => {
+      await limiter.wait(this.getHostKey(url));
+      
+      if (this.options.verbose) {
+        console.error(`\nChecking: ${url}`);
+      }
+      
+      const result = await this.checkURL(url);
+      
+      // Brief progress for multiple URLs, on stderr so SARIF, JUnit and JSON on stdout stay valid
+      if (!this.options.verbose) {
+        const status = result.passed ? '✅ PASS' : '❌ FAIL';
+        const score = ((result.score || 0) * 100).toFixed(1);
+        console.error(`${status} (${score}%) ${url}`);
+      }
+      
+      return result;
+    });
+  }
+
+  /**
+   * Rate-limit key for a URL: its host and port
+   */
+  getHostKey(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Read robots.txt for each host and apply its Crawl-delay to the limiter
+   * @param {string[]} urls - URLs about to be checked
+   * @param {HostRateLimiter} limiter - Limiter shared by the batch
+   */
+  async applyCrawlDelays(urls, limiter) {
+    const origins = new Map();
+    
+    urls.forEach(url => {
+      try {
+        const urlObj = new URL(url);
+        origins.set(urlObj.host, urlObj.origin);
+      } catch (error) {
+        // Invalid URLs are reported by checkURL
+      }
+    });
+    
+    for (const [host, origin] of origins) {
+      try {
+        const robotsTxt = await this.fetchHTML(`${origin}/robots.txt`);
+        const delay = getCrawlDelay(robotsTxt.html, this.options.userAgent);
+        
+        if (delay > 0) {
+          limiter.setDelay(host, delay);
+          if (this.options.verbose) {
+            console.error(`Honouring Crawl-delay of ${delay / 1000}s for ${host}`);
+          }
+        }
+      } catch (error) {
+        // No robots.txt means no crawl delay
       }
     }
+  }
+
+  /**
+   * Fetch a sitemap, gunzipping .xml.gz files served without Content-Encoding
+   * @param {string} url - Sitemap URL
+   * @returns {Promise<string>} Sitemap XML
+   */
+  async fetchSitemap(url) {
+    const response = await fetchPage(url, {
+      userAgent: this.options.userAgent,
+      accept: 'application/xml,text/xml;q=0.9,*/*;q=0.8',
+      timeout: this.options.timeout,
+      maxRedirects: this.options.maxRedirects,
+      auth: this.options.auth
+    });
     
-    // Content score (0-1)
-    let contentScore = 0;
-    if (details.content.textLength >= 100) contentScore += 0.4;
-    if (details.content.textLength >= 300) contentScore += 0.2;
-    if (details.content.meaningfulElements >= 3) contentScore += 0.2;
-    if (details.content.imageCount === 0 || details.content.imagesWithAlt === details.content.imageCount) {
-      contentScore += 0.2;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
     }
     
-    // Calculate weighted score
-    score = (
-      structureScore * weights.structure +
-      semanticScore * weights.semantic +
-      navigationScore * weights.navigation +
-      formsScore * weights.forms +
-      contentScore * weights.content
-    );
-    
-    analysis.score = Math.min(1, Math.max(0, score));
-    
-    // Store component scores for detailed reporting
-    analysis.componentScores = {
-      structure: structureScore,
-      semantic: semanticScore,
-      navigation: navigationScore,
-      forms: formsScore,
-      content: contentScore
+    try {
+      return decodeSitemapBody(response.rawBody);
+    } catch (error) {
+      throw new Error(`Failed to decompress sitemap ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect page URLs from a sitemap, following sitemap index files
+   * @param {string} sitemapUrl - sitemap.xml, sitemap index or .xml.gz URL
+   * @param {Object} options - include, exclude, maxUrls (defaults to checker options)
+   * @returns {Promise<string[]>} Filtered page URLs
+   */
+  async collectSitemapURLs(sitemapUrl, options = {}) {
+    const filters = {
+      include: options.include || this.options.include,
+      exclude: options.exclude || this.options.exclude,
+      maxUrls: options.maxUrls || this.options.maxUrls
     };
+    const limit = filters.maxUrls > 0 ? filters.maxUrls : Infinity;
+    
+    const urls = [];
+    const visited = new Set();
+    const queue = [{ url: sitemapUrl, depth: 0 }];
+    
+    while (queue.length > 0 && urls.length < limit) {
+      const { url, depth } = queue.shift();
+      if (visited.has(url)) {
+        continue;
+      }
+      visited.add(url);
+      
+      if (this.options.verbose) {
+        console.error(`Reading sitemap: ${url}`);
+      }
+      
+      const sitemap = parseSitemap(await this.fetchSitemap(url));
+      
+      if (sitemap.type === 'sitemapindex') {
+        if (depth >= this.options.maxSitemapDepth) {
+          console.warn(`Skipping nested sitemaps in ${url}: max depth ${this.options.maxSitemapDepth} reached`);
+          continue;
+        }
+        sitemap.sitemaps.forEach(child => queue.push({ url: child, depth: depth + 1 }));
+      } else {
+        const remaining = filterSitemapURLs(sitemap.urls, { ...filters, maxUrls: 0 })
+          .filter(pageUrl => !urls.includes(pageUrl));
+        urls.push(...remaining.slice(0, limit - urls.length));
+      }
+    }
+    
+    return urls;
   }
 
   /**
-   * Check multiple URLs
-   * @param {string[]} urls - Array of URLs to check
+   * Check every page listed in a sitemap
+   * @param {string} sitemapUrl - sitemap.xml, sitemap index or .xml.gz URL
+   * @param {Object} options - include, exclude, maxUrls (defaults to checker options)
    * @returns {Promise<Object[]>} Array of compliance results
    */
-  async checkMultiple(urls) {
+  async checkSitemap(sitemapUrl, options = {}) {
+    const urls = await this.collectSitemapURLs(sitemapUrl, options);
+    
+    if (urls.length === 0) {
+      throw new Error(`No URLs found in sitemap ${sitemapUrl}`);
+    }
+    
+    console.error(`Found ${urls.length} URLs in sitemap ${sitemapUrl}`);
+    return this.checkMultiple(urls);
+  }
+
+  /**
+   * Render what a no-JS agent gets from a URL or HTML file as Markdown
+   * @param {string} target - http(s) URL, fetched like checkURL, or path to an HTML file
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.full] - Keep header, navigation, footer and sidebars
+   * @returns {Promise<string>} Markdown with url, title and description front matter
+   */
+  async renderMarkdown(target, options = {}) {
+    let html = '';
+    let url = target;
+    
+    if (/^https?:\/\//i.test(target)) {
+      const response = await this.fetchHTML(target);
+      html = response.html;
+      url = response.finalUrl;
+    } else {
+      html = await fs.readFile(target, 'utf8');
+    }
+    
+    // Parsed without source locations so <noscript> content is markup, as a no-JS agent reads it
+    const { document } = new JSDOM(html).window;
+    return toMarkdown(document, { url, full: options.full });
+  }
+
+  /**
+   * Check a static build directory (e.g. dist/) without a server.
+   * Each HTML file is analyzed as the initial payload of its route.
+   * @param {string} dir - Build output directory
+   * @returns {Promise<Object[]>} Array of compliance results with url (route) and file
+   */
+  async checkDirectory(dir) {
+    const stats = await fs.stat(dir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Not a directory: ${dir}`);
+    }
+    
+    const files = await findHTMLFiles(dir);
+    if (files.length === 0) {
+      throw new Error(`No HTML files found in ${dir}`);
+    }
+    
     const results = [];
     
-    for (const url of urls) {
+    for (const file of files) {
+      const route = fileToRoute(file);
+      const filePath = path.join(dir, file);
+      const startTime = Date.now();
+      
       if (this.options.verbose) {
-        console.log(`\nChecking: ${url}`);
+        console.error(`\nChecking: ${route} (${filePath})`);
       }
       
-      const result = await this.checkURL(url);
-      results.push(result);
+      let result;
+      try {
+        const html = await fs.readFile(filePath, 'utf8');
+        const analysis = await this.analyzeHTML(html, route);
+        
+        result = {
+          url: route,
+          file: filePath,
+          timestamp: new Date().toISOString(),
+          loadTime: Date.now() - startTime,
+          ...analysis
+        };
+      } catch (error) {
+        result = {
+          url: route,
+          file: filePath,
+          timestamp: new Date().toISOString(),
+          loadTime: Date.now() - startTime,
+          passed: false,
+          score: 0,
+          error: error.message,
+          issues: [`Failed to read file: ${error.message}`],
+          findings: [createFinding({
+            ruleId: 'fr1/page-unreachable',
+            severity: 'error',
+            requirement: 'FR1',
+            message: `Failed to read file: ${error.message}`,
+            help: FR1_FINDINGS['fr1/page-unreachable'].help
+          })]
+        };
+      }
       
-      // Brief output for multiple URLs
       if (!this.options.verbose) {
         const status = result.passed ? '✅ PASS' : '❌ FAIL';
         const score = ((result.score || 0) * 100).toFixed(1);
-        console.log(`${status} (${score}%) ${url}`);
+        console.error(`${status} (${score}%) ${route}`);
       }
+      
+      results.push(result);
     }
     
     return results;
   }
 
+  /**
+   * Convert results to a SARIF 2.1.0 log for code-scanning tools
+   * @param {Object[]} results - Array of compliance results
+   * @returns {Object} SARIF log with metadata for every built-in finding and custom rule
+   */
+  toSARIF(results) {
+    const rules = { ...FR1_FINDINGS };
+    this.getRules()
+      .filter(rule => !rule.builtIn)
+      .forEach(rule => {
+        rules[rule.id] = {
+          requirement: rule.requirement || 'FR1',
+          help: rule.help || rule.description,
+          severity: rule.severity,
+          description: rule.description
+        };
+      });
+    
+    return toSARIF(results, {
+      name: 'BiModal Design FR-1 Checker',
+      version: '1.0.0',
+      informationUri: 'https://github.com/jgoldfoot/BiModalDesign',
+      rules
+    });
+  }
+
+  /**
+   * Convert results to JUnit XML: one testsuite per page, one testcase per rule
+   * @param {Object[]} results - Array of compliance results
+   * @returns {string} JUnit XML report
+   */
+  toJUnit(results) {
+    return toJUnitXML({
+      name: 'BiModal Design FR-1 Checker',
+      suites: results.map(suiteFromCheckResult)
+    });
+  }
+
   /**
    * Generate summary report
    * @param {Object[]} results - Array of compliance results
@@ -936,10 +2074,11 @@ class FR1Checker {
       averageScore: results.reduce((sum, r) => sum + (r.score || 0), 0) / results.length,
       totalIssues: results.reduce((sum, r) => sum + (r.issues?.length || 0), 0),
       totalWarnings: results.reduce((sum, r) => sum + (r.warnings?.length || 0), 0),
-      commonIssues: this.findCommonIssues(results),
-      recommendations: this.generateRecommendations(results)
+      commonIssues: this.findCommonIssues(results)
     };
     
+    summary.recommendations = this.generateRecommendations(results, summary);
+    
     return summary;
   }
 
@@ -966,9 +2105,8 @@ class FR1Checker {
   /**
    * Generate recommendations based on results
    */
-  generateRecommendations(results) {
+  generateRecommendations(results, summary = this.generateSummary(results)) {
     const recommendations = [];
-    const summary = this.generateSummary(results);
     
     if (summary.averageScore < 0.7) {
       recommendations.push({
@@ -1010,27 +2148,51 @@ BiModal Design FR-1 Checker - Test Initial Payload Accessibility
 Usage:
   fr1-checker <url> [options]
   fr1-checker <url1> <url2> ... [options]
+  fr1-checker --dir <build-dir> [options]
 
 Options:
   --verbose, -v          Detailed output
   --user-agent <ua>      Custom user agent string
   --timeout <ms>         Request timeout in milliseconds (default: 10000)
-  --format <fmt>         Output format: text (default), json
+  --max-redirects <n>    Maximum redirects to follow per page (default: 5)
+  --header <header>      Extra request header "Name: value" (repeatable)
+  --cookie-jar <file>    Send cookies from a Netscape cookies.txt or JSON cookie export
+  --basic-auth <u:p>     HTTP basic-auth credentials
+  --auth-config <file>   JSON file with headers, cookieJar and basicAuth
+  --rules <file>         Load custom rules from a module exporting a rule or an array of rules
+  --disable-rule <id>    Skip a built-in or custom rule (repeatable)
+  --max-tokens <n>       Warn when a page's initial HTML exceeds n estimated tokens (default: 100000)
+  --budget-config <file> Project config with payload budgets (default: bimodal-design.config.json)
+  --format <fmt>         Output format: text (default), json, sarif, junit
   --output <file>        Save output to file
-  --sitemap <url>        Check all URLs in sitemap
+  --sitemap <url>        Check all URLs in sitemap (index and .gz sitemaps supported)
+  --dir <path>           Check HTML files in a static build directory (no server needed)
+  --include <pattern>    Only check sitemap URLs matching pattern (* wildcard, repeatable)
+  --exclude <pattern>    Skip sitemap URLs matching pattern (* wildcard, repeatable)
+  --max-urls <n>         Check at most n URLs from the sitemap
+  --concurrency <n>      Number of pages checked in parallel (default: 4)
+  --rate-limit <rps>     Maximum requests per second per host (default: unlimited)
+  --respect-crawl-delay  Honour Crawl-delay from each host's robots.txt
   --help, -h             Show this help
 
 Examples:
   fr1-checker https://example.com
   fr1-checker --verbose https://example.com/page1 https://example.com/page2
   fr1-checker --format json --output report.json https://example.com
+  fr1-checker --format sarif --output fr1.sarif --dir dist
+  fr1-checker --format junit --output fr1-junit.xml --sitemap https://example.com/sitemap.xml
   fr1-checker --sitemap https://example.com/sitemap.xml
+  fr1-checker --sitemap https://example.com/sitemap.xml --include "/blog/*" --max-urls 50
+  fr1-checker --sitemap https://example.com/sitemap.xml --concurrency 8 --rate-limit 2
+  fr1-checker --dir dist
+  fr1-checker --basic-auth staging:secret --cookie-jar cookies.txt https://staging.example.com/account
 `);
     process.exit(0);
   }
   
   // Parse arguments
   const options = {};
+  const authOptions = { headers: [] };
   const urls = [];
   
   for (let i = 0; i < args.length; i++) {
@@ -1042,12 +2204,45 @@ Examples:
       options.userAgent = args[++i];
     } else if (arg === '--timeout') {
       options.timeout = parseInt(args[++i]);
+    } else if (arg === '--max-redirects') {
+      options.maxRedirects = parseInt(args[++i]);
+    } else if (arg === '--header') {
+      authOptions.headers.push(args[++i]);
+    } else if (arg === '--cookie-jar') {
+      authOptions.cookieJar = args[++i];
+    } else if (arg === '--basic-auth') {
+      authOptions.basicAuth = args[++i];
+    } else if (arg === '--auth-config') {
+      authOptions.config = args[++i];
+    } else if (arg === '--rules') {
+      const loaded = require(path.resolve(args[++i]));
+      options.rules = [...(options.rules || []), ...[].concat(loaded)];
+    } else if (arg === '--disable-rule') {
+      options.disabledRules = [...(options.disabledRules || []), args[++i]];
+    } else if (arg === '--budget-config') {
+      options.budgetConfig = args[++i];
+    } else if (arg === '--max-tokens') {
+      options.tokenBudget = { ...(options.tokenBudget || {}), maxHtmlTokens: parseInt(args[++i]) };
     } else if (arg === '--format') {
       options.format = args[++i];
     } else if (arg === '--output') {
       options.output = args[++i];
     } else if (arg === '--sitemap') {
       options.sitemap = args[++i];
+    } else if (arg === '--dir') {
+      options.dir = args[++i];
+    } else if (arg === '--include') {
+      options.include = [...(options.include || []), args[++i]];
+    } else if (arg === '--exclude') {
+      options.exclude = [...(options.exclude || []), args[++i]];
+    } else if (arg === '--max-urls') {
+      options.maxUrls = parseInt(args[++i]);
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(args[++i]);
+    } else if (arg === '--rate-limit') {
+      options.rateLimit = parseFloat(args[++i]);
+    } else if (arg === '--respect-crawl-delay') {
+      options.respectCrawlDelay = true;
     } else if (!arg.startsWith('--')) {
       urls.push(arg);
     }
@@ -1055,18 +2250,24 @@ Examples:
   
   // Main execution
   async function main() {
-    const checker = new FR1Checker(options);
     let results;
     
     try {
+      options.auth = await loadAuth(authOptions);
+      options.budgets = await loadBudgets(options.budgetConfig);
+      const checker = new FR1Checker(options);
+      
       if (options.sitemap) {
-        // TODO: Implement sitemap parsing
-        console.error('Sitemap checking not yet implemented');
-        process.exit(1);
+        results = await checker.checkSitemap(options.sitemap);
+      } else if (options.dir) {
+        results = await checker.checkDirectory(options.dir);
       } else {
         results = await checker.checkMultiple(urls);
       }
       
+      // Keep credentials out of every report format
+      results = redactSecrets(results, options.auth);
+      
       // Generate summary
       const summary = checker.generateSummary(results);
       
@@ -1076,7 +2277,7 @@ Examples:
           summary,
           results,
           timestamp: new Date().toISOString(),
-          options: options
+          options: redactSecrets(options, options.auth)
         };
         
         const jsonOutput = JSON.stringify(output, null, 2);
@@ -1087,6 +2288,24 @@ Examples:
         } else {
           console.log(jsonOutput);
         }
+      } else if (options.format === 'sarif') {
+        const sarifOutput = JSON.stringify(checker.toSARIF(results), null, 2);
+        
+        if (options.output) {
+          require('fs').writeFileSync(options.output, sarifOutput);
+          console.log(`SARIF report saved to ${options.output}`);
+        } else {
+          console.log(sarifOutput);
+        }
+      } else if (options.format === 'junit') {
+        const junitOutput = checker.toJUnit(results);
+        
+        if (options.output) {
+          require('fs').writeFileSync(options.output, junitOutput);
+          console.log(`JUnit report saved to ${options.output}`);
+        } else {
+          console.log(junitOutput);
+        }
       } else {
         // Text output
         console.log('\n' + '='.repeat(50));
@@ -1106,6 +2325,22 @@ Examples:
           });
         }
         
+        // Offending markup for errors and warnings that map to source lines
+        const located = results.filter(result => result.findings && result.findings.some(f => f.location && f.severity !== 'info'));
+        if (located.length > 0) {
+          console.log('\nFindings:');
+          located.forEach(result => {
+            console.log(`\n${result.file || result.finalUrl || result.url}`);
+            result.findings
+              .filter(finding => finding.location && finding.severity !== 'info')
+              .forEach(finding => {
+                const { startLine, startColumn } = finding.location;
+                console.log(`  ${startLine}:${startColumn} ${finding.severity} [${finding.ruleId}] ${finding.message}`);
+                console.log(formatSourceContext(finding.location, '    '));
+              });
+          });
+        }
+        
         if (summary.recommendations.length > 0) {
           console.log('\nRecommendations:');
           summary.recommendations.forEach((rec, i) => {
@@ -1119,7 +2354,7 @@ Examples:
       process.exit(summary.failed > 0 ? 1 : 0);
       
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', redactSecrets(error.message, options.auth));
       process.exit(1);
     }
   }
@@ -4,13 +4,32 @@
  * BiModal Design FR-1 Validator
  * Tests if a URL meets the FR-1: Initial Payload Accessibility requirement
  *
- * Usage: node fr1-validator.js <url>
+ * Usage: node fr1-validator.js <url> [--max-redirects <n>] [--baseline <file>] [--budget-config <file>]
+ *          [--header "Name: value"] [--cookie-jar <file>] [--basic-auth user:pass] [--auth-config <file>]
+ *        node fr1-validator.js baseline <url> [--baseline <file>]
  * Or: npx bmd-validate <url>
  */
 
-const https = require('https');
-const http = require('http');
-const { URL } = require('url');
+const { fetchPage } = require('./http-client');
+const { createFinding } = require('./findings');
+const { loadAuth, redactSecrets } = require('./auth');
+const {
+  loadBudgets,
+  resolveBudgets,
+  measurePayload,
+  checkBudgets,
+  formatBudgetResult,
+} = require('./payload-budget');
+const {
+  DEFAULT_BASELINE_FILE,
+  createBaseline,
+  compareToBaseline,
+  hasNewFailures,
+  loadBaseline,
+  loadBaselineIfExists,
+  saveBaseline,
+  formatBaselineComparison,
+} = require('./baseline');
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -25,57 +44,62 @@ function log(color, symbol, message) {
   console.log(`${color}${symbol}${COLORS.reset} ${message}`);
 }
 
-function fetchInitialPayload(url) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const client = parsedUrl.protocol === 'https:' ? https : http;
-
-    const options = {
-      headers: {
-        'User-Agent': 'BiModal Design-Validator/1.0 (Simple HTTP; No JS)',
-      },
-    };
-
-    const req = client.get(url, options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: data,
-        });
-      });
-    });
+async function fetchInitialPayload(url, options = {}) {
+  const response = await fetchPage(url, {
+    userAgent: 'BiModal Design-Validator/1.0 (Simple HTTP; No JS)',
+    timeout: 10000,
+    maxRedirects: options.maxRedirects,
+    auth: options.auth,
+  });
 
-    req.on('error', (err) => {
-      reject(err);
-    });
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    body: response.body,
+    finalUrl: response.finalUrl,
+    redirects: response.redirects,
+  };
+}
 
-    req.setTimeout(10000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
+/**
+ * Record a failed check or warning as both a message and a finding
+ * @param {Object} results - Payload analysis
+ * @param {string} severity - 'error' (failed check) or 'warning'
+ * @param {string} ruleId - Rule ID
+ * @param {string} message - Message
+ * @param {string} [target] - What the finding is about (e.g. a budget metric), to tell
+ *   findings of one rule apart in baselines
+ */
+function report(results, severity, ruleId, message, target = null) {
+  results[severity === 'error' ? 'failed' : 'warnings'].push(message);
+  results.findings.push(createFinding({ ruleId, severity, requirement: 'FR1', message, target }));
 }
 
-function analyzePayload(response) {
+/**
+ * Analyze an initial payload for FR-1
+ * @param {Object} response - Fetched page ({ body })
+ * @param {Object} [budgets] - Resolved payload budgets (see resolveBudgets)
+ * @returns {Object} { passed, failed, warnings, findings, budgets, score }
+ */
+function analyzePayload(response, budgets = resolveBudgets()) {
   const results = {
     passed: [],
     failed: [],
     warnings: [],
+    findings: [],
+    budgets: [],
     score: 0,
   };
 
   const body = response.body;
   const bodyLower = body.toLowerCase();
 
+  // Payload size against the configured budgets; the HTML minimum is the content check below
+  results.budgets = checkBudgets(measurePayload(body), budgets);
+  const htmlBudget = results.budgets.find((entry) => entry.metric === 'htmlBytes');
+
   // Critical checks
-  const hasContent = body.length > 1000;
+  const hasContent = !htmlBudget || htmlBudget.status !== 'under';
   const hasSemanticHTML = /<(article|section|nav|main|header|footer)/.test(bodyLower);
   const hasText = body.replace(/<[^>]*>/g, '').trim().length > 200;
   const notSPA = !/<div[^>]*id=["']root["']/.test(bodyLower) || hasText;
@@ -88,28 +112,33 @@ function analyzePayload(response) {
     results.passed.push('Initial payload contains text content');
     results.score += 30;
   } else {
-    results.failed.push('Initial payload lacks meaningful text content');
+    report(results, 'error', 'fr1/text-content', 'Initial payload lacks meaningful text content');
   }
 
   if (notSPA) {
     results.passed.push('Content rendered server-side (not blank SPA shell)');
     results.score += 40;
   } else {
-    results.failed.push('Appears to be client-side only (empty #root div)');
+    report(results, 'error', 'fr1/spa-shell', 'Appears to be client-side only (empty #root div)');
   }
 
   if (hasSemanticHTML) {
     results.passed.push('Uses semantic HTML5 elements');
     results.score += 15;
   } else {
-    results.warnings.push('No semantic HTML5 elements detected');
+    report(results, 'warning', 'fr1/semantic-html', 'No semantic HTML5 elements detected');
   }
 
   if (noJSRequired) {
     results.passed.push('Core content accessible without JavaScript');
     results.score += 15;
   } else {
-    results.failed.push('Page shows loading states or requires JavaScript');
+    report(
+      results,
+      'error',
+      'fr1/requires-javascript',
+      'Page shows loading states or requires JavaScript'
+    );
   }
 
   // Additional checks
@@ -117,16 +146,22 @@ function analyzePayload(response) {
   if (hasMetadata) {
     results.passed.push('Includes structured metadata (Open Graph)');
   } else {
-    results.warnings.push('Missing structured metadata');
+    report(results, 'warning', 'fr1/open-graph', 'Missing structured metadata');
   }
 
   const hasLinks = (body.match(/<a[^>]*href=/g) || []).length > 5;
   if (hasLinks) {
     results.passed.push('Contains navigable links');
   } else {
-    results.warnings.push('Few or no links found in initial payload');
+    report(results, 'warning', 'fr1/links', 'Few or no links found in initial payload');
   }
 
+  results.budgets
+    .filter((entry) => entry.status !== 'within' && entry !== htmlBudget)
+    .forEach((entry) => {
+      report(results, 'warning', 'fr1/payload-budget', formatBudgetResult(entry), entry.metric);
+    });
+
   return results;
 }
 
@@ -177,6 +212,15 @@ function printResults(url, results) {
     console.log();
   }
 
+  if (results.budgets.length > 0) {
+    console.log(COLORS.blue + '▤ Payload Budgets:' + COLORS.reset);
+    results.budgets.forEach((entry) => {
+      const within = entry.status === 'within';
+      log(within ? COLORS.green : COLORS.yellow, within ? '  ✓' : '  ⚠', formatBudgetResult(entry));
+    });
+    console.log();
+  }
+
   console.log(COLORS.gray + '─'.repeat(60) + COLORS.reset);
   console.log(COLORS.gray + 'What is FR-1?' + COLORS.reset);
   console.log('FR-1 (Initial Payload Accessibility) ensures that ~80% of AI');
@@ -186,17 +230,60 @@ function printResults(url, results) {
 }
 
 async function main() {
-  const url = process.argv[2];
+  const args = process.argv.slice(2);
+  const options = {};
+  const authOptions = { headers: [] };
+  let url;
+  let command = 'validate';
+
+  if (args[0] === 'baseline') {
+    command = args.shift();
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--max-redirects') {
+      options.maxRedirects = parseInt(args[++i]);
+    } else if (args[i] === '--baseline') {
+      options.baseline = args[++i];
+    } else if (args[i] === '--budget-config') {
+      options.budgetConfig = args[++i];
+    } else if (args[i] === '--header') {
+      authOptions.headers.push(args[++i]);
+    } else if (args[i] === '--cookie-jar') {
+      authOptions.cookieJar = args[++i];
+    } else if (args[i] === '--basic-auth') {
+      authOptions.basicAuth = args[++i];
+    } else if (args[i] === '--auth-config') {
+      authOptions.config = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      url = args[i];
+    }
+  }
 
   if (!url) {
-    console.error('Usage: node fr1-validator.js <url>');
+    console.error(
+      'Usage: node fr1-validator.js <url> [--max-redirects <n>] [--baseline <file>] [--budget-config <file>]'
+    );
+    console.error(
+      '         [--header "Name: value"] [--cookie-jar <file>] [--basic-auth user:pass] [--auth-config <file>]'
+    );
+    console.error('       node fr1-validator.js baseline <url> [--baseline <file>]');
     console.error('Example: node fr1-validator.js https://example.com');
     process.exit(1);
   }
 
   try {
+    options.auth = await loadAuth(authOptions);
+    const budgets = await loadBudgets(options.budgetConfig);
+
     console.log(`\n${COLORS.blue}Fetching initial payload...${COLORS.reset}`);
-    const response = await fetchInitialPayload(url);
+    const response = await fetchInitialPayload(url, options);
+
+    response.redirects.forEach((redirect) => {
+      console.log(
+        `${COLORS.gray}↪ ${redirect.statusCode} ${redirect.url} → ${redirect.location}${COLORS.reset}`
+      );
+    });
 
     if (response.statusCode !== 200) {
       console.error(
@@ -207,12 +294,35 @@ async function main() {
 
     console.log(`${COLORS.green}Received ${response.body.length} bytes${COLORS.reset}`);
 
-    const results = analyzePayload(response);
-    printResults(url, results);
+    const results = analyzePayload(response, resolveBudgets(budgets, response.finalUrl));
+    printResults(response.finalUrl, results);
+
+    const pages = [{ url, findings: results.findings }];
+
+    if (command === 'baseline') {
+      // Snapshot current findings; entries for other URLs in the file are kept
+      const file = options.baseline || DEFAULT_BASELINE_FILE;
+      const previous = await loadBaselineIfExists(file, 'fr1-validator');
+      await saveBaseline(file, createBaseline(pages, { tool: 'fr1-validator', previous }));
+      console.log(
+        `Baseline with ${results.findings.length} finding(s) for ${url} saved to ${file}`
+      );
+      process.exit(0);
+    }
+
+    if (options.baseline) {
+      // Only findings missing from the baseline fail the run
+      const baseline = await loadBaseline(options.baseline, 'fr1-validator');
+      const comparison = compareToBaseline(pages, baseline);
+      formatBaselineComparison(comparison).forEach((line) => console.log(line));
+      process.exit(hasNewFailures(comparison) ? 1 : 0);
+    }
 
     process.exit(results.score >= 70 ? 0 : 1);
   } catch (error) {
-    console.error(`${COLORS.red}Error: ${error.message}${COLORS.reset}`);
+    console.error(
+      `${COLORS.red}Error: ${redactSecrets(error.message, options.auth)}${COLORS.reset}`
+    );
     process.exit(1);
   }
 }
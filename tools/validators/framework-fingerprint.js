@@ -0,0 +1,475 @@
+/**
+ * BiModal Design Framework Fingerprint
+ * Identifies the rendering stack of a page (Next.js, Nuxt, Astro, Gatsby,
+ * Angular, Vue or a CRA/Vite single-page app) from markers in the initial
+ * payload and response headers, estimates how it was rendered, cross-checks
+ * both with data-agent-framework and data-agent-mode, and points to the
+ * example guide section for that framework. Shared by the FR-1 Checker and
+ * the Compliance Auditor.
+ */
+
+const { splitPayload } = require('./token-budget');
+
+/**
+ * Guide section reference
+ * @param {string} path - Guide path in the repository
+ * @param {string} section - Section title
+ * @param {string} anchor - Heading anchor
+ * @returns {Object} { path, section, reference }
+ */
+const guide = (path, section, anchor) => ({ path, section, reference: `${path}#${anchor}` });
+
+const NEXT_GUIDE = 'examples/nextjs-ssr-example.md';
+const NUXT_GUIDE = 'examples/nuxt-ssr-example.md';
+const ASTRO_GUIDE = 'examples/astro-ssg-example.md';
+const SPA_GUIDE = 'examples/react-spa-example.md';
+const CSR_GUIDE = 'examples/csr-mitigation.md';
+const IMPLEMENTATION_GUIDE = 'docs/implementation-guide.md';
+
+// Markers test the raw HTML (RegExp) or the response headers (function).
+// Weights: 3 is unique to the framework, 2 is typical, 1 is a hint
+const FRAMEWORKS = {
+  next: {
+    name: 'Next.js',
+    attribute: 'next',
+    accepts: ['next', 'nextjs', 'next.js', 'react'],
+    guide: guide(
+      NEXT_GUIDE,
+      'Key Implementation: Product Listing Page',
+      'key-implementation-product-listing-page'
+    ),
+    csrGuide: guide(NEXT_GUIDE, 'Verify Server-Side Rendering', 'verify-server-side-rendering'),
+    markers: [
+      { label: '__NEXT_DATA__ script', weight: 3, test: /<script\b[^>]*\bid=["']?__NEXT_DATA__/i },
+      { label: 'App Router flight data (self.__next_f)', weight: 3, test: /self\.__next_f\b/ },
+      { label: '/_next/static/ assets', weight: 2, test: /\/_next\/static\// },
+      { label: '#__next root', weight: 2, test: /<div\b[^>]*\bid=["']?__next["'\s>]/i },
+      {
+        label: 'next-head-count meta',
+        weight: 2,
+        test: /<meta\b[^>]*\bname=["']?next-head-count/i,
+      },
+      {
+        label: 'X-Powered-By: Next.js',
+        weight: 3,
+        test: (headers) => /next\.js/i.test(headers['x-powered-by'] || ''),
+      },
+      {
+        label: 'x-nextjs-* headers',
+        weight: 2,
+        test: (headers) => Object.keys(headers).some((name) => name.startsWith('x-nextjs-')),
+      },
+    ],
+  },
+  nuxt: {
+    name: 'Nuxt',
+    attribute: 'nuxt',
+    accepts: ['nuxt', 'nuxtjs', 'nuxt.js', 'vue'],
+    guide: guide(NUXT_GUIDE, 'Main App Structure', 'main-app-structure'),
+    csrGuide: guide(NUXT_GUIDE, 'Configuration', 'configuration'),
+    markers: [
+      { label: 'window.__NUXT__ state', weight: 3, test: /\b__NUXT__\s*=/ },
+      { label: '__NUXT_DATA__ payload', weight: 3, test: /\bid=["']?__NUXT_DATA__/i },
+      { label: '#__nuxt root', weight: 2, test: /<div\b[^>]*\bid=["']?__nuxt["'\s>]/i },
+      { label: '/_nuxt/ assets', weight: 2, test: /\/_nuxt\// },
+      { label: 'data-n-head attributes', weight: 1, test: /\bdata-n-head\b/i },
+      {
+        label: 'X-Powered-By: Nuxt',
+        weight: 3,
+        test: (headers) => /nuxt/i.test(headers['x-powered-by'] || ''),
+      },
+    ],
+  },
+  astro: {
+    name: 'Astro',
+    attribute: 'astro',
+    accepts: ['astro'],
+    guide: guide(ASTRO_GUIDE, 'Base Layout', 'base-layout'),
+    csrGuide: guide(ASTRO_GUIDE, 'Configuration', 'configuration'),
+    markers: [
+      {
+        label: 'Astro generator meta',
+        weight: 3,
+        test: (headers, generator) => /^astro\b/i.test(generator),
+      },
+      { label: '<astro-island> components', weight: 3, test: /<astro-island\b/i },
+      { label: '/_astro/ assets', weight: 2, test: /\/_astro\// },
+      {
+        label: 'scoped astro-* classes',
+        weight: 2,
+        test: /\bdata-astro-cid-|\bastro-[a-z0-9]{8}\b/,
+      },
+    ],
+  },
+  gatsby: {
+    name: 'Gatsby',
+    attribute: 'react',
+    accepts: ['gatsby', 'react'],
+    guide: guide(
+      IMPLEMENTATION_GUIDE,
+      'Option 2: Static Site Generation (SSG)',
+      'option-2-static-site-generation-ssg--highest-performance'
+    ),
+    csrGuide: guide(CSR_GUIDE, '7. Pre-rendering Strategy', '7-pre-rendering-strategy'),
+    markers: [
+      {
+        label: 'Gatsby generator meta',
+        weight: 3,
+        test: (headers, generator) => /^gatsby\b/i.test(generator),
+      },
+      { label: '#___gatsby root', weight: 3, test: /\bid=["']?___gatsby["'\s>]/i },
+      { label: '#gatsby-focus-wrapper', weight: 2, test: /\bid=["']?gatsby-focus-wrapper/i },
+      {
+        label: 'Gatsby page data and chunk map',
+        weight: 1,
+        test: /\/page-data\/|___chunkMapping|___loader/,
+      },
+    ],
+  },
+  angular: {
+    name: 'Angular',
+    attribute: 'angular',
+    accepts: ['angular'],
+    guide: guide(
+      IMPLEMENTATION_GUIDE,
+      'Option 1: Server-Side Rendering (SSR)',
+      'option-1-server-side-rendering-ssr--recommended'
+    ),
+    csrGuide: guide(CSR_GUIDE, '7. Pre-rendering Strategy', '7-pre-rendering-strategy'),
+    markers: [
+      { label: 'ng-version attribute', weight: 3, test: /\bng-version=["']?\d/i },
+      { label: '<app-root> component', weight: 2, test: /<app-root\b/i },
+      {
+        label: 'Angular view encapsulation attributes',
+        weight: 2,
+        test: /\b_ng(?:host|content)-[\w-]+/,
+      },
+      { label: 'ng-server-context attribute', weight: 2, test: /\bng-server-context=/i },
+      { label: 'ng-state transfer state', weight: 2, test: /<script\b[^>]*\bid=["']?ng-state/i },
+    ],
+  },
+  vue: {
+    name: 'Vue',
+    attribute: 'vue',
+    accepts: ['vue', 'vuejs', 'vue.js'],
+    guide: guide(NUXT_GUIDE, 'Overview', 'overview'),
+    csrGuide: guide(NUXT_GUIDE, 'Configuration', 'configuration'),
+    markers: [
+      { label: 'data-v-app mount', weight: 3, test: /\bdata-v-app\b/i },
+      { label: 'data-server-rendered root', weight: 3, test: /\bdata-server-rendered=["']?true/i },
+      { label: 'scoped data-v-* attributes', weight: 2, test: /\bdata-v-[0-9a-f]{8}\b/ },
+      { label: '#app root', weight: 1, test: /<div\b[^>]*\bid=["']?app["'\s>]/i },
+    ],
+  },
+  spa: {
+    name: 'CRA/Vite SPA',
+    attribute: 'react',
+    accepts: [
+      'react',
+      'react-spa',
+      'react-csr',
+      'vue',
+      'preact',
+      'svelte',
+      'solid',
+      'vite',
+      'cra',
+      'spa',
+    ],
+    guide: guide(SPA_GUIDE, 'Server Configuration', 'server-configuration'),
+    csrGuide: guide(CSR_GUIDE, '1. Skeleton Content Strategy', '1-skeleton-content-strategy'),
+    markers: [
+      {
+        label: 'Create React App bundle',
+        weight: 3,
+        test: /\/static\/js\/(?:main|bundle)\.[0-9a-f]*\.?(?:chunk\.)?js/,
+      },
+      {
+        label: 'Create React App noscript notice',
+        weight: 2,
+        test: /You need to enable JavaScript to run this app/i,
+      },
+      {
+        label: 'Vite entry module',
+        weight: 3,
+        test: /<script\b(?=[^>]*\btype=["']?module)[^>]*\bsrc=["'][^"']*\/assets\/index[-.][\w-]+\.js/i,
+      },
+      { label: 'Vite dev client', weight: 3, test: /\/@vite\/client/ },
+      { label: '#root mount', weight: 1, test: /<div\b[^>]*\bid=["']?root["'\s>]/i },
+    ],
+  },
+};
+
+// Score a framework needs before it is reported
+const MIN_SCORE = 2;
+
+// Mount elements that are empty in a client-rendered shell
+const EMPTY_MOUNT =
+  /<(div|main)\b[^>]*\bid=["']?(root|app|__next|__nuxt|___gatsby)["']?[^>]*>\s*(?:<!--[\s\S]*?-->\s*)*<\/\1>|<app-root\b[^>]*>\s*(?:<!--[\s\S]*?-->\s*)*<\/app-root>/i;
+
+// Readable text below this many characters counts as an empty shell
+const MIN_SHELL_TEXT = 100;
+
+/**
+ * Attributes of an element's start tag
+ * @param {string} html - Raw HTML
+ * @param {string} tag - Tag name
+ * @returns {Object} Lowercase attribute names to values
+ */
+function startTagAttributes(html, tag) {
+  const match = String(html || '').match(new RegExp(`<${tag}\\b([^>]*)>`, 'i'));
+  const attributes = {};
+  if (match) {
+    const pattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let attribute;
+    while ((attribute = pattern.exec(match[1]))) {
+      attributes[attribute[1].toLowerCase()] = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+    }
+  }
+  return attributes;
+}
+
+/**
+ * data-agent-framework and data-agent-mode from <html>, falling back to <body>
+ * @param {string} html - Raw HTML
+ * @returns {Object} { 'data-agent-framework', 'data-agent-mode' } (null when absent)
+ */
+function readAgentAttributes(html) {
+  const root = startTagAttributes(html, 'html');
+  const body = startTagAttributes(html, 'body');
+  const read = (name) => root[name] ?? body[name] ?? null;
+  return {
+    'data-agent-framework': read('data-agent-framework'),
+    'data-agent-mode': read('data-agent-mode'),
+  };
+}
+
+/**
+ * Framework version advertised by the page, when there is one
+ * @param {string} id - Framework id
+ * @param {string} html - Raw HTML
+ * @param {string} generator - <meta name="generator"> content
+ * @returns {string|null} Version
+ */
+function detectVersion(id, html, generator) {
+  if (id === 'angular') {
+    return (html.match(/\bng-version=["']?([\d.]+)/i) || [])[1] || null;
+  }
+  if (id === 'astro' || id === 'gatsby') {
+    return (generator.match(/\bv?(\d+(?:\.\d+)*)/) || [])[1] || null;
+  }
+  return null;
+}
+
+/**
+ * Rendering mode suggested by the payload
+ * @param {string|null} id - Framework id
+ * @param {string} html - Raw HTML
+ * @param {Object} headers - Response headers with lowercase names
+ * @returns {string} 'csr' (empty client-rendered shell), 'ssr', 'ssg' or
+ *   'prerendered' (server output without evidence of which)
+ */
+function detectMode(id, html, headers) {
+  const text = splitPayload(html.replace(/<noscript\b[\s\S]*?<\/noscript>/gi, '')).text;
+  if (EMPTY_MOUNT.test(html) && text.length < MIN_SHELL_TEXT * 3) {
+    return 'csr';
+  }
+  if (text.length < MIN_SHELL_TEXT && id !== null) {
+    return 'csr';
+  }
+
+  switch (id) {
+    case 'next':
+      if (
+        /"(?:nextExport|autoExport|gsp)"\s*:\s*true/.test(html) ||
+        headers['x-nextjs-prerender'] ||
+        headers['x-nextjs-cache']
+      ) {
+        return 'ssg';
+      }
+      return /"gssp"\s*:\s*true/.test(html) ? 'ssr' : 'prerendered';
+    case 'nuxt':
+      if (/\bprerenderedAt\b/.test(html)) {
+        return 'ssg';
+      }
+      if (/\bserverRendered["']?\s*:\s*false/.test(html)) {
+        return 'csr';
+      }
+      return /\bserverRendered["']?\s*:\s*true/.test(html) ? 'ssr' : 'prerendered';
+    case 'gatsby':
+      return 'ssg';
+    case 'angular': {
+      const context = (html.match(/\bng-server-context=["']?(\w+)/i) || [])[1];
+      return context === 'ssg' ? 'ssg' : context ? 'ssr' : 'prerendered';
+    }
+    case 'vue':
+      return /\bdata-server-rendered=["']?true/i.test(html) ? 'ssr' : 'prerendered';
+    default:
+      return 'prerendered';
+  }
+}
+
+/**
+ * Identify the framework that produced a page
+ * @param {string} html - Raw HTML of the initial payload
+ * @param {Object} [headers] - Response headers with lowercase names
+ * @returns {Object} { framework, name, version, confidence, score, mode, evidence,
+ *   candidates } where framework is a FRAMEWORKS id or null, confidence is 'high',
+ *   'medium' or 'low', and candidates lists every framework with a marker
+ */
+function detectFramework(html, headers = {}) {
+  const source = String(html || '');
+  const responseHeaders = headers || {};
+  const generator =
+    (source.match(/<meta\b[^>]*\bname=["']?generator["']?[^>]*\bcontent=["']([^"']*)/i) ||
+      source.match(/<meta\b[^>]*\bcontent=["']([^"']*)["'][^>]*\bname=["']?generator\b/i) ||
+      [])[1] || '';
+
+  const candidates = Object.entries(FRAMEWORKS)
+    .map(([id, framework]) => {
+      const evidence = framework.markers.filter((marker) =>
+        typeof marker.test === 'function'
+          ? marker.test(responseHeaders, generator)
+          : marker.test.test(source)
+      );
+      return {
+        framework: id,
+        score: evidence.reduce((sum, marker) => sum + marker.weight, 0),
+        evidence: evidence.map((marker) => marker.label),
+      };
+    })
+    .filter((candidate) => candidate.score > 0)
+    // Stable sort keeps FRAMEWORKS order on ties: meta-frameworks before their base library
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0] && candidates[0].score >= MIN_SCORE ? candidates[0] : null;
+  const id = best ? best.framework : null;
+
+  return {
+    framework: id,
+    name: id ? FRAMEWORKS[id].name : null,
+    version: id ? detectVersion(id, source, generator) : null,
+    confidence: !best ? null : best.score >= 5 ? 'high' : best.score >= 3 ? 'medium' : 'low',
+    score: best ? best.score : 0,
+    mode: detectMode(id, source, responseHeaders),
+    evidence: best ? best.evidence : [],
+    candidates,
+  };
+}
+
+/**
+ * Fingerprint a page and check it against its declared framework and mode
+ * @param {Object} options - Options
+ * @param {string} options.html - Raw HTML of the initial payload
+ * @param {Object} [options.headers] - Response headers with lowercase names
+ * @param {Object} [options.attributes] - data-agent-framework and data-agent-mode
+ *   values; read from the HTML when omitted
+ * @returns {Object} detectFramework's result plus { declared, problems, recommendations },
+ *   where problems are { severity, code: 'framework-mismatch'|'mode-mismatch', message }
+ *   and recommendations are { requirement, message, section, reference } pointing into
+ *   the example guides
+ */
+function analyzeFramework({ html, headers = {}, attributes = null }) {
+  const detected = detectFramework(html, headers);
+  const declaredAttributes = attributes || readAgentAttributes(html);
+  const declared = {
+    framework: (declaredAttributes['data-agent-framework'] || '').trim().toLowerCase() || null,
+    mode: (declaredAttributes['data-agent-mode'] || '').trim().toLowerCase() || null,
+  };
+  const problems = [];
+  const recommendations = [];
+
+  const framework = detected.framework ? FRAMEWORKS[detected.framework] : null;
+  const recommend = (requirement, message, section) =>
+    recommendations.push({
+      requirement,
+      message,
+      section: section.section,
+      reference: section.reference,
+    });
+
+  if (framework) {
+    const declaredName = declared.framework && declared.framework.replace(/[@/\s]?v?\d[\w.]*$/, '');
+    if (!declared.framework) {
+      recommend(
+        'FR6',
+        `Declare the ${framework.name} stack with data-agent-framework="${framework.attribute}" on <html>`,
+        framework.guide
+      );
+    } else if (declaredName !== 'custom' && !framework.accepts.includes(declaredName)) {
+      problems.push({
+        severity: 'warning',
+        code: 'framework-mismatch',
+        message: `data-agent-framework="${declaredAttributes['data-agent-framework']}" but the page looks like ${framework.name} (${detected.evidence.join(', ')})`,
+      });
+      recommend(
+        'FR6',
+        `Set data-agent-framework="${framework.attribute}" to match the ${framework.name} build`,
+        framework.guide
+      );
+    }
+  }
+
+  const serverModes = ['ssr', 'ssg'];
+  const modeConflict =
+    declared.mode &&
+    ((detected.mode === 'csr' && serverModes.includes(declared.mode)) ||
+      (declared.mode === 'csr' && detected.mode !== 'csr') ||
+      (serverModes.includes(detected.mode) &&
+        serverModes.includes(declared.mode) &&
+        detected.mode !== declared.mode));
+  if (modeConflict) {
+    problems.push({
+      severity: 'warning',
+      code: 'mode-mismatch',
+      message:
+        detected.mode === 'csr'
+          ? `data-agent-mode="${declared.mode}" but the initial payload is an empty client-rendered shell`
+          : `data-agent-mode="${declared.mode}" but the initial payload looks ${detected.mode === 'prerendered' ? 'server-rendered' : detected.mode.toUpperCase()}`,
+    });
+  }
+
+  if (detected.mode === 'csr') {
+    const section = framework ? framework.csrGuide : FRAMEWORKS.spa.csrGuide;
+    recommend(
+      'FR1',
+      `Render ${framework ? `${framework.name} pages` : 'pages'} on the server or at build time so agents get content without JavaScript`,
+      section
+    );
+  } else if (framework && modeConflict) {
+    recommend(
+      'FR6',
+      `Set data-agent-mode to the way ${framework.name} renders this page`,
+      framework.guide
+    );
+  }
+
+  return { ...detected, declared, problems, recommendations };
+}
+
+/**
+ * One-line summary of a fingerprint
+ * @param {Object} report - Result of detectFramework or analyzeFramework
+ * @returns {string} e.g. "Framework: Next.js (high confidence, SSG)"
+ */
+function describeFramework(report) {
+  const rendering = {
+    csr: 'client-rendered shell',
+    ssr: 'SSR',
+    ssg: 'SSG',
+    prerendered: 'server-rendered',
+  }[report.mode];
+  if (!report.framework) {
+    return `Framework: not detected (${rendering})`;
+  }
+  const version = report.version ? ` ${report.version}` : '';
+  return `Framework: ${report.name}${version} (${report.confidence} confidence, ${rendering})`;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  readAgentAttributes,
+  detectFramework,
+  analyzeFramework,
+  describeFramework,
+};
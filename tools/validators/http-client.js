@@ -0,0 +1,233 @@
+/**
+ * BiModal Design HTTP Client
+ * Fetches a page the way a simple (no-JS) agent would: follows redirects,
+ * decodes gzip/deflate/brotli responses and honours the declared charset.
+ * Credentials from auth.js are added to each request they are scoped to.
+ */
+
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { TextDecoder } = require('util');
+const { getRequestHeaders } = require('./auth');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const DEFAULT_OPTIONS = {
+  userAgent: 'BiModal Design-HTTP-Client/1.0 (Simple HTTP; No JS)',
+  accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  timeout: 10000,
+  maxRedirects: 5,
+  headers: {},
+  auth: null,
+};
+
+/**
+ * Perform a single GET request without following redirects
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} { statusCode, statusMessage, headers, body: Buffer }
+ */
+function request(url, options) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const client = urlObj.protocol === 'https:' ? https : http;
+
+    const req = client.request(
+      {
+        hostname: urlObj.hostname,
+        port: urlObj.port,
+        path: urlObj.pathname + urlObj.search,
+        method: 'GET',
+        headers: {
+          'User-Agent': options.userAgent,
+          Accept: options.accept,
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate, br',
+          Connection: 'close',
+          ...options.headers,
+        },
+        timeout: options.timeout,
+      },
+      (res) => {
+        const chunks = [];
+
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          });
+        });
+
+        res.on('error', reject);
+      }
+    );
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * Undo the Content-Encoding of a response body
+ * @param {Buffer} body - Raw response body
+ * @param {string} contentEncoding - Content-Encoding header value
+ * @returns {Buffer} Decoded body
+ */
+function decompressBody(body, contentEncoding) {
+  const encodings = String(contentEncoding || '')
+    .toLowerCase()
+    .split(',')
+    .map((encoding) => encoding.trim())
+    .filter((encoding) => encoding && encoding !== 'identity');
+
+  // Encodings are listed in the order they were applied
+  return encodings.reverse().reduce((data, encoding) => {
+    if (data.length === 0) {
+      return data;
+    }
+
+    switch (encoding) {
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.gunzipSync(data);
+      case 'deflate':
+        // Some servers send raw deflate instead of the zlib-wrapped format
+        try {
+          return zlib.inflateSync(data);
+        } catch (error) {
+          return zlib.inflateRawSync(data);
+        }
+      case 'br':
+        return zlib.brotliDecompressSync(data);
+      default:
+        throw new Error(`Unsupported Content-Encoding: ${encoding}`);
+    }
+  }, body);
+}
+
+/**
+ * Determine the character encoding of an HTML response: Content-Type
+ * charset first, then <meta charset> / <meta http-equiv> in the first bytes
+ * @param {Buffer} body - Decompressed body
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} Encoding label (defaults to utf-8)
+ */
+function detectCharset(body, contentType) {
+  const headerMatch = String(contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  if (headerMatch) {
+    return headerMatch[1].toLowerCase();
+  }
+
+  const head = body.slice(0, 4096).toString('latin1');
+  const metaMatch =
+    head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i) ||
+    head.match(/<meta[^>]+content\s*=\s*["'][^"']*charset\s*=\s*([\w.:-]+)/i);
+
+  return metaMatch ? metaMatch[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode a body to text, falling back to UTF-8 for unknown labels
+ * @param {Buffer} body - Decompressed body
+ * @param {string} charset - Encoding label
+ * @returns {string} Decoded text
+ */
+function decodeText(body, charset) {
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+/**
+ * Fetch a URL, following redirects and decoding the response
+ * @param {string} url - URL to fetch
+ * @param {Object} options - userAgent, accept, timeout, maxRedirects, headers,
+ *   auth (credentials from loadAuth; headers and basic auth stay on the URL's origin)
+ * @returns {Promise<Object>} Response: { url, finalUrl, statusCode, statusMessage,
+ *   headers, body, rawBody, bytes, contentEncoding, charset, redirects }
+ */
+async function fetchPage(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  });
+  const redirects = [];
+  const visited = new Set([url]);
+  let currentUrl = url;
+
+  for (;;) {
+    const response = await request(currentUrl, {
+      ...settings,
+      headers: { ...settings.headers, ...getRequestHeaders(settings.auth, currentUrl, url) },
+    });
+    const location = response.headers.location;
+
+    if (REDIRECT_STATUSES.includes(response.statusCode) && location) {
+      const nextUrl = new URL(location, currentUrl).toString();
+      redirects.push({ url: currentUrl, statusCode: response.statusCode, location: nextUrl });
+
+      if (redirects.length > settings.maxRedirects) {
+        throw new Error(
+          `Too many redirects (more than ${settings.maxRedirects}) starting at ${url}`
+        );
+      }
+      if (visited.has(nextUrl)) {
+        throw new Error(`Redirect loop detected at ${nextUrl}`);
+      }
+
+      visited.add(nextUrl);
+      currentUrl = nextUrl;
+      continue;
+    }
+
+    const contentEncoding = response.headers['content-encoding'] || null;
+    let rawBody;
+    try {
+      rawBody = decompressBody(response.body, contentEncoding);
+    } catch (error) {
+      throw new Error(
+        `Failed to decode ${contentEncoding} response from ${currentUrl}: ${error.message}`
+      );
+    }
+
+    const charset = detectCharset(rawBody, response.headers['content-type']);
+
+    return {
+      url,
+      finalUrl: currentUrl,
+      statusCode: response.statusCode,
+      statusMessage: response.statusMessage,
+      headers: response.headers,
+      body: decodeText(rawBody, charset),
+      rawBody,
+      bytes: response.body.length,
+      contentEncoding,
+      charset,
+      redirects,
+    };
+  }
+}
+
+module.exports = {
+  fetchPage,
+  decompressBody,
+  detectCharset,
+  decodeText,
+};
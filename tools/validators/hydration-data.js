@@ -0,0 +1,261 @@
+/**
+ * BiModal Design Hydration Data
+ * Finds content trapped in serialized hydration state: the readable text a
+ * Next.js (`__NEXT_DATA__`, `self.__next_f`) or Nuxt (`window.__NUXT__`,
+ * `__NUXT_DATA__`) page ships for the client but does not render into the
+ * visible HTML, and the bytes spent repeating text the HTML already has.
+ * JSON blobs are parsed; script assignments are scanned for string literals.
+ */
+
+const { splitPayload } = require('./token-budget');
+
+const DEFAULT_HYDRATION_THRESHOLDS = {
+  // Readable hydration text missing from the HTML before it is reported
+  minMissingChars: 200,
+  // Largest share of the readable hydration text that may be missing
+  maxMissingShare: 0.5,
+  // Bytes of hydration data repeating visible text before it is reported
+  maxDuplicateBytes: 20000,
+};
+
+// Hydration scripts by id (JSON) or by the global they assign (script)
+const HYDRATION_IDS = ['__NEXT_DATA__', '__NUXT_DATA__'];
+const HYDRATION_ASSIGNMENT =
+  /^\s*(?:(?:window|self|globalThis)\s*\.\s*)?(__NUXT__)\s*=|^\s*\(?\s*self\.(__next_f)\s*=|^\s*self\.(__next_f)\.push\(/;
+
+const STRING_LITERAL = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+const SAMPLE_LENGTH = 80;
+const MAX_SAMPLES = 5;
+
+/**
+ * Collect the hydration blobs of an HTML payload
+ * @param {string} html - Raw HTML
+ * @returns {Object[]} { source, body, json } per blob, where json marks a parseable JSON script
+ */
+function findHydrationBlobs(html) {
+  const blobs = [];
+  const withoutComments = String(html || '').replace(/<!--[\s\S]*?-->/g, ' ');
+
+  (withoutComments.match(/<script\b[^>]*>[\s\S]*?<\/script>/gi) || []).forEach((script) => {
+    const open = script.match(/^<script\b[^>]*>/i)[0];
+    const body = script.slice(open.length, -'</script>'.length);
+    const id = (open.match(/\bid\s*=\s*["']?([^"'\s>]+)/i) || [])[1];
+    if (HYDRATION_IDS.includes(id)) {
+      blobs.push({ source: id, body, json: true });
+      return;
+    }
+    const assignment = body.match(HYDRATION_ASSIGNMENT);
+    if (assignment) {
+      const name = assignment[1] || assignment[2] || assignment[3];
+      blobs.push({
+        source: name === '__NUXT__' ? 'window.__NUXT__' : 'self.__next_f',
+        body,
+        json: false,
+      });
+    }
+  });
+
+  return blobs;
+}
+
+/**
+ * String literals of a script or serialized payload, decoded
+ * @param {string} code - Script source
+ * @returns {string[]} Strings
+ */
+function scanStrings(code) {
+  return (code.match(STRING_LITERAL) || []).map((literal) => {
+    // JSON escapes, plus \' and bare double quotes in single-quoted strings
+    let inner = literal.slice(1, -1).replace(/\\'/g, "'");
+    if (literal[0] === "'") {
+      inner = inner.replace(/\\?"/g, '\\"');
+    }
+    try {
+      return JSON.parse(`"${inner}"`);
+    } catch (error) {
+      return inner;
+    }
+  });
+}
+
+/**
+ * Every string value of a parsed blob, descending into strings that hold
+ * serialized data themselves (React Server Component rows, nested JSON)
+ * @param {*} value - Parsed value or string
+ * @param {string[]} strings - Accumulator
+ * @param {number} [depth] - Nesting of serialized strings
+ * @returns {string[]} Strings
+ */
+function collectStrings(value, strings, depth = 0) {
+  if (typeof value === 'string') {
+    if (depth < 2 && /^\s*(?:[[{]|\w*:\s*[[{"])/.test(value) && /"\s*[:,\]]/.test(value)) {
+      scanStrings(value).forEach((nested) => collectStrings(nested, strings, depth + 1));
+    } else {
+      strings.push(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, strings, depth));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectStrings(item, strings, depth));
+  }
+  return strings;
+}
+
+/**
+ * Readable text of a hydration string, or null for identifiers, URLs, class
+ * lists and other values no reader would see
+ * @param {string} value - String value
+ * @returns {string|null} Text with markup stripped
+ */
+function readableText(value) {
+  const text = splitPayload(value).text;
+  if (text.length < 8 || !/\s/.test(text) || !/\p{L}{2,}/u.test(text)) {
+    return null;
+  }
+  if (/^(?:[a-z][\w+.-]*:|\/|\.\.?\/|#)\S*$/i.test(text) || /[{};]|=>/.test(text)) {
+    return null;
+  }
+
+  const words = text.split(' ');
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters < text.replace(/\s/g, '').length / 2) {
+    return null;
+  }
+  if (words.filter((word) => /[-_:/]/.test(word)).length > words.length / 2) {
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Lower-case words of a text, for containment checks that ignore markup,
+ * punctuation and whitespace differences
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return ` ${text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()} `;
+}
+
+/**
+ * Measure the readable text in a page's hydration data that the visible HTML
+ * does not contain, and the bytes spent repeating text it does
+ * @param {string} html - Raw HTML
+ * @param {Object} [options] - Options
+ * @param {Object} [options.thresholds] - Overrides for DEFAULT_HYDRATION_THRESHOLDS
+ * @returns {Object} { bytes, textChars, missingChars, missingShare, duplicatedBytes,
+ *   duplicatedShare, blobs: [{ source, bytes, parsed, strings, textChars, missingChars }],
+ *   missing: sample strings, warnings: [{ code, message }] } where code is
+ *   'trapped' or 'duplicate'
+ */
+function analyzeHydrationData(html, options = {}) {
+  const limits = { ...DEFAULT_HYDRATION_THRESHOLDS, ...(options.thresholds || {}) };
+  const visible = normalize(splitPayload(html).text);
+  const seen = new Set();
+  const missing = [];
+  let duplicatedBytes = 0;
+
+  const blobs = findHydrationBlobs(html).map(({ source, body, json }) => {
+    let parsed = false;
+    let strings;
+    if (json) {
+      try {
+        strings = collectStrings(JSON.parse(body), []);
+        parsed = true;
+      } catch (error) {
+        // Malformed JSON: fall back to its string literals
+      }
+    }
+    if (!strings) {
+      strings = collectStrings(scanStrings(body), []);
+    }
+
+    const blob = {
+      source,
+      bytes: Buffer.byteLength(body),
+      parsed,
+      strings: 0,
+      textChars: 0,
+      missingChars: 0,
+    };
+    strings.forEach((value) => {
+      const text = readableText(value);
+      if (!text || seen.has(text)) {
+        return;
+      }
+      seen.add(text);
+      blob.strings += 1;
+
+      // Match sentence by sentence so partly rendered bodies count partly
+      let present = 0;
+      let absent = 0;
+      text
+        .split(/(?<=[.!?])\s+/)
+        .filter((sentence) => normalize(sentence).trim())
+        .forEach((sentence) => {
+          if (visible.includes(normalize(sentence))) {
+            present += sentence.length;
+          } else {
+            absent += sentence.length;
+          }
+        });
+      blob.textChars += present + absent;
+      blob.missingChars += absent;
+
+      if (absent > 0 && missing.length < MAX_SAMPLES) {
+        missing.push(text.length > SAMPLE_LENGTH ? `${text.slice(0, SAMPLE_LENGTH - 1)}…` : text);
+      }
+      if (present > 0) {
+        duplicatedBytes += Math.round(
+          (Buffer.byteLength(JSON.stringify(value)) * present) / (present + absent)
+        );
+      }
+    });
+    return blob;
+  });
+
+  const sum = (key) => blobs.reduce((total, blob) => total + blob[key], 0);
+  const bytes = sum('bytes');
+  const textChars = sum('textChars');
+  const missingChars = sum('missingChars');
+  const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+  const missingShare = ratio(missingChars, textChars);
+  const duplicatedShare = ratio(duplicatedBytes, bytes);
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const sources = [...new Set(blobs.map((blob) => blob.source))].join(', ');
+  const warnings = [];
+  if (missingChars >= limits.minMissingChars && missingShare > limits.maxMissingShare) {
+    warnings.push({
+      code: 'trapped',
+      message: `${percent(missingShare)} of the readable text in ${sources} (${missingChars} of ${textChars} characters) is missing from the visible HTML, e.g. "${missing[0]}"`,
+    });
+  }
+  if (duplicatedBytes > limits.maxDuplicateBytes) {
+    warnings.push({
+      code: 'duplicate',
+      message: `${duplicatedBytes} bytes of ${sources} repeat text already in the visible HTML (${percent(duplicatedShare)} of ${bytes} hydration bytes, limit ${limits.maxDuplicateBytes})`,
+    });
+  }
+
+  return {
+    bytes,
+    textChars,
+    missingChars,
+    missingShare,
+    duplicatedBytes,
+    duplicatedShare,
+    blobs,
+    missing,
+    warnings,
+  };
+}
+
+module.exports = {
+  DEFAULT_HYDRATION_THRESHOLDS,
+  findHydrationBlobs,
+  analyzeHydrationData,
+};
@@ -0,0 +1,307 @@
+/**
+ * BiModal Design Hydration Gap
+ * Lists the DOM subtrees and text blocks that only appear after JavaScript
+ * runs, grouped by the landmark they render into, with the CSR mitigation
+ * technique that fits each one. Content blocks are captured in a page loaded
+ * like a basic (no-JS) agent and one loaded like an advanced agent.
+ */
+
+/* global window, document, NodeFilter -- captureContentBlocks runs in the page */
+
+const CSR_MITIGATION_GUIDE = 'examples/csr-mitigation.md';
+
+// Techniques in the CSR mitigation guide, by heading anchor
+const MITIGATION_SECTIONS = {
+  skeleton: { title: '1. Skeleton Content Strategy', anchor: '1-skeleton-content-strategy' },
+  react: {
+    title: '3. React CSR with BiModal Design Patterns',
+    anchor: '3-react-csr-with-bimodal-design-patterns',
+  },
+  list: {
+    title: '5. Enhanced Product List Component',
+    anchor: '5-enhanced-product-list-component',
+  },
+  form: { title: '6. Progressive Enhancement Form', anchor: '6-progressive-enhancement-form' },
+  prerender: { title: '7. Pre-rendering Strategy', anchor: '7-pre-rendering-strategy' },
+};
+
+// Subtree texts included in a report entry
+const MAX_SUBTREE_TEXTS = 5;
+
+/**
+ * Content blocks of the current document: one per block-level element with
+ * text, plus one per form control. Each block records its landmark and the
+ * indexes (in document.body.querySelectorAll('*')) of its ancestors down to
+ * the block's own element, with the depth of the landmark in that chain.
+ * Self-contained so it can run in a browser page through Puppeteer's page.evaluate.
+ * @param {Object} [options] - visibleOnly (skip text hidden by CSS)
+ * @returns {Object[]} Blocks: { kind, key, text, tag, landmark, landmarkDepth, ancestors }
+ */
+function captureContentBlocks(options = {}) {
+  const LANDMARKS = {
+    main: 'main',
+    nav: 'navigation',
+    header: 'banner',
+    footer: 'contentinfo',
+    aside: 'complementary',
+    form: 'form',
+  };
+  const LANDMARK_ROLES = [
+    'main',
+    'navigation',
+    'banner',
+    'contentinfo',
+    'complementary',
+    'form',
+    'search',
+    'region',
+  ];
+  const landmarkSelector = [
+    ...Object.keys(LANDMARKS),
+    ...LANDMARK_ROLES.map((role) => `[role="${role}"]`),
+  ].join(', ');
+
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const elements = [...document.body.querySelectorAll('*')];
+  const indexes = new Map(elements.map((el, index) => [el, index]));
+  const isHidden = (el) => {
+    const style = window.getComputedStyle(el);
+    return style.visibility === 'hidden' || el.getClientRects().length === 0;
+  };
+  const isBlock = (el) => !window.getComputedStyle(el).display.startsWith('inline');
+
+  const describeLandmark = (el) => {
+    if (!el) {
+      return 'page (outside landmarks)';
+    }
+    const role = el.getAttribute('role') || LANDMARKS[el.tagName.toLowerCase()];
+    const label = normalize(el.getAttribute('aria-label'));
+    return label ? `${role} "${label}"` : role;
+  };
+
+  const block = (el, kind, key, text) => {
+    const landmark = el.closest(landmarkSelector);
+    const ancestors = [];
+    for (let node = el; node !== document.body; node = node.parentElement) {
+      ancestors.unshift(indexes.get(node));
+    }
+    return {
+      kind,
+      key,
+      text,
+      tag: el.tagName.toLowerCase(),
+      landmark: describeLandmark(landmark),
+      landmarkDepth: landmark ? ancestors.indexOf(indexes.get(landmark)) : 0,
+      ancestors,
+    };
+  };
+
+  const textBlocks = new Map();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (
+      !normalize(node.textContent) ||
+      parent === document.body ||
+      parent.closest('script, style, template, noscript')
+    ) {
+      continue;
+    }
+    if (options.visibleOnly && isHidden(parent)) {
+      continue;
+    }
+
+    let container = parent;
+    while (container.parentElement !== document.body && !isBlock(container)) {
+      container = container.parentElement;
+    }
+    if (!textBlocks.has(container)) {
+      textBlocks.set(container, []);
+    }
+    textBlocks.get(container).push(node.textContent);
+  }
+
+  const blocks = [...textBlocks.entries()].map(([el, parts]) => {
+    const text = normalize(parts.join(' '));
+    return block(el, 'text', text.toLowerCase(), text);
+  });
+
+  document.body
+    .querySelectorAll('input:not([type="hidden"]), select, textarea, button')
+    .forEach((el) => {
+      const name = el.getAttribute('name') || el.id || '';
+      const label = normalize(
+        el.getAttribute('aria-label') ||
+          (el.labels && el.labels[0] && el.labels[0].textContent) ||
+          el.getAttribute('placeholder') ||
+          (el.tagName === 'BUTTON' ? el.textContent : '')
+      );
+      const key = [el.tagName.toLowerCase(), el.getAttribute('type') || '', name || label].join(
+        ' '
+      );
+      blocks.push(block(el, 'control', key, label || name));
+    });
+
+  return blocks;
+}
+
+/**
+ * Whether a block rendered with JavaScript is already in the initial payload
+ * @param {Object} block - Content block from the rendered page
+ * @param {Object} initial - { text, controls } of the initial payload
+ * @returns {boolean} True when present without JavaScript
+ */
+function isInInitialPayload(block, initial) {
+  if (block.kind === 'control') {
+    return initial.controls.has(block.key);
+  }
+  // Text counts as present even when the initial payload splits it into other blocks
+  return initial.text.includes(` ${block.key} `);
+}
+
+/**
+ * CSR mitigation technique for a JS-only subtree
+ * @param {Object} subtree - { landmark, blocks }
+ * @returns {Object} { title, reference } pointing into the CSR mitigation guide
+ */
+function getMitigationGuidance(subtree) {
+  const role = subtree.landmark.split(' ')[0];
+  let section;
+
+  if (['form', 'search'].includes(role) || subtree.blocks.some((b) => b.kind === 'control')) {
+    section = MITIGATION_SECTIONS.form;
+  } else if (['navigation', 'banner', 'contentinfo'].includes(role)) {
+    section = MITIGATION_SECTIONS.skeleton;
+  } else if (subtree.blocks.filter((b) => b.tag === 'li').length >= 3) {
+    section = MITIGATION_SECTIONS.list;
+  } else if (role === 'main') {
+    section = MITIGATION_SECTIONS.prerender;
+  } else {
+    section = MITIGATION_SECTIONS.react;
+  }
+
+  return {
+    title: section.title,
+    reference: `${CSR_MITIGATION_GUIDE}#${section.anchor}`,
+  };
+}
+
+/**
+ * Find the content that only appears after JavaScript runs. Missing blocks are
+ * collapsed into the outermost ancestor (within their landmark) whose content
+ * is entirely missing from the initial payload, so each entry is a subtree a
+ * component could be server-rendered from.
+ * @param {Object[]} initialBlocks - Blocks captured without JavaScript
+ * @param {Object[]} renderedBlocks - Blocks captured with JavaScript
+ * @returns {Object} { landmarks: [{ landmark, characters, subtrees }], totals }
+ *   where each subtree is { index, landmark, texts, blocks, characters, guidance }
+ */
+function findJSOnlySubtrees(initialBlocks, renderedBlocks) {
+  const initial = {
+    text: ` ${initialBlocks
+      .filter((b) => b.kind === 'text')
+      .map((b) => b.key)
+      .join(' ')} `,
+    controls: new Set(initialBlocks.filter((b) => b.kind === 'control').map((b) => b.key)),
+  };
+
+  // Blocks under each ancestor, and how many of them are missing
+  const counts = new Map();
+  const missingBlocks = [];
+  renderedBlocks.forEach((block) => {
+    const missing = !isInInitialPayload(block, initial);
+    if (missing) {
+      missingBlocks.push(block);
+    }
+    block.ancestors.forEach((index) => {
+      const count = counts.get(index) || { total: 0, missing: 0 };
+      count.total++;
+      count.missing += missing ? 1 : 0;
+      counts.set(index, count);
+    });
+  });
+
+  const subtrees = new Map();
+  missingBlocks.forEach((block) => {
+    const root = block.ancestors.slice(block.landmarkDepth).find((index) => {
+      const count = counts.get(index);
+      return count.missing === count.total;
+    });
+    if (!subtrees.has(root)) {
+      subtrees.set(root, { index: root, landmark: block.landmark, blocks: [] });
+    }
+    subtrees.get(root).blocks.push(block);
+  });
+
+  const byLandmark = new Map();
+  [...subtrees.values()].forEach((subtree) => {
+    const texts = subtree.blocks.map((b) => b.text).filter(Boolean);
+    const entry = {
+      index: subtree.index,
+      landmark: subtree.landmark,
+      texts: texts.slice(0, MAX_SUBTREE_TEXTS),
+      blocks: subtree.blocks.length,
+      characters: texts.reduce((total, text) => total + text.length, 0),
+      guidance: getMitigationGuidance(subtree),
+    };
+    if (!byLandmark.has(entry.landmark)) {
+      byLandmark.set(entry.landmark, { landmark: entry.landmark, characters: 0, subtrees: [] });
+    }
+    const group = byLandmark.get(entry.landmark);
+    group.subtrees.push(entry);
+    group.characters += entry.characters;
+  });
+
+  const landmarks = [...byLandmark.values()].sort((a, b) => b.characters - a.characters);
+
+  return {
+    landmarks,
+    totals: {
+      subtrees: subtrees.size,
+      blocks: missingBlocks.length,
+      renderedBlocks: renderedBlocks.length,
+      characters: landmarks.reduce((total, group) => total + group.characters, 0),
+    },
+  };
+}
+
+/**
+ * Human-readable lines describing a hydration gap report
+ * @param {Object} report - Result of findJSOnlySubtrees, with located subtrees
+ * @returns {string[]} Report lines
+ */
+function formatHydrationGap(report) {
+  const { totals } = report;
+  if (totals.subtrees === 0) {
+    return ['Hydration gap: all rendered content is in the initial payload'];
+  }
+
+  const lines = [
+    `Hydration gap: ${totals.blocks} of ${totals.renderedBlocks} content blocks (${totals.characters} characters) in ${totals.subtrees} subtree(s) only appear after JavaScript runs`,
+  ];
+
+  report.landmarks.forEach((group) => {
+    lines.push('');
+    lines.push(`${group.landmark} (${group.characters} characters)`);
+    group.subtrees.forEach((subtree) => {
+      lines.push(
+        `  ✗ ${subtree.selector || `element #${subtree.index}`} (${subtree.blocks} block(s))`
+      );
+      subtree.texts.forEach((text) => {
+        lines.push(`      "${text.length > 80 ? `${text.slice(0, 79)}…` : text}"`);
+      });
+      lines.push(`    → ${subtree.guidance.title} (${subtree.guidance.reference})`);
+    });
+  });
+
+  return lines;
+}
+
+module.exports = {
+  CSR_MITIGATION_GUIDE,
+  MITIGATION_SECTIONS,
+  captureContentBlocks,
+  getMitigationGuidance,
+  findJSOnlySubtrees,
+  formatHydrationGap,
+};
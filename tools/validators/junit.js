@@ -0,0 +1,250 @@
+/**
+ * BiModal Design JUnit XML Output
+ * Reports checked pages as JUnit test suites so CI dashboards show
+ * compliance regressions like failing tests: each URL is a <testsuite>
+ * and each FR requirement or checker rule a <testcase>.
+ */
+
+/**
+ * Whether XML 1.0 allows a character: control characters other than tab, line
+ * feed and carriage return are forbidden
+ * @param {string} char - Single character
+ * @returns {boolean} True if allowed
+ */
+function isXMLChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Escape text for XML attributes and content, dropping characters XML 1.0 forbids
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(value) {
+  return Array.from(String(value))
+    .filter(isXMLChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render attributes, skipping undefined values
+ * @param {Object} attributes - Attribute values
+ * @returns {string} Attribute string with a leading space
+ */
+function renderAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join('');
+}
+
+/**
+ * Render one test case
+ * @param {Object} testcase - { name, classname, time, failure, error, skipped }
+ * @returns {string} XML
+ */
+function renderTestCase(testcase) {
+  const attributes = renderAttributes({
+    name: testcase.name,
+    classname: testcase.classname,
+    time: (testcase.time || 0).toFixed(3),
+  });
+  const children = [];
+
+  ['failure', 'error'].forEach((kind) => {
+    const outcome = testcase[kind];
+    if (outcome) {
+      const outcomeAttributes = renderAttributes({ message: outcome.message, type: outcome.type });
+      children.push(
+        `      <${kind}${outcomeAttributes}>${escapeXML(outcome.text || '')}</${kind}>`
+      );
+    }
+  });
+  if (testcase.skipped) {
+    children.push(`      <skipped${renderAttributes({ message: testcase.skipped })}/>`);
+  }
+
+  return children.length > 0
+    ? `    <testcase${attributes}>\n${children.join('\n')}\n    </testcase>`
+    : `    <testcase${attributes}/>`;
+}
+
+/**
+ * Count tests, failures, errors and skipped cases
+ * @param {Object[]} testcases - Test cases
+ * @returns {Object} Counts
+ */
+function countTestCases(testcases) {
+  return {
+    tests: testcases.length,
+    failures: testcases.filter((testcase) => testcase.failure).length,
+    errors: testcases.filter((testcase) => testcase.error).length,
+    skipped: testcases.filter((testcase) => testcase.skipped).length,
+  };
+}
+
+/**
+ * Render a JUnit XML report
+ * @param {Object} report - Report
+ * @param {string} report.name - Name of the <testsuites> element (the tool)
+ * @param {Object[]} report.suites - { name, timestamp, time, properties, testcases }
+ * @returns {string} JUnit XML
+ */
+function toJUnitXML({ name, suites }) {
+  const allCases = suites.flatMap((suite) => suite.testcases);
+  const totalTime = suites.reduce((sum, suite) => sum + (suite.time || 0), 0);
+  const total = countTestCases(allCases);
+
+  const renderedSuites = suites.map((suite) => {
+    const counts = countTestCases(suite.testcases);
+    const attributes = renderAttributes({
+      name: suite.name,
+      tests: counts.tests,
+      failures: counts.failures,
+      errors: counts.errors,
+      skipped: counts.skipped,
+      time: (suite.time || 0).toFixed(3),
+      timestamp: suite.timestamp,
+    });
+    const properties = Object.entries(suite.properties || {}).filter(
+      ([, value]) => value !== undefined && value !== null
+    );
+    const lines = [`  <testsuite${attributes}>`];
+
+    if (properties.length > 0) {
+      lines.push('    <properties>');
+      properties.forEach(([property, value]) => {
+        lines.push(`      <property${renderAttributes({ name: property, value })}/>`);
+      });
+      lines.push('    </properties>');
+    }
+    suite.testcases.forEach((testcase) => lines.push(renderTestCase(testcase)));
+    lines.push('  </testsuite>');
+
+    return lines.join('\n');
+  });
+
+  const rootAttributes = renderAttributes({
+    name,
+    tests: total.tests,
+    failures: total.failures,
+    errors: total.errors,
+    skipped: total.skipped,
+    time: totalTime.toFixed(3),
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${rootAttributes}>`,
+    ...renderedSuites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Test suite for an FR-1 Checker result: one test case per rule
+ * @param {Object} result - Result from FR1Checker.checkURL/checkDirectory
+ * @returns {Object} Suite
+ */
+function suiteFromCheckResult(result) {
+  const name = result.file || result.finalUrl || result.url;
+  const suite = {
+    name,
+    timestamp: result.timestamp,
+    time: (result.loadTime || 0) / 1000,
+    properties: {
+      url: result.url,
+      score: typeof result.score === 'number' ? result.score.toFixed(3) : undefined,
+    },
+    testcases: [],
+  };
+
+  if (result.error || !result.ruleResults) {
+    suite.testcases.push({
+      name: 'load',
+      classname: 'fr1-checker',
+      error: {
+        message: result.error || 'No rule results',
+        type: 'page-error',
+        text: (result.issues || []).join('\n'),
+      },
+    });
+    return suite;
+  }
+
+  Object.entries(result.ruleResults).forEach(([ruleId, ruleResult]) => {
+    const testcase = { name: ruleId, classname: `fr1-checker.${ruleResult.category}` };
+    const messages = ruleResult.messages || [];
+
+    if (ruleResult.error) {
+      testcase.error = { message: ruleResult.error, type: 'rule-error' };
+    } else if (!ruleResult.passed) {
+      const score = Math.round(ruleResult.score * 100);
+      testcase.failure = {
+        message: `${ruleId} scored ${score}% (needs 70%)`,
+        type: ruleResult.severity,
+        text: messages.join('\n'),
+      };
+    }
+
+    suite.testcases.push(testcase);
+  });
+
+  return suite;
+}
+
+/**
+ * Test suite for a Compliance Auditor result: one test case per FR requirement
+ * @param {Object} result - Result from auditPage
+ * @returns {Object} Suite
+ */
+function suiteFromAuditResult(result) {
+  const suite = {
+    name: result.url,
+    timestamp: result.timestamp,
+    properties: { overallScore: result.overallScore },
+    testcases: [],
+  };
+
+  if (result.error || !result.requirements) {
+    suite.testcases.push({
+      name: 'audit',
+      classname: 'compliance-audit',
+      error: { message: result.error || 'No requirement results', type: 'page-error' },
+    });
+    return suite;
+  }
+
+  Object.entries(result.requirements).forEach(([key, requirement]) => {
+    const testcase = {
+      name: `${key} ${requirement.name}`,
+      classname: `compliance-audit.${key}`,
+    };
+
+    if (!requirement.passed) {
+      testcase.failure = {
+        message: `${key} scored ${requirement.score}/100 (needs 70)`,
+        type: key,
+        text: requirement.issues.join('\n'),
+      };
+    }
+
+    suite.testcases.push(testcase);
+  });
+
+  return suite;
+}
+
+module.exports = {
+  escapeXML,
+  toJUnitXML,
+  suiteFromCheckResult,
+  suiteFromAuditResult,
+};
@@ -0,0 +1,311 @@
+/**
+ * BiModal Design llms.txt Checker
+ * Discovers /llms.txt and /llms-full.txt (https://llmstxt.org), parses
+ * llms.txt's markdown structure (H1 title, blockquote summary, free-form
+ * details and H2 sections of link lists), checks that the linked URLs resolve
+ * and scores presence and quality. Shared by the Compliance Auditor's FR-6
+ * test and the FR-1 Checker's agent features.
+ */
+
+const { URL } = require('url');
+
+// Linked URLs requested per check
+const DEFAULT_MAX_LINKS = 20;
+
+// Section whose links agents may skip when context is short
+const OPTIONAL_SECTION = 'optional';
+
+const LINK_ITEM = /^\s*[-*+]\s+\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)(?::\s*(.*))?\s*$/;
+
+/**
+ * Parse llms.txt markdown
+ * @param {string} text - llms.txt content
+ * @returns {Object} { title, summary, details, sections: [{ name, optional, links }], problems }
+ *   where links are { title, url, notes, line } and problems { severity, code, message, line }
+ */
+function parseLlmsTxt(text) {
+  const parsed = { title: null, summary: null, details: '', sections: [], problems: [] };
+  const problem = (severity, code, message, line = null) =>
+    parsed.problems.push({ severity, code, message, line });
+
+  const summary = [];
+  const details = [];
+  let section = null;
+  let inFence = false;
+  let seenContent = false;
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = index + 1;
+      const trimmed = rawLine.trim();
+
+      if (!trimmed) {
+        return;
+      }
+
+      // Code blocks are free-form content, never headings or links
+      const fence = trimmed.startsWith('```');
+      if (fence) {
+        inFence = !inFence;
+      }
+      if (fence || inFence) {
+        seenContent = true;
+        if (!section) {
+          details.push(trimmed);
+        }
+        return;
+      }
+
+      const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+      if (heading && heading[1].length === 1) {
+        if (parsed.title !== null) {
+          problem('error', 'multiple-titles', `Only one H1 title is allowed (line ${line})`, line);
+        } else if (seenContent) {
+          problem('error', 'title-not-first', 'The H1 title must be the first line', line);
+          parsed.title = heading[2].trim();
+        } else {
+          parsed.title = heading[2].trim();
+        }
+        seenContent = true;
+        return;
+      }
+      seenContent = true;
+
+      if (heading && heading[1].length === 2) {
+        section = {
+          name: heading[2].trim(),
+          optional: heading[2].trim().toLowerCase() === OPTIONAL_SECTION,
+          links: [],
+          line,
+        };
+        parsed.sections.push(section);
+        return;
+      }
+
+      if (section) {
+        const link = trimmed.match(LINK_ITEM);
+        if (link) {
+          section.links.push({ title: link[1], url: link[2], notes: link[3] || null, line });
+        } else if (/^[-*+]\s/.test(trimmed)) {
+          problem(
+            'warning',
+            'invalid-link-item',
+            `List item in "${section.name}" is not a "[name](url): notes" link (line ${line})`,
+            line
+          );
+        }
+        return;
+      }
+
+      // Blockquote summary right after the title, then free-form details
+      if (trimmed.startsWith('>') && details.length === 0) {
+        summary.push(trimmed.replace(/^>\s?/, ''));
+      } else {
+        details.push(trimmed);
+      }
+    });
+
+  parsed.summary = summary.length > 0 ? summary.join(' ').trim() : null;
+  parsed.details = details.join('\n');
+
+  if (parsed.title === null) {
+    problem('error', 'missing-title', 'Missing H1 title (e.g. "# Project name")', 1);
+  }
+  if (!parsed.summary) {
+    problem('warning', 'missing-summary', 'Missing blockquote summary ("> ...") after the title');
+  }
+  if (parsed.sections.every((entry) => entry.links.length === 0)) {
+    problem('warning', 'no-links', 'No H2 sections with link lists for agents to follow');
+  }
+  parsed.sections
+    .filter((entry) => entry.links.length === 0)
+    .forEach((entry) => {
+      problem(
+        'warning',
+        'empty-section',
+        `Section "${entry.name}" has no links (line ${entry.line})`,
+        entry.line
+      );
+    });
+
+  return parsed;
+}
+
+/**
+ * Whether a response is a real text file rather than an HTML page (such as
+ * a single-page app serving index.html for every path)
+ * @param {Object} response - { statusCode, body, headers }
+ * @returns {boolean} True when the file exists
+ */
+function isTextFile(response) {
+  const contentType = (response.headers && response.headers['content-type']) || '';
+  return (
+    response.statusCode >= 200 &&
+    response.statusCode < 300 &&
+    !contentType.includes('text/html') &&
+    !/^\s*<(!doctype|html)/i.test(response.body)
+  );
+}
+
+/**
+ * Resolve a linked URL against llms.txt; malformed URLs are kept as written
+ * and reported as broken when requested
+ * @param {string} link - URL as written in llms.txt
+ * @param {string} base - llms.txt URL
+ * @returns {string} Absolute URL
+ */
+function resolveUrl(link, base) {
+  try {
+    return new URL(link, base).href;
+  } catch (error) {
+    return link;
+  }
+}
+
+/**
+ * Score llms.txt presence and quality (0-1): presence 0.4, structure 0.3
+ * (title 0.15, summary 0.05, linked sections 0.1), resolving links 0.2 and
+ * llms-full.txt 0.1
+ * @param {Object} report - llms.txt report without score
+ * @returns {number} Score
+ */
+function scoreLlmsTxt(report) {
+  if (!report.found) {
+    return 0;
+  }
+
+  let score = 0.4;
+  if (report.title) {
+    score += 0.15;
+  }
+  if (report.summary) {
+    score += 0.05;
+  }
+  if (report.links.total > 0) {
+    score += 0.1;
+  }
+  if (report.links.checked > 0) {
+    score += 0.2 * ((report.links.checked - report.links.broken.length) / report.links.checked);
+  }
+  if (report.full.found) {
+    score += 0.1;
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Discover, parse and validate a site's llms.txt and llms-full.txt
+ * @param {string} url - Any URL of the site; the files are looked up at its origin
+ * @param {Object} options - Options
+ * @param {Function} options.fetch - async (url) => { statusCode, body, headers }; throws when unreachable
+ * @param {number} [options.maxLinks] - Linked URLs to request (default 20)
+ * @returns {Promise<Object>} { url, found, statusCode, title, summary, sections, links,
+ *   full, problems, score }; links is { total, checked, broken: [{ title, url, statusCode, error }] }
+ */
+async function checkLlmsTxt(url, options) {
+  const maxLinks = options.maxLinks || DEFAULT_MAX_LINKS;
+  const llmsUrl = new URL('/llms.txt', url).href;
+  const fullUrl = new URL('/llms-full.txt', url).href;
+
+  const load = async (fileUrl) => {
+    try {
+      const response = await options.fetch(fileUrl);
+      return { ...response, found: isTextFile(response) };
+    } catch (error) {
+      return { statusCode: null, body: '', found: false, error: error.message };
+    }
+  };
+
+  const [llms, full] = await Promise.all([load(llmsUrl), load(fullUrl)]);
+  const report = {
+    url: llmsUrl,
+    found: llms.found,
+    statusCode: llms.statusCode,
+    title: null,
+    summary: null,
+    sections: [],
+    links: { total: 0, checked: 0, broken: [] },
+    full: {
+      url: fullUrl,
+      found: full.found,
+      statusCode: full.statusCode,
+      bytes: full.found ? Buffer.byteLength(full.body) : 0,
+    },
+    problems: [],
+  };
+
+  if (llms.found) {
+    const parsed = parseLlmsTxt(llms.body);
+    report.title = parsed.title;
+    report.summary = parsed.summary;
+    report.sections = parsed.sections.map((section) => ({
+      name: section.name,
+      optional: section.optional,
+      links: section.links.map((link) => ({ ...link, url: resolveUrl(link.url, llmsUrl) })),
+    }));
+    report.problems = parsed.problems;
+
+    const links = report.sections.flatMap((section) => section.links);
+    const toCheck = [...new Map(links.map((link) => [link.url, link])).values()].slice(0, maxLinks);
+    report.links.total = links.length;
+    report.links.checked = toCheck.length;
+
+    const results = await Promise.all(
+      toCheck.map(async (link) => {
+        try {
+          const response = await options.fetch(link.url);
+          return { ...link, statusCode: response.statusCode, error: null };
+        } catch (error) {
+          return { ...link, statusCode: null, error: error.message };
+        }
+      })
+    );
+    report.links.broken = results
+      .filter((link) => link.statusCode === null || link.statusCode >= 400)
+      .map(({ title, url: linkUrl, statusCode, error }) => ({
+        title,
+        url: linkUrl,
+        statusCode,
+        error,
+      }));
+  }
+
+  report.score = scoreLlmsTxt(report);
+  return report;
+}
+
+/**
+ * One-line summaries of an llms.txt report, for report details
+ * @param {Object} report - Result of checkLlmsTxt
+ * @returns {string[]} Lines
+ */
+function describeLlmsTxt(report) {
+  if (!report.found) {
+    return [`No llms.txt at ${report.url}`];
+  }
+
+  const lines = [
+    `llms.txt: "${report.title || 'untitled'}", ${report.sections.length} section(s), ${report.links.total} link(s)`,
+  ];
+  if (report.links.checked > 0) {
+    lines.push(
+      `llms.txt links: ${report.links.checked - report.links.broken.length}/${report.links.checked} resolve`
+    );
+  }
+  lines.push(
+    report.full.found
+      ? `llms-full.txt: ${report.full.bytes} bytes`
+      : `No llms-full.txt at ${report.full.url}`
+  );
+  return lines;
+}
+
+module.exports = {
+  parseLlmsTxt,
+  isTextFile,
+  scoreLlmsTxt,
+  checkLlmsTxt,
+  describeLlmsTxt,
+};
@@ -0,0 +1,347 @@
+/**
+ * BiModal Design Main Content
+ * Readability-style main-content extraction: text blocks are scored by length,
+ * commas and link density, scores propagate to their containers, and the best
+ * container is taken as the page's primary content. Everything else (navigation,
+ * header, footer, sidebars) counts as boilerplate. The extracted block is
+ * compared with the <main> element the author declared.
+ */
+
+// Elements that hold paragraphs of text
+const TEXT_BLOCK_TAGS = ['p', 'pre', 'td', 'blockquote', 'dd', 'li'];
+
+// Container tags and their starting score
+const TAG_SCORES = {
+  article: 10,
+  main: 5,
+  div: 5,
+  section: 3,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  form: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  li: -3,
+  address: -3,
+  nav: -10,
+  aside: -10,
+  header: -10,
+  footer: -10,
+};
+
+const POSITIVE_HINT = /article|content|entry|main|post|story|text|blog/i;
+const NEGATIVE_HINT =
+  /nav|menu|footer|header|sidebar|banner|breadcrumb|comment|share|social|related|promo|sponsor|cookie|widget|ad-|ads\b|masthead|skip/i;
+
+// Text blocks shorter than this carry no score
+const MIN_BLOCK_LENGTH = 25;
+
+const DEFAULT_OPTIONS = {
+  // Share of the page text the main content should make up
+  minContentRatio: 0.3,
+  // Share of the extracted content inside <main>, and of <main> that is content
+  minOverlap: 0.5,
+};
+
+/**
+ * Capture the visible element tree of a document as plain objects. Runs on a
+ * jsdom document or in the page (Puppeteer evaluate), so it is self-contained.
+ * @param {Document} doc - Document
+ * @returns {Object|null} { tag, role, hint, selector, text, children } for <body>,
+ *   where text is the element's own text (direct text nodes only)
+ */
+function captureDocumentTree(doc) {
+  // Elements whose text is never visible content
+  const skipped = ['script', 'style', 'noscript', 'template', 'svg', 'head'];
+
+  const selectorOf = (element) => {
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === 1) {
+      const tag = node.tagName.toLowerCase();
+      const id = node.getAttribute('id');
+      if (id && /^[A-Za-z][\w-]*$/.test(id) && doc.querySelectorAll(`#${id}`).length === 1) {
+        parts.unshift(`${tag}#${id}`);
+        break;
+      }
+      let part = tag;
+      const parent = node.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(
+          (child) => child.tagName === node.tagName
+        );
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(' > ');
+  };
+
+  const capture = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (
+      skipped.includes(tag) ||
+      element.hasAttribute('hidden') ||
+      element.getAttribute('aria-hidden') === 'true'
+    ) {
+      return null;
+    }
+
+    let text = '';
+    const children = [];
+    element.childNodes.forEach((child) => {
+      if (child.nodeType === 3) {
+        text += child.textContent;
+      } else if (child.nodeType === 1) {
+        const captured = capture(child);
+        if (captured) {
+          children.push(captured);
+        }
+      }
+    });
+
+    return {
+      tag,
+      role: element.getAttribute('role'),
+      hint: `${element.getAttribute('id') || ''} ${element.getAttribute('class') || ''}`.trim(),
+      selector: selectorOf(element),
+      text: text.replace(/\s+/g, ' ').trim(),
+      children,
+    };
+  };
+
+  return doc.body ? capture(doc.body) : null;
+}
+
+/**
+ * Annotate a captured tree with subtree text length, link text length and
+ * parent links, and list its nodes in document order
+ * @param {Object} tree - Result of captureDocumentTree
+ * @returns {Object[]} Nodes
+ */
+function indexTree(tree) {
+  const nodes = [];
+
+  const visit = (node, parent, inLink) => {
+    const isLink = inLink || node.tag === 'a';
+    node.parent = parent;
+    node.length = node.text.length;
+    node.linkLength = isLink ? node.text.length : 0;
+    node.commas = (node.text.match(/[,，、]/g) || []).length;
+    nodes.push(node);
+
+    node.children.forEach((child) => {
+      visit(child, node, isLink);
+      node.length += child.length;
+      node.linkLength += child.linkLength;
+      node.commas += child.commas;
+    });
+  };
+
+  visit(tree, null, false);
+  return nodes;
+}
+
+/**
+ * Whether a node is the same as or inside another
+ * @param {Object} node - Indexed node
+ * @param {Object} ancestor - Indexed node
+ * @returns {boolean} True when ancestor contains node
+ */
+function isWithin(node, ancestor) {
+  for (let current = node; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Starting score of a container from its tag and id/class hints
+ * @param {Object} node - Indexed node
+ * @returns {number} Score
+ */
+function initialScore(node) {
+  let score = TAG_SCORES[node.tag] || 0;
+  if (node.role === 'main') {
+    score += 5;
+  }
+  if (['navigation', 'banner', 'contentinfo', 'complementary'].includes(node.role)) {
+    score -= 10;
+  }
+  if (POSITIVE_HINT.test(node.hint)) {
+    score += 25;
+  }
+  if (NEGATIVE_HINT.test(node.hint)) {
+    score -= 25;
+  }
+  return score;
+}
+
+/**
+ * Find the primary content block of a captured tree
+ * @param {Object} tree - Result of captureDocumentTree (annotated in place)
+ * @returns {Object} { node, score, textLength, linkDensity, candidates } where node
+ *   is null when no text block is long enough to score
+ */
+function findMainContent(tree) {
+  const nodes = indexTree(tree);
+  const scores = new Map();
+
+  const addScore = (node, points) => {
+    if (!scores.has(node)) {
+      scores.set(node, initialScore(node));
+    }
+    scores.set(node, scores.get(node) + points);
+  };
+
+  // Text blocks: paragraphs, or elements holding text directly
+  nodes
+    .filter(
+      (node) =>
+        (TEXT_BLOCK_TAGS.includes(node.tag) || node.text.length >= MIN_BLOCK_LENGTH) &&
+        node.tag !== 'a' &&
+        node.length >= MIN_BLOCK_LENGTH
+    )
+    .forEach((block) => {
+      const points = 1 + block.commas + Math.min(Math.floor(block.length / 100), 3);
+      if (block.parent) {
+        addScore(block.parent, points);
+        if (block.parent.parent) {
+          addScore(block.parent.parent, points / 2);
+        }
+      }
+    });
+
+  const candidates = [...scores.entries()]
+    .map(([node, score]) => {
+      const linkDensity = node.length > 0 ? node.linkLength / node.length : 0;
+      return { node, score: score * (1 - linkDensity), linkDensity };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  if (!best || best.score <= 0) {
+    return { node: null, score: 0, textLength: 0, linkDensity: 0, candidates: candidates.length };
+  }
+
+  const { node } = best;
+  return {
+    node,
+    score: Math.round(best.score * 10) / 10,
+    textLength: node.length,
+    linkDensity: Math.round((node.linkLength / Math.max(node.length, 1)) * 100) / 100,
+    candidates: candidates.length,
+  };
+}
+
+/**
+ * Extract the main content of a captured page, measure how much of the page
+ * is boilerplate and compare the result with the declared <main>
+ * @param {Object} tree - Result of captureDocumentTree
+ * @param {Object} [options] - minContentRatio and minOverlap (see DEFAULT_OPTIONS)
+ * @returns {Object} { textLength, extracted, declared, contentRatio, boilerplateRatio,
+ *   relation, coverage, precision, mismatch } where relation is 'same', 'within'
+ *   (extracted inside <main>), 'contains' (<main> inside the extracted block),
+ *   'disjoint' or 'missing' (no <main>)
+ */
+function analyzeMainContent(tree, options = {}) {
+  const limits = { ...DEFAULT_OPTIONS, ...options };
+  const main = findMainContent(tree);
+  const total = tree.length;
+
+  const nodes = [];
+  const collect = (node) => {
+    nodes.push(node);
+    node.children.forEach(collect);
+  };
+  collect(tree);
+  const declaredNode = nodes.find((node) => node.tag === 'main' || node.role === 'main') || null;
+
+  const extracted = main.node
+    ? {
+        selector: main.node.selector,
+        tag: main.node.tag,
+        textLength: main.textLength,
+        linkDensity: main.linkDensity,
+      }
+    : null;
+  const declared = declaredNode
+    ? { selector: declaredNode.selector, tag: declaredNode.tag, textLength: declaredNode.length }
+    : null;
+
+  const contentRatio = total > 0 ? main.textLength / total : 0;
+
+  let relation = 'missing';
+  let shared = 0;
+  if (declaredNode && main.node) {
+    if (declaredNode === main.node) {
+      relation = 'same';
+      shared = main.textLength;
+    } else if (isWithin(main.node, declaredNode)) {
+      relation = 'within';
+      shared = main.textLength;
+    } else if (isWithin(declaredNode, main.node)) {
+      relation = 'contains';
+      shared = declaredNode.length;
+    } else {
+      relation = 'disjoint';
+    }
+  }
+
+  const coverage = main.textLength > 0 ? shared / main.textLength : 0;
+  const precision = declaredNode && declaredNode.length > 0 ? shared / declaredNode.length : 0;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    textLength: total,
+    extracted,
+    declared,
+    contentRatio: round(contentRatio),
+    boilerplateRatio: round(total > 0 ? 1 - contentRatio : 0),
+    boilerplateHeavy: total > 0 && contentRatio < limits.minContentRatio,
+    relation,
+    coverage: round(coverage),
+    precision: round(precision),
+    mismatch:
+      relation !== 'missing' && (coverage < limits.minOverlap || precision < limits.minOverlap),
+  };
+}
+
+/**
+ * Human-readable description of a declared/extracted main mismatch
+ * @param {Object} report - Result of analyzeMainContent
+ * @returns {string|null} Message, or null when the regions agree
+ */
+function describeMainMismatch(report) {
+  if (!report.mismatch) {
+    return null;
+  }
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const { declared, extracted } = report;
+  switch (report.relation) {
+    case 'disjoint':
+      return `<main> (${declared.selector}) does not contain the primary content, found in ${extracted.selector}`;
+    case 'within':
+      return `Only ${percent(report.precision)} of <main> (${declared.selector}) is primary content; the rest is boilerplate`;
+    case 'contains':
+      return `<main> (${declared.selector}) holds only ${percent(report.coverage)} of the primary content in ${extracted.selector}`;
+    default:
+      return `<main> (${declared.selector}) and the primary content in ${extracted.selector} differ`;
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  captureDocumentTree,
+  findMainContent,
+  analyzeMainContent,
+  describeMainMismatch,
+};
@@ -0,0 +1,157 @@
+/**
+ * BiModal Design Noscript Fallbacks
+ * Classifies the <noscript> blocks of an HTML payload as real fallbacks,
+ * "please enable JavaScript" notices, tracking pixels or empty blocks, checks
+ * that their links and refresh redirects lead to a no-JS alternative, and
+ * scores the result for the FR-1 Checker.
+ */
+
+const { splitPayload, decodeEntities } = require('./token-budget');
+
+// Sentences asking the visitor to turn JavaScript on rather than offering content.
+// Mentions of JavaScript alone ("This page works without JavaScript") do not count.
+const NOSCRIPT_NAG =
+  /\b(enable|turn on|activate|allow|switch on)\s+(your\s+)?javascript\b|\bjavascript\s+(is\s+)?(required|disabled|needed|must be enabled|needs to be enabled)\b|\b(requires?|needs?)\s+javascript\b/i;
+
+// Words a noscript block needs, besides any nag, to count as a real fallback
+const NOSCRIPT_MIN_WORDS = 20;
+
+// Characters of text outside <noscript> below which the page has no real content
+const MIN_TEXT_OUTSIDE = 100;
+
+// Origin for routes and paths checked without a server (e.g. `--dir` builds)
+const LOCAL_ORIGIN = 'http://localhost/';
+
+/**
+ * Absolute URL of a link without its fragment. Bases that are routes or paths
+ * rather than URLs resolve against a local origin.
+ * @param {string} href - Link target
+ * @param {string} base - Page URL, route (e.g. '/about/') or path
+ * @returns {string|null} URL, or null if it cannot be resolved
+ */
+function resolveLinkTarget(href, base) {
+  try {
+    const target = new URL(href, new URL(base || '', LOCAL_ORIGIN));
+    target.hash = '';
+    return target.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Value of an attribute in a start tag
+ * @param {string} tag - Start tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value
+ */
+function readAttribute(tag, name) {
+  const match = tag.match(
+    new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i')
+  );
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]).trim() : null;
+}
+
+/**
+ * Analyze the <noscript> fallbacks of an HTML payload
+ * @param {string} html - Raw HTML
+ * @param {string} url - Page URL or route, for resolving links
+ * @returns {Object} { blocks, count, fallbacks, substantive, links, badLinks, textOutside,
+ *   nagOnly }, where blocks are { kind, nag, words, links, goodLinks, badTargets } in
+ *   document order and kind is 'content', 'nag', 'minimal', 'tracking' or 'empty'
+ */
+function analyzeNoscript(html, url) {
+  const source = String(html || '').replace(/<!--[\s\S]*?-->/g, ' ');
+  const details = { blocks: [], links: 0, badLinks: 0 };
+
+  // Text an agent gets outside <noscript>, without scripts and styles
+  const body = (source.match(/<body\b[^>]*>([\s\S]*?)(?:<\/body>|$)/i) || [])[1];
+  details.textOutside = splitPayload(
+    body !== undefined ? body : source.replace(/<head\b[\s\S]*?<\/head>/i, ' ')
+  ).text.length;
+
+  const pageUrl = resolveLinkTarget(url, url);
+
+  (source.match(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi) || []).forEach((block) => {
+    const content = block.replace(/^<noscript\b[^>]*>|<\/noscript>$/gi, '');
+    const text = splitPayload(content).text;
+    const sentences = text.split(/(?<=[.!?])\s+/).filter((sentence) => sentence.length > 0);
+    const nag = sentences.some((sentence) => NOSCRIPT_NAG.test(sentence));
+    const words = sentences
+      .filter((sentence) => !NOSCRIPT_NAG.test(sentence))
+      .join(' ')
+      .split(/\s+/)
+      .filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+
+    // Links and <meta http-equiv="refresh"> redirects to a no-JS version
+    const targets = (content.match(/<a\b[^>]*>/gi) || [])
+      .map((tag) => readAttribute(tag, 'href'))
+      .filter((href) => href !== null);
+    (content.match(/<meta\b[^>]*>/gi) || [])
+      .filter((tag) => (readAttribute(tag, 'http-equiv') || '').toLowerCase() === 'refresh')
+      .forEach((tag) => {
+        const match = (readAttribute(tag, 'content') || '').match(/url\s*=\s*['"]?([^'"]+)/i);
+        targets.push(match ? match[1].trim() : '');
+      });
+
+    const badTargets = targets.filter((href) => {
+      const target = /^(#|javascript:)/i.test(href) ? null : resolveLinkTarget(href, url);
+      return !target || target === pageUrl;
+    });
+    details.links += targets.length;
+    details.badLinks += badTargets.length;
+    const goodLinks = targets.length - badTargets.length;
+
+    // Tracking pixels and iframes (analytics, tag managers) are not fallbacks
+    let kind = 'content';
+    if (text.length === 0 && targets.length === 0) {
+      kind = /<(img|iframe)\b/i.test(content) ? 'tracking' : 'empty';
+    } else if (words < NOSCRIPT_MIN_WORDS && goodLinks === 0) {
+      kind = nag ? 'nag' : 'minimal';
+    }
+
+    details.blocks.push({ kind, nag, words, links: targets.length, goodLinks, badTargets });
+  });
+
+  const fallbacks = details.blocks.filter(
+    (block) => block.kind !== 'tracking' && block.kind !== 'empty'
+  );
+  details.count = details.blocks.length;
+  details.fallbacks = fallbacks.length;
+  details.substantive = fallbacks.filter((block) => block.kind === 'content').length;
+  details.nagOnly =
+    details.textOutside < MIN_TEXT_OUTSIDE &&
+    fallbacks.length > 0 &&
+    details.substantive === 0 &&
+    fallbacks.some((block) => block.kind === 'nag');
+
+  return details;
+}
+
+/**
+ * Noscript score (0-1, or null if the page has no fallback blocks). A page
+ * whose only no-JS content is an "enable JavaScript" notice scores 0.
+ * @param {Object} details - Result of analyzeNoscript
+ * @returns {number|null} Score
+ */
+function scoreNoscript(details) {
+  if (details.fallbacks === 0) {
+    return null;
+  }
+  if (details.nagOnly) {
+    return 0;
+  }
+
+  let score = details.substantive > 0 || details.textOutside >= MIN_TEXT_OUTSIDE ? 1 : 0.5;
+  if (details.links > 0) {
+    score -= 0.5 * (details.badLinks / details.links);
+  }
+  return score;
+}
+
+module.exports = {
+  MIN_TEXT_OUTSIDE,
+  resolveLinkTarget,
+  analyzeNoscript,
+  scoreNoscript,
+};
@@ -0,0 +1,249 @@
+/**
+ * BiModal Design Payload Budgets
+ * Per-project limits on HTML bytes, inline script and style bytes, DOM node
+ * count and external resources, read from the "budgets" section of
+ * bimodal-design.config.json with per-route overrides, and the over/under
+ * report every tool prints against them.
+ *
+ * {
+ *   "budgets": {
+ *     "htmlBytes": { "min": 1000, "max": 150000 },
+ *     "inlineScriptBytes": 50000,
+ *     "domNodes": 1500,
+ *     "routes": { "/blog/*": { "domNodes": 3000 } }
+ *   }
+ * }
+ *
+ * A number is a maximum; { min, max } sets either bound and null (or {})
+ * removes a budget. Route patterns use `*` wildcards and match the page path
+ * or full URL; later matching routes override earlier ones.
+ */
+
+const fs = require('fs').promises;
+const { toPatternRegExp } = require('./sitemap-parser');
+const { splitPayload } = require('./token-budget');
+
+const DEFAULT_CONFIG_FILE = 'bimodal-design.config.json';
+
+// Budgeted metrics and their report labels
+const BUDGET_METRICS = {
+  htmlBytes: 'HTML bytes',
+  inlineScriptBytes: 'Inline script bytes',
+  inlineStyleBytes: 'Inline style bytes',
+  domNodes: 'DOM nodes',
+  externalStylesheets: 'External stylesheets',
+  externalScripts: 'External scripts',
+};
+
+// Limits the tools applied before budgets were configurable
+const DEFAULT_BUDGETS = {
+  htmlBytes: { min: 1000 },
+  domNodes: { max: 1500 },
+  externalStylesheets: { max: 3 },
+  externalScripts: { max: 5 },
+};
+
+/**
+ * Normalize a configured budget value
+ * @param {number|Object|null} value - Maximum, { min, max } or null
+ * @param {string} name - Metric name, for errors
+ * @returns {Object|null} { min, max } or null for no budget
+ */
+function normalizeBudget(value, name) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return { max: value };
+  }
+  if (value && typeof value === 'object') {
+    const budget = {};
+    ['min', 'max'].forEach((bound) => {
+      if (typeof value[bound] === 'number') {
+        budget[bound] = value[bound];
+      }
+    });
+    return budget;
+  }
+  throw new Error(`Budget "${name}" must be a number, { min, max } or null`);
+}
+
+/**
+ * Merge budget settings over a base set
+ * @param {Object} base - Resolved budgets
+ * @param {Object} settings - Configured metric values
+ * @returns {Object} Resolved budgets
+ */
+function mergeBudgets(base, settings) {
+  const merged = { ...base };
+  Object.entries(settings || {}).forEach(([name, value]) => {
+    if (name === 'routes') {
+      return;
+    }
+    if (!BUDGET_METRICS[name]) {
+      throw new Error(
+        `Unknown budget "${name}" (expected one of: ${Object.keys(BUDGET_METRICS).join(', ')})`
+      );
+    }
+    const budget = normalizeBudget(value, name);
+    if (budget && Object.keys(budget).length > 0) {
+      merged[name] = budget;
+    } else {
+      delete merged[name];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Load the budgets section of a project config file
+ * @param {string} [file] - Config path; defaults to bimodal-design.config.json,
+ *   which may be missing
+ * @returns {Promise<Object>} Budgets config ({} when the default file is missing)
+ */
+async function loadBudgets(file) {
+  let content;
+  try {
+    content = await fs.readFile(file || DEFAULT_CONFIG_FILE, 'utf8');
+  } catch (error) {
+    if (!file && error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Cannot read budget config ${file || DEFAULT_CONFIG_FILE}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid budget config ${file || DEFAULT_CONFIG_FILE}: ${error.message}`);
+  }
+
+  const budgets = config.budgets || {};
+  // Validate up front so a typo fails the run instead of every page
+  resolveBudgets(budgets);
+  Object.keys(budgets.routes || {}).forEach((route) => resolveBudgets(budgets, route));
+  return budgets;
+}
+
+/**
+ * Resolve the budgets that apply to a page
+ * @param {Object} [budgets] - Budgets config (see loadBudgets)
+ * @param {string} [url] - Page URL or path, matched against route overrides
+ * @returns {Object} { metric: { min, max } } for every budgeted metric
+ */
+function resolveBudgets(budgets = {}, url = null) {
+  let resolved = mergeBudgets(DEFAULT_BUDGETS, budgets);
+
+  if (url) {
+    let target = url;
+    try {
+      const { pathname, search } = new URL(url);
+      target = pathname + search;
+    } catch (error) {
+      // A path or file route, matched as-is
+    }
+
+    Object.entries(budgets.routes || {}).forEach(([pattern, settings]) => {
+      const regexp = toPatternRegExp(pattern);
+      if (regexp.test(url) || regexp.test(target)) {
+        resolved = mergeBudgets(resolved, settings);
+      }
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Measure the budgeted metrics of an HTML payload. The DOM node count is
+ * estimated from start tags; callers with a parsed document should replace it.
+ * @param {string} html - Raw HTML
+ * @returns {Object} { htmlBytes, inlineScriptBytes, inlineStyleBytes, domNodes,
+ *   externalStylesheets, externalScripts }
+ */
+function measurePayload(html) {
+  const source = String(html || '');
+  const parts = splitPayload(source);
+  const markup = source
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/(<(script|style|textarea|title)\b[^>]*>)[\s\S]*?(<\/\2>)/gi, '$1$3');
+
+  return {
+    htmlBytes: Buffer.byteLength(source),
+    inlineScriptBytes: Buffer.byteLength(parts.scripts + parts.hydration + parts.structuredData),
+    inlineStyleBytes: Buffer.byteLength(parts.styles),
+    domNodes: (markup.match(/<[a-z][^\s/>]*/gi) || []).length,
+    externalStylesheets: (
+      markup.match(/<link\b[^>]*\brel\s*=\s*["']?[^"'>]*\bstylesheet\b[^>]*>/gi) || []
+    ).length,
+    externalScripts: (markup.match(/<script\b[^>]*\ssrc\s*=[^>]*>/gi) || []).length,
+  };
+}
+
+/**
+ * Compare measured metrics with their budgets
+ * @param {Object} metrics - Measured values (see measurePayload); missing values are skipped
+ * @param {Object} budgets - Resolved budgets (see resolveBudgets)
+ * @returns {Object[]} { metric, label, value, min, max, status, delta } per budget,
+ *   where status is 'over' (above max), 'under' (below min) or 'within', and delta is
+ *   value minus the exceeded bound, or minus max (negative headroom) when within
+ */
+function checkBudgets(metrics, budgets) {
+  return Object.entries(budgets)
+    .filter(([metric]) => typeof metrics[metric] === 'number')
+    .map(([metric, { min, max }]) => {
+      const value = metrics[metric];
+      let status = 'within';
+      let delta = max !== undefined ? value - max : value - min;
+      if (max !== undefined && value > max) {
+        status = 'over';
+      } else if (min !== undefined && value < min) {
+        status = 'under';
+        delta = value - min;
+      }
+      return {
+        metric,
+        label: BUDGET_METRICS[metric],
+        value,
+        min: min ?? null,
+        max: max ?? null,
+        status,
+        delta,
+      };
+    });
+}
+
+/**
+ * Human-readable line for a budget result
+ * @param {Object} entry - Entry from checkBudgets
+ * @returns {string} e.g. "DOM nodes: 1620 (budget 1500, 120 over)"
+ */
+function formatBudgetResult(entry) {
+  const limit =
+    entry.status === 'under' || entry.max === null
+      ? `minimum ${entry.min}`
+      : entry.min !== null
+        ? `budget ${entry.min}-${entry.max}`
+        : `budget ${entry.max}`;
+  const difference =
+    entry.status === 'over'
+      ? `${entry.delta} over`
+      : entry.status === 'under'
+        ? `${-entry.delta} under minimum`
+        : entry.max !== null
+          ? `${-entry.delta} under`
+          : `${entry.delta} above minimum`;
+  return `${entry.label}: ${entry.value} (${limit}, ${difference})`;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  BUDGET_METRICS,
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  resolveBudgets,
+  measurePayload,
+  checkBudgets,
+  formatBudgetResult,
+};
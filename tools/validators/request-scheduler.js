@@ -0,0 +1,87 @@
+/**
+ * BiModal Design Request Scheduler
+ * Bounded concurrency and per-host rate limiting for batch checks
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Spaces requests to the same host by a requests-per-second limit and any
+ * per-host delay (such as a robots.txt Crawl-delay), whichever is longer.
+ */
+class HostRateLimiter {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 0;
+    this.delays = new Map();
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Set the minimum delay between requests to a host
+   * @param {string} host - Host name (with port)
+   * @param {number} ms - Delay in milliseconds
+   */
+  setDelay(host, ms) {
+    this.delays.set(host, ms);
+  }
+
+  /**
+   * Minimum interval between two requests to a host
+   * @param {string} host - Host name (with port)
+   * @returns {number} Interval in milliseconds
+   */
+  getInterval(host) {
+    const rateInterval = this.requestsPerSecond > 0 ? 1000 / this.requestsPerSecond : 0;
+    return Math.max(rateInterval, this.delays.get(host) || 0);
+  }
+
+  /**
+   * Wait until a request to the host is allowed, reserving the slot
+   * @param {string} host - Host name (with port)
+   * @returns {Promise<void>}
+   */
+  async wait(host) {
+    const interval = this.getInterval(host);
+    if (interval === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + interval);
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight.
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  HostRateLimiter,
+  mapWithConcurrency,
+};
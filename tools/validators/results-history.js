@@ -0,0 +1,188 @@
+/**
+ * BiModal Design Results History
+ * Persists audit and score results to a local JSON-lines store under
+ * .bimodal-design/, keyed by URL, commit and timestamp, and derives
+ * per-requirement score trends, regressions and improvements from it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_HISTORY_DIR = '.bimodal-design';
+const HISTORY_FILE = 'history.jsonl';
+const REQUIREMENTS = ['FR1', 'FR2', 'FR3', 'FR4', 'FR5', 'FR6', 'FR7'];
+
+// Environment variables CI systems expose the commit under
+const COMMIT_ENV_VARS = [
+  'GITHUB_SHA',
+  'CI_COMMIT_SHA',
+  'BITBUCKET_COMMIT',
+  'CIRCLE_SHA1',
+  'GIT_COMMIT',
+];
+
+/**
+ * Commit the working directory is at, from the CI environment or git
+ * @param {string} [cwd] - Working directory
+ * @returns {string|null} Commit SHA, or null outside a git checkout
+ */
+function getCurrentCommit(cwd = process.cwd()) {
+  const fromEnv = COMMIT_ENV_VARS.map((name) => process.env[name]).find(Boolean);
+  if (fromEnv) {
+    return fromEnv;
+  }
+
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * History record for a Compliance Auditor result
+ * @param {Object} auditResult - Result from auditPage
+ * @param {Object} [options] - source ('audit' or 'score'), commit, extra fields
+ * @returns {Object|null} Record, or null for audits that failed to run
+ */
+function createHistoryRecord(auditResult, options = {}) {
+  if (!auditResult || auditResult.error || !auditResult.requirements) {
+    return null;
+  }
+
+  const requirements = {};
+  Object.entries(auditResult.requirements).forEach(([key, requirement]) => {
+    requirements[key] = requirement.score;
+  });
+
+  return {
+    url: auditResult.url,
+    commit: options.commit || null,
+    timestamp: auditResult.timestamp || new Date().toISOString(),
+    source: options.source || 'audit',
+    overallScore: auditResult.overallScore,
+    passed: auditResult.passed,
+    requirements,
+    ...(options.extra || {}),
+  };
+}
+
+/**
+ * Append records to the history store, creating it when needed
+ * @param {Object[]} records - History records
+ * @param {Object} [options] - dir (default .bimodal-design)
+ * @returns {Promise<string>} Path of the history file
+ */
+async function appendHistory(records, options = {}) {
+  const dir = options.dir || DEFAULT_HISTORY_DIR;
+  const file = path.join(dir, HISTORY_FILE);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.appendFile(file, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+
+  return file;
+}
+
+/**
+ * Read history records, oldest first. Unparseable lines are skipped.
+ * @param {Object} [options] - dir, url (only records for this URL)
+ * @returns {Promise<Object[]>} Records
+ */
+async function readHistory(options = {}) {
+  const file = path.join(options.dir || DEFAULT_HISTORY_DIR, HISTORY_FILE);
+  let content;
+
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const records = [];
+  content.split('\n').forEach((line) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A partially written line from an interrupted run; ignore it
+    }
+  });
+
+  return records
+    .filter((record) => !options.url || record.url === options.url)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Per-URL trends: score history and requirement changes between consecutive runs
+ * @param {Object[]} records - History records, oldest first
+ * @param {Object} [options] - limit (most recent runs per URL)
+ * @returns {Object[]} Trends: { url, runs, regressions, improvements, latest, first }
+ */
+function analyzeTrend(records, options = {}) {
+  const byUrl = new Map();
+  records.forEach((record) => {
+    if (!byUrl.has(record.url)) {
+      byUrl.set(record.url, []);
+    }
+    byUrl.get(record.url).push(record);
+  });
+
+  return [...byUrl.entries()].map(([url, allRuns]) => {
+    const runs = options.limit ? allRuns.slice(-options.limit) : allRuns;
+    const regressions = [];
+    const improvements = [];
+
+    for (let i = 1; i < runs.length; i++) {
+      const previous = runs[i - 1];
+      const current = runs[i];
+
+      ['overall', ...REQUIREMENTS].forEach((key) => {
+        const from = key === 'overall' ? previous.overallScore : previous.requirements[key];
+        const to = key === 'overall' ? current.overallScore : current.requirements[key];
+        if (typeof from !== 'number' || typeof to !== 'number' || from === to) {
+          return;
+        }
+
+        const change = {
+          requirement: key,
+          from,
+          to,
+          delta: to - from,
+          commit: current.commit,
+          timestamp: current.timestamp,
+        };
+        (to < from ? regressions : improvements).push(change);
+      });
+    }
+
+    return {
+      url,
+      runs,
+      regressions,
+      improvements,
+      first: runs[0],
+      latest: runs[runs.length - 1],
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DIR,
+  REQUIREMENTS,
+  getCurrentCommit,
+  createHistoryRecord,
+  appendHistory,
+  readHistory,
+  analyzeTrend,
+};
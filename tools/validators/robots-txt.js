@@ -0,0 +1,146 @@
+/**
+ * BiModal Design robots.txt Parser
+ * Parses robots.txt into user-agent groups (https://www.rfc-editor.org/rfc/rfc9309)
+ * so tools can honour crawl directives and tell which agents may read a page.
+ */
+
+/**
+ * Parse robots.txt into groups of user agents and their directives
+ * @param {string} text - robots.txt content
+ * @returns {Object[]} Groups: { userAgents, rules, crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        return;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || !lastWasUserAgent) {
+          current = { userAgents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.userAgents.push(value.toLowerCase());
+        lastWasUserAgent = true;
+        return;
+      }
+
+      lastWasUserAgent = false;
+      if (!current) {
+        return;
+      }
+
+      if (field === 'allow' || field === 'disallow') {
+        current.rules.push({ type: field, path: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    });
+
+  return groups;
+}
+
+/**
+ * Find the group that applies to a user agent: the most specific product-token
+ * match, falling back to the `*` group
+ * @param {Object[]} groups - Parsed robots.txt groups
+ * @param {string} userAgent - Full user agent string or product token
+ * @returns {Object|null} Matching group
+ */
+function findGroup(groups, userAgent) {
+  const agent = String(userAgent || '').toLowerCase();
+  let best = null;
+  let bestLength = 0;
+
+  groups.forEach((group) => {
+    group.userAgents.forEach((token) => {
+      if (token !== '*' && agent.includes(token) && token.length > bestLength) {
+        best = group;
+        bestLength = token.length;
+      }
+    });
+  });
+
+  return best || groups.find((group) => group.userAgents.includes('*')) || null;
+}
+
+/**
+ * Whether a robots.txt path pattern matches a path; `*` matches any sequence
+ * of characters and a trailing `$` anchors the end of the path
+ * @param {string} pattern - Allow or Disallow path
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} True when the rule applies
+ */
+function matchesPath(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Whether a user agent may crawl a path: the longest matching rule of its
+ * group wins and Allow wins a tie; no group or no matching rule allows it
+ * @param {Object[]} groups - Parsed robots.txt groups
+ * @param {string} userAgent - Full user agent string or product token
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {Object} { allowed, group, rule } with the deciding rule, or null
+ */
+function isAllowed(groups, userAgent, urlPath) {
+  const group = findGroup(groups, userAgent);
+  if (!group || urlPath === '/robots.txt') {
+    return { allowed: true, group, rule: null };
+  }
+
+  let rule = null;
+  group.rules
+    .filter((candidate) => candidate.path && matchesPath(candidate.path, urlPath))
+    .forEach((candidate) => {
+      if (
+        !rule ||
+        candidate.path.length > rule.path.length ||
+        (candidate.path.length === rule.path.length && candidate.type === 'allow')
+      ) {
+        rule = candidate;
+      }
+    });
+
+  return { allowed: !rule || rule.type === 'allow', group, rule };
+}
+
+/**
+ * Crawl-delay in milliseconds for a user agent, or 0 when none is set
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - User agent string
+ * @returns {number} Delay between requests in milliseconds
+ */
+function getCrawlDelay(text, userAgent) {
+  const group = findGroup(parseRobotsTxt(text), userAgent);
+  return group && group.crawlDelay ? Math.round(group.crawlDelay * 1000) : 0;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  findGroup,
+  matchesPath,
+  isAllowed,
+  getCrawlDelay,
+};
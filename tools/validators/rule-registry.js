@@ -0,0 +1,150 @@
+/**
+ * BiModal Design Rule Registry
+ * The FR-1 Checker's registry of analysis rules: registration and validation,
+ * overrides and enabling/disabling, normalization of what a rule's check
+ * returns, and the weighted score over rule results.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Rule score below which a rule fails
+const PASS_SCORE = 0.7;
+
+class RuleRegistry {
+  constructor() {
+    // Insertion order is execution order
+    this.rules = new Map();
+  }
+
+  /**
+   * Register a rule
+   * @param {Object} rule - Rule definition (see FR1Checker#registerRule)
+   * @returns {RuleRegistry} The registry, for chaining
+   */
+  register(rule) {
+    if (!rule || typeof rule.id !== 'string' || rule.id.length === 0) {
+      throw new Error('Rule must have a string id');
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule ${rule.id} must have a check function`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule ${rule.id} is already registered; use overrideRule() to change it`);
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} has invalid severity "${rule.severity}"`);
+    }
+
+    this.rules.set(rule.id, {
+      category: 'custom',
+      severity: 'error',
+      weight: 0,
+      description: rule.id,
+      enabled: true,
+      ...rule,
+    });
+
+    return this;
+  }
+
+  /**
+   * Override parts of a registered rule (weight, severity, check, ...)
+   * @param {string} id - Rule id
+   * @param {Object} changes - Properties to replace
+   * @returns {RuleRegistry} The registry, for chaining
+   */
+  override(id, changes) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
+    }
+
+    this.rules.set(id, { ...rule, ...changes, id });
+    return this;
+  }
+
+  /**
+   * Apply the rule options of a checker: extra rules, overrides by id and
+   * disabled rule ids, in that order
+   * @param {Object} options - { rules, ruleOverrides, disabledRules }
+   * @returns {RuleRegistry} The registry, for chaining
+   */
+  configure({ rules = [], ruleOverrides = {}, disabledRules = [] } = {}) {
+    rules.forEach((rule) => this.register(rule));
+    Object.entries(ruleOverrides).forEach(([id, changes]) => this.override(id, changes));
+    disabledRules.forEach((id) => this.override(id, { enabled: false }));
+    return this;
+  }
+
+  /**
+   * Registered rules in execution order
+   * @returns {Object[]} Rule definitions
+   */
+  list() {
+    return Array.from(this.rules.values());
+  }
+}
+
+/**
+ * Normalize what a rule's check returned
+ * @param {boolean|number|Object|null} outcome - Boolean, 0-1 score, { score, messages,
+ *   details } or null/undefined (not scored)
+ * @returns {Object} { score, passed, messages, details }, with score clamped to 0-1
+ *   or null; a rule passes when unscored or scoring at least 0.7
+ */
+function normalizeOutcome(outcome) {
+  let result = { score: null, messages: [] };
+  if (typeof outcome === 'boolean') {
+    result.score = outcome ? 1 : 0;
+  } else if (typeof outcome === 'number') {
+    result.score = outcome;
+  } else if (outcome && typeof outcome === 'object') {
+    result = { ...result, ...outcome };
+  }
+
+  if (result.score !== null && result.score !== undefined) {
+    result.score = Math.min(1, Math.max(0, result.score));
+  } else {
+    result.score = null;
+  }
+
+  return {
+    score: result.score,
+    passed: result.score === null || result.score >= PASS_SCORE,
+    messages: [].concat(result.messages || []),
+    details: result.details,
+  };
+}
+
+/**
+ * Weighted average of the scores of weighted rules. Unscored rules are left
+ * out; a weighted rule that crashed counts as 0.
+ * @param {Object} ruleResults - Rule id → { weight, score, error }
+ * @returns {Object} { score, componentScores } with score 0-1
+ */
+function calculateWeightedScore(ruleResults) {
+  let weightedScore = 0;
+  let totalWeight = 0;
+  const componentScores = {};
+
+  Object.entries(ruleResults).forEach(([id, result]) => {
+    if (result.weight > 0 && result.score !== null) {
+      weightedScore += result.score * result.weight;
+      totalWeight += result.weight;
+      componentScores[id] = result.score;
+    } else if (result.weight > 0 && result.error) {
+      totalWeight += result.weight;
+      componentScores[id] = 0;
+    }
+  });
+
+  const score = totalWeight > 0 ? weightedScore / totalWeight : 0;
+  return { score: Math.min(1, Math.max(0, score)), componentScores };
+}
+
+module.exports = {
+  PASS_SCORE,
+  RuleRegistry,
+  normalizeOutcome,
+  calculateWeightedScore,
+};
@@ -0,0 +1,187 @@
+/**
+ * BiModal Design SARIF Output
+ * Converts findings into SARIF 2.1.0 logs so checker and auditor results can
+ * be uploaded to code-scanning UIs (e.g. GitHub code scanning).
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+const REQUIREMENT_NAMES = {
+  FR1: 'Initial Payload Accessibility',
+  FR2: 'Semantic HTML Structure',
+  FR3: 'ARIA Implementation',
+  FR4: 'Agent-Friendly Navigation',
+  FR5: 'Form Accessibility',
+  FR6: 'Content Discovery',
+  FR7: 'Performance Optimization',
+};
+
+// SARIF result levels for finding severities
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+};
+
+/**
+ * Artifact URI for a checked page: a path relative to the working directory
+ * for files inside it, a file:// URI for other files, otherwise the page URL
+ * @param {Object} page - Result with file, finalUrl or url
+ * @param {string} cwd - Working directory
+ * @returns {string} Artifact URI
+ */
+function getArtifactURI(page, cwd) {
+  if (page.file) {
+    const absolute = path.resolve(cwd, page.file);
+    const relative = path.relative(cwd, absolute);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+    return pathToFileURL(absolute).href;
+  }
+  return page.finalUrl || page.url;
+}
+
+/**
+ * SARIF reportingDescriptor for a rule
+ * @param {string} ruleId - Rule ID
+ * @param {Object} meta - { requirement, help, severity, description }
+ * @returns {Object} Rule descriptor
+ */
+function createRule(ruleId, meta) {
+  const requirement = meta.requirement || 'FR1';
+  const help = meta.help || meta.description || ruleId;
+
+  return {
+    id: ruleId,
+    shortDescription: { text: meta.description || help },
+    fullDescription: { text: help },
+    help: { text: help },
+    defaultConfiguration: { level: LEVELS[meta.severity] || 'warning' },
+    properties: {
+      requirement,
+      requirementName: REQUIREMENT_NAMES[requirement] || requirement,
+      tags: ['bimodal-design', requirement],
+    },
+  };
+}
+
+/**
+ * SARIF result for a finding on a page
+ * @param {Object} finding - Finding
+ * @param {string} uri - Artifact URI of the page
+ * @param {number} ruleIndex - Index of the rule in the driver's rules
+ * @returns {Object} SARIF result
+ */
+function createResult(finding, uri, ruleIndex) {
+  const physicalLocation = { artifactLocation: { uri } };
+  const { location } = finding;
+
+  if (location) {
+    physicalLocation.region = {
+      startLine: location.startLine,
+      startColumn: location.startColumn,
+      endLine: location.endLine,
+      endColumn: location.endColumn,
+    };
+    if (finding.snippet) {
+      physicalLocation.region.snippet = { text: finding.snippet };
+    }
+    if (location.context && location.context.length > 0) {
+      physicalLocation.contextRegion = {
+        startLine: location.context[0].line,
+        endLine: location.context[location.context.length - 1].line,
+        snippet: { text: location.context.map(({ text }) => text).join('\n') },
+      };
+    }
+  }
+
+  const result = {
+    ruleId: finding.ruleId,
+    ruleIndex,
+    level: LEVELS[finding.severity] || 'error',
+    message: { text: finding.message },
+    locations: [{ physicalLocation }],
+    properties: { requirement: finding.requirement },
+  };
+
+  if (finding.selector) {
+    result.locations[0].logicalLocations = [
+      { fullyQualifiedName: finding.selector, kind: 'element' },
+    ];
+  }
+
+  return result;
+}
+
+/**
+ * Build a SARIF log from checked pages
+ * @param {Object[]} pages - Results with url/finalUrl or file and a findings array
+ * @param {Object} options - Tool description
+ * @param {string} options.name - Tool name
+ * @param {string} [options.version] - Tool version
+ * @param {string} [options.informationUri] - Tool homepage
+ * @param {Object} [options.rules] - Known rules: ruleId → { requirement, help, severity, description },
+ *   reported even when nothing was found
+ * @param {string} [options.cwd] - Directory file paths are made relative to
+ * @returns {Object} SARIF log
+ */
+function toSARIF(pages, options) {
+  const { name, version, informationUri, rules = {}, cwd = process.cwd() } = options;
+  const descriptors = [];
+  const ruleIndexes = new Map();
+
+  const addRule = (ruleId, meta) => {
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, descriptors.length);
+      descriptors.push(createRule(ruleId, meta));
+    }
+    return ruleIndexes.get(ruleId);
+  };
+
+  Object.entries(rules).forEach(([ruleId, meta]) => addRule(ruleId, meta));
+
+  const results = [];
+  const artifacts = [];
+  pages.forEach((page) => {
+    const findings = page.findings || [];
+    const uri = getArtifactURI(page, cwd);
+    if (uri && !artifacts.includes(uri)) {
+      artifacts.push(uri);
+    }
+
+    findings.forEach((finding) => {
+      const ruleIndex = addRule(finding.ruleId, finding);
+      results.push(createResult(finding, uri, ruleIndex));
+    });
+  });
+
+  const driver = { name, rules: descriptors };
+  if (version) {
+    driver.version = version;
+  }
+  if (informationUri) {
+    driver.informationUri = informationUri;
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: { driver },
+        artifacts: artifacts.map((uri) => ({ location: { uri } })),
+        results,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  REQUIREMENT_NAMES,
+  toSARIF,
+};
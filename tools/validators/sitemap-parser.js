@@ -0,0 +1,165 @@
+/**
+ * BiModal Design Sitemap Parser
+ * Extracts page and child-sitemap URLs from sitemap.xml and sitemap index files
+ * (https://www.sitemaps.org/protocol.html) and filters them for checking.
+ */
+
+const zlib = require('zlib');
+const { URL } = require('url');
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+/**
+ * Decode a <loc> value: strip CDATA wrappers and XML entities
+ * @param {string} value - Raw element text
+ * @returns {string} Decoded URL
+ */
+function decodeLoc(value) {
+  return value
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+    .trim();
+}
+
+/**
+ * Collect the <loc> of every <tag> block in the document
+ * @param {string} xml - Sitemap XML
+ * @param {string} tag - Entry element name (url or sitemap)
+ * @returns {string[]} Decoded locations
+ */
+function extractLocs(xml, tag) {
+  const entryPattern = new RegExp(
+    `<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+    'gi'
+  );
+  const locPattern = /<(?:\w+:)?loc\b[^>]*>([\s\S]*?)<\/(?:\w+:)?loc>/i;
+  const locs = [];
+
+  let match;
+  while ((match = entryPattern.exec(xml)) !== null) {
+    const loc = match[1].match(locPattern);
+    if (loc) {
+      const url = decodeLoc(loc[1]);
+      if (url) {
+        locs.push(url);
+      }
+    }
+  }
+
+  return locs;
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {{type: string, urls: string[], sitemaps: string[]}} Parsed sitemap
+ */
+function parseSitemap(xml) {
+  if (/<(?:\w+:)?sitemapindex\b/i.test(xml)) {
+    return { type: 'sitemapindex', urls: [], sitemaps: extractLocs(xml, 'sitemap') };
+  }
+
+  if (/<(?:\w+:)?urlset\b/i.test(xml)) {
+    return { type: 'urlset', urls: extractLocs(xml, 'url'), sitemaps: [] };
+  }
+
+  throw new Error('Not a sitemap: expected <urlset> or <sitemapindex> root element');
+}
+
+/**
+ * Decode a fetched sitemap body, gunzipping it when compressed
+ * @param {Buffer} body - Raw response body
+ * @returns {string} Sitemap XML
+ */
+function decodeSitemapBody(body) {
+  const isGzip = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b;
+  return (isGzip ? zlib.gunzipSync(body) : body).toString('utf8');
+}
+
+/**
+ * Convert an include/exclude pattern into a RegExp.
+ * Strings use glob syntax where `*` matches any run of characters;
+ * RegExp instances are used as-is.
+ * @param {string|RegExp} pattern - URL pattern
+ * @returns {RegExp} Matcher
+ */
+function toPatternRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*+/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Test a URL against a pattern, matching either the full URL or its path
+ * @param {string} url - Page URL
+ * @param {RegExp} regexp - Compiled pattern
+ * @returns {boolean} Whether the pattern matches
+ */
+function matchesPattern(url, regexp) {
+  if (regexp.test(url)) {
+    return true;
+  }
+
+  try {
+    const { pathname, search } = new URL(url);
+    return regexp.test(pathname + search);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply include/exclude patterns and a URL limit to sitemap entries
+ * @param {string[]} urls - Page URLs
+ * @param {Object} options - Filter options
+ * @param {Array<string|RegExp>} [options.include] - Keep only URLs matching one of these
+ * @param {Array<string|RegExp>} [options.exclude] - Drop URLs matching any of these
+ * @param {number} [options.maxUrls] - Maximum number of URLs to return
+ * @returns {string[]} Filtered, de-duplicated URLs
+ */
+function filterSitemapURLs(urls, options = {}) {
+  const include = (options.include || []).map(toPatternRegExp);
+  const exclude = (options.exclude || []).map(toPatternRegExp);
+  const maxUrls = options.maxUrls > 0 ? options.maxUrls : Infinity;
+
+  const filtered = [];
+  const seen = new Set();
+
+  for (const url of urls) {
+    if (filtered.length >= maxUrls) {
+      break;
+    }
+    if (seen.has(url)) {
+      continue;
+    }
+    if (include.length > 0 && !include.some((regexp) => matchesPattern(url, regexp))) {
+      continue;
+    }
+    if (exclude.some((regexp) => matchesPattern(url, regexp))) {
+      continue;
+    }
+
+    seen.add(url);
+    filtered.push(url);
+  }
+
+  return filtered;
+}
+
+module.exports = {
+  parseSitemap,
+  decodeSitemapBody,
+  filterSitemapURLs,
+  toPatternRegExp,
+};
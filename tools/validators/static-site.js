@@ -0,0 +1,63 @@
+/**
+ * BiModal Design Static Site Walker
+ * Finds the HTML files in a static build directory (e.g. Astro's dist/)
+ * and maps them to the route paths they are served at.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Recursively list HTML files, skipping dot-directories and node_modules
+ * @param {string} dir - Build output directory
+ * @returns {Promise<string[]>} File paths relative to dir, sorted, with / separators
+ */
+async function findHTMLFiles(dir) {
+  const files = [];
+
+  async function walk(current) {
+    const entries = await fs.readdir(current, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+        continue;
+      }
+
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  await walk(dir);
+  return files.sort();
+}
+
+/**
+ * Map a build file to its route: index.html files serve their directory
+ * (about/index.html → /about/), other pages drop the extension (about.html → /about)
+ * @param {string} relativePath - File path relative to the build directory
+ * @returns {string} Route path
+ */
+function fileToRoute(relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const withoutExtension = normalized.replace(/\.html?$/i, '');
+
+  if (withoutExtension === 'index') {
+    return '/';
+  }
+  if (withoutExtension.endsWith('/index')) {
+    return `/${withoutExtension.slice(0, -'index'.length)}`;
+  }
+  return `/${withoutExtension}`;
+}
+
+module.exports = {
+  findHTMLFiles,
+  fileToRoute,
+};
@@ -0,0 +1,207 @@
+/**
+ * BiModal Design Token Budget
+ * Estimates how many LLM tokens an agent spends reading a page: the raw HTML,
+ * its text-only view and the main content, and how the raw payload splits
+ * into markup, inline scripts, inline styles, hydration JSON and structured
+ * data. Tokens are counted with a built-in approximation of byte-pair
+ * tokenizers rather than a model-specific vocabulary, so estimates are
+ * comparable between pages but not exact for any one model.
+ */
+
+const DEFAULT_TOKEN_THRESHOLDS = {
+  // Raw HTML tokens above which the page is costly to read whole
+  maxHtmlTokens: 100000,
+  // Largest share of the raw HTML tokens spent on each kind of payload
+  maxScriptShare: 0.5,
+  maxStyleShare: 0.2,
+  maxHydrationShare: 0.3,
+  // Smallest share of the raw HTML tokens that is readable text
+  minTextShare: 0.1,
+};
+
+// Scripts holding serialized application state for client-side hydration
+const HYDRATION_SCRIPT =
+  /^\s*(?:(?:window|self|globalThis)\s*\.\s*)?(__NUXT__|__NEXT_DATA__|__APOLLO_STATE__|__INITIAL_STATE__|__PRELOADED_STATE__|__remixContext|__staticRouterHydrationData|__sveltekit_\w+)\s*=|^\s*\(?\s*self\.__next_f\s*=|^\s*self\.__next_f\.push\(/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Approximate token count of a string. Words count one token per eight
+ * letters (common words are single tokens), digits one per three, symbols
+ * one per two and ideographic or other unsegmented scripts one per character;
+ * whitespace is folded into the following token.
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  const pieces =
+    String(text || '').match(
+      /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]|\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+/gu
+    ) || [];
+
+  pieces.forEach((piece) => {
+    if (/^\p{L}/u.test(piece)) {
+      tokens += piece.length === 1 ? 1 : 1 + Math.floor((piece.length - 1) / 8);
+    } else if (/^\p{N}/u.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Decode the common HTML entities in text
+ * @param {string} text - HTML text
+ * @returns {string} Text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Split an HTML payload into inline scripts, hydration JSON, structured
+ * data, inline styles and readable text
+ * @param {string} html - Raw HTML
+ * @returns {Object} { scripts, hydration, structuredData, styles, text } as strings
+ */
+function splitPayload(html) {
+  const parts = { scripts: [], hydration: [], structuredData: [], styles: [], text: '' };
+
+  const withoutComments = String(html || '').replace(/<!--[\s\S]*?-->/g, ' ');
+
+  (withoutComments.match(/<script\b[^>]*>[\s\S]*?<\/script>/gi) || []).forEach((script) => {
+    const open = script.match(/^<script\b[^>]*>/i)[0];
+    const body = script.slice(open.length, -'</script>'.length);
+    if (!body.trim()) {
+      return;
+    }
+    const type = ((open.match(/\btype\s*=\s*["']?([^"'\s>]+)/i) || [])[1] || '').toLowerCase();
+    if (type === 'application/ld+json') {
+      parts.structuredData.push(body);
+    } else if (
+      type === 'application/json' ||
+      /\bid\s*=\s*["']?__NEXT_DATA__/i.test(open) ||
+      HYDRATION_SCRIPT.test(body)
+    ) {
+      parts.hydration.push(body);
+    } else {
+      parts.scripts.push(body);
+    }
+  });
+
+  (withoutComments.match(/<style\b[^>]*>[\s\S]*?<\/style>/gi) || []).forEach((style) => {
+    parts.styles.push(style.replace(/^<style\b[^>]*>|<\/style>$/gi, ''));
+  });
+  (withoutComments.match(/\sstyle\s*=\s*("[^"]*"|'[^']*')/gi) || []).forEach((attribute) => {
+    parts.styles.push(attribute.replace(/^\s*style\s*=\s*["']|["']$/gi, ''));
+  });
+
+  parts.text = decodeEntities(
+    withoutComments
+      .replace(/<(script|style|template|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    scripts: parts.scripts.join('\n'),
+    hydration: parts.hydration.join('\n'),
+    structuredData: parts.structuredData.join('\n'),
+    styles: parts.styles.join('\n'),
+    text: parts.text,
+  };
+}
+
+/**
+ * Estimate the token budget of a page's initial payload
+ * @param {string} html - Raw HTML
+ * @param {Object} [options] - Options
+ * @param {string} [options.mainText] - Text of the main content block, if known
+ * @param {Object} [options.thresholds] - Overrides for DEFAULT_TOKEN_THRESHOLDS
+ * @returns {Object} { bytes, tokens: { html, text, mainContent }, breakdown: { markup,
+ *   scripts, styles, hydration, structuredData, text } as { tokens, share },
+ *   warnings: [{ code, message }] } where code is 'html', 'scripts', 'styles',
+ *   'hydration' or 'text'
+ */
+function analyzeTokenBudget(html, options = {}) {
+  const limits = { ...DEFAULT_TOKEN_THRESHOLDS, ...(options.thresholds || {}) };
+  const parts = splitPayload(html);
+  const total = estimateTokens(html);
+
+  const counts = {
+    scripts: estimateTokens(parts.scripts),
+    styles: estimateTokens(parts.styles),
+    hydration: estimateTokens(parts.hydration),
+    structuredData: estimateTokens(parts.structuredData),
+    text: estimateTokens(parts.text),
+  };
+  // Tags, attributes, comments and whatever else is not content
+  counts.markup = Math.max(
+    0,
+    total - counts.scripts - counts.styles - counts.hydration - counts.structuredData - counts.text
+  );
+
+  const share = (tokens) => (total > 0 ? Math.round((tokens / total) * 1000) / 1000 : 0);
+  const breakdown = {};
+  ['markup', 'scripts', 'styles', 'hydration', 'structuredData', 'text'].forEach((name) => {
+    breakdown[name] = { tokens: counts[name], share: share(counts[name]) };
+  });
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const warnings = [];
+  if (total > limits.maxHtmlTokens) {
+    warnings.push({
+      code: 'html',
+      message: `Initial HTML is about ${total} tokens (budget ${limits.maxHtmlTokens})`,
+    });
+  }
+  [
+    ['scripts', 'inline scripts', limits.maxScriptShare],
+    ['styles', 'inline styles', limits.maxStyleShare],
+    ['hydration', 'hydration JSON', limits.maxHydrationShare],
+  ].forEach(([code, label, max]) => {
+    if (breakdown[code].share > max) {
+      warnings.push({
+        code,
+        message: `${percent(breakdown[code].share)} of the payload tokens (${counts[code]}) are ${label} (limit ${percent(max)})`,
+      });
+    }
+  });
+  if (total > 0 && breakdown.text.share < limits.minTextShare) {
+    warnings.push({
+      code: 'text',
+      message: `Only ${percent(breakdown.text.share)} of the payload tokens are readable text (minimum ${percent(limits.minTextShare)})`,
+    });
+  }
+
+  return {
+    bytes: Buffer.byteLength(String(html || '')),
+    tokens: {
+      html: total,
+      text: counts.text,
+      mainContent: options.mainText === undefined ? null : estimateTokens(options.mainText),
+    },
+    breakdown,
+    warnings,
+  };
+}
+
+module.exports = {
+  DEFAULT_TOKEN_THRESHOLDS,
+  estimateTokens,
+  decodeEntities,
+  splitPayload,
+  analyzeTokenBudget,
+};